@@ -8,7 +8,8 @@ const morgan = require("morgan");
 const path = require("path"); // Import path module to handle file paths
 
 const { NotFoundError } = require("./expressError");
-const { authenticateJWT } = require("./middleware/auth");
+const { TRUST_PROXY } = require("./config");
+const { authenticateJWT, identifyActor } = require("./middleware/auth");
 
 // Import route handlers
 const authRoutes = require("./routes/auth");
@@ -21,6 +22,9 @@ const quotesRoutes = require("./routes/quotes");
 
 const app = express();
 
+// Trust X-Forwarded-For from this many proxies, so req.ip is the client's
+app.set("trust proxy", TRUST_PROXY);
+
 // Enable Cross-Origin Resource Sharing (CORS)
 app.use(cors());
 
@@ -32,6 +36,7 @@ app.use(morgan("tiny"));
 
 // Middleware to authenticate user JWTs on each request
 app.use(authenticateJWT);
+app.use(identifyActor);
 
 // Register route handlers
 app.use("/auth", authRoutes);
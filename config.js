@@ -4,6 +4,8 @@
 
 require("dotenv").config();
 require("colors");
+const os = require("os");
+const path = require("path");
 
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
@@ -14,6 +16,43 @@ function getDatabaseUri() {
 	return process.env.NODE_ENV === "test" ? "easyRFQ_test" : process.env.DATABASE_URL || "easyRFQ";
 }
 
+// How often the in-process job checks for quotes past their valid_until date
+const QUOTE_EXPIRY_INTERVAL_MINUTES = +process.env.QUOTE_EXPIRY_INTERVAL_MINUTES || 60;
+
+// How long deleted RFQs, quotes, customers and items can be restored before the
+// purge job removes them for good, and how often that job runs
+const DELETED_RETENTION_DAYS = +process.env.DELETED_RETENTION_DAYS || 30;
+const PURGE_INTERVAL_MINUTES = +process.env.PURGE_INTERVAL_MINUTES || 24 * 60;
+
+// Access tokens are short-lived; clients trade their refresh token for a new one
+const ACCESS_TOKEN_TTL_MINUTES = +process.env.ACCESS_TOKEN_TTL_MINUTES || 15;
+
+// How long a login session (and so its refresh token) lasts
+const REFRESH_TOKEN_TTL_DAYS = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
+// How long an emailed password reset link stays usable
+const PASSWORD_RESET_TTL_MINUTES = +process.env.PASSWORD_RESET_TTL_MINUTES || 60;
+
+// How long a user with two-factor authentication has to enter their code after their password
+const MFA_CHALLENGE_TTL_MINUTES = +process.env.MFA_CHALLENGE_TTL_MINUTES || 5;
+
+// How long company invitations and email verification links stay usable
+const INVITATION_TTL_DAYS = +process.env.INVITATION_TTL_DAYS || 7;
+const EMAIL_VERIFICATION_TTL_HOURS = +process.env.EMAIL_VERIFICATION_TTL_HOURS || 48;
+
+// Where links in outgoing email point to
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+
+// Outgoing email: "file" writes each message to MAIL_DIR, "memory" keeps them
+// in-process (tests); other transports can be plugged in with setMailTransport
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "test" ? "memory" : "file");
+const MAIL_DIR = process.env.MAIL_DIR || path.join(os.tmpdir(), "easyrfq-mail");
+const MAIL_FROM = process.env.MAIL_FROM || "easyRFQ <no-reply@easyrfq.local>";
+
+// Proxy hops to trust for the client's IP (X-Forwarded-For), used to throttle
+// sign-in attempts per IP; set when running behind a load balancer
+const TRUST_PROXY = +process.env.TRUST_PROXY || 0;
+
 // Speed up bcrypt during tests, since the algorithm safety isn't being tested
 //
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
@@ -24,11 +63,30 @@ console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
 console.log("Database:".yellow, getDatabaseUri());
+console.log("QUOTE_EXPIRY_INTERVAL_MINUTES:".yellow, QUOTE_EXPIRY_INTERVAL_MINUTES);
+console.log("DELETED_RETENTION_DAYS:".yellow, DELETED_RETENTION_DAYS);
+console.log("ACCESS_TOKEN_TTL_MINUTES:".yellow, ACCESS_TOKEN_TTL_MINUTES);
+console.log("REFRESH_TOKEN_TTL_DAYS:".yellow, REFRESH_TOKEN_TTL_DAYS);
+console.log("MAIL_TRANSPORT:".yellow, MAIL_TRANSPORT);
 console.log("---");
 
 module.exports = {
 	SECRET_KEY,
 	PORT,
 	BCRYPT_WORK_FACTOR,
+	QUOTE_EXPIRY_INTERVAL_MINUTES,
+	DELETED_RETENTION_DAYS,
+	PURGE_INTERVAL_MINUTES,
+	ACCESS_TOKEN_TTL_MINUTES,
+	REFRESH_TOKEN_TTL_DAYS,
+	PASSWORD_RESET_TTL_MINUTES,
+	MFA_CHALLENGE_TTL_MINUTES,
+	INVITATION_TTL_DAYS,
+	EMAIL_VERIFICATION_TTL_HOURS,
+	APP_URL,
+	MAIL_TRANSPORT,
+	MAIL_DIR,
+	MAIL_FROM,
+	TRUST_PROXY,
 	getDatabaseUri,
 };
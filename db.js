@@ -2,15 +2,20 @@
 
 /** Database setup for easyRFQ */
 
-const { Client } = require("pg");
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool, types } = require("pg");
 const { getDatabaseUri } = require("./config");
 
-let db;
+let pool;
+
+// Return DATE columns (e.g. quotes.valid_until) as 'YYYY-MM-DD' strings rather
+// than JS Dates, which would shift them by the server's timezone offset
+types.setTypeParser(types.builtins.DATE, (val) => val);
 
 /** Determine database connection settings based on environment */
 if (process.env.NODE_ENV === "production") {
 	// In production, use SSL for secure database connections
-	db = new Client({
+	pool = new Pool({
 		connectionString: getDatabaseUri(),
 		ssl: {
 			rejectUnauthorized: false, // Allows self-signed certificates (e.g., Heroku)
@@ -18,12 +23,45 @@ if (process.env.NODE_ENV === "production") {
 	});
 } else {
 	// In development or test environments, no SSL is needed
-	db = new Client({
+	pool = new Pool({
 		connectionString: getDatabaseUri(),
 	});
 }
 
-// Connect to the database
-db.connect();
+// The client of the transaction the current async call chain is running in,
+// so queries made anywhere inside db.transaction() (audit, numbering, hooks)
+// go through it rather than a different pooled connection
+const transactionClient = new AsyncLocalStorage();
+
+/** Run a query on the current transaction's client, or on any pooled one. */
+
+function query(text, params) {
+	return (transactionClient.getStore() || pool).query(text, params);
+}
+
+/**
+ * Run fn inside a transaction on a client of its own, committing when it
+ * resolves and rolling back when it throws. Every db.query made while fn
+ * runs joins the transaction; a nested call joins the outer one.
+ *
+ * @returns whatever fn resolves to
+ */
+
+async function transaction(fn) {
+	if (transactionClient.getStore()) return fn();
+
+	const client = await pool.connect();
+	try {
+		await client.query("BEGIN");
+		const result = await transactionClient.run(client, fn);
+		await client.query("COMMIT");
+		return result;
+	} catch (err) {
+		await client.query("ROLLBACK");
+		throw err;
+	} finally {
+		client.release();
+	}
+}
 
-module.exports = db;
+module.exports = { query, transaction, connect: () => pool.connect(), end: () => pool.end() };
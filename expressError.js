@@ -44,10 +44,19 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 429 TOO MANY REQUESTS error. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests") {
+    super(message, 429);
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  TooManyRequestsError,
 };
\ No newline at end of file
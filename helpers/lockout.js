@@ -0,0 +1,36 @@
+/**
+ * Brute-force protection settings for sign-in.
+ *
+ * An account is locked after MAX_FAILED_LOGINS wrong passwords in a row. Each
+ * lockout lasts twice as long as the one before, up to LOCKOUT_MAX_MINUTES,
+ * until the user signs in successfully or an admin unlocks the account.
+ *
+ * Separately, an IP address with IP_MAX_FAILED_LOGINS failures within the last
+ * IP_FAILURE_WINDOW_MINUTES is refused outright, whichever accounts it tries.
+ */
+
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_BASE_MINUTES = 15;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+const IP_MAX_FAILED_LOGINS = 20;
+const IP_FAILURE_WINDOW_MINUTES = 15;
+
+/**
+ * Minutes an account stays locked for its nth lockout (1-based).
+ *
+ * @example lockoutMinutes(1) => 15, lockoutMinutes(2) => 30, lockoutMinutes(3) => 60
+ */
+
+function lockoutMinutes(lockoutNumber) {
+	return Math.min(LOCKOUT_BASE_MINUTES * 2 ** (Math.max(lockoutNumber, 1) - 1), LOCKOUT_MAX_MINUTES);
+}
+
+module.exports = {
+	MAX_FAILED_LOGINS,
+	LOCKOUT_BASE_MINUTES,
+	LOCKOUT_MAX_MINUTES,
+	IP_MAX_FAILED_LOGINS,
+	IP_FAILURE_WINDOW_MINUTES,
+	lockoutMinutes,
+};
@@ -0,0 +1,13 @@
+const { lockoutMinutes, LOCKOUT_BASE_MINUTES, LOCKOUT_MAX_MINUTES } = require("./lockout");
+
+describe("lockoutMinutes", function () {
+	test("doubles with each lockout", function () {
+		expect(lockoutMinutes(1)).toEqual(LOCKOUT_BASE_MINUTES);
+		expect(lockoutMinutes(2)).toEqual(LOCKOUT_BASE_MINUTES * 2);
+		expect(lockoutMinutes(3)).toEqual(LOCKOUT_BASE_MINUTES * 4);
+	});
+
+	test("is capped", function () {
+		expect(lockoutMinutes(50)).toEqual(LOCKOUT_MAX_MINUTES);
+	});
+});
@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { MAIL_TRANSPORT, MAIL_DIR, MAIL_FROM } = require("../config");
+
+/**
+ * Outgoing email.
+ *
+ * Messages go through a transport: any object with an async
+ * send({ from, to, subject, text }) method. Two are built in, for development
+ * and tests; a real one (SMTP, an email API) can be plugged in at startup with
+ * setMailTransport.
+ */
+
+/** Writes each message to `dir` as a JSON file, for development. */
+
+function fileTransport(dir) {
+	return {
+		async send(message) {
+			await fs.promises.mkdir(dir, { recursive: true });
+			const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`);
+			await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+			return { file };
+		},
+	};
+}
+
+/** Keeps messages on its `outbox` array, for tests. */
+
+function memoryTransport() {
+	const outbox = [];
+	return {
+		outbox,
+		async send(message) {
+			outbox.push(message);
+			return {};
+		},
+	};
+}
+
+let transport = MAIL_TRANSPORT === "memory" ? memoryTransport() : fileTransport(MAIL_DIR);
+
+/** Replace the transport every later sendMail call uses. */
+
+function setMailTransport(newTransport) {
+	transport = newTransport;
+}
+
+function getMailTransport() {
+	return transport;
+}
+
+/** Send { to, subject, text } from MAIL_FROM; resolves to the transport's result. */
+
+async function sendMail({ to, subject, text }) {
+	return transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = { fileTransport, memoryTransport, setMailTransport, getMailTransport, sendMail };
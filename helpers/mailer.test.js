@@ -0,0 +1,34 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fileTransport, memoryTransport, setMailTransport, getMailTransport, sendMail } = require("./mailer");
+const { MAIL_FROM } = require("../config");
+
+describe("sendMail", function () {
+	const original = getMailTransport();
+
+	afterEach(function () {
+		setMailTransport(original);
+	});
+
+	test("works: memory transport", async function () {
+		const transport = memoryTransport();
+		setMailTransport(transport);
+
+		await sendMail({ to: "a@example.com", subject: "Hi", text: "Hello" });
+		expect(transport.outbox).toEqual([{ from: MAIL_FROM, to: "a@example.com", subject: "Hi", text: "Hello" }]);
+	});
+
+	test("works: file transport", async function () {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mailer-test-"));
+		setMailTransport(fileTransport(dir));
+
+		try {
+			const { file } = await sendMail({ to: "a@example.com", subject: "Hi", text: "Hello" });
+			expect(path.dirname(file)).toEqual(dir);
+			expect(JSON.parse(fs.readFileSync(file, "utf8"))).toEqual({ from: MAIL_FROM, to: "a@example.com", subject: "Hi", text: "Hello" });
+		} finally {
+			fs.rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,50 @@
+const { BadRequestError } = require("../expressError");
+
+/**
+ * Helpers for per-company RFQ and quote numbering schemes.
+ */
+
+/** Document types that have their own numbering sequence. */
+
+const DOC_TYPES = ["rfq", "quote"];
+
+/** How often a sequence's counter starts over at 1. */
+
+const RESET_PERIODS = ["never", "yearly", "monthly"];
+
+/** Scheme used until a company configures its own. */
+
+const DEFAULT_NUMBERING = {
+	rfq: { prefix: "RFQ-", includeYear: true, padding: 4, resetPeriod: "yearly" },
+	quote: { prefix: "Q-", includeYear: true, padding: 4, resetPeriod: "yearly" },
+};
+
+/** Throw BadRequestError unless `docType` is "rfq" or "quote". */
+
+function validateDocType(docType) {
+	if (!DOC_TYPES.includes(docType)) throw new BadRequestError(`Unknown document type: ${docType}`);
+}
+
+/**
+ * Format an allocated counter according to a numbering scheme.
+ *
+ * A scheme whose counter resets monthly also gets the month after the year,
+ * so each month's numbers differ from the last's.
+ *
+ * @param scheme {Object} { prefix, includeYear, padding, resetPeriod }
+ * @param counter {Number} the allocated counter value
+ * @param date {Date} allocation date, for the year and month segments
+ *
+ * @example formatDocumentNumber({ prefix: "RFQ-", includeYear: true, padding: 4 }, 7, new Date("2025-03-01"))
+ *   => "RFQ-2025-0007"
+ * @example formatDocumentNumber({ prefix: "RFQ-", includeYear: true, padding: 4, resetPeriod: "monthly" }, 7, new Date("2025-03-01"))
+ *   => "RFQ-2025-03-0007"
+ */
+
+function formatDocumentNumber({ prefix, includeYear, padding, resetPeriod }, counter, date = new Date()) {
+	const month = resetPeriod === "monthly" ? `${String(date.getMonth() + 1).padStart(2, "0")}-` : "";
+	const period = includeYear ? `${date.getFullYear()}-${month}` : "";
+	return `${prefix || ""}${period}${String(counter).padStart(padding || 0, "0")}`;
+}
+
+module.exports = { DOC_TYPES, RESET_PERIODS, DEFAULT_NUMBERING, validateDocType, formatDocumentNumber };
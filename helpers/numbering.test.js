@@ -0,0 +1,30 @@
+const { BadRequestError } = require("../expressError");
+const { validateDocType, formatDocumentNumber } = require("./numbering");
+
+describe("formatDocumentNumber", function () {
+	const date = new Date(2025, 2, 1);
+
+	test("works: with year", function () {
+		expect(formatDocumentNumber({ prefix: "RFQ-", includeYear: true, padding: 4 }, 7, date)).toEqual("RFQ-2025-0007");
+	});
+
+	test("works: monthly reset adds the month", function () {
+		expect(formatDocumentNumber({ prefix: "Q-", includeYear: true, padding: 4, resetPeriod: "monthly" }, 7, date)).toEqual("Q-2025-03-0007");
+		expect(formatDocumentNumber({ prefix: "Q-", includeYear: true, padding: 4, resetPeriod: "yearly" }, 7, date)).toEqual("Q-2025-0007");
+	});
+
+	test("works: without year or padding", function () {
+		expect(formatDocumentNumber({ prefix: "Q", includeYear: false, padding: 0 }, 12, date)).toEqual("Q12");
+	});
+
+	test("works: counter wider than padding", function () {
+		expect(formatDocumentNumber({ prefix: "", includeYear: false, padding: 2 }, 1234, date)).toEqual("1234");
+	});
+});
+
+describe("validateDocType", function () {
+	test("works", function () {
+		expect(() => validateDocType("quote")).not.toThrow();
+		expect(() => validateDocType("invoice")).toThrow(BadRequestError);
+	});
+});
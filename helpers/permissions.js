@@ -0,0 +1,58 @@
+const { BadRequestError } = require("../expressError");
+
+/**
+ * Company-scoped roles and the permissions each one grants.
+ *
+ * Site admins (users.is_admin) bypass these checks entirely.
+ */
+
+const READ_PERMISSIONS = ["rfqs:read", "quotes:read", "customers:read", "items:read"];
+
+const ROLE_PERMISSIONS = {
+	owner: [
+		...READ_PERMISSIONS,
+		"rfqs:write",
+		"quotes:write",
+		"quotes:send",
+		"quotes:approve",
+		"customers:write",
+		"items:write",
+		"company:manage",
+		"roles:manage",
+	],
+	manager: [...READ_PERMISSIONS, "rfqs:write", "quotes:write", "quotes:send", "quotes:approve", "customers:write", "items:write", "company:manage"],
+	sales_rep: [...READ_PERMISSIONS, "rfqs:write", "quotes:write", "quotes:send", "customers:write"],
+	estimator: [...READ_PERMISSIONS, "rfqs:write", "quotes:write", "items:write"],
+	read_only: [...READ_PERMISSIONS],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/** Permissions an API key can be granted (see models/apiKey.js). Managing the
+ *  company, its people and approvals stays with human users.
+ */
+
+const API_KEY_SCOPES = [...READ_PERMISSIONS, "rfqs:write", "quotes:write", "quotes:send", "customers:write", "items:write"];
+
+/** Does `role` grant `permission`? Unknown or missing roles grant nothing. */
+
+function hasPermission(role, permission) {
+	return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/** Throw BadRequestError unless `role` is a known role. */
+
+function validateRole(role) {
+	if (!ROLES.includes(role)) throw new BadRequestError(`Invalid role: ${role}. Must be one of: ${ROLES.join(", ")}`);
+}
+
+/** Throw BadRequestError unless `scopes` is a non-empty array of API_KEY_SCOPES. */
+
+function validateScopes(scopes) {
+	if (!Array.isArray(scopes) || scopes.length === 0) throw new BadRequestError("scopes must be a non-empty array.");
+
+	const invalid = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+	if (invalid.length) throw new BadRequestError(`Invalid scopes: ${invalid.join(", ")}. Must be among: ${API_KEY_SCOPES.join(", ")}`);
+}
+
+module.exports = { ROLE_PERMISSIONS, ROLES, API_KEY_SCOPES, hasPermission, validateRole, validateScopes };
@@ -0,0 +1,38 @@
+const { BadRequestError } = require("../expressError");
+const { hasPermission, validateRole, validateScopes } = require("./permissions");
+
+describe("hasPermission", function () {
+	test("works", function () {
+		expect(hasPermission("owner", "roles:manage")).toEqual(true);
+		expect(hasPermission("manager", "roles:manage")).toEqual(false);
+		expect(hasPermission("estimator", "items:write")).toEqual(true);
+		expect(hasPermission("sales_rep", "quotes:approve")).toEqual(false);
+		expect(hasPermission("read_only", "quotes:read")).toEqual(true);
+		expect(hasPermission("read_only", "quotes:write")).toEqual(false);
+	});
+
+	test("nothing for unknown or missing roles", function () {
+		expect(hasPermission(undefined, "quotes:read")).toEqual(false);
+		expect(hasPermission("janitor", "quotes:read")).toEqual(false);
+	});
+});
+
+describe("validateRole", function () {
+	test("works", function () {
+		expect(() => validateRole("estimator")).not.toThrow();
+		expect(() => validateRole("janitor")).toThrow(BadRequestError);
+	});
+});
+
+describe("validateScopes", function () {
+	test("works", function () {
+		expect(() => validateScopes(["rfqs:read", "quotes:write"])).not.toThrow();
+	});
+
+	test("rejects empty, unknown or management scopes", function () {
+		expect(() => validateScopes([])).toThrow(BadRequestError);
+		expect(() => validateScopes("rfqs:read")).toThrow(BadRequestError);
+		expect(() => validateScopes(["rfqs:read", "nope"])).toThrow(BadRequestError);
+		expect(() => validateScopes(["roles:manage"])).toThrow(BadRequestError);
+	});
+});
@@ -0,0 +1,297 @@
+const { BadRequestError } = require("../expressError");
+
+/**
+ * Helpers for pricing quote lines.
+ */
+
+/** Round a money value to whole cents. */
+
+function roundCents(value) {
+	return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Normalize a customer's markup_type to "percentage" or "fixed".
+ *
+ * Existing data uses both "percentage"/"fixed" and "Percentage"/"Flat", so
+ * matching is case-insensitive and "flat"/"percent" are accepted as aliases.
+ *
+ * Throws BadRequestError for anything else.
+ */
+
+function normalizeMarkupType(markupType) {
+	const type = String(markupType || "").toLowerCase();
+
+	if (type === "percentage" || type === "percent") return "percentage";
+	if (type === "fixed" || type === "flat") return "fixed";
+
+	throw new BadRequestError(`Unknown markup type: ${markupType}`);
+}
+
+/**
+ * Apply a customer's markup to a unit cost.
+ *
+ * @param cost {Number|String} unit cost (NUMERIC columns arrive as strings)
+ * @param markupType {String} "percentage" or "fixed"
+ * @param markup {Number} percent to add, or fixed amount added per unit
+ *
+ * @returns {Number} unit price rounded to cents
+ *
+ * @example applyMarkup(50, "percentage", 12) => 56
+ * @example applyMarkup(50, "fixed", 7.5) => 57.5
+ */
+
+function applyMarkup(cost, markupType, markup) {
+	const unitCost = Number(cost);
+	if (cost === null || cost === undefined || Number.isNaN(unitCost)) {
+		throw new BadRequestError("Item cost is required to apply markup");
+	}
+
+	const amount = Number(markup) || 0;
+
+	if (normalizeMarkupType(markupType) === "percentage") {
+		return roundCents(unitCost * (1 + amount / 100));
+	}
+
+	return roundCents(unitCost + amount);
+}
+
+/** Pricing rules, in order of precedence; see priceLine. */
+
+const PRICE_RULES = ["contract", "price_list_markup", "quantity_break", "customer_markup", "list"];
+
+/** Format a money value for an explanation step. */
+
+function money(value) {
+	return Number(value).toFixed(2);
+}
+
+/** Describe a markup for an explanation step, like "10%" or "25.00 per unit". */
+
+function describeMarkup(markupType, markup) {
+	return normalizeMarkupType(markupType) === "percentage" ? `${Number(markup)}%` : `${money(markup)} per unit`;
+}
+
+/** Throw BadRequestError unless `cost` is a number, as a markup or list price needs. */
+
+function requireCost(cost) {
+	if (cost === null || cost === undefined || Number.isNaN(Number(cost))) {
+		throw new BadRequestError("Item cost is required to price it");
+	}
+}
+
+/**
+ * Price a quote line and explain how.
+ *
+ * The unit cost is the cost quoted for the line (as on an RFQ item) if any,
+ * else the item's cost break for the quantity, else its catalog cost. The
+ * unit price is then set by the first rule that applies, in order: a
+ * contract (fixed) price from the customer's price list, a markup from the
+ * price list overriding the customer's own for this item, the sell price of
+ * the item's quantity break, the customer's markup, and finally the item's
+ * list price (the unit cost as is).
+ *
+ * A line priced below the standard price, the customer's markup on the
+ * catalog cost, reports the difference as its discount.
+ *
+ * @param cost {Number|String} the item's catalog unit cost
+ * @param quotedCost {Number|String} a unit cost quoted for this line, or null
+ * @param costBreak {Object} the item's cost break for the quantity, as { minQuantity, amount }, or null
+ * @param sellBreak {Object} the item's sell break for the quantity, as { minQuantity, amount }, or null
+ * @param priceListEntry {Object} the customer's price list entry for the item
+ *   in effect, as { id, priceType: "fixed" | "markup", price, markupType, markup }, or null
+ * @param markupType {String} the customer's markup type
+ * @param markup {Number} the customer's markup
+ * @param quantity {Number} the line's quantity
+ *
+ * @returns {Object} { quantity, unitCost, costSource, tiers, markup, discount, rounding,
+ *   unitPrice, extendedPrice, rule, priceListEntryId, steps }
+ *   where costSource is "quoted", "cost_break" or "catalog"; tiers is
+ *   { cost, sell }, the quantity breaks found; markup is { source, type,
+ *   amount, perUnit } or null; discount is { standardPrice, perUnit, percent }
+ *   or null; rounding is { unrounded, adjustment }; rule is one of
+ *   PRICE_RULES; and steps explain each of these in words.
+ *
+ * @example priceLine({ cost: 50, markupType: "percentage", markup: 10, quantity: 2 })
+ *   => { unitPrice: 55, extendedPrice: 110, rule: "customer_markup", ... }
+ */
+
+function priceLine({
+	cost,
+	quotedCost = null,
+	costBreak = null,
+	sellBreak = null,
+	priceListEntry = null,
+	markupType = null,
+	markup = null,
+	quantity = 1,
+}) {
+	const steps = [];
+
+	let unitCost = null;
+	let costSource = "catalog";
+	if (quotedCost !== null && quotedCost !== undefined) {
+		unitCost = Number(quotedCost);
+		costSource = "quoted";
+		steps.push(`Unit cost ${money(unitCost)}, as quoted for this line`);
+	} else if (costBreak) {
+		unitCost = Number(costBreak.amount);
+		costSource = "cost_break";
+		const catalog = cost === null || cost === undefined ? "" : ` (catalog cost ${money(cost)})`;
+		steps.push(`Unit cost ${money(unitCost)} from the cost break for ${costBreak.minQuantity} or more${catalog}`);
+	} else if (cost !== null && cost !== undefined) {
+		unitCost = Number(cost);
+		steps.push(`Unit cost ${money(unitCost)} from the catalog`);
+	} else {
+		steps.push("No unit cost on file");
+	}
+
+	// Which rule sets the price, and the markup it applies, if any
+	let rule;
+	let appliedMarkup = null;
+	let unrounded;
+
+	if (priceListEntry && priceListEntry.priceType === "fixed") {
+		rule = "contract";
+		unrounded = Number(priceListEntry.price);
+		steps.push(`Contract price ${money(unrounded)} from the customer's price list (entry ${priceListEntry.id})`);
+	} else if (priceListEntry && priceListEntry.priceType === "markup") {
+		rule = "price_list_markup";
+		appliedMarkup = { source: "price_list", type: normalizeMarkupType(priceListEntry.markupType), amount: Number(priceListEntry.markup) };
+	} else if (sellBreak) {
+		rule = "quantity_break";
+		unrounded = Number(sellBreak.amount);
+		steps.push(`Sell price ${money(unrounded)} from the quantity break for ${sellBreak.minQuantity} or more`);
+	} else if (markupType && Number(markup)) {
+		rule = "customer_markup";
+		appliedMarkup = { source: "customer", type: normalizeMarkupType(markupType), amount: Number(markup) };
+	} else {
+		rule = "list";
+		requireCost(unitCost);
+		unrounded = unitCost;
+		steps.push(`No markup applies: list price is the unit cost, ${money(unitCost)}`);
+	}
+
+	if (appliedMarkup) {
+		requireCost(unitCost);
+		appliedMarkup.perUnit = appliedMarkup.type === "percentage" ? (unitCost * appliedMarkup.amount) / 100 : appliedMarkup.amount;
+		unrounded = unitCost + appliedMarkup.perUnit;
+
+		const from = appliedMarkup.source === "price_list" ? `the customer's price list (entry ${priceListEntry.id})` : "the customer";
+		steps.push(
+			`Markup of ${describeMarkup(appliedMarkup.type, appliedMarkup.amount)} from ${from}: ` +
+				`${money(unitCost)} + ${money(appliedMarkup.perUnit)} = ${money(unrounded)}`
+		);
+		appliedMarkup.perUnit = roundCents(appliedMarkup.perUnit);
+	}
+
+	// Four places is plenty to show what rounding did, without float noise
+	unrounded = Number(unrounded.toFixed(4));
+	const unitPrice = roundCents(unrounded);
+	const adjustment = Number((unitPrice - unrounded).toFixed(4));
+	if (adjustment !== 0) steps.push(`Rounded ${unrounded} to the cent: ${money(unitPrice)}`);
+
+	let discount = null;
+	if (cost !== null && cost !== undefined && !Number.isNaN(Number(cost))) {
+		const standardPrice = markupType && Number(markup) ? applyMarkup(cost, markupType, markup) : roundCents(cost);
+		if (unitPrice < standardPrice) {
+			const perUnit = roundCents(standardPrice - unitPrice);
+			discount = { standardPrice, perUnit, percent: roundCents((perUnit / standardPrice) * 100) };
+			steps.push(`Discount of ${money(perUnit)} (${discount.percent}%) off the standard price, ${money(standardPrice)}`);
+		}
+	}
+
+	const extendedPrice = roundCents(unitPrice * quantity);
+	steps.push(`Extended price: ${quantity} × ${money(unitPrice)} = ${money(extendedPrice)}`);
+
+	return {
+		quantity,
+		unitCost: unitCost === null ? null : roundCents(unitCost),
+		costSource,
+		tiers: { cost: costBreak, sell: sellBreak },
+		markup: appliedMarkup,
+		discount,
+		rounding: { unrounded, adjustment },
+		unitPrice,
+		extendedPrice,
+		rule,
+		priceListEntryId: priceListEntry ? priceListEntry.id : null,
+		steps,
+	};
+}
+
+/** Margin minimums for a company that hasn't set its own: no line below cost. */
+
+const DEFAULT_MARGIN_POLICY = { minLineMargin: 0, minQuoteMargin: null };
+
+/**
+ * Measure a quote's margins against a company's minimums.
+ *
+ * Margin is (price - cost) / price, as a percent. Lines whose item has no
+ * cost on file can't be measured; they're left out of the quote's totals
+ * and never fall below a minimum. A line at no price, but with a cost, falls
+ * below any minimum. A quote-level discount comes off the quote's price
+ * (but no line's), down to zero at most.
+ *
+ * @param lines {Array} [{ id, itemCode, quantity, unitPrice, unitCost }, ...]
+ * @param policy {Object} { minLineMargin, minQuoteMargin }, percents or null for no minimum
+ * @param discount {Number} amount discounted off the whole quote
+ *
+ * @returns {Object} { lines, quote, policy, needsApproval }
+ *   where each line gains { margin, marginPercent, belowMinimum }, margin
+ *   being for the whole line; quote is { price, cost, margin, marginPercent,
+ *   belowMinimum }; and needsApproval is true if the quote or any line is
+ *   below its minimum
+ *
+ * @example assessMargins([{ id: 1, itemCode: "A", quantity: 2, unitPrice: 90, unitCost: 100 }], { minLineMargin: 0, minQuoteMargin: null })
+ *   => { lines: [{ ..., margin: -20, marginPercent: -11.11, belowMinimum: true }], ..., needsApproval: true }
+ */
+
+function assessMargins(lines, { minLineMargin = null, minQuoteMargin = null } = {}, discount = 0) {
+	const marginPercent = (price, cost) => (price > 0 ? roundCents(((price - cost) / price) * 100) : null);
+	const below = (price, cost, minimum) => {
+		if (minimum === null || minimum === undefined) return false;
+		if (price <= 0) return cost > 0;
+		return marginPercent(price, cost) < Number(minimum);
+	};
+
+	let totalPrice = 0;
+	let totalCost = 0;
+
+	const assessed = lines.map((line) => {
+		if (line.unitCost === null || line.unitCost === undefined) {
+			return { ...line, margin: null, marginPercent: null, belowMinimum: false };
+		}
+
+		const price = Number(line.unitPrice) * line.quantity;
+		const cost = Number(line.unitCost) * line.quantity;
+		totalPrice += price;
+		totalCost += cost;
+
+		return {
+			...line,
+			margin: roundCents(price - cost),
+			marginPercent: marginPercent(price, cost),
+			belowMinimum: below(price, cost, minLineMargin),
+		};
+	});
+
+	totalPrice -= Math.min(Number(discount) || 0, totalPrice);
+
+	const quote = {
+		price: roundCents(totalPrice),
+		cost: roundCents(totalCost),
+		margin: roundCents(totalPrice - totalCost),
+		marginPercent: marginPercent(totalPrice, totalCost),
+		belowMinimum: assessed.some((line) => line.margin !== null) && below(totalPrice, totalCost, minQuoteMargin),
+	};
+
+	return {
+		lines: assessed,
+		quote,
+		policy: { minLineMargin, minQuoteMargin },
+		needsApproval: quote.belowMinimum || assessed.some((line) => line.belowMinimum),
+	};
+}
+
+module.exports = { PRICE_RULES, DEFAULT_MARGIN_POLICY, roundCents, normalizeMarkupType, applyMarkup, priceLine, assessMargins };
@@ -0,0 +1,168 @@
+const { BadRequestError } = require("../expressError");
+const { roundCents, normalizeMarkupType, applyMarkup, priceLine, assessMargins } = require("./pricing");
+
+describe("roundCents", function () {
+	test("works", function () {
+		expect(roundCents(1.005)).toEqual(1.01);
+		expect(roundCents("10.499")).toEqual(10.5);
+	});
+});
+
+describe("normalizeMarkupType", function () {
+	test("works: aliases", function () {
+		expect(normalizeMarkupType("Percentage")).toEqual("percentage");
+		expect(normalizeMarkupType("percent")).toEqual("percentage");
+		expect(normalizeMarkupType("Flat")).toEqual("fixed");
+		expect(normalizeMarkupType("fixed")).toEqual("fixed");
+	});
+
+	test("bad request on unknown type", function () {
+		expect(() => normalizeMarkupType("bogus")).toThrow(BadRequestError);
+	});
+});
+
+describe("applyMarkup", function () {
+	test("works: percentage", function () {
+		expect(applyMarkup("50.00", "percentage", 12)).toEqual(56);
+	});
+
+	test("works: fixed amount", function () {
+		expect(applyMarkup(500, "fixed", 750)).toEqual(1250);
+	});
+
+	test("bad request without a cost", function () {
+		expect(() => applyMarkup(null, "fixed", 10)).toThrow(BadRequestError);
+	});
+});
+
+describe("priceLine", function () {
+	const customer = { markupType: "percentage", markup: 10 };
+
+	test("works: contract price wins", function () {
+		const priceListEntry = { id: 7, priceType: "fixed", price: "42.50" };
+		expect(priceLine({ cost: 50, priceListEntry, ...customer })).toEqual(
+			expect.objectContaining({ unitPrice: 42.5, rule: "contract", priceListEntryId: 7, markup: null })
+		);
+	});
+
+	test("works: price list markup overrides the customer's", function () {
+		const priceListEntry = { id: 8, priceType: "markup", markupType: "fixed", markup: "5" };
+		expect(priceLine({ cost: "50.00", priceListEntry, ...customer })).toEqual(
+			expect.objectContaining({
+				unitPrice: 55,
+				rule: "price_list_markup",
+				priceListEntryId: 8,
+				markup: { source: "price_list", type: "fixed", amount: 5, perUnit: 5 },
+			})
+		);
+	});
+
+	test("works: quantity break sell price", function () {
+		const sellBreak = { minQuantity: 10, amount: "52.00" };
+		expect(priceLine({ cost: 50, sellBreak, ...customer, quantity: 10 })).toEqual(
+			expect.objectContaining({ unitPrice: 52, extendedPrice: 520, rule: "quantity_break", tiers: { cost: null, sell: sellBreak } })
+		);
+	});
+
+	test("works: price list beats a quantity break", function () {
+		const priceListEntry = { id: 8, priceType: "markup", markupType: "fixed", markup: "5" };
+		expect(priceLine({ cost: 50, priceListEntry, sellBreak: { minQuantity: 1, amount: 52 }, ...customer }).rule).toEqual("price_list_markup");
+	});
+
+	test("works: customer markup", function () {
+		expect(priceLine({ cost: 50, ...customer })).toEqual(
+			expect.objectContaining({ unitPrice: 55, rule: "customer_markup", priceListEntryId: null, discount: null })
+		);
+	});
+
+	test("works: list price without a markup", function () {
+		expect(priceLine({ cost: "50.00" })).toEqual(expect.objectContaining({ unitPrice: 50, rule: "list", markup: null }));
+	});
+
+	test("works: cost break is marked up", function () {
+		const line = priceLine({ cost: 50, costBreak: { minQuantity: 100, amount: "40.00" }, ...customer, quantity: 100 });
+		expect(line).toEqual(
+			expect.objectContaining({
+				unitCost: 40,
+				costSource: "cost_break",
+				unitPrice: 44,
+				extendedPrice: 4400,
+				discount: { standardPrice: 55, perUnit: 11, percent: 20 },
+			})
+		);
+	});
+
+	test("works: quoted cost beats a cost break", function () {
+		const line = priceLine({ cost: 50, quotedCost: "45", costBreak: { minQuantity: 1, amount: 40 }, ...customer });
+		expect(line.costSource).toEqual("quoted");
+		expect(line.unitPrice).toEqual(49.5);
+	});
+
+	test("works: rounds to the cent and explains each step", function () {
+		const line = priceLine({ cost: "10.01", markupType: "percentage", markup: 12.5, quantity: 3 });
+		expect(line.rounding).toEqual({ unrounded: 11.2613, adjustment: -0.0013 });
+		expect(line.unitPrice).toEqual(11.26);
+		expect(line.extendedPrice).toEqual(33.78);
+		expect(line.steps).toEqual([
+			"Unit cost 10.01 from the catalog",
+			"Markup of 12.5% from the customer: 10.01 + 1.25 = 11.26",
+			"Rounded 11.2613 to the cent: 11.26",
+			"Extended price: 3 × 11.26 = 33.78",
+		]);
+	});
+
+	test("contract price needs no cost", function () {
+		const priceListEntry = { id: 7, priceType: "fixed", price: 40 };
+		expect(priceLine({ cost: null, priceListEntry }).unitPrice).toEqual(40);
+	});
+
+	test("bad request without a cost to mark up", function () {
+		expect(() => priceLine({ cost: null, ...customer })).toThrow(BadRequestError);
+		expect(() => priceLine({ cost: null })).toThrow(BadRequestError);
+	});
+});
+
+describe("assessMargins", function () {
+	const lines = [
+		{ id: 1, itemCode: "A", quantity: 2, unitPrice: "60.00", unitCost: "50.00" },
+		{ id: 2, itemCode: "B", quantity: 1, unitPrice: "90.00", unitCost: "100.00" },
+	];
+
+	test("works", function () {
+		const margins = assessMargins(lines, { minLineMargin: 0, minQuoteMargin: null });
+		expect(margins.lines.map((line) => [line.margin, line.marginPercent, line.belowMinimum])).toEqual([
+			[20, 16.67, false],
+			[-10, -11.11, true],
+		]);
+		expect(margins.quote).toEqual({ price: 210, cost: 200, margin: 10, marginPercent: 4.76, belowMinimum: false });
+		expect(margins.needsApproval).toEqual(true);
+	});
+
+	test("works: quote minimum", function () {
+		const margins = assessMargins(lines.slice(0, 1), { minLineMargin: null, minQuoteMargin: 20 });
+		expect(margins.quote.belowMinimum).toEqual(true);
+		expect(margins.needsApproval).toEqual(true);
+	});
+
+	test("works: no minimums", function () {
+		expect(assessMargins(lines, {}).needsApproval).toEqual(false);
+	});
+
+	test("works: lines without a cost aren't measured", function () {
+		const margins = assessMargins([{ id: 3, itemCode: "C", quantity: 1, unitPrice: 10, unitCost: null }], { minLineMargin: 0, minQuoteMargin: 10 });
+		expect(margins.lines[0]).toEqual(expect.objectContaining({ margin: null, belowMinimum: false }));
+		expect(margins.needsApproval).toEqual(false);
+	});
+
+	test("works: free line with a cost is below any minimum", function () {
+		const margins = assessMargins([{ id: 4, itemCode: "D", quantity: 1, unitPrice: 0, unitCost: 5 }], { minLineMargin: -50 });
+		expect(margins.lines[0]).toEqual(expect.objectContaining({ marginPercent: null, belowMinimum: true }));
+	});
+
+	test("works: quote discount", function () {
+		const margins = assessMargins(lines.slice(0, 1), { minLineMargin: 0, minQuoteMargin: 10 }, 12);
+		expect(margins.lines[0].belowMinimum).toEqual(false);
+		expect(margins.quote).toEqual({ price: 108, cost: 100, margin: 8, marginPercent: 7.41, belowMinimum: true });
+		expect(margins.needsApproval).toEqual(true);
+	});
+});
@@ -0,0 +1,154 @@
+/**
+ * Helpers for quote revisions.
+ */
+
+/**
+ * Convert a 1-based revision number to its letter label.
+ *
+ * @example 1 => "A", 26 => "Z", 27 => "AA"
+ */
+
+function revisionLabel(revisionNumber) {
+	let n = revisionNumber;
+	let label = "";
+
+	while (n > 0) {
+		const rem = (n - 1) % 26;
+		label = String.fromCharCode(65 + rem) + label;
+		n = Math.floor((n - 1) / 26);
+	}
+
+	return label;
+}
+
+/**
+ * Convert a revision label (or number) back to its 1-based revision number.
+ *
+ * Returns null if `label` is neither a positive integer nor letters.
+ *
+ * @example "A" => 1, "aa" => 27, "3" => 3
+ */
+
+function revisionNumber(label) {
+	const str = String(label).trim().toUpperCase();
+
+	if (/^\d+$/.test(str)) return Number(str) > 0 ? Number(str) : null;
+	if (!/^[A-Z]+$/.test(str)) return null;
+
+	return [...str].reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0);
+}
+
+/** Key entries by `field`, like line items by item code; repeats get a #2, #3... suffix. */
+
+function keyBy(entries, field) {
+	const counts = {};
+	const keyed = new Map();
+
+	for (const entry of entries) {
+		counts[entry[field]] = (counts[entry[field]] || 0) + 1;
+		const key = counts[entry[field]] === 1 ? entry[field] : `${entry[field]}#${counts[entry[field]]}`;
+		keyed.set(key, entry);
+	}
+
+	return keyed;
+}
+
+/** Terms of an adjustment that a revision compares. */
+
+const ADJUSTMENT_TERMS = ["calc", "amount", "description", "taxable"];
+
+/** Totals a revision compares, flattened from computeTotals' shape. */
+
+function flattenTotals({ subtotal, discountTotal, chargeTotal, taxableAmount, tax = {}, grandTotal }) {
+	return {
+		subtotal,
+		discountTotal,
+		chargeTotal,
+		taxableAmount,
+		taxJurisdiction: tax.jurisdiction,
+		taxRate: tax.rate,
+		taxAmount: tax.amount,
+		grandTotal,
+	};
+}
+
+/**
+ * Compare two revision snapshots.
+ *
+ * Each revision is { header: { ... }, items: [{ itemCode, quantity, itemDescription, itemPrice }, ...],
+ *   adjustments: [{ adjustmentType, calc, amount, description, taxable, value }, ...], totals }
+ * where totals is as from computeTotals in helpers/quoteTotals.js. Revisions
+ * taken before adjustments and totals were recorded have none; their totals
+ * aren't compared.
+ *
+ * Returns {
+ *   header: [{ field, from, to }, ...],
+ *   added: [item, ...],
+ *   removed: [item, ...],
+ *   repriced: [{ itemCode, fromPrice, toPrice, fromQuantity, toQuantity }, ...],
+ *   quantityChanged: [{ itemCode, fromQuantity, toQuantity }, ...],
+ *   adjustments: { added: [adjustment, ...], removed: [adjustment, ...], changed: [{ adjustmentType, from, to }, ...] },
+ *   totals: [{ field, from, to }, ...]
+ * }
+ */
+
+function diffRevisions(from, to) {
+	const header = Object.keys({ ...from.header, ...to.header })
+		.filter((field) => from.header[field] !== to.header[field])
+		.map((field) => ({ field, from: from.header[field], to: to.header[field] }));
+
+	const fromItems = keyBy(from.items, "itemCode");
+	const toItems = keyBy(to.items, "itemCode");
+
+	const added = [...toItems].filter(([key]) => !fromItems.has(key)).map(([, item]) => item);
+	const removed = [...fromItems].filter(([key]) => !toItems.has(key)).map(([, item]) => item);
+
+	const repriced = [];
+	const quantityChanged = [];
+
+	for (const [key, oldItem] of fromItems) {
+		const newItem = toItems.get(key);
+		if (!newItem) continue;
+
+		if (Number(oldItem.itemPrice) !== Number(newItem.itemPrice)) {
+			repriced.push({
+				itemCode: newItem.itemCode,
+				fromPrice: oldItem.itemPrice,
+				toPrice: newItem.itemPrice,
+				fromQuantity: oldItem.quantity,
+				toQuantity: newItem.quantity,
+			});
+		} else if (oldItem.quantity !== newItem.quantity) {
+			quantityChanged.push({ itemCode: newItem.itemCode, fromQuantity: oldItem.quantity, toQuantity: newItem.quantity });
+		}
+	}
+
+	const fromAdjustments = keyBy(from.adjustments || [], "adjustmentType");
+	const toAdjustments = keyBy(to.adjustments || [], "adjustmentType");
+	const adjustments = {
+		added: [...toAdjustments].filter(([key]) => !fromAdjustments.has(key)).map(([, adjustment]) => adjustment),
+		removed: [...fromAdjustments].filter(([key]) => !toAdjustments.has(key)).map(([, adjustment]) => adjustment),
+		changed: [],
+	};
+
+	for (const [key, oldAdjustment] of fromAdjustments) {
+		const newAdjustment = toAdjustments.get(key);
+		if (!newAdjustment || ADJUSTMENT_TERMS.every((term) => oldAdjustment[term] === newAdjustment[term])) continue;
+
+		const terms = (adjustment) => Object.fromEntries(ADJUSTMENT_TERMS.map((term) => [term, adjustment[term]]));
+		adjustments.changed.push({ adjustmentType: newAdjustment.adjustmentType, from: terms(oldAdjustment), to: terms(newAdjustment) });
+	}
+
+	let totals = [];
+	if (from.totals && to.totals) {
+		const fromTotals = flattenTotals(from.totals);
+		const toTotals = flattenTotals(to.totals);
+		totals = Object.keys(fromTotals)
+			.filter((field) => fromTotals[field] !== toTotals[field])
+			.map((field) => ({ field, from: fromTotals[field], to: toTotals[field] }));
+	}
+
+	return { header, added, removed, repriced, quantityChanged, adjustments, totals };
+}
+
+module.exports = { revisionLabel, revisionNumber, diffRevisions };
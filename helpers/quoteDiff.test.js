@@ -0,0 +1,105 @@
+const { revisionLabel, revisionNumber, diffRevisions } = require("./quoteDiff");
+
+describe("revisionLabel", function () {
+	test("works", function () {
+		expect(revisionLabel(1)).toEqual("A");
+		expect(revisionLabel(26)).toEqual("Z");
+		expect(revisionLabel(27)).toEqual("AA");
+	});
+});
+
+describe("revisionNumber", function () {
+	test("works: labels and numbers", function () {
+		expect(revisionNumber("A")).toEqual(1);
+		expect(revisionNumber("aa")).toEqual(27);
+		expect(revisionNumber("3")).toEqual(3);
+	});
+
+	test("null for garbage", function () {
+		expect(revisionNumber("A-1")).toBeNull();
+		expect(revisionNumber("0")).toBeNull();
+	});
+});
+
+describe("diffRevisions", function () {
+	const revA = {
+		header: { validUntil: "2025-12-31", notes: "first" },
+		items: [
+			{ itemCode: "ITEM001", quantity: 3, itemDescription: "Bolts", itemPrice: 50 },
+			{ itemCode: "ITEM002", quantity: 4, itemDescription: "Nuts", itemPrice: 100 },
+			{ itemCode: "ITEM003", quantity: 1, itemDescription: "Washers", itemPrice: 5 },
+		],
+	};
+
+	test("works", function () {
+		const revB = {
+			header: { validUntil: "2026-01-31", notes: "first" },
+			items: [
+				{ itemCode: "ITEM001", quantity: 3, itemDescription: "Bolts", itemPrice: 45 },
+				{ itemCode: "ITEM003", quantity: 2, itemDescription: "Washers", itemPrice: 5 },
+				{ itemCode: "ITEM004", quantity: 1, itemDescription: "Pins", itemPrice: 2 },
+			],
+		};
+
+		expect(diffRevisions(revA, revB)).toEqual({
+			header: [{ field: "validUntil", from: "2025-12-31", to: "2026-01-31" }],
+			added: [revB.items[2]],
+			removed: [revA.items[1]],
+			repriced: [{ itemCode: "ITEM001", fromPrice: 50, toPrice: 45, fromQuantity: 3, toQuantity: 3 }],
+			quantityChanged: [{ itemCode: "ITEM003", fromQuantity: 1, toQuantity: 2 }],
+			adjustments: { added: [], removed: [], changed: [] },
+			totals: [],
+		});
+	});
+
+	test("works: identical revisions", function () {
+		expect(diffRevisions(revA, revA)).toEqual({
+			header: [],
+			added: [],
+			removed: [],
+			repriced: [],
+			quantityChanged: [],
+			adjustments: { added: [], removed: [], changed: [] },
+			totals: [],
+		});
+	});
+
+	test("works: adjustments and totals", function () {
+		const freight = { adjustmentType: "freight", calc: "fixed", amount: 25, description: null, taxable: true, value: 25 };
+		const discount = { adjustmentType: "discount", calc: "percentage", amount: 10, description: null, taxable: false, value: -60 };
+		const totals = (grandTotal, tax) => ({ subtotal: 600, discountTotal: 60, chargeTotal: 25, taxableAmount: 565, tax, grandTotal });
+
+		const revB = { ...revA, adjustments: [freight, discount], totals: totals(610.2, { jurisdiction: "TX", rate: 8, exempt: false, amount: 45.2 }) };
+		const revC = {
+			...revA,
+			adjustments: [{ ...freight, amount: 30, value: 30 }],
+			totals: { ...totals(640.4, { jurisdiction: "TX", rate: 6, exempt: false, amount: 36.4 }), discountTotal: 0, chargeTotal: 30, taxableAmount: 630 },
+		};
+
+		const diff = diffRevisions(revB, revC);
+		expect(diff.adjustments).toEqual({
+			added: [],
+			removed: [discount],
+			changed: [
+				{
+					adjustmentType: "freight",
+					from: { calc: "fixed", amount: 25, description: null, taxable: true },
+					to: { calc: "fixed", amount: 30, description: null, taxable: true },
+				},
+			],
+		});
+		expect(diff.totals).toEqual([
+			{ field: "discountTotal", from: 60, to: 0 },
+			{ field: "chargeTotal", from: 25, to: 30 },
+			{ field: "taxableAmount", from: 565, to: 630 },
+			{ field: "taxRate", from: 8, to: 6 },
+			{ field: "taxAmount", from: 45.2, to: 36.4 },
+			{ field: "grandTotal", from: 610.2, to: 640.4 },
+		]);
+	});
+
+	test("totals aren't compared with a revision that has none", function () {
+		const revB = { ...revA, adjustments: [], totals: { subtotal: 600, tax: {}, grandTotal: 600 } };
+		expect(diffRevisions(revA, revB).totals).toEqual([]);
+	});
+});
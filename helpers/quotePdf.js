@@ -0,0 +1,193 @@
+"use strict";
+
+const PDFDocument = require("pdfkit");
+
+/**
+ * Render a quote as a PDF document, entirely in-process.
+ */
+
+/** Template used when a company hasn't customized its own. */
+
+const DEFAULT_QUOTE_TEMPLATE = {
+	accentColor: "#1F4E79",
+	tagline: null,
+	terms: null,
+	footerText: null,
+	showItemCodes: true,
+};
+
+/** Format a number as US dollars, e.g. 1234.5 => "$1,234.50" and -7.5 => "-$7.50". */
+
+function formatMoney(value) {
+	const amount = Number(value || 0);
+	return `${amount < 0 ? "-" : ""}$${Math.abs(amount).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/** Join the non-empty address parts of a company or customer into lines. */
+
+function addressLines({ addressLine1, addressLine2, city, state, country, phoneMain }) {
+	const cityLine = [city, state].filter(Boolean).join(", ");
+	return [addressLine1, addressLine2, [cityLine, country].filter(Boolean).join(" "), phoneMain && `Phone: ${phoneMain}`].filter(Boolean);
+}
+
+/** Labels for quote adjustment types on the PDF. */
+
+const ADJUSTMENT_LABELS = { discount: "Discount", freight: "Freight", handling: "Handling", fuel_surcharge: "Fuel surcharge" };
+
+/** The [label, amount] rows printed above a quote's total: its subtotal,
+ *  adjustments and sales tax, or none for a quote with only line items.
+ */
+
+function totalRows(totals, subtotal) {
+	if (!totals || (!totals.adjustments.length && totals.tax.rate === null && !totals.tax.exempt)) return [];
+
+	const rows = [["Subtotal", subtotal]];
+	for (const adjustment of totals.adjustments) {
+		const label = adjustment.description || ADJUSTMENT_LABELS[adjustment.adjustmentType];
+		rows.push([adjustment.calc === "percentage" ? `${label} (${Number(adjustment.amount)}%)` : label, adjustment.value]);
+	}
+
+	const { jurisdiction, rate, exempt, amount } = totals.tax;
+	if (exempt) rows.push(["Sales tax (exempt)", 0]);
+	else if (rate !== null) rows.push([`Sales tax (${jurisdiction} ${rate}%)`, amount]);
+
+	return rows;
+}
+
+/**
+ * Build the PDF for a quote.
+ *
+ * @param quote {Object} as returned by Quote.get; its billTo and shipTo
+ *   addresses are used when set, and its totals (adjustments and tax) are
+ *   itemized above the total
+ * @param company {Object} as returned by Company.get (letterhead)
+ * @param customer {Object} as returned by Customer.get (bill-to address when the quote has none)
+ * @param contact {Object} optional person at the customer it's addressed to, as returned by Contact.addressee
+ * @param template {Object} per-company template; missing fields use defaults
+ * @param compress {Boolean} compress the page content; false leaves its text readable
+ *
+ * @returns {Promise<Buffer>} the finished PDF
+ */
+
+function renderQuotePdf({ quote, company, customer, contact = null, template = {}, compress = true }) {
+	const tpl = { ...DEFAULT_QUOTE_TEMPLATE, ...template };
+
+	return new Promise((resolve, reject) => {
+		const doc = new PDFDocument({ size: "LETTER", margin: 50, compress, info: { Title: `Quote ${quote.quoteNumber}`, Author: company.name } });
+		const chunks = [];
+
+		doc.on("data", (chunk) => chunks.push(chunk));
+		doc.on("end", () => resolve(Buffer.concat(chunks)));
+		doc.on("error", reject);
+
+		const left = doc.page.margins.left;
+		const right = doc.page.width - doc.page.margins.right;
+
+		// Letterhead
+		doc.fillColor(tpl.accentColor).font("Helvetica-Bold").fontSize(20).text(company.name, left, 50);
+		if (tpl.tagline) doc.font("Helvetica-Oblique").fontSize(10).text(tpl.tagline);
+		doc.fillColor("black").font("Helvetica").fontSize(9);
+		addressLines(company).forEach((line) => doc.text(line));
+
+		// Quote header, right-aligned beside the letterhead
+		doc.font("Helvetica-Bold").fontSize(16).fillColor(tpl.accentColor).text("QUOTE", left, 50, { align: "right" });
+		doc.font("Helvetica").fontSize(9).fillColor("black");
+		doc.text(`Quote #: ${quote.quoteNumber}`, { align: "right" });
+		doc.text(`Date: ${new Date(quote.createdAt).toISOString().slice(0, 10)}`, { align: "right" });
+		doc.text(`Valid until: ${quote.validUntil}`, { align: "right" });
+
+		// Customer
+		doc.moveDown(4);
+		doc.font("Helvetica-Bold").fontSize(10).text("Prepared for:", left);
+		doc.font("Helvetica").fontSize(9).text(customer.customerName);
+		if (contact) doc.text(`Attn: ${[contact.name, contact.title].filter(Boolean).join(", ")}`);
+		addressLines(quote.billTo || customer).forEach((line) => doc.text(line));
+		if (contact && contact.email) doc.text(`Email: ${contact.email}`);
+
+		if (quote.shipTo) {
+			doc.moveDown();
+			doc.font("Helvetica-Bold").fontSize(10).text("Ship to:", left);
+			doc.font("Helvetica").fontSize(9);
+			if (quote.shipTo.label) doc.text(quote.shipTo.label);
+			addressLines(quote.shipTo).forEach((line) => doc.text(line));
+		}
+
+		// Line items
+		const columns = tpl.showItemCodes
+			? [
+					{ label: "Item", x: left, width: 80 },
+					{ label: "Description", x: left + 85, width: 200 },
+			  ]
+			: [{ label: "Description", x: left, width: 285 }];
+		columns.push(
+			{ label: "UOM", x: left + 290, width: 45 },
+			{ label: "Qty", x: left + 340, width: 40, align: "right" },
+			{ label: "Unit Price", x: left + 385, width: 60, align: "right" },
+			{ label: "Amount", x: left + 450, width: right - left - 450, align: "right" }
+		);
+
+		doc.moveDown(2);
+		let y = doc.y;
+		doc.rect(left, y - 3, right - left, 16).fill(tpl.accentColor);
+		doc.fillColor("white").font("Helvetica-Bold").fontSize(9);
+		columns.forEach((col) => doc.text(col.label, col.x, y, { width: col.width, align: col.align || "left" }));
+		doc.fillColor("black").font("Helvetica");
+		y += 18;
+
+		let subtotal = 0;
+
+		for (const item of quote.quoteItems) {
+			const amount = Number(item.quantity) * Number(item.itemPrice);
+			subtotal += amount;
+
+			const values = tpl.showItemCodes ? [item.itemCode, item.itemDescription || ""] : [item.itemDescription || item.itemCode];
+			values.push(item.itemUom || "", String(item.quantity), formatMoney(item.itemPrice), formatMoney(amount));
+
+			const rowHeight = Math.max(...columns.map((col, idx) => doc.heightOfString(values[idx], { width: col.width })));
+			if (y + rowHeight > doc.page.height - doc.page.margins.bottom - 60) {
+				doc.addPage();
+				y = doc.page.margins.top;
+			}
+
+			columns.forEach((col, idx) => doc.text(values[idx], col.x, y, { width: col.width, align: col.align || "left" }));
+			y += rowHeight + 4;
+		}
+
+		// Totals
+		const rows = totalRows(quote.totals, subtotal);
+		if (y + rows.length * 14 + 20 > doc.page.height - doc.page.margins.bottom) {
+			doc.addPage();
+			y = doc.page.margins.top;
+		}
+		doc.moveTo(left + 340, y).lineTo(right, y).stroke();
+		y += 6;
+		for (const [label, value] of rows) {
+			doc.text(label, left + 300, y, { width: 145 });
+			doc.text(formatMoney(value), left + 450, y, { width: right - left - 450, align: "right" });
+			y += 14;
+		}
+		doc.font("Helvetica-Bold").text("Total", left + 340, y, { width: 100 });
+		doc.text(formatMoney(quote.totals ? quote.totals.grandTotal : subtotal), left + 450, y, { width: right - left - 450, align: "right" });
+		doc.font("Helvetica");
+
+		// Notes and terms
+		doc.x = left;
+		doc.y = y + 30;
+		if (quote.notes) {
+			doc.font("Helvetica-Bold").text("Notes", left).font("Helvetica").text(quote.notes, { width: right - left });
+			doc.moveDown();
+		}
+		if (tpl.terms) {
+			doc.font("Helvetica-Bold").text("Terms", left).font("Helvetica").text(tpl.terms, { width: right - left });
+		}
+
+		if (tpl.footerText) {
+			const bottom = doc.page.height - doc.page.margins.bottom;
+			doc.fontSize(8).fillColor("gray").text(tpl.footerText, left, bottom - 20, { width: right - left, align: "center", lineBreak: false });
+		}
+
+		doc.end();
+	});
+}
+
+module.exports = { DEFAULT_QUOTE_TEMPLATE, formatMoney, renderQuotePdf };
@@ -0,0 +1,87 @@
+const { formatMoney, renderQuotePdf } = require("./quotePdf");
+
+/** The text runs of an uncompressed PDF, in the order they're drawn. */
+
+function pdfText(pdf) {
+	return pdf
+		.toString("latin1")
+		.match(/\[[^\]]*\] TJ/g)
+		.map((run) => run.match(/<[0-9a-f]*>/g).map((hex) => Buffer.from(hex.slice(1, -1), "hex").toString("latin1")).join(""));
+}
+
+describe("formatMoney", function () {
+	test("works", function () {
+		expect(formatMoney("1234.5")).toEqual("$1,234.50");
+		expect(formatMoney(null)).toEqual("$0.00");
+		expect(formatMoney(-7.5)).toEqual("-$7.50");
+	});
+});
+
+describe("renderQuotePdf", function () {
+	const quote = {
+		quoteNumber: "QUOTE001",
+		createdAt: "2025-01-15T12:00:00.000Z",
+		validUntil: "2025-12-31",
+		notes: "Bulk pricing",
+		quoteItems: [{ itemCode: "ITEM001", itemDescription: "Item 1", itemUom: "Each", quantity: 3, itemPrice: "50.00" }],
+	};
+	const company = { name: "Company 1", addressLine1: "123 Main St", city: "City 1", state: "ST", country: "USA" };
+	const customer = { customerName: "Customer 1", addressLine1: "1000 Market St" };
+
+	async function render(data) {
+		return pdfText(await renderQuotePdf({ quote, company, customer, ...data, compress: false }));
+	}
+
+	test("works", async function () {
+		const pdf = await renderQuotePdf({ quote, company, customer, template: { terms: "Net 30", footerText: "Thank you" } });
+		expect(Buffer.isBuffer(pdf)).toBeTruthy();
+		expect(pdf.subarray(0, 5).toString()).toEqual("%PDF-");
+	});
+
+	test("works: prints the quote number, customer, lines and total", async function () {
+		const text = await render({ template: { terms: "Net 30", footerText: "Thank you" } });
+		expect(text).toEqual(
+			expect.arrayContaining(["Company 1", "123 Main St", "Quote #: QUOTE001", "Date: 2025-01-15", "Valid until: 2025-12-31", "Customer 1", "1000 Market St", "Bulk pricing", "Net 30", "Thank you"])
+		);
+
+		// The line: code, description, UOM, quantity, unit price, amount; then the total
+		const line = text.indexOf("ITEM001");
+		expect(text.slice(line, line + 6)).toEqual(["ITEM001", "Item 1", "Each", "3", "$50.00", "$150.00"]);
+		expect(text.slice(line + 6, line + 8)).toEqual(["Total", "$150.00"]);
+	});
+
+	test("works: addressed to a contact", async function () {
+		const contact = { name: "Karen Lee", title: "Purchasing Manager", email: "karen.lee@example.com" };
+		const text = await render({ contact });
+		expect(text).toEqual(expect.arrayContaining(["Customer 1", "Attn: Karen Lee, Purchasing Manager", "Email: karen.lee@example.com"]));
+	});
+
+	test("works: with bill-to and ship-to addresses", async function () {
+		const billTo = { addressLine1: "1 Billing Way", city: "City 1", state: "ST" };
+		const shipTo = { label: "Plant 2", addressLine1: "2 Plant Rd", city: "City 2", state: "ST" };
+		const text = await render({ quote: { ...quote, billTo, shipTo } });
+		expect(text).toEqual(expect.arrayContaining(["1 Billing Way", "2 Plant Rd", "City 2, ST"]));
+		expect(text).not.toContain("1000 Market St");
+	});
+
+	test("works: with adjustments and tax", async function () {
+		const totals = {
+			subtotal: 150,
+			adjustments: [
+				{ adjustmentType: "discount", calc: "percentage", amount: "5.00", description: null, value: -7.5 },
+				{ adjustmentType: "freight", calc: "fixed", amount: "20.00", description: "Ground freight", value: 20 },
+			],
+			tax: { jurisdiction: "TX", rate: 6.25, exempt: false, amount: 8.91 },
+			grandTotal: 171.41,
+		};
+		const text = await render({ quote: { ...quote, totals } });
+		const subtotal = text.indexOf("Subtotal");
+		expect(text.slice(subtotal, subtotal + 10)).toEqual(["Subtotal", "$150.00", "Discount (5%)", "-$7.50", "Ground freight", "$20.00", "Sales tax (TX 6.25%)", "$8.91", "Total", "$171.41"]);
+	});
+
+	test("works: without item codes", async function () {
+		const text = await render({ template: { showItemCodes: false } });
+		expect(text).not.toContain("ITEM001");
+		expect(text).toEqual(expect.arrayContaining(["Item 1", "$150.00"]));
+	});
+});
@@ -0,0 +1,94 @@
+const { BadRequestError } = require("../expressError");
+const { roundCents } = require("./pricing");
+
+/**
+ * Helpers for quote totals.
+ */
+
+/** Kinds of quote-level adjustment; discounts reduce the total, the rest are charges. */
+
+const ADJUSTMENT_TYPES = ["discount", "freight", "handling", "fuel_surcharge"];
+
+/** How an adjustment's amount applies: a percent of the subtotal, or a fixed amount. */
+
+const ADJUSTMENT_CALCS = ["percentage", "fixed"];
+
+/**
+ * Throw BadRequestError unless `adjustment` has a known type and calc and an
+ * amount of at least 0 (at most 100 for a percentage). Only the fields given
+ * are checked, so a partial update can be validated too.
+ */
+
+function validateAdjustment({ adjustment_type, calc, amount } = {}) {
+	if (adjustment_type !== undefined && !ADJUSTMENT_TYPES.includes(adjustment_type)) {
+		throw new BadRequestError(`adjustment_type must be one of: ${ADJUSTMENT_TYPES.join(", ")}`);
+	}
+	if (calc !== undefined && !ADJUSTMENT_CALCS.includes(calc)) {
+		throw new BadRequestError(`calc must be one of: ${ADJUSTMENT_CALCS.join(", ")}`);
+	}
+	if (amount !== undefined && !(Number(amount) >= 0)) throw new BadRequestError("amount must be a number of at least 0");
+	if (calc === "percentage" && Number(amount) > 100) throw new BadRequestError("A percentage amount can't be more than 100");
+}
+
+/**
+ * Total a quote: its line items, then its adjustments, then sales tax.
+ *
+ * Discounts come off the line items subtotal first, in order, and can't take
+ * it below zero. Charges (freight, handling, fuel surcharge) are then added;
+ * a percentage charge is a percent of the discounted subtotal. Tax is the
+ * jurisdiction's rate on the discounted subtotal plus the taxable charges,
+ * and nothing for a tax-exempt customer or a jurisdiction with no rate.
+ *
+ * @param subtotal {Number|String} sum of the quote's line amounts
+ * @param adjustments {Array} [{ adjustmentType, calc, amount, taxable, ... }, ...]
+ * @param tax {Object} { jurisdiction, rate, exempt }, rate a percent or null
+ *
+ * @returns {Object} { subtotal, adjustments, discountTotal, chargeTotal,
+ *   taxableAmount, tax: { jurisdiction, rate, exempt, amount }, grandTotal }
+ *   where each adjustment gains `value`, the signed amount it adds to the total
+ *
+ * @example computeTotals({ subtotal: 200, adjustments: [{ adjustmentType: "discount", calc: "percentage", amount: 10 }],
+ *                          tax: { jurisdiction: "TX", rate: 5, exempt: false } })
+ *   => { subtotal: 200, discountTotal: 20, chargeTotal: 0, taxableAmount: 180, tax: { ..., amount: 9 }, grandTotal: 189, ... }
+ */
+
+function computeTotals({ subtotal, adjustments = [], tax = {} }) {
+	const lineTotal = roundCents(subtotal || 0);
+	const valueOf = (adjustment, base) =>
+		adjustment.calc === "percentage" ? roundCents((base * Number(adjustment.amount)) / 100) : roundCents(adjustment.amount);
+
+	let discounted = lineTotal;
+	const values = new Map();
+
+	for (const adjustment of adjustments.filter((adj) => adj.adjustmentType === "discount")) {
+		const value = Math.min(valueOf(adjustment, lineTotal), discounted);
+		discounted = roundCents(discounted - value);
+		values.set(adjustment, value ? -value : 0);
+	}
+
+	let chargeTotal = 0;
+	let taxableCharges = 0;
+
+	for (const adjustment of adjustments.filter((adj) => adj.adjustmentType !== "discount")) {
+		const value = valueOf(adjustment, discounted);
+		chargeTotal += value;
+		if (adjustment.taxable) taxableCharges += value;
+		values.set(adjustment, value);
+	}
+
+	const { jurisdiction = null, rate = null, exempt = false } = tax;
+	const taxableAmount = exempt ? 0 : roundCents(discounted + taxableCharges);
+	const taxAmount = rate === null || rate === undefined ? 0 : roundCents((taxableAmount * Number(rate)) / 100);
+
+	return {
+		subtotal: lineTotal,
+		adjustments: adjustments.map((adjustment) => ({ ...adjustment, value: values.get(adjustment) })),
+		discountTotal: roundCents(lineTotal - discounted),
+		chargeTotal: roundCents(chargeTotal),
+		taxableAmount,
+		tax: { jurisdiction, rate: rate === null || rate === undefined ? null : Number(rate), exempt: Boolean(exempt), amount: taxAmount },
+		grandTotal: roundCents(discounted + chargeTotal + taxAmount),
+	};
+}
+
+module.exports = { ADJUSTMENT_TYPES, ADJUSTMENT_CALCS, validateAdjustment, computeTotals };
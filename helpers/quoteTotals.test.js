@@ -0,0 +1,78 @@
+const { BadRequestError } = require("../expressError");
+const { validateAdjustment, computeTotals } = require("./quoteTotals");
+
+describe("validateAdjustment", function () {
+	test("works", function () {
+		expect(() => validateAdjustment({ adjustment_type: "freight", calc: "fixed", amount: "85.00" })).not.toThrow();
+		expect(() => validateAdjustment({ amount: 10 })).not.toThrow();
+	});
+
+	test("bad request on unknown type or calc", function () {
+		expect(() => validateAdjustment({ adjustment_type: "rebate" })).toThrow(BadRequestError);
+		expect(() => validateAdjustment({ calc: "per_unit" })).toThrow(BadRequestError);
+	});
+
+	test("bad request on a bad amount", function () {
+		expect(() => validateAdjustment({ calc: "fixed", amount: -1 })).toThrow(BadRequestError);
+		expect(() => validateAdjustment({ calc: "fixed", amount: "lots" })).toThrow(BadRequestError);
+		expect(() => validateAdjustment({ calc: "percentage", amount: 101 })).toThrow(BadRequestError);
+	});
+});
+
+describe("computeTotals", function () {
+	test("works: no adjustments or tax", function () {
+		expect(computeTotals({ subtotal: "2850.00" })).toEqual({
+			subtotal: 2850,
+			adjustments: [],
+			discountTotal: 0,
+			chargeTotal: 0,
+			taxableAmount: 2850,
+			tax: { jurisdiction: null, rate: null, exempt: false, amount: 0 },
+			grandTotal: 2850,
+		});
+	});
+
+	test("works: discounts, charges and tax", function () {
+		const totals = computeTotals({
+			subtotal: 2850,
+			adjustments: [
+				{ id: 1, adjustmentType: "discount", calc: "percentage", amount: "5.00", taxable: false },
+				{ id: 2, adjustmentType: "freight", calc: "fixed", amount: "85.00", taxable: true },
+				{ id: 3, adjustmentType: "fuel_surcharge", calc: "percentage", amount: "2.00", taxable: false },
+			],
+			tax: { jurisdiction: "TX", rate: "6.250", exempt: false },
+		});
+
+		expect(totals.adjustments.map((adj) => adj.value)).toEqual([-142.5, 85, 54.15]);
+		expect(totals.discountTotal).toEqual(142.5);
+		expect(totals.chargeTotal).toEqual(139.15);
+		expect(totals.taxableAmount).toEqual(2792.5);
+		expect(totals.tax).toEqual({ jurisdiction: "TX", rate: 6.25, exempt: false, amount: 174.53 });
+		expect(totals.grandTotal).toEqual(3021.18);
+	});
+
+	test("works: discounts can't go below zero", function () {
+		const totals = computeTotals({
+			subtotal: 100,
+			adjustments: [
+				{ adjustmentType: "discount", calc: "fixed", amount: 80 },
+				{ adjustmentType: "discount", calc: "fixed", amount: 50 },
+			],
+		});
+
+		expect(totals.adjustments.map((adj) => adj.value)).toEqual([-80, -20]);
+		expect(totals.grandTotal).toEqual(0);
+	});
+
+	test("works: tax exempt", function () {
+		const totals = computeTotals({
+			subtotal: 100,
+			adjustments: [{ adjustmentType: "handling", calc: "fixed", amount: 10, taxable: true }],
+			tax: { jurisdiction: "FL", rate: 6, exempt: true },
+		});
+
+		expect(totals.taxableAmount).toEqual(0);
+		expect(totals.tax).toEqual({ jurisdiction: "FL", rate: 6, exempt: true, amount: 0 });
+		expect(totals.grandTotal).toEqual(110);
+	});
+});
@@ -34,4 +34,44 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
 	};
 }
 
-module.exports = { sqlForPartialUpdate };
+/**
+ * Helper for whitelisting the fields of a partial update.
+ *
+ * Use it before sqlForPartialUpdate, which would otherwise write any key it
+ * is given as a column, so a request can't reach columns that are only set
+ * elsewhere (company_id, roles, lifecycle timestamps).
+ *
+ * @param data {Object} the update as given, like { fullName: "Aliya" }
+ * @param allowed {Array} the keys that may be updated
+ *
+ * Throws BadRequestError naming every key of data not in allowed.
+ */
+
+function validateUpdateFields(data, allowed) {
+	const invalid = Object.keys(data).filter((key) => !allowed.includes(key));
+	if (invalid.length) throw new BadRequestError(`Cannot update: ${invalid.join(", ")}. Allowed fields: ${allowed.join(", ")}`);
+}
+
+/**
+ * Helper for constraining a query to one company (tenant).
+ *
+ * Pushes companyId onto `values` and returns the matching AND clause. When
+ * companyId is undefined or null (an unscoped admin request) it returns an
+ * empty string and leaves `values` alone.
+ *
+ * @param column {String} qualified column to constrain, like "rfqs.company_id"
+ * @param companyId {Number} the authenticated company, or undefined
+ * @param values {Array} the query's parameter list, appended to in place
+ *
+ * @example sqlForCompanyScope("rfqs.company_id", 3, [12]) =>
+ *   ' AND rfqs.company_id = $2'   (values is now [12, 3])
+ */
+
+function sqlForCompanyScope(column, companyId, values) {
+	if (companyId === undefined || companyId === null) return "";
+
+	values.push(companyId);
+	return ` AND ${column} = $${values.length}`;
+}
+
+module.exports = { sqlForPartialUpdate, validateUpdateFields, sqlForCompanyScope };
@@ -1,5 +1,6 @@
 
-const { sqlForPartialUpdate } = require("./sql");
+const { BadRequestError } = require("../expressError");
+const { sqlForPartialUpdate, validateUpdateFields, sqlForCompanyScope } = require("./sql");
 
 
 describe("sqlForPartialUpdate", function () {
@@ -23,3 +24,29 @@ describe("sqlForPartialUpdate", function () {
     });
   });
 });
+
+describe("validateUpdateFields", function () {
+  test("works", function () {
+    expect(() => validateUpdateFields({ f1: "v1" }, ["f1", "f2"])).not.toThrow();
+  });
+
+  test("bad request naming unknown fields", function () {
+    expect(() => validateUpdateFields({ f1: "v1", role: "owner", company_id: 2 }, ["f1"]))
+        .toThrow(new BadRequestError("Cannot update: role, company_id. Allowed fields: f1"));
+  });
+});
+
+describe("sqlForCompanyScope", function () {
+  test("works", function () {
+    const values = [12];
+    const result = sqlForCompanyScope("rfqs.company_id", 3, values);
+    expect(result).toEqual(" AND rfqs.company_id = $2");
+    expect(values).toEqual([12, 3]);
+  });
+
+  test("works: unscoped", function () {
+    const values = [12];
+    expect(sqlForCompanyScope("rfqs.company_id", undefined, values)).toEqual("");
+    expect(values).toEqual([12]);
+  });
+});
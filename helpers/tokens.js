@@ -1,9 +1,16 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { UnauthorizedError } = require("../expressError");
+const { SECRET_KEY, ACCESS_TOKEN_TTL_MINUTES, MFA_CHALLENGE_TTL_MINUTES } = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed, short-lived JWT (access token) from user data.
+ *
+ * sessionId ties the token to a server-side session (see models/session.js)
+ * so it stops working as soon as that session is revoked; authenticateJWT
+ * refuses user tokens without one.
+ */
 
-function createToken(user) {
+function createToken(user, sessionId) {
 	// Check if the user has the 'isAdmin' property defined
 	if (user.isAdmin === undefined) {
 		user.isAdmin = false; // Defaulting isAdmin to false if undefined
@@ -13,9 +20,49 @@ function createToken(user) {
 		id: user.id,
 		isAdmin: user.isAdmin || false,
 		companyId: user.companyId,
+		role: user.role,
+		sid: sessionId,
 	};
 
-	return jwt.sign(payload, SECRET_KEY);
+	return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 });
 }
 
-module.exports = { createToken };
+/** return signed JWT standing for a user who has given their password but
+ *  still owes a two-factor code.
+ *
+ * It lasts MFA_CHALLENGE_TTL_MINUTES and carries purpose "mfa", which
+ * authenticateJWT refuses, so it can only be traded in at POST /auth/mfa.
+ */
+
+function createMfaChallengeToken(user) {
+	return jwt.sign({ id: user.id, purpose: "mfa" }, SECRET_KEY, { expiresIn: MFA_CHALLENGE_TTL_MINUTES * 60 });
+}
+
+/** return the user id of a challenge token from createMfaChallengeToken.
+ *
+ * Throws UnauthorizedError if it is invalid, expired or not a challenge token.
+ */
+
+function verifyMfaChallengeToken(token) {
+	try {
+		const payload = jwt.verify(token, SECRET_KEY);
+		if (payload.purpose === "mfa" && payload.exp) return payload.id;
+	} catch (err) {
+		// fall through
+	}
+	throw new UnauthorizedError("Invalid or expired challenge token");
+}
+
+/** return a new random, opaque token (refresh and reset tokens). */
+
+function createRandomToken() {
+	return crypto.randomBytes(32).toString("hex");
+}
+
+/** return the SHA-256 hex digest of a token; only digests are stored. */
+
+function hashToken(token) {
+	return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, createMfaChallengeToken, verifyMfaChallengeToken, createRandomToken, hashToken };
@@ -1,6 +1,7 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
-const { SECRET_KEY } = require("../config");
+const { createToken, createMfaChallengeToken, verifyMfaChallengeToken, createRandomToken, hashToken } = require("./tokens");
+const { UnauthorizedError } = require("../expressError");
+const { SECRET_KEY, ACCESS_TOKEN_TTL_MINUTES, MFA_CHALLENGE_TTL_MINUTES } = require("../config");
 
 describe("createToken", function () {
 	test("works: not admin", function () {
@@ -8,6 +9,7 @@ describe("createToken", function () {
 		const payload = jwt.verify(token, SECRET_KEY);
 		expect(payload).toEqual({
 			iat: expect.any(Number),
+			exp: expect.any(Number),
 			id: 1,
 			isAdmin: false,
 		});
@@ -18,6 +20,7 @@ describe("createToken", function () {
 		const payload = jwt.verify(token, SECRET_KEY);
 		expect(payload).toEqual({
 			iat: expect.any(Number),
+			exp: expect.any(Number),
 			id: 1,
 			isAdmin: true,
 		});
@@ -29,8 +32,62 @@ describe("createToken", function () {
 		const payload = jwt.verify(token, SECRET_KEY);
 		expect(payload).toEqual({
 			iat: expect.any(Number),
+			exp: expect.any(Number),
 			id: 1,
 			isAdmin: false,
 		});
 	});
+
+	test("works: with session", function () {
+		const token = createToken({ id: 1 }, 7);
+		const payload = jwt.verify(token, SECRET_KEY);
+		expect(payload.sid).toEqual(7);
+	});
+
+	test("expires after the access token lifetime", function () {
+		const token = createToken({ id: 1 });
+		const payload = jwt.verify(token, SECRET_KEY);
+		expect(payload.exp - payload.iat).toEqual(ACCESS_TOKEN_TTL_MINUTES * 60);
+	});
+});
+
+describe("createMfaChallengeToken", function () {
+	test("works", function () {
+		const token = createMfaChallengeToken({ id: 1, isAdmin: true });
+		const payload = jwt.verify(token, SECRET_KEY);
+		expect(payload).toEqual({ iat: expect.any(Number), exp: expect.any(Number), id: 1, purpose: "mfa" });
+		expect(payload.exp - payload.iat).toEqual(MFA_CHALLENGE_TTL_MINUTES * 60);
+	});
+});
+
+describe("verifyMfaChallengeToken", function () {
+	test("works", function () {
+		expect(verifyMfaChallengeToken(createMfaChallengeToken({ id: 1 }))).toEqual(1);
+	});
+
+	test("rejects access tokens", function () {
+		expect(() => verifyMfaChallengeToken(createToken({ id: 1 }))).toThrow(UnauthorizedError);
+	});
+
+	test("rejects expired or bad tokens", function () {
+		const expired = jwt.sign({ id: 1, purpose: "mfa", exp: Math.floor(Date.now() / 1000) - 60 }, SECRET_KEY);
+		expect(() => verifyMfaChallengeToken(expired)).toThrow(UnauthorizedError);
+		expect(() => verifyMfaChallengeToken("nope")).toThrow(UnauthorizedError);
+	});
+});
+
+describe("createRandomToken", function () {
+	test("works", function () {
+		const token = createRandomToken();
+		expect(token).toMatch(/^[0-9a-f]{64}$/);
+		expect(createRandomToken()).not.toEqual(token);
+	});
+});
+
+describe("hashToken", function () {
+	test("works", function () {
+		expect(hashToken("abc")).toEqual(hashToken("abc"));
+		expect(hashToken("abc")).not.toEqual("abc");
+		expect(hashToken("abc")).toMatch(/^[0-9a-f]{64}$/);
+	});
 });
@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+
+/**
+ * Time-based one-time passwords (RFC 6238), as used by authenticator apps.
+ *
+ * Secrets are shared with the app as base32 strings. Codes are HMAC-SHA1
+ * HOTP values (RFC 4226) over 30 second time steps.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/** Encode a Buffer as unpadded base32. */
+
+function base32Encode(buffer) {
+	let bits = 0;
+	let value = 0;
+	let output = "";
+
+	for (const byte of buffer) {
+		value = (value << 8) | byte;
+		bits += 8;
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+		value &= (1 << bits) - 1;
+	}
+
+	if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	return output;
+}
+
+/** Decode a base32 string (case, spaces and padding ignored) to a Buffer. */
+
+function base32Decode(str) {
+	let bits = 0;
+	let value = 0;
+	const bytes = [];
+
+	for (const char of str.toUpperCase().replace(/[\s=]/g, "")) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+
+		value = (value << 5) | index;
+		bits += 5;
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+		value &= (1 << bits) - 1;
+	}
+
+	return Buffer.from(bytes);
+}
+
+/** HOTP value (RFC 4226) of a key Buffer for a counter, as a zero-padded string. */
+
+function hotp(key, counter, digits = TOTP_DIGITS) {
+	const counterBuffer = Buffer.alloc(8);
+	counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+	const hmac = crypto.createHmac("sha1", key).update(counterBuffer).digest();
+	const offset = hmac[hmac.length - 1] & 0xf;
+	const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+
+	return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+/** Time step a moment (ms since the epoch) falls in. */
+
+function timeStep(time = Date.now()) {
+	return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+}
+
+/** TOTP code for a base32 secret at a moment (ms since the epoch). */
+
+function totp(secret, time = Date.now(), digits = TOTP_DIGITS) {
+	return hotp(base32Decode(secret), timeStep(time), digits);
+}
+
+/**
+ * Check a code against a base32 secret, allowing `window` steps of clock
+ * drift either side of `time`.
+ *
+ * Returns the time step the code matched, so callers can refuse to accept
+ * the same step twice, or null if it doesn't match.
+ */
+
+function verifyTotp(secret, code, time = Date.now(), window = 1) {
+	const candidate = Buffer.from(String(code || ""));
+	const key = base32Decode(secret);
+	const current = timeStep(time);
+
+	for (let step = current - window; step <= current + window; step++) {
+		const expected = Buffer.from(hotp(key, step));
+		if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) return step;
+	}
+
+	return null;
+}
+
+/** A new random base32 secret (160 bits, as RFC 4226 recommends). */
+
+function generateSecret() {
+	return base32Encode(crypto.randomBytes(20));
+}
+
+/** otpauth:// URL an authenticator app can import (usually shown as a QR code). */
+
+function otpauthUrl({ secret, accountName, issuer = "easyRFQ" }) {
+	const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+	return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+module.exports = { base32Encode, base32Decode, hotp, totp, verifyTotp, generateSecret, otpauthUrl };
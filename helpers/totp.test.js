@@ -0,0 +1,71 @@
+const { base32Encode, base32Decode, hotp, totp, verifyTotp, generateSecret, otpauthUrl } = require("./totp");
+
+// RFC 6238 appendix B test secret (SHA1): the ASCII string "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", function () {
+	test("round trips", function () {
+		expect(RFC_SECRET).toEqual("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+		expect(base32Decode(RFC_SECRET).toString()).toEqual("12345678901234567890");
+		expect(base32Decode("gezd gnbv").toString()).toEqual("12345");
+	});
+
+	test("rejects invalid characters", function () {
+		expect(() => base32Decode("ABC1")).toThrow();
+	});
+});
+
+describe("hotp", function () {
+	test("matches RFC 4226 appendix D", function () {
+		const key = Buffer.from("12345678901234567890");
+		expect(hotp(key, 0)).toEqual("755224");
+		expect(hotp(key, 1)).toEqual("287082");
+		expect(hotp(key, 9)).toEqual("520489");
+	});
+});
+
+describe("totp", function () {
+	test("matches RFC 6238 appendix B", function () {
+		expect(totp(RFC_SECRET, 59 * 1000, 8)).toEqual("94287082");
+		expect(totp(RFC_SECRET, 1111111109 * 1000, 8)).toEqual("07081804");
+		expect(totp(RFC_SECRET, 1111111111 * 1000, 8)).toEqual("14050471");
+		expect(totp(RFC_SECRET, 1234567890 * 1000, 8)).toEqual("89005924");
+		expect(totp(RFC_SECRET, 2000000000 * 1000, 8)).toEqual("69279037");
+		expect(totp(RFC_SECRET, 20000000000 * 1000, 8)).toEqual("65353130");
+	});
+});
+
+describe("verifyTotp", function () {
+	const time = 1234567890 * 1000;
+
+	test("works, returning the matched step", function () {
+		expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, time), time)).toEqual(Math.floor(1234567890 / 30));
+	});
+
+	test("allows one step of drift", function () {
+		expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, time - 30000), time)).not.toBeNull();
+		expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, time + 30000), time)).not.toBeNull();
+		expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, time - 90000), time)).toBeNull();
+	});
+
+	test("rejects wrong or missing codes", function () {
+		expect(verifyTotp(RFC_SECRET, "000000", time)).toBeNull();
+		expect(verifyTotp(RFC_SECRET, undefined, time)).toBeNull();
+	});
+});
+
+describe("generateSecret", function () {
+	test("works", function () {
+		const secret = generateSecret();
+		expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+		expect(base32Decode(secret)).toHaveLength(20);
+	});
+});
+
+describe("otpauthUrl", function () {
+	test("works", function () {
+		expect(otpauthUrl({ secret: "ABC", accountName: "a@b.com" })).toEqual(
+			"otpauth://totp/easyRFQ:a%40b.com?secret=ABC&issuer=easyRFQ&algorithm=SHA1&digits=6&period=30"
+		);
+	});
+});
@@ -0,0 +1,71 @@
+"use strict";
+
+/** In-process job that permanently removes deleted RFQs, quotes, customers
+ *  and items once they are past the retention period.
+ */
+
+const Quote = require("../models/quote");
+const Rfq = require("../models/rfq");
+const Customer = require("../models/customer");
+const Item = require("../models/item");
+const { DELETED_RETENTION_DAYS } = require("../config");
+
+let timer = null;
+
+/** Purge everything deleted more than `olderThanDays` days ago.
+ *
+ * Quotes and RFQs go first, so the customers and items they name can follow
+ * in the same run; a customer or item still named on a live record is kept.
+ *
+ * Returns { quotes, rfqs, customers, items }: the number of each removed.
+ */
+
+async function purgeDeleted(olderThanDays = DELETED_RETENTION_DAYS) {
+	const quotes = await Quote.purgeDeleted(olderThanDays);
+	const rfqs = await Rfq.purgeDeleted(olderThanDays);
+	const customers = await Customer.purgeDeleted(olderThanDays);
+	const items = await Item.purgeDeleted(olderThanDays);
+
+	return { quotes: quotes.length, rfqs: rfqs.length, customers: customers.length, items: items.length };
+}
+
+/** Purge once; errors are logged rather than thrown so a failed run doesn't
+ *  take down the server.
+ *
+ * Returns the counts from purgeDeleted (null on error).
+ */
+
+async function runPurgeDeleted() {
+	try {
+		const purged = await purgeDeleted();
+		if (Object.values(purged).some((count) => count > 0)) console.log("Purged deleted records:", purged);
+		return purged;
+	} catch (err) {
+		console.error("Error purging deleted records:", err);
+		return null;
+	}
+}
+
+/** Run the purge now and then every `intervalMs` milliseconds.
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+
+function startPurgeDeletedJob(intervalMs) {
+	if (timer) return timer;
+
+	runPurgeDeleted();
+	timer = setInterval(runPurgeDeleted, intervalMs);
+	timer.unref();
+
+	return timer;
+}
+
+/** Stop the scheduled job, if running. */
+
+function stopPurgeDeletedJob() {
+	if (timer) clearInterval(timer);
+	timer = null;
+}
+
+module.exports = { purgeDeleted, runPurgeDeleted, startPurgeDeletedJob, stopPurgeDeletedJob };
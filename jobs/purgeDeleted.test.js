@@ -0,0 +1,58 @@
+"use strict";
+
+const db = require("../db.js");
+const { purgeDeleted } = require("./purgeDeleted");
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testCustomerIds, testRfqIds, testQuoteIds } = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Mark rows of `table` deleted `days` days ago. */
+
+async function deleteDaysAgo(table, ids, days) {
+	await db.query(`UPDATE ${table} SET deleted_at = NOW() - make_interval(days => $2) WHERE id = ANY($1)`, [ids, days]);
+}
+
+/************************************** purgeDeleted */
+
+describe("purgeDeleted", function () {
+	test("removes a customer together with its deleted RFQs and quotes", async function () {
+		await deleteDaysAgo("company_customers", [testCustomerIds[0]], 40);
+		await deleteDaysAgo("rfqs", [testRfqIds[0]], 40);
+		await deleteDaysAgo("quotes", [testQuoteIds[0]], 40);
+
+		expect(await purgeDeleted(30)).toEqual({ quotes: 1, rfqs: 1, customers: 1, items: 0 });
+
+		const customers = await db.query("SELECT id FROM company_customers");
+		expect(customers.rows).toEqual([{ id: testCustomerIds[1] }]);
+	});
+
+	test("keeps a deleted customer still named on a live RFQ or quote", async function () {
+		await deleteDaysAgo("company_customers", [testCustomerIds[0]], 40);
+		await deleteDaysAgo("rfqs", [testRfqIds[0]], 40);
+
+		expect(await purgeDeleted(30)).toEqual({ quotes: 0, rfqs: 1, customers: 0, items: 0 });
+
+		const customers = await db.query("SELECT id FROM company_customers ORDER BY id");
+		expect(customers.rows).toEqual([{ id: testCustomerIds[0] }, { id: testCustomerIds[1] }]);
+	});
+
+	test("keeps anything deleted within the retention period", async function () {
+		await deleteDaysAgo("company_customers", testCustomerIds, 5);
+		await deleteDaysAgo("rfqs", testRfqIds, 5);
+		await deleteDaysAgo("quotes", testQuoteIds, 5);
+
+		expect(await purgeDeleted(30)).toEqual({ quotes: 0, rfqs: 0, customers: 0, items: 0 });
+	});
+
+	test("removes deleted items no longer on any line", async function () {
+		await db.query("UPDATE company_items SET deleted_at = NOW() - INTERVAL '40 days' WHERE item_code IN ('ITEM001', 'ITEM002')");
+
+		expect(await purgeDeleted(30)).toEqual({ quotes: 0, rfqs: 0, customers: 0, items: 1 });
+
+		const items = await db.query("SELECT item_code FROM company_items ORDER BY item_code");
+		expect(items.rows).toEqual([{ item_code: "ITEM001" }, { item_code: "ITEM003" }]);
+	});
+});
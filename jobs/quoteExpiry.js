@@ -0,0 +1,48 @@
+"use strict";
+
+/** In-process job that expires quotes past their valid_until date. */
+
+const Quote = require("../models/quote");
+
+let timer = null;
+
+/** Expire overdue quotes once; errors are logged rather than thrown so a
+ *  failed run doesn't take down the server.
+ *
+ * Returns the list of expired quotes (empty on error).
+ */
+
+async function runQuoteExpiry() {
+	try {
+		const expired = await Quote.expireOverdue();
+		if (expired.length) console.log(`Expired ${expired.length} quote(s):`, expired.map((q) => q.id).join(", "));
+		return expired;
+	} catch (err) {
+		console.error("Error expiring quotes:", err);
+		return [];
+	}
+}
+
+/** Run the expiry now and then every `intervalMs` milliseconds.
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+
+function startQuoteExpiryJob(intervalMs) {
+	if (timer) return timer;
+
+	runQuoteExpiry();
+	timer = setInterval(runQuoteExpiry, intervalMs);
+	timer.unref();
+
+	return timer;
+}
+
+/** Stop the scheduled job, if running. */
+
+function stopQuoteExpiryJob() {
+	if (timer) clearInterval(timer);
+	timer = null;
+}
+
+module.exports = { runQuoteExpiry, startQuoteExpiryJob, stopQuoteExpiryJob };
@@ -4,22 +4,44 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const { hasPermission } = require("../helpers/permissions");
+const Session = require("../models/session");
+const ApiKey = require("../models/apiKey");
 
 /** Middleware: Authenticate user.
  *
  * If a token was provided, verify it, and, if valid, store the token payload
  * on res.locals (this will include the id and isAdmin field.)
  *
+ * Tokens without an expiry are not valid, nor are tokens that don't belong to
+ * a session or whose session has been revoked (logout, or an admin revoking
+ * all of a user's sessions), nor tokens issued for another purpose (e.g.
+ * two-factor challenge tokens).
+ *
+ * A company API key can be given instead, as "Authorization: ApiKey <key>".
+ * Then res.locals.user is { apiKeyId, companyId, scopes, isAdmin: false }:
+ * the key acts for its company, and requirePermission checks its scopes
+ * rather than a role. Routes about user accounts don't accept API keys.
+ *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
 	try {
 		const authHeader = req.headers && req.headers.authorization;
-		if (authHeader) {
+		if (authHeader && /^ApiKey /i.test(authHeader)) {
+			const apiKey = await ApiKey.authenticate(authHeader.replace(/^ApiKey /i, "").trim());
+			if (apiKey) {
+				res.locals.user = { apiKeyId: apiKey.id, companyId: apiKey.companyId, scopes: apiKey.scopes, isAdmin: false };
+			}
+		} else if (authHeader) {
 			const token = authHeader.replace(/^[Bb]earer /, "").trim();
-			res.locals.user = jwt.verify(token, SECRET_KEY);
+			const payload = jwt.verify(token, SECRET_KEY);
+
+			if (payload.exp && !payload.purpose && payload.sid && (await Session.isActive(payload.sid, payload.id))) {
+				res.locals.user = payload;
+			}
 		}
 		return next();
 	} catch (err) {
@@ -27,6 +49,19 @@ function authenticateJWT(req, res, next) {
 	}
 }
 
+/** Middleware: note who is making the request for the audit log, as
+ *  res.locals.actor = { userId, apiKeyId, ip }. Use after authenticateJWT.
+ *
+ *  Model methods that change data take this as their trailing `actor`
+ *  (see models/audit.js).
+ */
+
+function identifyActor(req, res, next) {
+	const user = res.locals.user || {};
+	res.locals.actor = { userId: user.id || null, apiKeyId: user.apiKeyId || null, ip: req.ip || null };
+	return next();
+}
+
 /** Middleware to use when they must be logged in.
  *
  * If not, raises Unauthorized.
@@ -57,26 +92,54 @@ function ensureAdmin(req, res, next) {
 	}
 }
 
-/** Middleware to use when they must provide a valid token & be user matching
- *  id provided as route param.
+/** Middleware to use when they must be logged in as the user matching the
+ *  id provided as route param; unlike ensureSelfOrAdmin, admins don't
+ *  pass.
  *
  *  If not, raises Unauthorized.
  */
 
-function ensureCorrectUserOrAdmin(req, res, next) {
+function ensureCorrectUser(req, res, next) {
 	try {
 		const user = res.locals.user;
 
-		if (!user) {
-			throw new UnauthorizedError(); // If no user, unauthorized
-		}
+		if (!user || user.apiKeyId || user.id !== Number(req.params.id)) throw new UnauthorizedError();
+		return next();
+	} catch (err) {
+		return next(err);
+	}
+}
+
+/** Middleware to use when they must be the user matching the id provided as
+ *  route param, or an admin. Only the token is considered: colleagues don't
+ *  pass, whatever the query says, and nor do API keys.
+ *
+ *  If not, raises Unauthorized.
+ */
+
+function ensureSelfOrAdmin(req, res, next) {
+	try {
+		const user = res.locals.user;
+
+		if (!user || user.apiKeyId || !(user.isAdmin || user.id === Number(req.params.id))) throw new UnauthorizedError();
+		return next();
+	} catch (err) {
+		return next(err);
+	}
+}
+
+/** Middleware to use when they must be an admin, or a user of the company
+ *  whose id is the :companyId route param. Query parameters are not
+ *  considered, and API keys don't pass.
+ *
+ *  If not, raises Unauthorized.
+ */
 
-		const companyIdFromParams = Number(req.params.companyId);
-		const companyIdFromQuery = Number(req.query.companyId);
-		const userIdFromQuery = Number(req.query.userId);
-		const userIdFromParams = Number(req.params.userId);
+function ensureCompanyMemberOrAdmin(req, res, next) {
+	try {
+		const user = res.locals.user;
 
-		if (!((user && (user.isAdmin || user.id === Number(req.params.id) || user.id === userIdFromParams || user.id === userIdFromQuery)) || user.companyId === companyIdFromParams || user.companyId === companyIdFromQuery)) {
+		if (!user || user.apiKeyId || !(user.isAdmin || user.companyId === Number(req.params.companyId))) {
 			throw new UnauthorizedError();
 		}
 		return next();
@@ -85,9 +148,69 @@ function ensureCorrectUserOrAdmin(req, res, next) {
 	}
 }
 
+/** Middleware to use on routes for company-owned records (RFQs, quotes,
+ *  items, customers).
+ *
+ *  Stores the company every lookup must be constrained to on
+ *  res.locals.companyId. For regular users that is always the companyId in
+ *  their token, whatever the request asks for. Admins may pick a company with
+ *  ?companyId=, or leave it off to act across all companies.
+ *
+ *  If not logged in, or the token carries no company, raises Unauthorized.
+ */
+
+function ensureCompanyScope(req, res, next) {
+	try {
+		const user = res.locals.user;
+
+		if (!user) throw new UnauthorizedError();
+
+		if (user.isAdmin) {
+			res.locals.companyId = req.query.companyId ? Number(req.query.companyId) : undefined;
+		} else {
+			if (!user.companyId) throw new UnauthorizedError();
+			res.locals.companyId = user.companyId;
+		}
+		return next();
+	} catch (err) {
+		return next(err);
+	}
+}
+
+/** Middleware factory: require that the logged-in user's company role grants
+ *  `permission` (e.g. "quotes:approve"), or for an API key, that it has the
+ *  permission among its scopes. Admins always pass.
+ *
+ *  If not logged in, raises Unauthorized; if the role lacks the permission,
+ *  raises Forbidden.
+ */
+
+function requirePermission(permission) {
+	return function (req, res, next) {
+		try {
+			const user = res.locals.user;
+
+			if (!user) throw new UnauthorizedError();
+
+			const granted = user.scopes ? user.scopes.includes(permission) : hasPermission(user.role, permission);
+			if (!user.isAdmin && !granted) {
+				throw new ForbiddenError(`Missing permission: ${permission}`);
+			}
+			return next();
+		} catch (err) {
+			return next(err);
+		}
+	};
+}
+
 module.exports = {
 	authenticateJWT,
+	identifyActor,
 	ensureLoggedIn,
 	ensureAdmin,
-	ensureCorrectUserOrAdmin,
+	ensureCorrectUser,
+	ensureSelfOrAdmin,
+	ensureCompanyMemberOrAdmin,
+	ensureCompanyScope,
+	requirePermission,
 };
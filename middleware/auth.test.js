@@ -1,54 +1,148 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
-const { authenticateJWT, ensureLoggedIn, ensureAdmin, ensureCorrectUserOrAdmin } = require("./auth");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const { authenticateJWT, identifyActor, ensureLoggedIn, ensureAdmin, ensureCorrectUser, ensureSelfOrAdmin, ensureCompanyMemberOrAdmin, ensureCompanyScope, requirePermission } = require("./auth");
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ id: 1, isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ id: 1, isAdmin: false }, "wrong");
+const db = require("../db");
+const Session = require("../models/session");
+const testJwt = jwt.sign({ id: 1, isAdmin: false, sid: 1 }, SECRET_KEY, { expiresIn: 60 });
+const noSessionJwt = jwt.sign({ id: 1, isAdmin: false }, SECRET_KEY, { expiresIn: 60 });
+const badJwt = jwt.sign({ id: 1, isAdmin: false }, "wrong", { expiresIn: 60 });
+const expiredJwt = jwt.sign({ id: 1, isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 }, SECRET_KEY);
+const noExpiryJwt = jwt.sign({ id: 1, isAdmin: false }, SECRET_KEY);
+const challengeJwt = jwt.sign({ id: 1, purpose: "mfa" }, SECRET_KEY, { expiresIn: 60 });
 
 describe("authenticateJWT", function () {
-	test("works: via header", function () {
-		expect.assertions(2);
+	test("works: via header", async function () {
+		expect.assertions(3);
+		const isActive = jest.spyOn(Session, "isActive").mockResolvedValue(true);
 		const req = { headers: { authorization: `Bearer ${testJwt}` } };
 		const res = { locals: {} };
 		const next = function (err) {
 			expect(err).toBeFalsy();
 		};
-		authenticateJWT(req, res, next);
+		await authenticateJWT(req, res, next);
+		expect(isActive).toHaveBeenCalledWith(1, 1);
+		isActive.mockRestore();
 		expect(res.locals).toEqual({
 			user: {
 				iat: expect.any(Number),
+				exp: expect.any(Number),
 				id: 1,
 				isAdmin: false,
+				sid: 1,
 			},
 		});
 	});
 
-	test("works: no header", function () {
+	test("works: token without a session", async function () {
+		expect.assertions(2);
+		const req = { headers: { authorization: `Bearer ${noSessionJwt}` } };
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({});
+	});
+
+	test("works: no header", async function () {
 		expect.assertions(2);
 		const req = {};
 		const res = { locals: {} };
 		const next = function (err) {
 			expect(err).toBeFalsy();
 		};
-		authenticateJWT(req, res, next);
+		await authenticateJWT(req, res, next);
 		expect(res.locals).toEqual({});
 	});
 
-	test("works: invalid token", function () {
+	test("works: invalid token", async function () {
 		expect.assertions(2);
 		const req = { headers: { authorization: `Bearer ${badJwt}` } };
 		const res = { locals: {} };
 		const next = function (err) {
 			expect(err).toBeFalsy();
 		};
-		authenticateJWT(req, res, next);
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({});
+	});
+
+	test("works: expired token", async function () {
+		expect.assertions(2);
+		const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({});
+	});
+
+	test("works: token without an expiry", async function () {
+		expect.assertions(2);
+		const req = { headers: { authorization: `Bearer ${noExpiryJwt}` } };
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({});
+	});
+
+	test("works: two-factor challenge token", async function () {
+		expect.assertions(2);
+		const req = { headers: { authorization: `Bearer ${challengeJwt}` } };
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({});
+	});
+
+	test("works: unknown API key", async function () {
+		expect.assertions(2);
+		const req = { headers: { authorization: "ApiKey erfq_nope" } };
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		await authenticateJWT(req, res, next);
 		expect(res.locals).toEqual({});
 	});
 });
 
+describe("identifyActor", function () {
+	test("works", function () {
+		expect.assertions(2);
+		const req = { ip: "1.2.3.4" };
+		const res = { locals: { user: { id: 1, isAdmin: false } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		identifyActor(req, res, next);
+		expect(res.locals.actor).toEqual({ userId: 1, apiKeyId: null, ip: "1.2.3.4" });
+	});
+
+	test("works: API key", function () {
+		expect.assertions(1);
+		const req = { ip: "1.2.3.4" };
+		const res = { locals: { user: { apiKeyId: 5, companyId: 1, scopes: [], isAdmin: false } } };
+		identifyActor(req, res, () => {});
+		expect(res.locals.actor).toEqual({ userId: null, apiKeyId: 5, ip: "1.2.3.4" });
+	});
+
+	test("works: anon", function () {
+		expect.assertions(1);
+		const res = { locals: {} };
+		identifyActor({}, res, () => {});
+		expect(res.locals.actor).toEqual({ userId: null, apiKeyId: null, ip: null });
+	});
+});
+
 describe("ensureLoggedIn", function () {
 	test("works", function () {
 		expect.assertions(1);
@@ -102,3 +196,240 @@ describe("ensureAdmin", function () {
 		ensureAdmin(req, res, next);
 	});
 });
+
+describe("ensureCorrectUser", function () {
+	test("works", function () {
+		expect.assertions(1);
+		const req = { params: { id: "1" } };
+		const res = { locals: { user: { id: 1, isAdmin: false } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		ensureCorrectUser(req, res, next);
+	});
+
+	test("unauth if another user, even an admin", function () {
+		expect.assertions(1);
+		const req = { params: { id: "2" } };
+		const res = { locals: { user: { id: 1, isAdmin: true } } };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureCorrectUser(req, res, next);
+	});
+
+	test("unauth if anon", function () {
+		expect.assertions(1);
+		const req = { params: { id: "1" } };
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureCorrectUser(req, res, next);
+	});
+});
+
+describe("ensureSelfOrAdmin", function () {
+	test("works", function () {
+		expect.assertions(1);
+		const req = { params: { id: "1" }, query: {} };
+		const res = { locals: { user: { id: 1, companyId: 3, isAdmin: false } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		ensureSelfOrAdmin(req, res, next);
+	});
+
+	test("works: admin", function () {
+		expect.assertions(1);
+		const req = { params: { id: "2" }, query: {} };
+		const res = { locals: { user: { id: 1, companyId: 1, isAdmin: true } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		ensureSelfOrAdmin(req, res, next);
+	});
+
+	test("unauth for a colleague, whatever the query", function () {
+		expect.assertions(1);
+		const req = { params: { id: "2" }, query: { companyId: "3", userId: "1" } };
+		const res = { locals: { user: { id: 1, companyId: 3, isAdmin: false } } };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureSelfOrAdmin(req, res, next);
+	});
+
+	test("unauth for an API key", function () {
+		expect.assertions(1);
+		const req = { params: { id: "1" }, query: {} };
+		const res = { locals: { user: { apiKeyId: 1, companyId: 3, scopes: ["rfqs:read"], isAdmin: false } } };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureSelfOrAdmin(req, res, next);
+	});
+});
+
+describe("ensureCompanyMemberOrAdmin", function () {
+	test("works", function () {
+		expect.assertions(1);
+		const req = { params: { companyId: "3" }, query: {} };
+		const res = { locals: { user: { id: 1, companyId: 3, isAdmin: false } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		ensureCompanyMemberOrAdmin(req, res, next);
+	});
+
+	test("works: admin", function () {
+		expect.assertions(1);
+		const req = { params: { companyId: "3" }, query: {} };
+		const res = { locals: { user: { id: 1, companyId: 1, isAdmin: true } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		ensureCompanyMemberOrAdmin(req, res, next);
+	});
+
+	test("unauth for another company, whatever the query", function () {
+		expect.assertions(1);
+		const req = { params: { companyId: "3" }, query: { companyId: "1", userId: "1" } };
+		const res = { locals: { user: { id: 1, companyId: 1, isAdmin: false } } };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureCompanyMemberOrAdmin(req, res, next);
+	});
+
+	test("unauth for an API key", function () {
+		expect.assertions(1);
+		const req = { params: { companyId: "3" }, query: {} };
+		const res = { locals: { user: { apiKeyId: 1, companyId: 3, scopes: ["rfqs:read"], isAdmin: false } } };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureCompanyMemberOrAdmin(req, res, next);
+	});
+});
+
+describe("ensureCompanyScope", function () {
+	test("works: uses token company, not the query", function () {
+		expect.assertions(2);
+		const req = { query: { companyId: "2" } };
+		const res = { locals: { user: { id: 1, isAdmin: false, companyId: 1 } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		ensureCompanyScope(req, res, next);
+		expect(res.locals.companyId).toEqual(1);
+	});
+
+	test("works: admin picks company from query", function () {
+		expect.assertions(2);
+		const req = { query: { companyId: "2" } };
+		const res = { locals: { user: { id: 1, isAdmin: true } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		ensureCompanyScope(req, res, next);
+		expect(res.locals.companyId).toEqual(2);
+	});
+
+	test("works: admin unscoped", function () {
+		expect.assertions(2);
+		const req = { query: {} };
+		const res = { locals: { user: { id: 1, isAdmin: true } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		ensureCompanyScope(req, res, next);
+		expect(res.locals.companyId).toBeUndefined();
+	});
+
+	test("unauth if token has no company", function () {
+		expect.assertions(1);
+		const req = { query: {} };
+		const res = { locals: { user: { id: 1, isAdmin: false } } };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureCompanyScope(req, res, next);
+	});
+
+	test("unauth if anon", function () {
+		expect.assertions(1);
+		const req = { query: {} };
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureCompanyScope(req, res, next);
+	});
+});
+
+describe("requirePermission", function () {
+	test("works", function () {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: { user: { id: 1, isAdmin: false, role: "manager" } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		requirePermission("quotes:approve")(req, res, next);
+	});
+
+	test("works: admin without role", function () {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: { user: { id: 1, isAdmin: true } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		requirePermission("roles:manage")(req, res, next);
+	});
+
+	test("forbidden if role lacks permission", function () {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: { user: { id: 1, isAdmin: false, role: "read_only" } } };
+		const next = function (err) {
+			expect(err instanceof ForbiddenError).toBeTruthy();
+		};
+		requirePermission("quotes:write")(req, res, next);
+	});
+
+	test("works: API key with the scope", function () {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: { user: { apiKeyId: 1, companyId: 1, scopes: ["rfqs:read", "rfqs:write"], isAdmin: false } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		requirePermission("rfqs:write")(req, res, next);
+	});
+
+	test("forbidden if API key lacks the scope", function () {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: { user: { apiKeyId: 1, companyId: 1, scopes: ["rfqs:read"], isAdmin: false } } };
+		const next = function (err) {
+			expect(err instanceof ForbiddenError).toBeTruthy();
+		};
+		requirePermission("quotes:read")(req, res, next);
+	});
+
+	test("unauth if anon", function () {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		requirePermission("quotes:read")(req, res, next);
+	});
+});
+
+afterAll(async function () {
+	await db.end();
+});
@@ -4,22 +4,34 @@ const { BCRYPT_WORK_FACTOR } = require("../config");
 
 const testCompanyIds = [];
 const testUserIds = [];
+const testCustomerIds = [];
 const testCustomerNames = [];
 const testItemCodes = [];
 const testRfqIds = [];
 const testQuoteIds = [];
 
+const tables = [];
+
+/** Empty every table and restart its id sequences. */
+
+async function clearTables() {
+	await db.query(`TRUNCATE ${tables.join(", ")} RESTART IDENTITY CASCADE`);
+}
+
 async function commonBeforeAll() {
+	const result = await db.query(`SELECT tablename FROM pg_tables WHERE schemaname = 'public'`);
+	tables.splice(0, tables.length, ...result.rows.map((r) => r.tablename));
+
 	// Clean up previous data
-	await db.query("DELETE FROM quote_items");
-	await db.query("DELETE FROM rfq_items");
-	await db.query("DELETE FROM quotes");
-	await db.query("DELETE FROM rfqs");
-	await db.query("DELETE FROM company_items");
-	await db.query("DELETE FROM company_customers");
-	await db.query("DELETE FROM users");
-	await db.query("DELETE FROM companies");
+	await clearTables();
+}
 
+/** Load the fixtures. Models commit their own transactions on pooled
+ *  connections, so tests can't be rolled back; instead every test gets a
+ *  fresh copy, with the same ids each time.
+ */
+
+async function commonBeforeEach() {
 	// Insert data into companies table
 	const companyResults = await db.query(`
     INSERT INTO companies(name, address_line1, address_line2, city, state, country, phone_main)
@@ -29,33 +41,34 @@ async function commonBeforeAll() {
       ('Company 3', '789 Pine St', 'Suite 303', 'City 3', 'ST', 'USA', '555-123-4567')
     RETURNING id`);
 
-	testCompanyIds.splice(0, 0, ...companyResults.rows.map((r) => r.id));
+	testCompanyIds.splice(0, testCompanyIds.length, ...companyResults.rows.map((r) => r.id));
 
 	// Insert data into users table
 	const userResults = await db.query(
 		`
-    INSERT INTO users(email, password, full_name, phone, is_admin, company_id)
+    INSERT INTO users(email, password, full_name, phone, is_admin, company_id, role, email_verified_at)
     VALUES 
-      ('user1@example.com', $1, 'User One', '111-222-3333', FALSE, $2),
-      ('user2@example.com', $2, 'User Two', '444-555-6666', TRUE, $3)
+      ('user1@example.com', $1, 'User One', '111-222-3333', FALSE, $3, 'owner', NOW()),
+      ('user2@example.com', $2, 'User Two', '444-555-6666', TRUE, $4, 'owner', NOW())
     RETURNING id`,
 		[await bcrypt.hash("password1", BCRYPT_WORK_FACTOR), await bcrypt.hash("password2", BCRYPT_WORK_FACTOR), testCompanyIds[0], testCompanyIds[1]]
 	);
 
-	testUserIds.splice(0, 0, ...userResults.rows.map((r) => r.id));
+	testUserIds.splice(0, testUserIds.length, ...userResults.rows.map((r) => r.id));
 
 	// Insert data into company_customers table
 	const customerResults = await db.query(
 		`
     INSERT INTO company_customers(company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup)
     VALUES 
-      ($1, 'Customer 1', '1000 Market St', 'Apt 1', 'City 1', 'ST', 'USA', '333-444-5555', 'Percentage', 10),
-      ($2, 'Customer 2', '2000 Broad St', 'Apt 2', 'City 2', 'ST', 'USA', '666-777-8888', 'Flat', 20)
-    RETURNING company_id, customer_name`,
+      ($1, 'Customer1', '123 Main St', 'Apt 4B', 'New York', 'NY', 'USA', '123-456-7890', 'percentage', 15),
+      ($2, 'Customer2', '2000 Broad St', 'Apt 2', 'City 2', 'ST', 'USA', '666-777-8888', 'fixed', 20)
+    RETURNING id, company_id, customer_name`,
 		[testCompanyIds[0], testCompanyIds[1]]
 	);
 
-	testCustomerNames.push(...customerResults.rows.map((r) => r.customer_name));
+	testCustomerIds.splice(0, testCustomerIds.length, ...customerResults.rows.map((r) => r.id));
+	testCustomerNames.splice(0, testCustomerNames.length, ...customerResults.rows.map((r) => r.customer_name));
 
 	// Insert data into company_items table
 	const itemResults = await db.query(
@@ -69,33 +82,33 @@ async function commonBeforeAll() {
 		[testCompanyIds[0], testCompanyIds[1]]
 	);
 
-	testItemCodes.push(...itemResults.rows.map((r) => r.item_code));
+	testItemCodes.splice(0, testItemCodes.length, ...itemResults.rows.map((r) => r.item_code));
 
 	// Insert data into rfqs table
 	const rfqResults = await db.query(
 		`
-    INSERT INTO rfqs(company_id, customer_name, user_id, rfq_number)
+    INSERT INTO rfqs(company_id, customer_id, user_id, rfq_number)
     VALUES 
       ($1, $2, $3, 'RFQ001'),
-      ($2, $3, $4, 'RFQ002')
+      ($4, $5, $6, 'RFQ002')
     RETURNING id`,
-		[testCompanyIds[0], testCustomerNames[0], testUserIds[0], testUserIds[1]]
+		[testCompanyIds[0], testCustomerIds[0], testUserIds[0], testCompanyIds[1], testCustomerIds[1], testUserIds[1]]
 	);
 
-	testRfqIds.push(...rfqResults.rows.map((r) => r.id));
+	testRfqIds.splice(0, testRfqIds.length, ...rfqResults.rows.map((r) => r.id));
 
 	// Insert data into quotes table
 	const quoteResults = await db.query(
 		`
-    INSERT INTO quotes(company_id, customer_name, user_id, quote_number, valid_until)
+    INSERT INTO quotes(company_id, customer_id, user_id, quote_number, valid_until)
     VALUES 
-      ($1, $2, $3, 'QUOTE001', '2025-12-31'),
-      ($2, $3, $4, 'QUOTE002', '2025-12-31')
+      ($1, $2, $3, 'QUOTE001', '2099-12-31'),
+      ($4, $5, $6, 'QUOTE002', '2099-12-31')
     RETURNING id`,
-		[testCompanyIds[0], testCustomerNames[0], testUserIds[0], testUserIds[1]]
+		[testCompanyIds[0], testCustomerIds[0], testUserIds[0], testCompanyIds[1], testCustomerIds[1], testUserIds[1]]
 	);
 
-	testQuoteIds.push(...quoteResults.rows.map((r) => r.id));
+	testQuoteIds.splice(0, testQuoteIds.length, ...quoteResults.rows.map((r) => r.id));
 
 	// Insert data into rfq_items table
 	await db.query(
@@ -103,8 +116,8 @@ async function commonBeforeAll() {
     INSERT INTO rfq_items(rfq_id, company_id, item_code, quantity, item_description, item_cost)
     VALUES 
       ($1, $2, 'ITEM001', 5, 'Item 1 Description', 50.00),
-      ($2, $3, 'ITEM003', 10, 'Item 3 Description', 150.00)`,
-		[testRfqIds[0], testCompanyIds[0], testCompanyIds[1]]
+      ($3, $4, 'ITEM003', 10, 'Item 3 Description', 150.00)`,
+		[testRfqIds[0], testCompanyIds[0], testRfqIds[1], testCompanyIds[1]]
 	);
 
 	// Insert data into quote_items table
@@ -113,17 +126,13 @@ async function commonBeforeAll() {
     INSERT INTO quote_items(quote_id, company_id, item_code, quantity, item_description, item_price)
     VALUES 
       ($1, $2, 'ITEM001', 3, 'Item 1 Description', 50.00),
-      ($2, $3, 'ITEM002', 4, 'Item 2 Description', 100.00)`,
-		[testQuoteIds[0], testCompanyIds[0], testCompanyIds[1]]
+      ($3, $4, 'ITEM003', 4, 'Item 3 Description', 100.00)`,
+		[testQuoteIds[0], testCompanyIds[0], testQuoteIds[1], testCompanyIds[1]]
 	);
 }
 
-async function commonBeforeEach() {
-	await db.query("BEGIN");
-}
-
 async function commonAfterEach() {
-	await db.query("ROLLBACK");
+	await clearTables();
 }
 
 async function commonAfterAll() {
@@ -137,6 +146,7 @@ module.exports = {
 	commonAfterAll,
 	testCompanyIds,
 	testUserIds,
+	testCustomerIds,
 	testCustomerNames,
 	testItemCodes,
 	testRfqIds,
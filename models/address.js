@@ -0,0 +1,274 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate, validateUpdateFields } = require("../helpers/sql");
+const Audit = require("./audit");
+const Customer = require("./customer");
+
+/** Kinds of customer address. Quotes bill to a billing address and ship to a
+ *  shipping address or a plant. */
+
+const ADDRESS_TYPES = ["billing", "shipping", "plant"];
+const BILL_TO_TYPES = ["billing"];
+const SHIP_TO_TYPES = ["shipping", "plant"];
+
+/** Fields Address.update accepts; an address stays with its customer. */
+
+const UPDATE_FIELDS = ["address_type", "label", "address_line1", "address_line2", "city", "state", "country", "is_default"];
+
+/** Columns returned for an address. */
+
+const ADDRESS_COLUMNS = `id,
+                         company_id AS "companyId",
+                         customer_id AS "customerId",
+                         address_type AS "addressType",
+                         label,
+                         address_line1 AS "addressLine1",
+                         address_line2 AS "addressLine2",
+                         city,
+                         state,
+                         country,
+                         is_default AS "isDefault",
+                         created_at AS "createdAt"`;
+
+/** Columns copied onto a quote when an address is selected for it. */
+
+const SNAPSHOT_COLUMNS = `id AS "addressId",
+                          address_type AS "addressType",
+                          label,
+                          address_line1 AS "addressLine1",
+                          address_line2 AS "addressLine2",
+                          city,
+                          state,
+                          country`;
+
+function validateType(addressType) {
+	if (addressType !== undefined && !ADDRESS_TYPES.includes(addressType)) {
+		throw new BadRequestError(`Invalid address type: ${addressType}. Use one of: ${ADDRESS_TYPES.join(", ")}`);
+	}
+}
+
+/** Take the default flag from the customer's other addresses of this type; call inside a transaction. */
+
+async function clearDefault(customerId, addressType, exceptId = null) {
+	await db.query(
+		`UPDATE customer_addresses
+		 SET is_default = FALSE
+		 WHERE customer_id = $1 AND address_type = $2 AND is_default AND id IS DISTINCT FROM $3`,
+		[customerId, addressType, exceptId]
+	);
+}
+
+/** Related functions for a customer's address book.
+ *
+ * Each address is a billing address, a shipping address or a plant, and one
+ * of each type can be the default. Quotes don't point at these rows: the
+ * addresses selected for a quote are copied onto it (see Address.snapshot),
+ * so editing or deleting an address never changes a quote already written.
+ *
+ * Methods that change data take a trailing `actor` and record the change in
+ * the audit log (see models/audit.js).
+ */
+
+class Address {
+	/** Add an address to a customer.
+	 *
+	 * data should be { address_type, label, address_line1, address_line2, city, state, country, is_default }
+	 *
+	 * Returns { id, companyId, customerId, addressType, label, addressLine1, addressLine2, city, state, country, isDefault, createdAt }
+	 *
+	 * Throws NotFoundError if the company has no such customer, and
+	 * BadRequestError for an invalid type or a missing address_line1.
+	 */
+	static async create(companyId, customerId, data, actor = {}) {
+		const { address_type, label = null, address_line1, address_line2 = null, city = null, state = null, country = "USA", is_default = false } = data;
+
+		if (!address_type) throw new BadRequestError("address_type is required.");
+		validateType(address_type);
+		if (!address_line1) throw new BadRequestError("address_line1 is required.");
+		await Customer.ensureExists(companyId, customerId);
+
+		return db.transaction(async () => {
+			if (is_default) await clearDefault(customerId, address_type);
+
+			const result = await db.query(
+				`INSERT INTO customer_addresses
+				 (company_id, customer_id, address_type, label, address_line1, address_line2, city, state, country, is_default)
+				 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+				 RETURNING ${ADDRESS_COLUMNS}`,
+				[companyId, customerId, address_type, label, address_line1, address_line2, city, state, country, Boolean(is_default)]
+			);
+			const address = result.rows[0];
+
+			await Audit.record({
+				actor,
+				companyId: address.companyId,
+				entityType: "address",
+				entityId: address.id,
+				action: "create",
+				after: await Audit.snapshot("customer_addresses", "id = $1", [address.id]),
+			});
+
+			return address;
+		});
+	}
+
+	/** List a customer's addresses, by type with the defaults first.
+	 *
+	 * Returns [{ id, companyId, customerId, addressType, label, addressLine1, addressLine2, city, state, country, isDefault, createdAt }, ...]
+	 *
+	 * Throws NotFoundError if the company has no such customer.
+	 */
+	static async findAll(companyId, customerId) {
+		await Customer.ensureExists(companyId, customerId);
+
+		const result = await db.query(
+			`SELECT ${ADDRESS_COLUMNS}
+			 FROM customer_addresses
+			 WHERE company_id = $1 AND customer_id = $2
+			 ORDER BY address_type, is_default DESC, label, id`,
+			[companyId, customerId]
+		);
+
+		return result.rows;
+	}
+
+	/** Get one of a customer's addresses.
+	 *
+	 * Throws NotFoundError if the customer has no such address.
+	 */
+	static async get(companyId, customerId, addressId) {
+		const result = await db.query(
+			`SELECT ${ADDRESS_COLUMNS}
+			 FROM customer_addresses
+			 WHERE company_id = $1 AND customer_id = $2 AND id = $3`,
+			[companyId, customerId, addressId]
+		);
+
+		const address = result.rows[0];
+		if (!address) throw new NotFoundError(`No address: ${addressId}`);
+
+		return address;
+	}
+
+	/** Update an address; only the fields given change.
+	 *
+	 * Data can include: { address_type, label, address_line1, address_line2, city, state, country, is_default }
+	 *
+	 * Returns { id, companyId, customerId, addressType, label, addressLine1, addressLine2, city, state, country, isDefault, createdAt }
+	 *
+	 * Throws NotFoundError if the customer has no such address, and
+	 * BadRequestError for any other field, an invalid type or an empty
+	 * address_line1.
+	 */
+	static async update(companyId, customerId, addressId, data, actor = {}) {
+		validateUpdateFields(data, UPDATE_FIELDS);
+		validateType(data.address_type);
+		if ("address_line1" in data && !data.address_line1) throw new BadRequestError("address_line1 is required.");
+
+		const { setCols, values } = sqlForPartialUpdate(data, {
+			address_type: "address_type",
+			label: "label",
+			address_line1: "address_line1",
+			address_line2: "address_line2",
+			city: "city",
+			state: "state",
+			country: "country",
+			is_default: "is_default",
+		});
+
+		const idx = values.length;
+		const before = await Audit.snapshot("customer_addresses", "id = $1", [addressId]);
+
+		try {
+			return await db.transaction(async () => {
+				if (data.is_default && before) await clearDefault(customerId, data.address_type || before.address_type, addressId);
+
+				const result = await db.query(
+					`UPDATE customer_addresses
+					 SET ${setCols}
+					 WHERE company_id = $${idx + 1} AND customer_id = $${idx + 2} AND id = $${idx + 3}
+					 RETURNING ${ADDRESS_COLUMNS}`,
+					[...values, companyId, customerId, addressId]
+				);
+				const address = result.rows[0];
+				if (!address) throw new NotFoundError(`No address: ${addressId}`);
+
+				await Audit.record({
+					actor,
+					companyId: address.companyId,
+					entityType: "address",
+					entityId: address.id,
+					action: "update",
+					before,
+					after: await Audit.snapshot("customer_addresses", "id = $1", [address.id]),
+				});
+
+				return address;
+			});
+		} catch (err) {
+			if (err.code === "23505") throw new BadRequestError(`Customer ${customerId} already has a default ${data.address_type} address`);
+			throw err;
+		}
+	}
+
+	/** Delete an address. Quotes keep their copies of it.
+	 *
+	 * Throws NotFoundError if the customer has no such address.
+	 */
+	static async remove(companyId, customerId, addressId, actor = {}) {
+		const before = await Audit.snapshot("customer_addresses", "id = $1", [addressId]);
+
+		const result = await db.query(
+			`DELETE FROM customer_addresses
+			 WHERE company_id = $1 AND customer_id = $2 AND id = $3
+			 RETURNING id`,
+			[companyId, customerId, addressId]
+		);
+		if (!result.rows[0]) throw new NotFoundError(`No address: ${addressId}`);
+
+		await Audit.record({ actor, companyId, entityType: "address", entityId: addressId, action: "delete", before });
+	}
+
+	/** Copy of an address to store on a quote as its bill-to or ship-to.
+	 *
+	 * `use` is "billTo" or "shipTo". With an addressId, that address is copied
+	 * and must be one of the customer's, of a type that suits `use`. Left
+	 * undefined, the customer's default of the first suitable type is copied,
+	 * if there is one; null means no address.
+	 *
+	 * Returns { addressId, addressType, label, addressLine1, addressLine2, city, state, country }, or null.
+	 *
+	 * Throws BadRequestError for an address that isn't the customer's or doesn't suit `use`.
+	 */
+	static async snapshot(customerId, use, addressId) {
+		const types = use === "billTo" ? BILL_TO_TYPES : SHIP_TO_TYPES;
+
+		if (addressId === null) return null;
+
+		if (addressId === undefined) {
+			const result = await db.query(
+				`SELECT ${SNAPSHOT_COLUMNS}
+				 FROM customer_addresses
+				 WHERE customer_id = $1 AND is_default AND address_type = ANY($2::text[])
+				 ORDER BY array_position($2::text[], address_type::text)
+				 LIMIT 1`,
+				[customerId, types]
+			);
+			return result.rows[0] || null;
+		}
+
+		const result = await db.query(`SELECT ${SNAPSHOT_COLUMNS} FROM customer_addresses WHERE customer_id = $1 AND id = $2`, [customerId, addressId]);
+		const address = result.rows[0];
+
+		if (!address) throw new BadRequestError(`Address ${addressId} is not an address of customer ${customerId}`);
+		if (!types.includes(address.addressType)) {
+			throw new BadRequestError(`A ${address.addressType} address can't be used as the ${use === "billTo" ? "bill-to" : "ship-to"} address`);
+		}
+
+		return address;
+	}
+}
+
+module.exports = Address;
@@ -0,0 +1,143 @@
+"use strict";
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Address = require("./address.js");
+const Customer = require("./customer.js");
+const Quote = require("./quote.js");
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testCompanyIds, testCustomerIds, testQuoteIds } = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const billing = { address_type: "billing", label: "Accounts", address_line1: "1 Finance Way", city: "New York", state: "NY", is_default: true };
+const plant = { address_type: "plant", label: "Plant 2", address_line1: "99 Factory Rd", city: "Austin", state: "TX", is_default: true };
+
+/************************************** create */
+
+describe("create", function () {
+	test("works", async function () {
+		const address = await Address.create(testCompanyIds[0], testCustomerIds[0], billing);
+		expect(address).toEqual({
+			id: expect.any(Number),
+			companyId: testCompanyIds[0],
+			customerId: testCustomerIds[0],
+			addressType: "billing",
+			label: "Accounts",
+			addressLine1: "1 Finance Way",
+			addressLine2: null,
+			city: "New York",
+			state: "NY",
+			country: "USA",
+			isDefault: true,
+			createdAt: expect.any(Date),
+		});
+	});
+
+	test("a new default takes the flag from the old one of its type only", async function () {
+		const oldBilling = await Address.create(testCompanyIds[0], testCustomerIds[0], billing);
+		const oldPlant = await Address.create(testCompanyIds[0], testCustomerIds[0], plant);
+		const newBilling = await Address.create(testCompanyIds[0], testCustomerIds[0], { ...billing, label: "New accounts" });
+
+		const addresses = await Address.findAll(testCompanyIds[0], testCustomerIds[0]);
+		expect(addresses.map((a) => [a.id, a.isDefault])).toEqual([
+			[newBilling.id, true],
+			[oldBilling.id, false],
+			[oldPlant.id, true],
+		]);
+	});
+
+	test("bad request for a missing or invalid type, or no address_line1", async function () {
+		await expect(Address.create(testCompanyIds[0], testCustomerIds[0], { address_line1: "1 Main St" })).rejects.toThrow(BadRequestError);
+		await expect(Address.create(testCompanyIds[0], testCustomerIds[0], { ...billing, address_type: "home" })).rejects.toThrow(BadRequestError);
+		await expect(Address.create(testCompanyIds[0], testCustomerIds[0], { ...billing, address_line1: "" })).rejects.toThrow(BadRequestError);
+	});
+
+	test("not found for another company's customer", async function () {
+		await expect(Address.create(testCompanyIds[1], testCustomerIds[0], billing)).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** Customer.get */
+
+describe("Customer.get", function () {
+	test("includes the address book", async function () {
+		const { id } = await Address.create(testCompanyIds[0], testCustomerIds[0], billing);
+
+		const customer = await Customer.get(testCompanyIds[0], testCustomerIds[0]);
+		expect(customer.addresses).toEqual([expect.objectContaining({ id, addressType: "billing", isDefault: true })]);
+	});
+});
+
+/************************************** update */
+
+describe("update", function () {
+	test("works", async function () {
+		const { id } = await Address.create(testCompanyIds[0], testCustomerIds[0], plant);
+
+		const address = await Address.update(testCompanyIds[0], testCustomerIds[0], id, { address_type: "shipping", label: "Dock" });
+		expect(address).toEqual(expect.objectContaining({ id, addressType: "shipping", label: "Dock" }));
+	});
+
+	test("bad request for the address's customer or company", async function () {
+		const { id } = await Address.create(testCompanyIds[0], testCustomerIds[0], billing);
+		await expect(Address.update(testCompanyIds[0], testCustomerIds[0], id, { customer_id: testCustomerIds[1] })).rejects.toThrow(BadRequestError);
+		await expect(Address.update(testCompanyIds[0], testCustomerIds[0], id, { company_id: testCompanyIds[1] })).rejects.toThrow(BadRequestError);
+
+		const res = await db.query("SELECT company_id, customer_id FROM customer_addresses WHERE id = $1", [id]);
+		expect(res.rows).toEqual([{ company_id: testCompanyIds[0], customer_id: testCustomerIds[0] }]);
+	});
+
+	test("not found for another company", async function () {
+		const { id } = await Address.create(testCompanyIds[0], testCustomerIds[0], billing);
+		await expect(Address.update(testCompanyIds[1], testCustomerIds[0], id, { label: "Mine" })).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+	test("works", async function () {
+		const { id } = await Address.create(testCompanyIds[0], testCustomerIds[0], billing);
+		await Address.remove(testCompanyIds[0], testCustomerIds[0], id);
+		await expect(Address.get(testCompanyIds[0], testCustomerIds[0], id)).rejects.toThrow(NotFoundError);
+	});
+
+	test("not found for another company", async function () {
+		const { id } = await Address.create(testCompanyIds[0], testCustomerIds[0], billing);
+		await expect(Address.remove(testCompanyIds[1], testCustomerIds[0], id)).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** snapshot */
+
+describe("snapshot", function () {
+	test("copies the named address, or else the default", async function () {
+		const defaultBilling = await Address.create(testCompanyIds[0], testCustomerIds[0], billing);
+		const other = await Address.create(testCompanyIds[0], testCustomerIds[0], { ...billing, label: "Other", is_default: false });
+
+		expect(await Address.snapshot(testCustomerIds[0], "billTo", other.id)).toEqual(expect.objectContaining({ addressId: other.id, label: "Other" }));
+		expect(await Address.snapshot(testCustomerIds[0], "billTo", undefined)).toEqual(expect.objectContaining({ addressId: defaultBilling.id }));
+		expect(await Address.snapshot(testCustomerIds[0], "billTo", null)).toEqual(null);
+		expect(await Address.snapshot(testCustomerIds[0], "shipTo", undefined)).toEqual(null);
+	});
+
+	test("bad request for another customer's address, or the wrong type", async function () {
+		const address = await Address.create(testCompanyIds[0], testCustomerIds[0], billing);
+		await expect(Address.snapshot(testCustomerIds[1], "billTo", address.id)).rejects.toThrow(BadRequestError);
+		await expect(Address.snapshot(testCustomerIds[0], "shipTo", address.id)).rejects.toThrow(BadRequestError);
+	});
+
+	test("a quote keeps its copy when the address changes", async function () {
+		const address = await Address.create(testCompanyIds[0], testCustomerIds[0], plant);
+		await Quote.update(testQuoteIds[0], { ship_to_address_id: address.id }, testCompanyIds[0]);
+
+		await Address.update(testCompanyIds[0], testCustomerIds[0], address.id, { address_line1: "1 New Rd" });
+		await Address.remove(testCompanyIds[0], testCustomerIds[0], address.id);
+
+		const quote = await Quote.get(testQuoteIds[0], testCompanyIds[0]);
+		expect(quote.shipTo).toEqual(expect.objectContaining({ addressId: address.id, addressLine1: "99 Factory Rd" }));
+	});
+});
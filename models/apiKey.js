@@ -0,0 +1,117 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { validateScopes } = require("../helpers/permissions");
+
+/** Keys look like "erfq_<64 hex chars>"; the prefix makes them easy to spot in config and logs. */
+
+const KEY_PREFIX = "erfq_";
+const DISPLAYED_KEY_LENGTH = KEY_PREFIX.length + 8;
+
+/** Columns returned for an API key. */
+
+const API_KEY_COLUMNS = `id,
+       company_id AS "companyId",
+       name,
+       key_prefix AS "keyPrefix",
+       scopes,
+       created_by AS "createdBy",
+       created_at AS "createdAt",
+       last_used_at AS "lastUsedAt",
+       revoked_at AS "revokedAt"`;
+
+/** Related functions for company API keys.
+ *
+ * An API key lets an integration act for its company, with only the
+ * permissions in its scopes, without signing in as a user. The key itself is
+ * shown once, when created; only its SHA-256 hash is stored.
+ */
+
+class ApiKey {
+	/** Create an API key for a company.
+	 *
+	 * data should be { name, scopes }
+	 *
+	 * Returns { apiKey: { id, companyId, name, keyPrefix, scopes, createdBy, createdAt, lastUsedAt, revokedAt }, key }
+	 *
+	 * Throws BadRequestError for a missing name or invalid scopes.
+	 */
+
+	static async create(companyId, { name, scopes } = {}, createdBy = null) {
+		if (!name) throw new BadRequestError("name is required.");
+		validateScopes(scopes);
+
+		const key = `${KEY_PREFIX}${createRandomToken()}`;
+
+		const result = await db.query(
+			`INSERT INTO api_keys (company_id, name, key_prefix, key_hash, scopes, created_by)
+			 VALUES ($1, $2, $3, $4, $5, $6)
+			 RETURNING ${API_KEY_COLUMNS}`,
+			[companyId, name, key.slice(0, DISPLAYED_KEY_LENGTH), hashToken(key), [...new Set(scopes)], createdBy]
+		);
+
+		return { apiKey: result.rows[0], key };
+	}
+
+	/** List a company's API keys, revoked ones included.
+	 *
+	 * Returns [{ id, companyId, name, keyPrefix, scopes, createdBy, createdAt, lastUsedAt, revokedAt }, ...]
+	 */
+
+	static async findAll(companyId) {
+		const result = await db.query(
+			`SELECT ${API_KEY_COLUMNS}
+			 FROM api_keys
+			 WHERE company_id = $1
+			 ORDER BY created_at DESC, id DESC`,
+			[companyId]
+		);
+
+		return result.rows;
+	}
+
+	/** Revoke an API key; it stops working at once.
+	 *
+	 * Returns { id, companyId, name, keyPrefix, scopes, createdBy, createdAt, lastUsedAt, revokedAt }
+	 *
+	 * Throws NotFoundError if the company has no such active key.
+	 */
+
+	static async revoke(companyId, id) {
+		const result = await db.query(
+			`UPDATE api_keys
+			 SET revoked_at = NOW()
+			 WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL
+			 RETURNING ${API_KEY_COLUMNS}`,
+			[id, companyId]
+		);
+
+		const apiKey = result.rows[0];
+		if (!apiKey) throw new NotFoundError(`No active API key: ${id}`);
+
+		return apiKey;
+	}
+
+	/** Look up an active key presented by a client, recording that it was used.
+	 *
+	 * Returns { id, companyId, scopes }, or null if the key is unknown or revoked.
+	 */
+
+	static async authenticate(key) {
+		if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+		const result = await db.query(
+			`UPDATE api_keys
+			 SET last_used_at = NOW()
+			 WHERE key_hash = $1 AND revoked_at IS NULL
+			 RETURNING id, company_id AS "companyId", scopes`,
+			[hashToken(key)]
+		);
+
+		return result.rows[0] || null;
+	}
+}
+
+module.exports = ApiKey;
@@ -0,0 +1,155 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+
+/** Columns never copied into audit snapshots. */
+
+const REDACTED_COLUMNS = ["password", "mfa_secret"];
+
+/** Columns returned for an audit entry. */
+
+const AUDIT_COLUMNS = `audit_log.id,
+       audit_log.company_id AS "companyId",
+       audit_log.actor_id AS "actorId",
+       users.full_name AS "actorName",
+       audit_log.api_key_id AS "apiKeyId",
+       audit_log.entity_type AS "entityType",
+       audit_log.entity_id AS "entityId",
+       audit_log.action,
+       audit_log.before,
+       audit_log.after,
+       audit_log.ip,
+       audit_log.created_at AS "createdAt"`;
+
+/** Throw BadRequestError unless `value` parses as a date or timestamp. */
+
+function validateDate(name, value) {
+	if (Number.isNaN(new Date(value).getTime())) throw new BadRequestError(`${name} must be a date or timestamp: ${value}`);
+}
+
+/** Related functions for the audit log.
+ *
+ * The log is append-only: entries are recorded, never updated or deleted.
+ *
+ * Model methods that change data take a trailing `actor`, which is
+ * res.locals.actor in routes: { userId, apiKeyId, ip } for whoever made the
+ * request. Left off, the change is recorded as made by the system.
+ */
+
+class Audit {
+	/** Record an audit entry.
+	 *
+	 * entry should be { actor, companyId, entityType, entityId, action, before, after };
+	 * only entityType and action are required. actorId, apiKeyId and ip can be
+	 * given in place of actor.
+	 *
+	 * Returns { id, createdAt }
+	 */
+
+	static async record({
+		actor = {},
+		companyId = null,
+		actorId = actor.userId || null,
+		apiKeyId = actor.apiKeyId || null,
+		entityType,
+		entityId = null,
+		action,
+		before = null,
+		after = null,
+		ip = actor.ip || null,
+	}) {
+		const result = await db.query(
+			`INSERT INTO audit_log (company_id, actor_id, api_key_id, entity_type, entity_id, action, before, after, ip)
+			 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+			 RETURNING id, created_at AS "createdAt"`,
+			[companyId, actorId, apiKeyId, entityType, entityId === null ? null : String(entityId), action, before && JSON.stringify(before), after && JSON.stringify(after), ip]
+		);
+
+		return result.rows[0];
+	}
+
+	/** Read a row as it is now, for an entry's before or after.
+	 *
+	 * `where` is an SQL condition on the table's columns using `values`, like
+	 * ("rfqs", "id = $1", [12]). Secrets (REDACTED_COLUMNS) are left out.
+	 *
+	 * Returns the row's columns as stored, or null if there's no such row.
+	 */
+
+	static async snapshot(table, where, values) {
+		const result = await db.query(`SELECT to_jsonb(t) - $${values.length + 1}::text[] AS row FROM ${table} t WHERE ${where}`, [...values, REDACTED_COLUMNS]);
+		return result.rows[0] ? result.rows[0].row : null;
+	}
+
+	/** List a company's audit entries, newest first.
+	 *
+	 * searchFilters can include:
+	 *  - entityType, entityId: entries about one kind of record, or one record
+	 *  - userId: entries made by one user
+	 *  - action: e.g. "update"
+	 *  - from, to: dates or timestamps bounding createdAt (inclusive)
+	 *  - limit (default 100, at most 500), offset
+	 *
+	 * Returns [{ id, companyId, actorId, actorName, apiKeyId, entityType, entityId, action, before, after, ip, createdAt }, ...]
+	 *
+	 * Throws BadRequestError for a date that doesn't parse or a userId that isn't an id.
+	 */
+
+	static async findAll(companyId, { entityType, entityId, userId, action, from, to, limit = 100, offset = 0 } = {}) {
+		const values = [companyId];
+		let where = "audit_log.company_id = $1";
+
+		if (entityType) {
+			values.push(entityType);
+			where += ` AND audit_log.entity_type = $${values.length}`;
+		}
+
+		if (entityId) {
+			values.push(String(entityId));
+			where += ` AND audit_log.entity_id = $${values.length}`;
+		}
+
+		if (userId) {
+			if (!/^\d+$/.test(String(userId))) throw new BadRequestError(`userId must be a user id: ${userId}`);
+			values.push(userId);
+			where += ` AND audit_log.actor_id = $${values.length}`;
+		}
+
+		if (action) {
+			values.push(action);
+			where += ` AND audit_log.action = $${values.length}`;
+		}
+
+		if (from) {
+			validateDate("from", from);
+			values.push(from);
+			where += ` AND audit_log.created_at >= $${values.length}::timestamp`;
+		}
+
+		if (to) {
+			validateDate("to", to);
+			values.push(to);
+			// A bare date means the whole of that day
+			where += /^\d{4}-\d{2}-\d{2}$/.test(to)
+				? ` AND audit_log.created_at < $${values.length}::date + 1`
+				: ` AND audit_log.created_at <= $${values.length}::timestamp`;
+		}
+
+		values.push(Math.min(Math.max(Number(limit) || 100, 1), 500), Math.max(Number(offset) || 0, 0));
+
+		const result = await db.query(
+			`SELECT ${AUDIT_COLUMNS}
+			 FROM audit_log
+			 LEFT JOIN users ON users.id = audit_log.actor_id
+			 WHERE ${where}
+			 ORDER BY audit_log.created_at DESC, audit_log.id DESC
+			 LIMIT $${values.length - 1} OFFSET $${values.length}`,
+			values
+		);
+
+		return result.rows;
+	}
+}
+
+module.exports = Audit;
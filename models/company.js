@@ -2,9 +2,70 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, validateUpdateFields } = require("../helpers/sql");
+const { DOC_TYPES, RESET_PERIODS, DEFAULT_NUMBERING, validateDocType, formatDocumentNumber } = require("../helpers/numbering");
+const { DEFAULT_MARGIN_POLICY } = require("../helpers/pricing");
+const Audit = require("./audit");
+
+/** Columns returned for a company numbering scheme. */
+
+const NUMBERING_COLUMNS = `doc_type AS "docType",
+       prefix,
+       include_year AS "includeYear",
+       padding,
+       reset_period AS "resetPeriod",
+       last_number AS "lastNumber",
+       period_key AS "periodKey"`;
+
+/** Where each document type's numbers are stored, to skip numbers already in use. */
+
+const NUMBERED_COLUMNS = {
+	rfq: { table: "rfqs", column: "rfq_number" },
+	quote: { table: "quotes", column: "quote_number" },
+};
+
+/** Create the company's numbering row for `docType` with the default scheme,
+ *  if it doesn't have one yet.
+ */
+
+async function ensureNumberingRow(companyId, docType) {
+	const { prefix, includeYear, padding, resetPeriod } = DEFAULT_NUMBERING[docType];
+
+	await db.query(
+		`INSERT INTO company_numbering (company_id, doc_type, prefix, include_year, padding, reset_period)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (company_id, doc_type) DO NOTHING`,
+		[companyId, docType, prefix, includeYear, padding, resetPeriod]
+	);
+}
+
+/** Bump the company's counter for `docType` and return the formatted number. */
+
+async function bumpNumber(companyId, docType, date) {
+	const year = String(date.getFullYear());
+	const month = `${year}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+	// The period this allocation falls in, per the scheme's reset period
+	const periodKey = `CASE reset_period WHEN 'yearly' THEN $3 WHEN 'monthly' THEN $4 ELSE 'never' END`;
+
+	const result = await db.query(
+		`UPDATE company_numbering
+       SET last_number = CASE WHEN period_key IS NOT DISTINCT FROM ${periodKey} THEN last_number + 1 ELSE 1 END,
+           period_key = ${periodKey}
+       WHERE company_id = $1 AND doc_type = $2
+       RETURNING prefix, include_year AS "includeYear", padding, reset_period AS "resetPeriod", last_number AS "lastNumber"`,
+		[companyId, docType, year, month]
+	);
 
-/** Related functions for companies. */
+	const scheme = result.rows[0];
+	return formatDocumentNumber(scheme, scheme.lastNumber, date);
+}
+
+/** Related functions for companies.
+ *
+ * Methods that change data take a trailing `actor` and record the change in
+ * the audit log (see models/audit.js).
+ */
 
 class Company {
 	/** Create a company (from data), update db, return new company data.
@@ -16,7 +77,7 @@ class Company {
 	 * Throws BadRequestError if company already exists in the database.
 	 */
 
-	static async create({ name, addressLine1, addressLine2, city, state, country, phoneMain }) {
+	static async create({ name, addressLine1, addressLine2, city, state, country, phoneMain }, actor = {}) {
 		const duplicateCheck = await db.query(
 			`SELECT name
        FROM companies
@@ -35,6 +96,15 @@ class Company {
 		);
 		const company = result.rows[0];
 
+		await Audit.record({
+			actor,
+			companyId: company.id,
+			entityType: "company",
+			entityId: company.id,
+			action: "create",
+			after: await Audit.snapshot("companies", "id = $1", [company.id]),
+		});
+
 		return company;
 	}
 
@@ -130,18 +200,23 @@ class Company {
 	 *
 	 * Returns {id, name, addressLine1, addressLine2, city, state, country, phoneMain}
 	 *
-	 * Throws NotFoundError if company is not found.
+	 * Throws NotFoundError if company is not found, and BadRequestError for
+	 * any other field.
 	 */
 
-	static async update(companyId, data) {
-		const { setCols, values } = sqlForPartialUpdate(data, {
+	static async update(companyId, data, actor = {}) {
+		const jsToSql = {
 			addressLine1: "address_line1",
 			addressLine2: "address_line2",
 			city: "city",
 			state: "state",
 			country: "country",
 			phoneMain: "phone_main",
-		});
+		};
+
+		validateUpdateFields(data, Object.keys(jsToSql));
+
+		const { setCols, values } = sqlForPartialUpdate(data, jsToSql);
 		const companyIdVarIdx = "$" + (values.length + 1);
 
 		const querySql = `UPDATE companies
@@ -154,11 +229,23 @@ class Company {
                                 state,
                                 country,
                                 phone_main AS "phoneMain"`;
+		const before = await Audit.snapshot("companies", "id = $1", [companyId]);
+
 		const result = await db.query(querySql, [...values, companyId]);
 		const company = result.rows[0];
 
 		if (!company) throw new NotFoundError(`No company with ID: ${companyId}`);
 
+		await Audit.record({
+			actor,
+			companyId: company.id,
+			entityType: "company",
+			entityId: company.id,
+			action: "update",
+			before,
+			after: await Audit.snapshot("companies", "id = $1", [company.id]),
+		});
+
 		return company;
 	}
 
@@ -167,7 +254,9 @@ class Company {
 	 * Throws NotFoundError if company not found.
 	 */
 
-	static async remove(companyId) {
+	static async remove(companyId, actor = {}) {
+		const before = await Audit.snapshot("companies", "id = $1", [companyId]);
+
 		const result = await db.query(
 			`DELETE
        FROM companies
@@ -179,6 +268,8 @@ class Company {
 
 		if (!company) throw new NotFoundError(`No company with ID: ${companyId}`);
 
+		await Audit.record({ actor, companyId: company.id, entityType: "company", entityId: company.id, action: "delete", before });
+
 		return { message: "Deleted successfully" };
 	}
 
@@ -233,9 +324,351 @@ class Company {
 		return result.rows[0];
 	}
 
+	/** Get the company's quote PDF template.
+	 *
+	 * Returns { companyId, accentColor, tagline, terms, footerText, showItemCodes },
+	 * or null if the company hasn't set up a template.
+	 */
+	static async getQuoteTemplate(companyId) {
+		const result = await db.query(
+			`SELECT company_id AS "companyId",
+              accent_color AS "accentColor",
+              tagline,
+              terms,
+              footer_text AS "footerText",
+              show_item_codes AS "showItemCodes"
+       FROM company_quote_templates
+       WHERE company_id = $1`,
+			[companyId]
+		);
+
+		return result.rows[0] || null;
+	}
+
+	/** Create or update the company's quote PDF template with `data`.
+	 *
+	 * Data can include: { accentColor, tagline, terms, footerText, showItemCodes }
+	 *
+	 * Returns { companyId, accentColor, tagline, terms, footerText, showItemCodes }
+	 *
+	 * Throws NotFoundError if company not found.
+	 */
+	static async updateQuoteTemplate(companyId, data, actor = {}) {
+		const jsToSql = {
+			accentColor: "accent_color",
+			tagline: "tagline",
+			terms: "terms",
+			footerText: "footer_text",
+			showItemCodes: "show_item_codes",
+		};
+
+		const unknown = Object.keys(data).filter((key) => !jsToSql[key]);
+		if (unknown.length) throw new BadRequestError(`Unknown template fields: ${unknown.join(", ")}`);
+
+		const { setCols, values } = sqlForPartialUpdate(data, jsToSql);
+
+		// Make sure the company exists before creating its template row
+		await Company.get(companyId);
+
+		const before = await Audit.snapshot("company_quote_templates", "company_id = $1", [companyId]);
+
+		await db.query(
+			`INSERT INTO company_quote_templates (company_id)
+       VALUES ($1)
+       ON CONFLICT (company_id) DO NOTHING`,
+			[companyId]
+		);
+
+		const result = await db.query(
+			`UPDATE company_quote_templates
+       SET ${setCols}
+       WHERE company_id = $${values.length + 1}
+       RETURNING company_id AS "companyId",
+                 accent_color AS "accentColor",
+                 tagline,
+                 terms,
+                 footer_text AS "footerText",
+                 show_item_codes AS "showItemCodes"`,
+			[...values, companyId]
+		);
+
+		await Audit.record({
+			actor,
+			companyId,
+			entityType: "quote_template",
+			entityId: companyId,
+			action: before ? "update" : "create",
+			before,
+			after: await Audit.snapshot("company_quote_templates", "company_id = $1", [companyId]),
+		});
+
+		return result.rows[0];
+	}
+
+	/** Get the company's RFQ and quote numbering schemes.
+	 *
+	 * Returns { rfq: scheme, quote: scheme }
+	 *   where scheme is { docType, prefix, includeYear, padding, resetPeriod, lastNumber, periodKey }
+	 *
+	 * Throws NotFoundError if company not found.
+	 */
+	static async getNumbering(companyId) {
+		await Company.get(companyId);
+
+		const result = await db.query(
+			`SELECT ${NUMBERING_COLUMNS}
+       FROM company_numbering
+       WHERE company_id = $1`,
+			[companyId]
+		);
+
+		const numbering = {};
+		for (const docType of DOC_TYPES) {
+			const scheme = result.rows.find((row) => row.docType === docType);
+			numbering[docType] = scheme || { docType, ...DEFAULT_NUMBERING[docType], lastNumber: 0, periodKey: null };
+		}
+
+		return numbering;
+	}
+
+	/** Update the company's numbering scheme for `docType` ("rfq" or "quote").
+	 *
+	 * Data can include: { prefix, includeYear, padding, resetPeriod, lastNumber }
+	 *
+	 * Returns { docType, prefix, includeYear, padding, resetPeriod, lastNumber, periodKey }
+	 *
+	 * Throws NotFoundError if company not found, and BadRequestError for a
+	 * counter that resets without the year in its numbers, which would then
+	 * repeat.
+	 */
+	static async updateNumbering(companyId, docType, data, actor = {}) {
+		validateDocType(docType);
+
+		const jsToSql = {
+			prefix: "prefix",
+			includeYear: "include_year",
+			padding: "padding",
+			resetPeriod: "reset_period",
+			lastNumber: "last_number",
+		};
+
+		const unknown = Object.keys(data).filter((key) => !jsToSql[key]);
+		if (unknown.length) throw new BadRequestError(`Unknown numbering fields: ${unknown.join(", ")}`);
+
+		if (data.resetPeriod && !RESET_PERIODS.includes(data.resetPeriod)) {
+			throw new BadRequestError(`resetPeriod must be one of: ${RESET_PERIODS.join(", ")}`);
+		}
+
+		const { setCols, values } = sqlForPartialUpdate(data, jsToSql);
+
+		await Company.get(companyId);
+		await ensureNumberingRow(companyId, docType);
+
+		const before = await Audit.snapshot("company_numbering", "company_id = $1 AND doc_type = $2", [companyId, docType]);
+
+		const { includeYear = before.include_year, resetPeriod = before.reset_period } = data;
+		if (!includeYear && resetPeriod !== "never") {
+			throw new BadRequestError(`A ${resetPeriod} counter needs includeYear, or its numbers would repeat`);
+		}
+
+		const result = await db.query(
+			`UPDATE company_numbering
+       SET ${setCols}
+       WHERE company_id = $${values.length + 1} AND doc_type = $${values.length + 2}
+       RETURNING ${NUMBERING_COLUMNS}`,
+			[...values, companyId, docType]
+		);
+
+		await Audit.record({
+			actor,
+			companyId,
+			entityType: "numbering",
+			entityId: docType,
+			action: "update",
+			before,
+			after: await Audit.snapshot("company_numbering", "company_id = $1 AND doc_type = $2", [companyId, docType]),
+		});
+
+		return result.rows[0];
+	}
+
+	/** Allocate the next RFQ or quote number for a company.
+	 *
+	 * The counter is bumped in a single UPDATE, so concurrent callers can never
+	 * receive the same number. It restarts at 1 when the scheme's reset period
+	 * (year or month) rolls over. Numbers already used (e.g. entered by hand)
+	 * are skipped.
+	 *
+	 * Returns the formatted number, e.g. "RFQ-2025-0001".
+	 */
+	static async allocateNumber(companyId, docType, date = new Date()) {
+		validateDocType(docType);
+		await ensureNumberingRow(companyId, docType);
+
+		const { table, column } = NUMBERED_COLUMNS[docType];
+
+		for (;;) {
+			const number = await bumpNumber(companyId, docType, date);
+
+			const existing = await db.query(`SELECT 1 FROM ${table} WHERE company_id = $1 AND ${column} = $2`, [companyId, number]);
+			if (!existing.rows.length) return number;
+		}
+	}
+
+	/** Get the company's margin minimums, which quotes must meet to be sent
+	 *  without approval. Each is a percent of price, or null for no minimum.
+	 *
+	 * Returns { minLineMargin, minQuoteMargin }, the defaults if the company
+	 * hasn't set its own.
+	 */
+	static async getMarginPolicy(companyId) {
+		const result = await db.query(
+			`SELECT min_line_margin::float AS "minLineMargin",
+              min_quote_margin::float AS "minQuoteMargin"
+       FROM company_margin_policies
+       WHERE company_id = $1`,
+			[companyId]
+		);
+
+		return result.rows[0] || { ...DEFAULT_MARGIN_POLICY };
+	}
+
+	/** Create or update the company's margin minimums with `data`.
+	 *
+	 * Data can include: { minLineMargin, minQuoteMargin }; null removes a minimum.
+	 *
+	 * Returns { minLineMargin, minQuoteMargin }
+	 *
+	 * Throws NotFoundError if company not found, and BadRequestError for a
+	 * minimum that isn't a percent below 100.
+	 */
+	static async updateMarginPolicy(companyId, data, actor = {}) {
+		const jsToSql = {
+			minLineMargin: "min_line_margin",
+			minQuoteMargin: "min_quote_margin",
+		};
+
+		const unknown = Object.keys(data).filter((key) => !jsToSql[key]);
+		if (unknown.length) throw new BadRequestError(`Unknown margin policy fields: ${unknown.join(", ")}`);
+
+		for (const [key, value] of Object.entries(data)) {
+			if (value !== null && !(Number(value) < 100)) throw new BadRequestError(`${key} must be a percent below 100, or null`);
+		}
+
+		const { setCols, values } = sqlForPartialUpdate(data, jsToSql);
+
+		await Company.get(companyId);
+
+		const before = await Audit.snapshot("company_margin_policies", "company_id = $1", [companyId]);
+
+		await db.query(
+			`INSERT INTO company_margin_policies (company_id, min_line_margin, min_quote_margin)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (company_id) DO NOTHING`,
+			[companyId, DEFAULT_MARGIN_POLICY.minLineMargin, DEFAULT_MARGIN_POLICY.minQuoteMargin]
+		);
+
+		const result = await db.query(
+			`UPDATE company_margin_policies
+       SET ${setCols}
+       WHERE company_id = $${values.length + 1}
+       RETURNING min_line_margin::float AS "minLineMargin",
+                 min_quote_margin::float AS "minQuoteMargin"`,
+			[...values, companyId]
+		);
+
+		await Audit.record({
+			actor,
+			companyId,
+			entityType: "margin_policy",
+			entityId: companyId,
+			action: before ? "update" : "create",
+			before,
+			after: await Audit.snapshot("company_margin_policies", "company_id = $1", [companyId]),
+		});
+
+		return result.rows[0];
+	}
+
+	/** Get the company's sales tax rates.
+	 *
+	 * Returns [{ jurisdiction, rate }, ...], rate being a percent
+	 *
+	 * Throws NotFoundError if company not found.
+	 */
+	static async getTaxRates(companyId) {
+		await Company.get(companyId);
+
+		const result = await db.query(
+			`SELECT jurisdiction, rate::float AS rate
+       FROM company_tax_rates
+       WHERE company_id = $1
+       ORDER BY jurisdiction`,
+			[companyId]
+		);
+
+		return result.rows;
+	}
+
+	/** Set the company's sales tax rate for `jurisdiction`, e.g. a state code
+	 *  such as "TX"; quotes shipping there are taxed at it.
+	 *
+	 * Data should be { rate }, a percent below 100.
+	 *
+	 * Returns { jurisdiction, rate }
+	 *
+	 * Throws NotFoundError if company not found, and BadRequestError for a
+	 * rate that isn't a percent below 100.
+	 */
+	static async setTaxRate(companyId, jurisdiction, { rate } = {}, actor = {}) {
+		if (!(Number(rate) >= 0 && Number(rate) < 100)) throw new BadRequestError("rate must be a percent of at least 0 and below 100");
+
+		const code = String(jurisdiction).trim().toUpperCase();
+		if (!code) throw new BadRequestError("jurisdiction is required");
+
+		await Company.get(companyId);
+
+		const before = await Audit.snapshot("company_tax_rates", "company_id = $1 AND jurisdiction = $2", [companyId, code]);
+
+		const result = await db.query(
+			`INSERT INTO company_tax_rates (company_id, jurisdiction, rate)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (company_id, jurisdiction) DO UPDATE SET rate = EXCLUDED.rate
+       RETURNING jurisdiction, rate::float AS rate`,
+			[companyId, code, rate]
+		);
+
+		await Audit.record({
+			actor,
+			companyId,
+			entityType: "tax_rate",
+			entityId: code,
+			action: before ? "update" : "create",
+			before,
+			after: await Audit.snapshot("company_tax_rates", "company_id = $1 AND jurisdiction = $2", [companyId, code]),
+		});
+
+		return result.rows[0];
+	}
+
+	/** Remove the company's sales tax rate for `jurisdiction`; quotes shipping
+	 *  there are no longer taxed.
+	 *
+	 * Throws NotFoundError if the company has no rate for it.
+	 */
+	static async removeTaxRate(companyId, jurisdiction, actor = {}) {
+		const code = String(jurisdiction).trim().toUpperCase();
+		const before = await Audit.snapshot("company_tax_rates", "company_id = $1 AND jurisdiction = $2", [companyId, code]);
+
+		const result = await db.query(`DELETE FROM company_tax_rates WHERE company_id = $1 AND jurisdiction = $2 RETURNING jurisdiction`, [companyId, code]);
+		if (!result.rows[0]) throw new NotFoundError(`No tax rate for jurisdiction: ${code}`);
+
+		await Audit.record({ actor, companyId, entityType: "tax_rate", entityId: code, action: "delete", before });
+	}
+
 	/** Get company directory (company info and all users).
 	 *
-	 * Returns { company: { id, name, addressLine1, addressLine2, city, state, country, phoneMain }, users: [{id, name, email, phone}, ...] }
+	 * Returns { company: { id, name, addressLine1, addressLine2, city, state, country, phoneMain }, users: [{id, name, email, phone, isAdmin, role}, ...] }
 	 *
 	 * Throws NotFoundError if company not found.
 	 */
@@ -255,7 +688,7 @@ class Company {
 
 		// Fetch users associated with the company
 		const usersRes = await db.query(
-			`SELECT id, full_name AS "fullName", email, phone, is_admin AS "isAdmin"
+			`SELECT id, full_name AS "fullName", email, phone, is_admin AS "isAdmin", role
        FROM users
        WHERE company_id = $1`,
 			[companyId]
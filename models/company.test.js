@@ -0,0 +1,60 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const Company = require("./company.js");
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testCompanyIds } = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** allocateNumber */
+
+describe("allocateNumber", function () {
+	test("works: yearly reset by default", async function () {
+		expect(await Company.allocateNumber(testCompanyIds[0], "rfq", new Date(2025, 11, 31))).toEqual("RFQ-2025-0001");
+		expect(await Company.allocateNumber(testCompanyIds[0], "rfq", new Date(2025, 11, 31))).toEqual("RFQ-2025-0002");
+		expect(await Company.allocateNumber(testCompanyIds[0], "rfq", new Date(2026, 0, 1))).toEqual("RFQ-2026-0001");
+	});
+
+	test("works: monthly reset across a month boundary", async function () {
+		await Company.updateNumbering(testCompanyIds[0], "quote", { resetPeriod: "monthly" });
+
+		const numbers = [
+			await Company.allocateNumber(testCompanyIds[0], "quote", new Date(2025, 0, 31)),
+			await Company.allocateNumber(testCompanyIds[0], "quote", new Date(2025, 0, 31)),
+			await Company.allocateNumber(testCompanyIds[0], "quote", new Date(2025, 1, 1)),
+			await Company.allocateNumber(testCompanyIds[0], "quote", new Date(2026, 0, 1)),
+		];
+		expect(numbers).toEqual(["Q-2025-01-0001", "Q-2025-01-0002", "Q-2025-02-0001", "Q-2026-01-0001"]);
+	});
+
+	test("works: counters are per company", async function () {
+		expect(await Company.allocateNumber(testCompanyIds[0], "quote", new Date(2025, 0, 1))).toEqual("Q-2025-0001");
+		expect(await Company.allocateNumber(testCompanyIds[1], "quote", new Date(2025, 0, 1))).toEqual("Q-2025-0001");
+	});
+});
+
+/************************************** updateNumbering */
+
+describe("updateNumbering", function () {
+	test("works", async function () {
+		const numbering = await Company.updateNumbering(testCompanyIds[0], "rfq", { prefix: "R", includeYear: false, resetPeriod: "never" });
+		expect(numbering).toEqual(expect.objectContaining({ docType: "rfq", prefix: "R", includeYear: false, resetPeriod: "never" }));
+		expect(await Company.allocateNumber(testCompanyIds[0], "rfq", new Date(2025, 0, 1))).toEqual("R0001");
+	});
+
+	test("bad request for a resetting counter without the year", async function () {
+		await expect(Company.updateNumbering(testCompanyIds[0], "rfq", { includeYear: false })).rejects.toThrow(BadRequestError);
+		await expect(Company.updateNumbering(testCompanyIds[0], "rfq", { includeYear: false, resetPeriod: "monthly" })).rejects.toThrow(BadRequestError);
+
+		await Company.updateNumbering(testCompanyIds[0], "rfq", { includeYear: false, resetPeriod: "never" });
+		await expect(Company.updateNumbering(testCompanyIds[0], "rfq", { resetPeriod: "yearly" })).rejects.toThrow(BadRequestError);
+	});
+
+	test("bad request for an unknown field or reset period", async function () {
+		await expect(Company.updateNumbering(testCompanyIds[0], "rfq", { companyId: 5 })).rejects.toThrow(BadRequestError);
+		await expect(Company.updateNumbering(testCompanyIds[0], "rfq", { resetPeriod: "weekly" })).rejects.toThrow(BadRequestError);
+	});
+});
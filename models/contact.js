@@ -0,0 +1,245 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate, validateUpdateFields } = require("../helpers/sql");
+const Audit = require("./audit");
+const Customer = require("./customer");
+
+/** What a contact does at their company. */
+
+const CONTACT_ROLES = ["buyer", "engineer", "accounts_payable", "other"];
+
+/** Fields Contact.update accepts; a contact stays with its customer. */
+
+const UPDATE_FIELDS = ["name", "title", "email", "phone", "role", "is_primary"];
+
+/** Columns returned for a contact. */
+
+const CONTACT_COLUMNS = `id,
+                         company_id AS "companyId",
+                         customer_id AS "customerId",
+                         name,
+                         title,
+                         email,
+                         phone,
+                         role,
+                         is_primary AS "isPrimary",
+                         created_at AS "createdAt"`;
+
+function validateRole(role) {
+	if (role !== undefined && !CONTACT_ROLES.includes(role)) {
+		throw new BadRequestError(`Invalid contact role: ${role}. Use one of: ${CONTACT_ROLES.join(", ")}`);
+	}
+}
+
+/** Take the primary flag from the customer's other contacts; call inside a transaction. */
+
+async function clearPrimary(customerId, exceptId = null) {
+	await db.query(
+		`UPDATE customer_contacts
+		 SET is_primary = FALSE
+		 WHERE customer_id = $1 AND is_primary AND id IS DISTINCT FROM $2`,
+		[customerId, exceptId]
+	);
+}
+
+/** Related functions for customer contacts.
+ *
+ * A customer has any number of contacts: the people who send RFQs and receive
+ * quotes. RFQs and quotes can name one; when they don't, documents go to the
+ * customer's primary contact, of which there is at most one.
+ *
+ * Methods that change data take a trailing `actor` and record the change in
+ * the audit log (see models/audit.js).
+ */
+
+class Contact {
+	/** Add a contact to a customer.
+	 *
+	 * data should be { name, title, email, phone, role, is_primary }; role is
+	 * one of CONTACT_ROLES and defaults to "buyer". Making a contact primary
+	 * takes the flag from whoever had it.
+	 *
+	 * Returns { id, companyId, customerId, name, title, email, phone, role, isPrimary, createdAt }
+	 *
+	 * Throws NotFoundError if the company has no such customer, and
+	 * BadRequestError for a missing name or an invalid role.
+	 */
+	static async create(companyId, customerId, { name, title = null, email = null, phone = null, role = "buyer", is_primary = false }, actor = {}) {
+		if (!name) throw new BadRequestError("name is required.");
+		validateRole(role);
+		await Customer.ensureExists(companyId, customerId);
+
+		try {
+			return await db.transaction(async () => {
+				if (is_primary) await clearPrimary(customerId);
+
+				const result = await db.query(
+					`INSERT INTO customer_contacts (company_id, customer_id, name, title, email, phone, role, is_primary)
+					 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+					 RETURNING ${CONTACT_COLUMNS}`,
+					[companyId, customerId, name, title, email, phone, role, Boolean(is_primary)]
+				);
+				const contact = result.rows[0];
+
+				await Audit.record({
+					actor,
+					companyId: contact.companyId,
+					entityType: "contact",
+					entityId: contact.id,
+					action: "create",
+					after: await Audit.snapshot("customer_contacts", "id = $1", [contact.id]),
+				});
+
+				return contact;
+			});
+		} catch (err) {
+			if (err.code === "23514") throw new BadRequestError(`Invalid email: ${email}`);
+			throw err;
+		}
+	}
+
+	/** List a customer's contacts, the primary contact first.
+	 *
+	 * Returns [{ id, companyId, customerId, name, title, email, phone, role, isPrimary, createdAt }, ...]
+	 *
+	 * Throws NotFoundError if the company has no such customer.
+	 */
+	static async findAll(companyId, customerId) {
+		await Customer.ensureExists(companyId, customerId);
+
+		const result = await db.query(
+			`SELECT ${CONTACT_COLUMNS}
+			 FROM customer_contacts
+			 WHERE company_id = $1 AND customer_id = $2
+			 ORDER BY is_primary DESC, name, id`,
+			[companyId, customerId]
+		);
+
+		return result.rows;
+	}
+
+	/** Get one of a customer's contacts.
+	 *
+	 * Returns { id, companyId, customerId, name, title, email, phone, role, isPrimary, createdAt }
+	 *
+	 * Throws NotFoundError if the customer has no such contact.
+	 */
+	static async get(companyId, customerId, contactId) {
+		const result = await db.query(
+			`SELECT ${CONTACT_COLUMNS}
+			 FROM customer_contacts
+			 WHERE company_id = $1 AND customer_id = $2 AND id = $3`,
+			[companyId, customerId, contactId]
+		);
+
+		const contact = result.rows[0];
+		if (!contact) throw new NotFoundError(`No contact: ${contactId}`);
+
+		return contact;
+	}
+
+	/** Update a contact; only the fields given change.
+	 *
+	 * Data can include: { name, title, email, phone, role, is_primary }
+	 *
+	 * Returns { id, companyId, customerId, name, title, email, phone, role, isPrimary, createdAt }
+	 *
+	 * Throws NotFoundError if the customer has no such contact, and
+	 * BadRequestError for any other field or an invalid role or email.
+	 */
+	static async update(companyId, customerId, contactId, data, actor = {}) {
+		validateUpdateFields(data, UPDATE_FIELDS);
+		validateRole(data.role);
+		if ("name" in data && !data.name) throw new BadRequestError("name is required.");
+
+		const { setCols, values } = sqlForPartialUpdate(data, {
+			name: "name",
+			title: "title",
+			email: "email",
+			phone: "phone",
+			role: "role",
+			is_primary: "is_primary",
+		});
+
+		const idx = values.length;
+		const before = await Audit.snapshot("customer_contacts", "id = $1", [contactId]);
+
+		try {
+			return await db.transaction(async () => {
+				if (data.is_primary) await clearPrimary(customerId, contactId);
+
+				const result = await db.query(
+					`UPDATE customer_contacts
+					 SET ${setCols}
+					 WHERE company_id = $${idx + 1} AND customer_id = $${idx + 2} AND id = $${idx + 3}
+					 RETURNING ${CONTACT_COLUMNS}`,
+					[...values, companyId, customerId, contactId]
+				);
+				const contact = result.rows[0];
+				if (!contact) throw new NotFoundError(`No contact: ${contactId}`);
+
+				await Audit.record({
+					actor,
+					companyId: contact.companyId,
+					entityType: "contact",
+					entityId: contact.id,
+					action: "update",
+					before,
+					after: await Audit.snapshot("customer_contacts", "id = $1", [contact.id]),
+				});
+
+				return contact;
+			});
+		} catch (err) {
+			if (err.code === "23514") throw new BadRequestError(`Invalid email: ${data.email}`);
+			throw err;
+		}
+	}
+
+	/** Delete a contact. RFQs and quotes that named them keep going, without a contact.
+	 *
+	 * Throws NotFoundError if the customer has no such contact.
+	 */
+	static async remove(companyId, customerId, contactId, actor = {}) {
+		const before = await Audit.snapshot("customer_contacts", "id = $1", [contactId]);
+
+		const result = await db.query(
+			`DELETE FROM customer_contacts
+			 WHERE company_id = $1 AND customer_id = $2 AND id = $3
+			 RETURNING id`,
+			[companyId, customerId, contactId]
+		);
+		if (!result.rows[0]) throw new NotFoundError(`No contact: ${contactId}`);
+
+		await Audit.record({ actor, companyId, entityType: "contact", entityId: contactId, action: "delete", before });
+	}
+
+	/** Throw BadRequestError unless contactId is one of this customer's contacts.
+	 *
+	 * Used before naming the contact on an RFQ or quote.
+	 */
+	static async ensureBelongs(customerId, contactId) {
+		const result = await db.query(`SELECT id FROM customer_contacts WHERE customer_id = $1 AND id = $2`, [customerId, contactId]);
+		if (!result.rows[0]) throw new BadRequestError(`Contact ${contactId} is not a contact of customer ${customerId}`);
+	}
+
+	/** The contact a document for an RFQ or quote is addressed to: the one it
+	 *  names, or else the customer's primary contact.
+	 *
+	 * Returns { id, name, title, email, phone, role }, or null if there's neither.
+	 */
+	static async addressee(customerId, contactId) {
+		const result = await db.query(
+			`SELECT id, name, title, email, phone, role
+			 FROM customer_contacts
+			 WHERE customer_id = $1 AND (id = $2 OR ($2 IS NULL AND is_primary))`,
+			[customerId, contactId ?? null]
+		);
+
+		return result.rows[0] || null;
+	}
+}
+
+module.exports = Contact;
@@ -0,0 +1,138 @@
+"use strict";
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Contact = require("./contact.js");
+const Rfq = require("./rfq.js");
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testCompanyIds, testCustomerIds, testRfqIds } = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const buyer = { name: "Pat Buyer", title: "Purchasing", email: "pat@customer1.com", phone: "555-0101", is_primary: true };
+
+/************************************** create */
+
+describe("create", function () {
+	test("works, defaulting the role to buyer", async function () {
+		const contact = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+		expect(contact).toEqual({
+			id: expect.any(Number),
+			companyId: testCompanyIds[0],
+			customerId: testCustomerIds[0],
+			name: "Pat Buyer",
+			title: "Purchasing",
+			email: "pat@customer1.com",
+			phone: "555-0101",
+			role: "buyer",
+			isPrimary: true,
+			createdAt: expect.any(Date),
+		});
+	});
+
+	test("a new primary contact takes the flag", async function () {
+		const first = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+		const second = await Contact.create(testCompanyIds[0], testCustomerIds[0], { name: "Sam Engineer", role: "engineer", is_primary: true });
+
+		const contacts = await Contact.findAll(testCompanyIds[0], testCustomerIds[0]);
+		expect(contacts.map((c) => [c.id, c.isPrimary])).toEqual([
+			[second.id, true],
+			[first.id, false],
+		]);
+	});
+
+	test("bad request without a name, or with an invalid role or email", async function () {
+		await expect(Contact.create(testCompanyIds[0], testCustomerIds[0], { title: "Nobody" })).rejects.toThrow(BadRequestError);
+		await expect(Contact.create(testCompanyIds[0], testCustomerIds[0], { name: "Pat", role: "boss" })).rejects.toThrow(BadRequestError);
+		await expect(Contact.create(testCompanyIds[0], testCustomerIds[0], { name: "Pat", email: "not-an-email" })).rejects.toThrow(BadRequestError);
+	});
+
+	test("not found for another company's customer", async function () {
+		await expect(Contact.create(testCompanyIds[1], testCustomerIds[0], buyer)).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** get */
+
+describe("get", function () {
+	test("works", async function () {
+		const { id } = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+		expect(await Contact.get(testCompanyIds[0], testCustomerIds[0], id)).toEqual(expect.objectContaining({ id, name: "Pat Buyer" }));
+	});
+
+	test("not found for another company or customer", async function () {
+		const { id } = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+		await expect(Contact.get(testCompanyIds[1], testCustomerIds[0], id)).rejects.toThrow(NotFoundError);
+		await expect(Contact.get(testCompanyIds[0], testCustomerIds[1], id)).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** update */
+
+describe("update", function () {
+	test("works", async function () {
+		const { id } = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+
+		const contact = await Contact.update(testCompanyIds[0], testCustomerIds[0], id, { title: "Head of Purchasing", role: "accounts_payable" });
+		expect(contact).toEqual(expect.objectContaining({ id, title: "Head of Purchasing", role: "accounts_payable", isPrimary: true }));
+	});
+
+	test("bad request for the contact's customer or company", async function () {
+		const { id } = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+		await expect(Contact.update(testCompanyIds[0], testCustomerIds[0], id, { customer_id: testCustomerIds[1] })).rejects.toThrow(BadRequestError);
+		await expect(Contact.update(testCompanyIds[0], testCustomerIds[0], id, { company_id: testCompanyIds[1] })).rejects.toThrow(BadRequestError);
+
+		const res = await db.query("SELECT company_id, customer_id FROM customer_contacts WHERE id = $1", [id]);
+		expect(res.rows).toEqual([{ company_id: testCompanyIds[0], customer_id: testCustomerIds[0] }]);
+	});
+
+	test("not found for another company, and the primary flag stays put", async function () {
+		const { id } = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+		await expect(Contact.update(testCompanyIds[1], testCustomerIds[0], id, { is_primary: true, name: "Mine" })).rejects.toThrow(NotFoundError);
+
+		expect(await Contact.get(testCompanyIds[0], testCustomerIds[0], id)).toEqual(expect.objectContaining({ name: "Pat Buyer", isPrimary: true }));
+	});
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+	test("works, and RFQs that named the contact keep going without one", async function () {
+		const { id } = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+		await Rfq.update(testRfqIds[0], { contact_id: id }, testCompanyIds[0]);
+
+		await Contact.remove(testCompanyIds[0], testCustomerIds[0], id);
+
+		await expect(Contact.get(testCompanyIds[0], testCustomerIds[0], id)).rejects.toThrow(NotFoundError);
+		const rfq = await Rfq.get(testRfqIds[0], testCompanyIds[0]);
+		expect(rfq.contactId).toEqual(null);
+	});
+
+	test("not found for another company", async function () {
+		const { id } = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+		await expect(Contact.remove(testCompanyIds[1], testCustomerIds[0], id)).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** ensureBelongs, addressee */
+
+describe("ensureBelongs", function () {
+	test("bad request for another customer's contact", async function () {
+		const { id } = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+		await Contact.ensureBelongs(testCustomerIds[0], id);
+		await expect(Contact.ensureBelongs(testCustomerIds[1], id)).rejects.toThrow(BadRequestError);
+	});
+});
+
+describe("addressee", function () {
+	test("the named contact, or else the primary one", async function () {
+		const primary = await Contact.create(testCompanyIds[0], testCustomerIds[0], buyer);
+		const other = await Contact.create(testCompanyIds[0], testCustomerIds[0], { name: "Sam Engineer", role: "engineer" });
+
+		expect(await Contact.addressee(testCustomerIds[0], other.id)).toEqual(expect.objectContaining({ id: other.id, name: "Sam Engineer" }));
+		expect(await Contact.addressee(testCustomerIds[0], null)).toEqual(expect.objectContaining({ id: primary.id }));
+		expect(await Contact.addressee(testCustomerIds[1], null)).toEqual(null);
+	});
+});
@@ -2,102 +2,169 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, validateUpdateFields } = require("../helpers/sql");
+const Audit = require("./audit");
 
-/** Related functions for customers. */
+/** Columns returned for a customer. */
+
+const CUSTOMER_COLUMNS = `id,
+                          company_id AS "companyId",
+                          customer_name AS "customerName",
+                          address_line1 AS "addressLine1",
+                          address_line2 AS "addressLine2",
+                          city,
+                          state,
+                          country,
+                          phone_main AS "phoneMain",
+                          markup_type AS "markupType",
+                          markup,
+                          tax_exempt AS "taxExempt"`;
+
+/** Fields Customer.update accepts, by their JS names and the columns they
+ *  set; either name can be given. A customer stays with its company. */
+
+const UPDATE_FIELDS = {
+	customerName: "customer_name",
+	addressLine1: "address_line1",
+	addressLine2: "address_line2",
+	city: "city",
+	state: "state",
+	country: "country",
+	phoneMain: "phone_main",
+	markupType: "markup_type",
+	markup: "markup",
+	taxExempt: "tax_exempt",
+};
+
+/** Related functions for customers.
+ *
+ * Customers are identified by their numeric id, which RFQs and quotes
+ * reference, so a customer can be renamed freely. Names are unique per
+ * company and can be searched with findAll.
+ *
+ * Methods that change data take a trailing `actor` and record the change in
+ * the audit log (see models/audit.js).
+ *
+ * Deleting a customer only marks it deleted: it drops out of lookups but can
+ * be restored until the purge job removes it (see jobs/purgeDeleted.js). Its
+ * RFQs and quotes are left as they are.
+ */
 
 class Customer {
 	/** Create a customer (from data), update db, return new customer data.
 	 *
-	 * data should be { company_id, customer_name, markup_type, markup, address_line1, address_line2, city, state, country, phone_main }
+	 * data should be { company_id, customer_name, markup_type, markup, tax_exempt, address_line1, address_line2, city, state, country, phone_main };
+	 * tax_exempt defaults to false.
 	 *
-	 * Returns { company_id, customer_name, markup_type, markup, address_line1, address_line2, city, state, country, phone_main }
+	 * Returns { id, companyId, customerName, markupType, markup, taxExempt, addressLine1, addressLine2, city, state, country, phoneMain }
 	 *
-	 * Throws BadRequestError if customer already exists in the database for the given company.
+	 * Throws BadRequestError if customer already exists in the database for the given company,
+	 * including as a deleted customer, which should be restored instead.
 	 */
-	static async create({ company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup }) {
+	static async create({ company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup, tax_exempt = false }, actor = {}) {
 		// Check for duplicates based on company_id and customer_name
 		const duplicateCheck = await db.query(
-			`SELECT customer_name
+			`SELECT customer_name, deleted_at
              FROM company_customers
              WHERE company_id = $1 AND customer_name = $2`,
 			[company_id, customer_name]
 		);
 
-		if (duplicateCheck.rows[0]) throw new BadRequestError(`Duplicate customer: ${customer_name}`);
+		const duplicate = duplicateCheck.rows[0];
+		if (duplicate && duplicate.deleted_at) throw new BadRequestError(`Duplicate customer: ${customer_name} (deleted; restore it instead)`);
+		if (duplicate) throw new BadRequestError(`Duplicate customer: ${customer_name}`);
 
 		const result = await db.query(
 			`INSERT INTO company_customers
-             (company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-             RETURNING company_id AS "companyId", customer_name AS "customerName", address_line1 AS "addressLine1", address_line2 AS "addressLine2", city, state, country, phone_main AS "phoneMain", markup_type AS "markupType", markup`,
-			[company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup]
+             (company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup, tax_exempt)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING ${CUSTOMER_COLUMNS}`,
+			[company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup, tax_exempt]
 		);
 		const customer = result.rows[0];
 
+		await Audit.record({
+			actor,
+			companyId: customer.companyId,
+			entityType: "customer",
+			entityId: customer.id,
+			action: "create",
+			after: await Audit.snapshot("company_customers", "id = $1", [customer.id]),
+		});
+
 		return customer;
 	}
 
 	/** Find all customers for a company (optional filter on searchFilters).
 	 *
-	 * Returns [{ company_id, customer_name, markup_type, markup }, ...]
+	 * Returns [{ id, companyId, customerName, markupType, markup, taxExempt, ..., deletedAt }, ...]
 	 *
-	 * Optional searchFilters can include a name filter to narrow the results.
+	 * Optional searchFilters can include a name filter to narrow the results
+	 * (a case-insensitive partial match), and deleted: "true" to list deleted
+	 * customers instead.
 	 */
 	static async findAll(companyId, searchFilters = {}) {
-		let query = `SELECT c.company_id AS "companyId",
-                            c.customer_name AS "customerName",
-                            c.address_line1 AS "addressLine1",
-                            c.address_line2 AS "addressLine2",
-                            c.city,
-                            c.state,
-                            c.country,
-                            c.phone_main AS "phoneMain",
-                            c.markup_type AS "markupType",
-                            c.markup
-                     FROM company_customers c
-                     WHERE c.company_id = $1`;
+		let query = `SELECT ${CUSTOMER_COLUMNS},
+                            deleted_at AS "deletedAt"
+                     FROM company_customers
+                     WHERE company_id = $1`;
 
 		let queryValues = [companyId]; // Add company_id as the first query value
 
-		const { name } = searchFilters;
+		const { name, deleted } = searchFilters;
+
+		query += deleted === true || deleted === "true" ? " AND deleted_at IS NOT NULL" : " AND deleted_at IS NULL";
 
 		// If a name filter is provided, add it to the WHERE clause
 		if (name) {
 			queryValues.push(`%${name}%`);
-			query += ` AND c.customer_name ILIKE $${queryValues.length}`; // Filter customers by name
+			query += ` AND customer_name ILIKE $${queryValues.length}`; // Filter customers by name
 		}
 
-		query += " ORDER BY c.customer_name"; // Sort by customer name
+		query += " ORDER BY customer_name"; // Sort by customer name
 
 		const customersRes = await db.query(query, queryValues);
 		return customersRes.rows;
 	}
 
-	/** Given a customer name and company_id, return data about customer.
+	/** Given a customer id and company_id, return data about customer.
+	 *
+	 * Returns { id, companyId, customerName, markupType, markup, taxExempt, addressLine1, ..., addresses }
+	 *   where addresses is the customer's address book, as from Address.findAll
+	 *
+	 * Deleted customers are not found unless includeDeleted is set, as when
+	 * rendering an existing quote.
 	 *
 	 * Throws NotFoundError if customer not found in the specified company.
 	 */
-	static async get(companyId, customerName) {
+	static async get(companyId, customerId, { includeDeleted = false } = {}) {
 		const customerRes = await db.query(
-			`SELECT company_id AS "companyId",
-                    customer_name AS "customerName",
+			`SELECT ${CUSTOMER_COLUMNS}
+             FROM company_customers
+             WHERE company_id = $1 AND id = $2${includeDeleted ? "" : " AND deleted_at IS NULL"}`,
+			[companyId, customerId]
+		);
+
+		const customer = customerRes.rows[0];
+
+		if (!customer) throw new NotFoundError(`No customer: ${customerId}`);
+
+		const addressesRes = await db.query(
+			`SELECT id,
+                    address_type AS "addressType",
+                    label,
                     address_line1 AS "addressLine1",
                     address_line2 AS "addressLine2",
                     city,
                     state,
                     country,
-                    phone_main AS "phoneMain",
-                    markup_type AS "markupType",
-                    markup
-             FROM company_customers
-             WHERE company_id = $1 AND customer_name = $2`,
-			[companyId, customerName]
+                    is_default AS "isDefault"
+             FROM customer_addresses
+             WHERE customer_id = $1
+             ORDER BY address_type, is_default DESC, label, id`,
+			[customer.id]
 		);
-
-		const customer = customerRes.rows[0];
-
-		if (!customer) throw new NotFoundError(`No customer: ${customerName}`);
+		customer.addresses = addressesRes.rows;
 
 		return customer;
 	}
@@ -106,79 +173,177 @@ class Customer {
 	 *
 	 * This is a "partial update" --- only provided fields will be updated.
 	 *
-	 * Data can include: { customer_name, markup_type, markup, address_line1, address_line2, city, state, country, phone_main }
+	 * Data can include: { customerName, markupType, markup, taxExempt, addressLine1, addressLine2, city, state, country, phoneMain },
+	 * or the same fields by column name (customer_name, tax_exempt, ...)
 	 *
-	 * Returns { company_id, customer_name, markup_type, markup, address_line1, address_line2, city, state, country, phone_main }
+	 * Returns { id, companyId, customerName, markupType, markup, taxExempt, addressLine1, addressLine2, city, state, country, phoneMain }
 	 *
-	 * Throws NotFoundError if customer not found for the given company.
+	 * Throws NotFoundError if customer not found for the given company, and
+	 * BadRequestError for any other field or if it's renamed to the name of
+	 * another of its customers.
 	 */
-	static async update(companyId, customerName, data) {
+	static async update(companyId, customerId, data, actor = {}) {
+		validateUpdateFields(data, [...Object.keys(UPDATE_FIELDS), ...Object.values(UPDATE_FIELDS)]);
+
 		try {
 			// Use sqlForPartialUpdate to generate the SQL columns and values for partial update
-			const { setCols, values } = sqlForPartialUpdate(data, {
-				customerName: "customer_name",
-				addressLine1: "address_line1",
-				addressLine2: "address_line2",
-				city: "city",
-				state: "state",
-				country: "country",
-				phoneMain: "phone_main",
-				markupType: "markup_type",
-				markup: "markup",
-			});
+			const { setCols, values } = sqlForPartialUpdate(data, UPDATE_FIELDS);
 
 			// Prepare query with positional indexes for parameters
 			const companyIdVarIdx = "$" + (values.length + 1);
-			const customerNameVarIdx = "$" + (values.length + 2);
+			const customerIdVarIdx = "$" + (values.length + 2);
 
 			const querySql = `UPDATE company_customers
                               SET ${setCols}
-                              WHERE company_id = ${companyIdVarIdx} AND customer_name = ${customerNameVarIdx}
-                              RETURNING company_id AS "companyId", 
-                                        customer_name AS "customerName", 
-                                        address_line1 AS "addressLine1", 
-                                        address_line2 AS "addressLine2", 
-                                        city, 
-                                        state, 
-                                        country, 
-                                        phone_main AS "phoneMain", 
-                                        markup_type AS "markupType",
-                                        markup`;
+                              WHERE company_id = ${companyIdVarIdx} AND id = ${customerIdVarIdx} AND deleted_at IS NULL
+                              RETURNING ${CUSTOMER_COLUMNS}`;
+
+			const before = await Audit.snapshot("company_customers", "id = $1", [customerId]);
 
 			// Execute the query and return the updated customer
-			const result = await db.query(querySql, [...values, companyId, customerName]);
+			const result = await db.query(querySql, [...values, companyId, customerId]);
 			const customer = result.rows[0];
 
-			if (!customer) throw new NotFoundError(`No customer: ${customerName}`);
+			if (!customer) throw new NotFoundError(`No customer: ${customerId}`);
+
+			await Audit.record({
+				actor,
+				companyId: customer.companyId,
+				entityType: "customer",
+				entityId: customer.id,
+				action: "update",
+				before,
+				after: await Audit.snapshot("company_customers", "id = $1", [customer.id]),
+			});
 
 			return customer;
 		} catch (err) {
 			console.error("Error updating customer:", err);
+			if (err.code === "23505") throw new BadRequestError(`Duplicate customer: ${data.customerName || data.customer_name}`);
 			throw err;
 		}
 	}
 
-	/** Delete given customer from the database.
+	/** Delete given customer (a soft delete; see Customer.restore).
 	 *
 	 * Returns a message indicating successful deletion.
 	 *
 	 * Throws NotFoundError if customer not found for the given company.
 	 */
-	static async remove(companyId, customerName) {
+	static async remove(companyId, customerId, actor = {}) {
+		const before = await Audit.snapshot("company_customers", "id = $1", [customerId]);
+
 		const result = await db.query(
-			`DELETE
-             FROM company_customers
-             WHERE company_id = $1 AND customer_name = $2
-             RETURNING company_id, customer_name`,
-			[companyId, customerName]
+			`UPDATE company_customers
+             SET deleted_at = NOW()
+             WHERE company_id = $1 AND id = $2 AND deleted_at IS NULL
+             RETURNING id, company_id`,
+			[companyId, customerId]
 		);
 		const customer = result.rows[0];
 
-		if (!customer) throw new NotFoundError(`No customer: ${customerName}`);
+		if (!customer) throw new NotFoundError(`No customer: ${customerId}`);
+
+		await Audit.record({ actor, companyId: customer.company_id, entityType: "customer", entityId: customer.id, action: "delete", before });
 
 		return { message: "Deleted successfully" };
 	}
 
+	/** Restore a deleted customer.
+	 *
+	 * Returns { id, companyId, customerName, markupType, markup, taxExempt, addressLine1, addressLine2, city, state, country, phoneMain }
+	 *
+	 * Throws NotFoundError if the company has no such deleted customer.
+	 */
+	static async restore(companyId, customerId, actor = {}) {
+		const result = await db.query(
+			`UPDATE company_customers
+             SET deleted_at = NULL
+             WHERE company_id = $1 AND id = $2 AND deleted_at IS NOT NULL
+             RETURNING ${CUSTOMER_COLUMNS}`,
+			[companyId, customerId]
+		);
+		const customer = result.rows[0];
+
+		if (!customer) throw new NotFoundError(`No deleted customer: ${customerId}`);
+
+		await Audit.record({
+			actor,
+			companyId: customer.companyId,
+			entityType: "customer",
+			entityId: customer.id,
+			action: "restore",
+			after: await Audit.snapshot("company_customers", "id = $1", [customer.id]),
+		});
+
+		return customer;
+	}
+
+	/** Permanently remove customers deleted more than `olderThanDays` days ago.
+	 *
+	 * Customers still named on an RFQ or quote are kept until those are purged.
+	 * Run by the purge job.
+	 *
+	 * Returns [{ id, companyId, customerName }, ...] for the customers removed.
+	 */
+	static async purgeDeleted(olderThanDays) {
+		const result = await db.query(
+			`DELETE FROM company_customers c
+             WHERE c.deleted_at < NOW() - make_interval(days => $1)
+               AND NOT EXISTS (SELECT 1 FROM rfqs WHERE rfqs.customer_id = c.id)
+               AND NOT EXISTS (SELECT 1 FROM quotes WHERE quotes.customer_id = c.id)
+             RETURNING c.id, c.company_id AS "companyId", c.customer_name AS "customerName", to_jsonb(c) AS before`,
+			[olderThanDays]
+		);
+
+		const purged = [];
+		for (const { before, ...customer } of result.rows) {
+			await Audit.record({ companyId: customer.companyId, entityType: "customer", entityId: customer.id, action: "purge", before });
+			purged.push(customer);
+		}
+		return purged;
+	}
+
+	/** Throw BadRequestError unless the company has this customer, not deleted.
+	 *
+	 * The customer is given by customerId or, failing that, by its exact
+	 * customerName. Used before naming the customer on an RFQ or quote.
+	 *
+	 * Returns { id, customerName }
+	 */
+	static async ensureActive(companyId, { customerId, customerName }) {
+		const byId = customerId !== undefined && customerId !== null;
+		if (!byId && !customerName) throw new BadRequestError("customer_id is required.");
+
+		const result = await db.query(
+			`SELECT id, customer_name AS "customerName", deleted_at AS "deletedAt"
+             FROM company_customers
+             WHERE company_id = $1 AND ${byId ? "id" : "customer_name"} = $2`,
+			[companyId, byId ? customerId : customerName]
+		);
+		const customer = result.rows[0];
+
+		if (!customer) throw new BadRequestError(`No customer: ${byId ? customerId : customerName}`);
+		if (customer.deletedAt) throw new BadRequestError(`Customer ${customer.customerName} has been deleted`);
+
+		return { id: customer.id, customerName: customer.customerName };
+	}
+
+	/** Throw NotFoundError unless the company has this customer, not deleted.
+	 *
+	 * Used by the customer's contacts, addresses and price list.
+	 */
+	static async ensureExists(companyId, customerId) {
+		const result = await db.query(
+			`SELECT id
+             FROM company_customers
+             WHERE company_id = $1 AND id = $2 AND deleted_at IS NULL`,
+			[companyId, customerId]
+		);
+
+		if (!result.rows[0]) throw new NotFoundError(`No customer: ${customerId}`);
+	}
+
 	/** Get the count of customers for a given company.
 	 *
 	 * Returns the total number of customers for the specified company.
@@ -187,7 +352,7 @@ class Customer {
 		const result = await db.query(
 			`SELECT COUNT(*) AS count
              FROM company_customers
-             WHERE company_id = $1`,
+             WHERE company_id = $1 AND deleted_at IS NULL`,
 			[companyId]
 		);
 
@@ -10,12 +10,18 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** The id of company 1's customer with this name. */
+async function customerId(customerName) {
+	const res = await db.query("SELECT id FROM company_customers WHERE company_id = 1 AND customer_name = $1", [customerName]);
+	return res.rows[0].id;
+}
+
 /************************************** create */
 
 describe("create", function () {
 	const newCustomer = {
 		company_id: 1,
-		customer_name: "Customer1",
+		customer_name: "New Customer",
 		address_line1: "123 Main St",
 		address_line2: "Apt 4B",
 		city: "New York",
@@ -29,8 +35,9 @@ describe("create", function () {
 	test("works", async function () {
 		const customer = await Customer.create(newCustomer);
 		expect(customer).toEqual({
+			id: expect.any(Number),
 			companyId: 1,
-			customerName: "Customer1",
+			customerName: "New Customer",
 			addressLine1: "123 Main St",
 			addressLine2: "Apt 4B",
 			city: "New York",
@@ -39,17 +46,18 @@ describe("create", function () {
 			phoneMain: "123-456-7890",
 			markupType: "percentage",
 			markup: 15,
+			taxExempt: false,
 		});
 
 		const result = await db.query(
 			`SELECT company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup
        FROM company_customers
-       WHERE customer_name = 'Customer1'`
+       WHERE customer_name = 'New Customer'`
 		);
 		expect(result.rows).toEqual([
 			{
 				company_id: 1,
-				customer_name: "Customer1",
+				customer_name: "New Customer",
 				address_line1: "123 Main St",
 				address_line2: "Apt 4B",
 				city: "New York",
@@ -80,6 +88,7 @@ describe("findAll", function () {
 		let customers = await Customer.findAll(1); // Assuming companyId = 1
 		expect(customers).toEqual([
 			{
+				id: expect.any(Number),
 				companyId: 1,
 				customerName: "Customer1",
 				addressLine1: "123 Main St",
@@ -90,6 +99,8 @@ describe("findAll", function () {
 				phoneMain: "123-456-7890",
 				markupType: "percentage",
 				markup: 15,
+				taxExempt: false,
+				deletedAt: null,
 			},
 		]);
 	});
@@ -98,6 +109,7 @@ describe("findAll", function () {
 		const customers = await Customer.findAll(1, { name: "Customer1" });
 		expect(customers).toEqual([
 			{
+				id: expect.any(Number),
 				companyId: 1,
 				customerName: "Customer1",
 				addressLine1: "123 Main St",
@@ -108,10 +120,21 @@ describe("findAll", function () {
 				phoneMain: "123-456-7890",
 				markupType: "percentage",
 				markup: 15,
+				taxExempt: false,
+				deletedAt: null,
 			},
 		]);
 	});
 
+	test("works: deleted customers only listed when asked for", async function () {
+		await Customer.remove(1, await customerId("Customer1"));
+		expect(await Customer.findAll(1)).toEqual([]);
+
+		const customers = await Customer.findAll(1, { deleted: "true" });
+		expect(customers.map((c) => c.customerName)).toEqual(["Customer1"]);
+		expect(customers[0].deletedAt).toEqual(expect.any(Date));
+	});
+
 	test("works: empty list if no customer found", async function () {
 		const customers = await Customer.findAll(1, { name: "NonExistent" });
 		expect(customers).toEqual([]);
@@ -122,8 +145,9 @@ describe("findAll", function () {
 
 describe("get", function () {
 	test("works", async function () {
-		const customer = await Customer.get(1, "Customer1"); // Pass both company_id and customer_name
+		const customer = await Customer.get(1, await customerId("Customer1"));
 		expect(customer).toEqual({
+			id: expect.any(Number),
 			companyId: 1,
 			customerName: "Customer1",
 			addressLine1: "123 Main St",
@@ -134,12 +158,14 @@ describe("get", function () {
 			phoneMain: "123-456-7890",
 			markupType: "percentage",
 			markup: 15,
+			taxExempt: false,
+			addresses: [],
 		});
 	});
 
 	test("not found if no such customer", async function () {
 		try {
-			await Customer.get(1, "NonExistent");
+			await Customer.get(1, 0);
 			fail();
 		} catch (err) {
 			expect(err instanceof NotFoundError).toBeTruthy();
@@ -163,8 +189,9 @@ describe("update", function () {
 	};
 
 	test("works", async function () {
-		const updatedCustomer = await Customer.update(1, "Customer1", updateData);
+		const updatedCustomer = await Customer.update(1, await customerId("Customer1"), updateData);
 		expect(updatedCustomer).toEqual({
+			id: expect.any(Number),
 			companyId: 1,
 			customerName: "Updated Customer",
 			addressLine1: "456 New St",
@@ -175,6 +202,7 @@ describe("update", function () {
 			phoneMain: "987-654-3210",
 			markupType: "fixed",
 			markup: 10,
+			taxExempt: false,
 		});
 
 		const result = await db.query(
@@ -200,7 +228,7 @@ describe("update", function () {
 
 	test("not found if customer does not exist", async function () {
 		try {
-			await Customer.update(1, "NonExistent", updateData);
+			await Customer.update(1, 0, updateData);
 			fail();
 		} catch (err) {
 			expect(err instanceof NotFoundError).toBeTruthy();
@@ -211,15 +239,18 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-	test("works", async function () {
-		await Customer.remove(1, "Customer1"); // Pass both company_id and customer_name
-		const res = await db.query("SELECT customer_name FROM company_customers WHERE customer_name='Customer1'");
-		expect(res.rows.length).toEqual(0);
+	test("works: soft deletes", async function () {
+		const id = await customerId("Customer1");
+		await Customer.remove(1, id);
+		const res = await db.query("SELECT deleted_at FROM company_customers WHERE id = $1", [id]);
+		expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+
+		await expect(Customer.get(1, id)).rejects.toThrow(NotFoundError);
 	});
 
 	test("not found if customer does not exist", async function () {
 		try {
-			await Customer.remove(1, "NonExistent");
+			await Customer.remove(1, 0);
 			fail();
 		} catch (err) {
 			expect(err instanceof NotFoundError).toBeTruthy();
@@ -227,12 +258,28 @@ describe("remove", function () {
 	});
 });
 
+/************************************** restore */
+
+describe("restore", function () {
+	test("works", async function () {
+		const id = await customerId("Customer1");
+		await Customer.remove(1, id);
+		const customer = await Customer.restore(1, id);
+		expect(customer.customerName).toEqual("Customer1");
+		expect((await Customer.get(1, id)).customerName).toEqual("Customer1");
+	});
+
+	test("not found if customer is not deleted", async function () {
+		await expect(Customer.restore(1, await customerId("Customer1"))).rejects.toThrow(NotFoundError);
+	});
+});
+
 /************************************** getCustomerCount */
 
 describe("getCustomerCount", function () {
 	test("works", async function () {
-		const count = await Customer.getCustomerCount(1); // Assuming 1 customer in company 1
-		expect(count).toBe(1); // Assuming 1 customer in company 1
+		const count = await Customer.getCustomerCount(1);
+		expect(count).toBe("1"); // COUNT(*) comes back from pg as a string
 	});
 
 	test("error if no customers found", async function () {
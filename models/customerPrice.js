@@ -0,0 +1,311 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { normalizeMarkupType, priceLine } = require("../helpers/pricing");
+const Audit = require("./audit");
+const Customer = require("./customer");
+const Item = require("./item");
+
+const PRICE_TYPES = ["fixed", "markup"];
+const UPDATABLE_FIELDS = ["price_type", "price", "markup_type", "markup", "effective_from", "expires_on"];
+
+/** Columns returned for a price list entry. */
+
+const PRICE_COLUMNS = `id,
+                       company_id AS "companyId",
+                       customer_id AS "customerId",
+                       item_code AS "itemCode",
+                       price_type AS "priceType",
+                       price,
+                       markup_type AS "markupType",
+                       markup,
+                       effective_from AS "effectiveFrom",
+                       expires_on AS "expiresOn",
+                       created_at AS "createdAt"`;
+
+/** Throw BadRequestError unless `value` is a 'YYYY-MM-DD' date (or null, when allowed). */
+
+function validateDate(field, value, { allowNull = false } = {}) {
+	if (value === null && allowNull) return;
+
+	const date = new Date(`${value}T00:00:00Z`);
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+		throw new BadRequestError(`${field} must be a date formatted YYYY-MM-DD: ${value}`);
+	}
+}
+
+/** Subquery for an item's quantity break of `breakType` at quantity $4, for CustomerPrice.resolve. */
+
+function breakFor(breakType) {
+	return `SELECT min_quantity AS "minQuantity", amount
+                 FROM item_price_breaks
+                 WHERE item_price_breaks.company_id = company_items.company_id
+                   AND item_price_breaks.item_code = company_items.item_code
+                   AND break_type = '${breakType}'
+                   AND min_quantity <= $4
+                 ORDER BY min_quantity DESC
+                 LIMIT 1`;
+}
+
+/** Related functions for customer price lists.
+ *
+ * A customer's price list holds, per item, either a fixed contract price or
+ * a markup that overrides the customer's own, each in effect from
+ * effective_from through expires_on. CustomerPrice.resolve prices a quote
+ * line from these, the item's quantity breaks, the customer's markup and the
+ * item's list price (see priceLine in helpers/pricing.js).
+ *
+ * Methods that change data take a trailing `actor` and record the change in
+ * the audit log (see models/audit.js).
+ */
+
+class CustomerPrice {
+	/** Add an entry to a customer's price list.
+	 *
+	 * data should be { item_code, price_type, price, markup_type, markup, effective_from, expires_on }:
+	 * price_type "fixed" needs a price, and "markup" a markup_type and markup.
+	 * effective_from defaults to today; expires_on to never.
+	 *
+	 * Returns { id, companyId, customerId, itemCode, priceType, price, markupType, markup, effectiveFrom, expiresOn, createdAt }
+	 *
+	 * Throws NotFoundError if the company has no such customer, and
+	 * BadRequestError for an unknown or deleted item or an invalid entry.
+	 */
+	static async create(companyId, customerId, data, actor = {}) {
+		const { item_code, price_type, price = null, markup_type = null, markup = null, effective_from, expires_on = null } = data;
+
+		if (!PRICE_TYPES.includes(price_type)) throw new BadRequestError(`price_type must be one of: ${PRICE_TYPES.join(", ")}`);
+		if (price_type === "fixed" && (price === null || price === undefined)) throw new BadRequestError("price is required for a fixed price.");
+		if (price_type === "markup" && (markup === null || markup === undefined)) throw new BadRequestError("markup is required for a markup.");
+		if (effective_from !== undefined) validateDate("effective_from", effective_from);
+		validateDate("expires_on", expires_on, { allowNull: true });
+
+		await Customer.ensureExists(companyId, customerId);
+		await Item.ensureActive(companyId, item_code);
+
+		try {
+			const result = await db.query(
+				`INSERT INTO customer_prices
+				 (company_id, customer_id, item_code, price_type, price, markup_type, markup, effective_from, expires_on)
+				 VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::date, CURRENT_DATE), $9)
+				 RETURNING ${PRICE_COLUMNS}`,
+				[
+					companyId,
+					customerId,
+					item_code,
+					price_type,
+					price_type === "fixed" ? price : null,
+					price_type === "markup" ? normalizeMarkupType(markup_type) : null,
+					price_type === "markup" ? markup : null,
+					effective_from || null,
+					expires_on,
+				]
+			);
+			const entry = result.rows[0];
+
+			await Audit.record({
+				actor,
+				companyId: entry.companyId,
+				entityType: "customer_price",
+				entityId: entry.id,
+				action: "create",
+				after: await Audit.snapshot("customer_prices", "id = $1", [entry.id]),
+			});
+
+			return entry;
+		} catch (err) {
+			if (err.code === "23514") throw new BadRequestError("Invalid price list entry: check the price, markup and dates");
+			throw err;
+		}
+	}
+
+	/** List a customer's price list.
+	 *
+	 * searchFilters can include { itemCode, activeOn }; activeOn ('YYYY-MM-DD',
+	 * or "today") lists only the entries in effect that day.
+	 *
+	 * Returns [{ id, companyId, customerId, itemCode, priceType, price, markupType, markup, effectiveFrom, expiresOn, createdAt }, ...]
+	 *
+	 * Throws NotFoundError if the company has no such customer.
+	 */
+	static async findAll(companyId, customerId, searchFilters = {}) {
+		await Customer.ensureExists(companyId, customerId);
+
+		const { itemCode, activeOn } = searchFilters;
+		const values = [companyId, customerId];
+		let query = `SELECT ${PRICE_COLUMNS}
+                     FROM customer_prices
+                     WHERE company_id = $1 AND customer_id = $2`;
+
+		if (itemCode) {
+			values.push(itemCode);
+			query += ` AND item_code = $${values.length}`;
+		}
+
+		if (activeOn) {
+			if (activeOn !== "today") validateDate("activeOn", activeOn);
+			values.push(activeOn === "today" ? null : activeOn);
+			const day = `COALESCE($${values.length}::date, CURRENT_DATE)`;
+			query += ` AND effective_from <= ${day} AND (expires_on IS NULL OR expires_on >= ${day})`;
+		}
+
+		query += " ORDER BY item_code, effective_from DESC, id DESC";
+
+		const result = await db.query(query, values);
+		return result.rows;
+	}
+
+	/** Get one entry of a customer's price list.
+	 *
+	 * Throws NotFoundError if the customer has no such entry.
+	 */
+	static async get(companyId, customerId, priceId) {
+		const result = await db.query(
+			`SELECT ${PRICE_COLUMNS}
+			 FROM customer_prices
+			 WHERE company_id = $1 AND customer_id = $2 AND id = $3`,
+			[companyId, customerId, priceId]
+		);
+
+		const entry = result.rows[0];
+		if (!entry) throw new NotFoundError(`No price list entry: ${priceId}`);
+
+		return entry;
+	}
+
+	/** Update a price list entry; only the fields given change.
+	 *
+	 * Data can include: { price_type, price, markup_type, markup, effective_from, expires_on }
+	 *
+	 * Throws NotFoundError if the customer has no such entry, and
+	 * BadRequestError if the result isn't a valid entry.
+	 */
+	static async update(companyId, customerId, priceId, data, actor = {}) {
+		if ("price_type" in data && !PRICE_TYPES.includes(data.price_type)) {
+			throw new BadRequestError(`price_type must be one of: ${PRICE_TYPES.join(", ")}`);
+		}
+		if ("effective_from" in data) validateDate("effective_from", data.effective_from);
+		if ("expires_on" in data) validateDate("expires_on", data.expires_on, { allowNull: true });
+
+		// The item and customer are fixed; to reprice another item, add an entry
+		const fields = Object.fromEntries(Object.entries(data).filter(([key]) => UPDATABLE_FIELDS.includes(key)));
+		if (fields.markup_type) fields.markup_type = normalizeMarkupType(fields.markup_type);
+
+		const { setCols, values } = sqlForPartialUpdate(fields, {});
+
+		const idx = values.length;
+		const before = await Audit.snapshot("customer_prices", "id = $1", [priceId]);
+
+		try {
+			const result = await db.query(
+				`UPDATE customer_prices
+				 SET ${setCols}
+				 WHERE company_id = $${idx + 1} AND customer_id = $${idx + 2} AND id = $${idx + 3}
+				 RETURNING ${PRICE_COLUMNS}`,
+				[...values, companyId, customerId, priceId]
+			);
+			const entry = result.rows[0];
+			if (!entry) throw new NotFoundError(`No price list entry: ${priceId}`);
+
+			await Audit.record({
+				actor,
+				companyId: entry.companyId,
+				entityType: "customer_price",
+				entityId: entry.id,
+				action: "update",
+				before,
+				after: await Audit.snapshot("customer_prices", "id = $1", [entry.id]),
+			});
+
+			return entry;
+		} catch (err) {
+			if (err.code === "23514") throw new BadRequestError("Invalid price list entry: check the price, markup and dates");
+			throw err;
+		}
+	}
+
+	/** Delete a price list entry. Quote lines already priced from it keep their price.
+	 *
+	 * Throws NotFoundError if the customer has no such entry.
+	 */
+	static async remove(companyId, customerId, priceId, actor = {}) {
+		const before = await Audit.snapshot("customer_prices", "id = $1", [priceId]);
+
+		const result = await db.query(
+			`DELETE FROM customer_prices
+			 WHERE company_id = $1 AND customer_id = $2 AND id = $3
+			 RETURNING id`,
+			[companyId, customerId, priceId]
+		);
+		if (!result.rows[0]) throw new NotFoundError(`No price list entry: ${priceId}`);
+
+		await Audit.record({ actor, companyId, entityType: "customer_price", entityId: priceId, action: "delete", before });
+	}
+
+	/** Price `quantity` of an item for a customer, today.
+	 *
+	 * The unit cost is the item's cost break for the quantity, or else its
+	 * catalog cost, unless `cost` is given (as an RFQ line's quoted cost can
+	 * be). The item's sell break for the quantity, if any, is its price to
+	 * customers without a price list entry for it.
+	 *
+	 * Returns the line's price and how it was reached, as from priceLine in
+	 * helpers/pricing.js: { quantity, unitCost, costSource, tiers, markup,
+	 * discount, rounding, unitPrice, extendedPrice, rule, priceListEntryId, steps }
+	 *
+	 * Throws BadRequestError if the company has no such customer or item, or
+	 * there's no cost to price from.
+	 */
+	static async resolve(companyId, customerId, itemCode, { cost, quantity = 1 } = {}) {
+		const result = await db.query(
+			`SELECT company_customers.markup_type AS "markupType",
+                    company_customers.markup,
+                    company_items.cost,
+                    to_jsonb(cost_break) AS "costBreak",
+                    to_jsonb(sell_break) AS "sellBreak",
+                    entry.id AS "entryId",
+                    entry.price_type AS "priceType",
+                    entry.price,
+                    entry.markup_type AS "entryMarkupType",
+                    entry.markup AS "entryMarkup"
+             FROM company_customers
+             JOIN company_items ON company_items.company_id = company_customers.company_id AND company_items.item_code = $3
+             LEFT JOIN LATERAL (
+                 SELECT id, price_type, price, markup_type, markup
+                 FROM customer_prices
+                 WHERE customer_prices.customer_id = company_customers.id
+                   AND customer_prices.item_code = company_items.item_code
+                   AND effective_from <= CURRENT_DATE
+                   AND (expires_on IS NULL OR expires_on >= CURRENT_DATE)
+                 ORDER BY price_type = 'fixed' DESC, effective_from DESC, id DESC
+                 LIMIT 1
+             ) entry ON TRUE
+             LEFT JOIN LATERAL (${breakFor("cost")}) cost_break ON TRUE
+             LEFT JOIN LATERAL (${breakFor("sell")}) sell_break ON TRUE
+             WHERE company_customers.company_id = $1 AND company_customers.id = $2`,
+			[companyId, customerId, itemCode, quantity]
+		);
+
+		const row = result.rows[0];
+		if (!row) throw new BadRequestError(`No item ${itemCode} or customer ${customerId} for company: ${companyId}`);
+
+		const priceListEntry = row.entryId
+			? { id: row.entryId, priceType: row.priceType, price: row.price, markupType: row.entryMarkupType, markup: row.entryMarkup }
+			: null;
+
+		return priceLine({
+			cost: row.cost,
+			quotedCost: cost,
+			costBreak: row.costBreak,
+			sellBreak: row.sellBreak,
+			priceListEntry,
+			markupType: row.markupType,
+			markup: row.markup,
+			quantity: Number(quantity),
+		});
+	}
+}
+
+module.exports = CustomerPrice;
@@ -0,0 +1,155 @@
+"use strict";
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const CustomerPrice = require("./customerPrice.js");
+const Item = require("./item.js");
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testCompanyIds, testCustomerIds } = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Add an entry for ITEM001 to Customer1's price list. */
+
+function addPrice(data) {
+	return CustomerPrice.create(testCompanyIds[0], testCustomerIds[0], { item_code: "ITEM001", ...data });
+}
+
+/************************************** create */
+
+describe("create", function () {
+	test("works, in effect from today by default", async function () {
+		const entry = await addPrice({ price_type: "fixed", price: 45 });
+		expect(entry).toEqual({
+			id: expect.any(Number),
+			companyId: testCompanyIds[0],
+			customerId: testCustomerIds[0],
+			itemCode: "ITEM001",
+			priceType: "fixed",
+			price: "45.00",
+			markupType: null,
+			markup: null,
+			effectiveFrom: expect.any(String),
+			expiresOn: null,
+			createdAt: expect.any(Date),
+		});
+	});
+
+	test("bad request for an invalid entry", async function () {
+		await expect(addPrice({ price_type: "discount", price: 45 })).rejects.toThrow(BadRequestError);
+		await expect(addPrice({ price_type: "fixed" })).rejects.toThrow(BadRequestError);
+		await expect(addPrice({ price_type: "markup", markup_type: "percentage" })).rejects.toThrow(BadRequestError);
+		await expect(addPrice({ price_type: "fixed", price: 45, effective_from: "2024-02-30" })).rejects.toThrow(BadRequestError);
+		await expect(addPrice({ price_type: "fixed", price: 45, effective_from: "2024-06-01", expires_on: "2024-01-01" })).rejects.toThrow(BadRequestError);
+	});
+
+	test("bad request for another company's item; not found for its customer", async function () {
+		await expect(addPrice({ item_code: "ITEM003", price_type: "fixed", price: 45 })).rejects.toThrow(BadRequestError);
+		await expect(CustomerPrice.create(testCompanyIds[1], testCustomerIds[0], { item_code: "ITEM003", price_type: "fixed", price: 45 })).rejects.toThrow(
+			NotFoundError
+		);
+	});
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+	test("filters by item and the day in effect", async function () {
+		const current = await addPrice({ price_type: "fixed", price: 45, effective_from: "2020-01-01" });
+		const expired = await addPrice({ price_type: "fixed", price: 40, effective_from: "2019-01-01", expires_on: "2019-12-31" });
+		await CustomerPrice.create(testCompanyIds[0], testCustomerIds[0], { item_code: "ITEM002", price_type: "fixed", price: 90 });
+
+		const item = await CustomerPrice.findAll(testCompanyIds[0], testCustomerIds[0], { itemCode: "ITEM001" });
+		expect(item.map((e) => e.id)).toEqual([current.id, expired.id]);
+
+		const in2019 = await CustomerPrice.findAll(testCompanyIds[0], testCustomerIds[0], { itemCode: "ITEM001", activeOn: "2019-06-01" });
+		expect(in2019.map((e) => e.id)).toEqual([expired.id]);
+
+		const today = await CustomerPrice.findAll(testCompanyIds[0], testCustomerIds[0], { itemCode: "ITEM001", activeOn: "today" });
+		expect(today.map((e) => e.id)).toEqual([current.id]);
+	});
+});
+
+/************************************** update, remove */
+
+describe("update", function () {
+	test("works, leaving the item and customer alone", async function () {
+		const { id } = await addPrice({ price_type: "fixed", price: 45 });
+
+		const entry = await CustomerPrice.update(testCompanyIds[0], testCustomerIds[0], id, { price: 44, item_code: "ITEM002", customer_id: testCustomerIds[1] });
+		expect(entry).toEqual(expect.objectContaining({ id, itemCode: "ITEM001", customerId: testCustomerIds[0], price: "44.00" }));
+	});
+
+	test("not found for another company", async function () {
+		const { id } = await addPrice({ price_type: "fixed", price: 45 });
+		await expect(CustomerPrice.update(testCompanyIds[1], testCustomerIds[0], id, { price: 1 })).rejects.toThrow(NotFoundError);
+		await expect(CustomerPrice.remove(testCompanyIds[1], testCustomerIds[0], id)).rejects.toThrow(NotFoundError);
+	});
+});
+
+describe("remove", function () {
+	test("works", async function () {
+		const { id } = await addPrice({ price_type: "fixed", price: 45 });
+		await CustomerPrice.remove(testCompanyIds[0], testCustomerIds[0], id);
+		await expect(CustomerPrice.get(testCompanyIds[0], testCustomerIds[0], id)).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** resolve */
+
+describe("resolve", function () {
+	const resolve = (quantity = 1) => CustomerPrice.resolve(testCompanyIds[0], testCustomerIds[0], "ITEM001", { quantity });
+
+	test("the customer's markup on the catalog cost", async function () {
+		const price = await resolve(2);
+		expect(price).toEqual(
+			expect.objectContaining({ unitCost: 50, costSource: "catalog", unitPrice: 57.5, extendedPrice: 115, rule: "customer_markup", discount: null, priceListEntryId: null })
+		);
+	});
+
+	test("a contract price over a price list markup, over the customer's markup", async function () {
+		const markup = await addPrice({ price_type: "markup", markup_type: "fixed", markup: 5 });
+		expect(await resolve()).toEqual(expect.objectContaining({ unitPrice: 55, rule: "price_list_markup", priceListEntryId: markup.id }));
+
+		const contract = await addPrice({ price_type: "fixed", price: 45 });
+		expect(await resolve()).toEqual(
+			expect.objectContaining({ unitPrice: 45, rule: "contract", priceListEntryId: contract.id, discount: { standardPrice: 57.5, perUnit: 12.5, percent: 21.74 } })
+		);
+	});
+
+	test("only entries in effect today", async function () {
+		await addPrice({ price_type: "fixed", price: 40, effective_from: "2019-01-01", expires_on: "2019-12-31" });
+		await addPrice({ price_type: "fixed", price: 42, effective_from: "2099-01-01" });
+		expect(await resolve()).toEqual(expect.objectContaining({ unitPrice: 57.5, rule: "customer_markup" }));
+
+		const current = await addPrice({ price_type: "fixed", price: 45, effective_from: "2020-01-01" });
+		expect(await resolve()).toEqual(expect.objectContaining({ unitPrice: 45, priceListEntryId: current.id }));
+	});
+
+	test("the latest entry in effect", async function () {
+		await addPrice({ price_type: "fixed", price: 45, effective_from: "2020-01-01" });
+		const later = await addPrice({ price_type: "fixed", price: 44, effective_from: "2021-01-01" });
+		expect(await resolve()).toEqual(expect.objectContaining({ unitPrice: 44, priceListEntryId: later.id }));
+	});
+
+	test("quantity breaks from their minimum quantity", async function () {
+		await Item.addPriceBreak(testCompanyIds[0], "ITEM001", { break_type: "cost", min_quantity: 10, amount: 40 });
+		await Item.addPriceBreak(testCompanyIds[0], "ITEM001", { break_type: "sell", min_quantity: 20, amount: 48 });
+
+		expect(await resolve(9)).toEqual(expect.objectContaining({ unitCost: 50, unitPrice: 57.5, rule: "customer_markup" }));
+		expect(await resolve(10)).toEqual(expect.objectContaining({ unitCost: 40, costSource: "cost_break", unitPrice: 46, rule: "customer_markup" }));
+		expect(await resolve(20)).toEqual(expect.objectContaining({ unitCost: 40, unitPrice: 48, extendedPrice: 960, rule: "quantity_break" }));
+	});
+
+	test("a price list entry over a quantity break", async function () {
+		await Item.addPriceBreak(testCompanyIds[0], "ITEM001", { break_type: "sell", min_quantity: 1, amount: 48 });
+		await addPrice({ price_type: "fixed", price: 45 });
+		expect(await resolve()).toEqual(expect.objectContaining({ unitPrice: 45, rule: "contract" }));
+	});
+
+	test("bad request for another company's customer or item", async function () {
+		await expect(CustomerPrice.resolve(testCompanyIds[1], testCustomerIds[0], "ITEM001")).rejects.toThrow(BadRequestError);
+		await expect(CustomerPrice.resolve(testCompanyIds[0], testCustomerIds[0], "ITEM003")).rejects.toThrow(BadRequestError);
+	});
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { EMAIL_VERIFICATION_TTL_HOURS } = require("../config");
+
+/** Related functions for email verification tokens.
+ *
+ * New accounts can't sign in until they follow the link emailed to them. A
+ * token is good for one use within EMAIL_VERIFICATION_TTL_HOURS; only its
+ * SHA-256 hash is stored.
+ */
+
+class EmailVerification {
+	/** Issue a verification token for a user who hasn't verified yet.
+	 *
+	 * Any earlier unused tokens for the user stop working.
+	 *
+	 * Returns { token, user: { id, email, fullName } }, or null if no unverified
+	 * user has that email (callers shouldn't reveal which).
+	 */
+
+	static async create(email) {
+		const userRes = await db.query(
+			`SELECT id, email, full_name AS "fullName"
+			 FROM users
+			 WHERE email = $1 AND email_verified_at IS NULL`,
+			[email]
+		);
+
+		const user = userRes.rows[0];
+		if (!user) return null;
+
+		const token = createRandomToken();
+
+		await db.query(`UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL`, [user.id]);
+		await db.query(
+			`INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+			 VALUES ($1, $2, NOW() + make_interval(hours => $3))`,
+			[user.id, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]
+		);
+
+		return { token, user };
+	}
+
+	/** Mark a user's email address verified using a token.
+	 *
+	 * Returns { userId }
+	 *
+	 * Throws BadRequestError if the token is unknown, expired or already used.
+	 */
+
+	static async verify(token) {
+		const result = await db.query(
+			`UPDATE email_verification_tokens
+			 SET used_at = NOW()
+			 WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+			 RETURNING user_id AS "userId"`,
+			[hashToken(token)]
+		);
+
+		const verification = result.rows[0];
+		if (!verification) throw new BadRequestError("Invalid or expired email verification token");
+
+		await db.query(`UPDATE users SET email_verified_at = NOW() WHERE id = $1 AND email_verified_at IS NULL`, [verification.userId]);
+
+		return verification;
+	}
+}
+
+module.exports = EmailVerification;
@@ -0,0 +1,145 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { validateRole } = require("../helpers/permissions");
+const { INVITATION_TTL_DAYS } = require("../config");
+const User = require("./user");
+
+/** Columns returned for an invitation. */
+
+const INVITATION_COLUMNS = `id,
+       company_id AS "companyId",
+       email,
+       role,
+       invited_by AS "invitedBy",
+       created_at AS "createdAt",
+       expires_at AS "expiresAt"`;
+
+/** Related functions for company invitations.
+ *
+ * Users join a company only by invitation: the invite is emailed, and its
+ * token is what lets the invitee register, with the company and role the
+ * invite was issued for. An invite is good for one use within
+ * INVITATION_TTL_DAYS; only its token's SHA-256 hash is stored.
+ */
+
+class Invitation {
+	/** Invite someone to join a company.
+	 *
+	 * data should be { email, role }; role defaults to "sales_rep". Any earlier
+	 * pending invite to the same email for the company is revoked.
+	 *
+	 * Returns { invitation: { id, companyId, email, role, invitedBy, createdAt, expiresAt }, token }
+	 *
+	 * Throws BadRequestError for a missing email, an unknown role, or an email
+	 * that already has an account.
+	 */
+
+	static async create(companyId, { email, role = "sales_rep" } = {}, invitedBy = null) {
+		if (!email) throw new BadRequestError("email is required.");
+		validateRole(role);
+
+		const existing = await db.query(`SELECT id FROM users WHERE email = $1`, [email]);
+		if (existing.rows[0]) throw new BadRequestError(`${email} already has an account`);
+
+		const token = createRandomToken();
+
+		await db.query(
+			`UPDATE company_invitations
+			 SET revoked_at = NOW()
+			 WHERE company_id = $1 AND email = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+			[companyId, email]
+		);
+
+		const result = await db.query(
+			`INSERT INTO company_invitations (company_id, email, role, token_hash, invited_by, expires_at)
+			 VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+			 RETURNING ${INVITATION_COLUMNS}`,
+			[companyId, email, role, hashToken(token), invitedBy, INVITATION_TTL_DAYS]
+		);
+
+		return { invitation: result.rows[0], token };
+	}
+
+	/** List a company's pending (not accepted, revoked or expired) invitations.
+	 *
+	 * Returns [{ id, companyId, email, role, invitedBy, createdAt, expiresAt }, ...]
+	 */
+
+	static async findAll(companyId) {
+		const result = await db.query(
+			`SELECT ${INVITATION_COLUMNS}
+			 FROM company_invitations
+			 WHERE company_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+			 ORDER BY created_at DESC`,
+			[companyId]
+		);
+
+		return result.rows;
+	}
+
+	/** Revoke a pending invitation.
+	 *
+	 * Throws NotFoundError if the company has no such pending invitation.
+	 */
+
+	static async revoke(companyId, invitationId) {
+		const result = await db.query(
+			`UPDATE company_invitations
+			 SET revoked_at = NOW()
+			 WHERE id = $1 AND company_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+			 RETURNING id`,
+			[invitationId, companyId]
+		);
+
+		if (!result.rows[0]) throw new NotFoundError(`No pending invitation: ${invitationId}`);
+	}
+
+	/** Register the invitee of an invitation.
+	 *
+	 * data should be { password, fullName, phone }; the email, company and role
+	 * come from the invitation. The new user still has to verify their email
+	 * address before they can sign in.
+	 *
+	 * Returns { id, email, fullName, phone, isAdmin, companyId, role }
+	 *
+	 * Throws BadRequestError if the token is unknown, expired, revoked or
+	 * already used, or if registration fails.
+	 */
+
+	static async accept(token, { password, fullName, phone = null } = {}) {
+		if (!password || !fullName) throw new BadRequestError("password and fullName are required.");
+
+		return db.transaction(async () => {
+			// Lock the invite so it can't be used twice at once
+			const inviteRes = await db.query(
+				`SELECT id, company_id AS "companyId", email, role
+				 FROM company_invitations
+				 WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+				 FOR UPDATE`,
+				[hashToken(token)]
+			);
+
+			const invitation = inviteRes.rows[0];
+			if (!invitation) throw new BadRequestError("Invalid or expired invitation");
+
+			const user = await User.register({
+				email: invitation.email,
+				password,
+				fullName,
+				phone,
+				isAdmin: false,
+				companyId: invitation.companyId,
+				role: invitation.role,
+			});
+
+			await db.query(`UPDATE company_invitations SET accepted_at = NOW(), accepted_user_id = $1 WHERE id = $2`, [user.id, invitation.id]);
+
+			return user;
+		});
+	}
+}
+
+module.exports = Invitation;
@@ -2,9 +2,47 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, validateUpdateFields } = require("../helpers/sql");
+const Audit = require("./audit");
 
-/** Related functions for items */
+/** Kinds of quantity break: tiers of an item's unit cost, and of its unit sell price. */
+
+const BREAK_TYPES = ["cost", "sell"];
+
+/** Fields Item.update accepts; an item keeps its code and company. */
+
+const UPDATE_FIELDS = ["description", "uom", "cost"];
+
+/** Columns returned for a quantity break. */
+
+const BREAK_COLUMNS = `id,
+                       break_type AS "breakType",
+                       min_quantity AS "minQuantity",
+                       amount`;
+
+function validateBreak({ break_type, min_quantity, amount }) {
+	if (break_type !== undefined && !BREAK_TYPES.includes(break_type)) {
+		throw new BadRequestError(`Invalid break type: ${break_type}. Use one of: ${BREAK_TYPES.join(", ")}`);
+	}
+	if (min_quantity !== undefined && !(Number.isInteger(Number(min_quantity)) && Number(min_quantity) > 0)) {
+		throw new BadRequestError("min_quantity must be a whole number greater than 0.");
+	}
+	if (amount !== undefined && !(Number(amount) >= 0)) throw new BadRequestError("amount must be 0 or more.");
+}
+
+/** Related functions for items
+ *
+ * Methods that change data take a trailing `actor` and record the change in
+ * the audit log (see models/audit.js).
+ *
+ * Deleting an item only marks it deleted: it drops out of lookups but can be
+ * restored until the purge job removes it (see jobs/purgeDeleted.js). Existing
+ * RFQ and quote lines for it are left as they are.
+ *
+ * An item can have quantity breaks: tiers of unit cost and of unit sell
+ * price, each from its min quantity up to the next tier's. Quote lines are
+ * priced from the tiers for their quantity (see CustomerPrice.resolve).
+ */
 
 class Item {
 	/** Create an item (from data), update db, return new item data.
@@ -13,17 +51,20 @@ class Item {
 	 *
 	 * Returns { companyId, itemCode, description, uom, cost }
 	 *
-	 * Throws BadRequestError if item already in database.
+	 * Throws BadRequestError if item already in database, including as a
+	 * deleted item, which should be restored instead.
 	 * */
-	static async create({ companyId, itemCode, description, uom, cost }) {
+	static async create({ companyId, itemCode, description, uom, cost }, actor = {}) {
 		const duplicateCheck = await db.query(
-			`SELECT item_code
+			`SELECT item_code, deleted_at
        FROM company_items
        WHERE company_id = $1 AND item_code = $2`,
 			[companyId, itemCode]
 		);
 
-		if (duplicateCheck.rows[0]) throw new BadRequestError(`Duplicate item: ${itemCode}`);
+		const duplicate = duplicateCheck.rows[0];
+		if (duplicate && duplicate.deleted_at) throw new BadRequestError(`Duplicate item: ${itemCode} (deleted; restore it instead)`);
+		if (duplicate) throw new BadRequestError(`Duplicate item: ${itemCode}`);
 
 		const result = await db.query(
 			`INSERT INTO company_items
@@ -34,25 +75,40 @@ class Item {
 		);
 		const item = result.rows[0];
 
+		await Audit.record({
+			actor,
+			companyId: item.companyId,
+			entityType: "item",
+			entityId: item.itemCode,
+			action: "create",
+			after: await Audit.snapshot("company_items", "company_id = $1 AND item_code = $2", [item.companyId, item.itemCode]),
+		});
+
 		return item;
 	}
 
 	/** Find all items for a given company (optional filter on searchFilters).
 	 *
-	 * Returns [{ companyId, itemCode, description, uom, cost }, ...]
+	 * searchFilters can include { itemCode, deleted }; deleted: "true" lists
+	 * deleted items instead.
+	 *
+	 * Returns [{ companyId, itemCode, description, uom, cost, deletedAt }, ...]
 	 * */
 	static async findAll(companyId, searchFilters = {}) {
 		let query = `SELECT ci.company_id AS "companyId",
                         ci.item_code AS "itemCode",
                         ci.description,
                         ci.uom,
-                        ci.cost
+                        ci.cost,
+                        ci.deleted_at AS "deletedAt"
                  FROM company_items ci
                  WHERE ci.company_id = $1`;
 
 		let queryValues = [companyId];
 
-		const { itemCode } = searchFilters;
+		const { itemCode, deleted } = searchFilters;
+
+		query += deleted === true || deleted === "true" ? " AND ci.deleted_at IS NOT NULL" : " AND ci.deleted_at IS NULL";
 
 		// If an itemCode filter is provided, add it to the WHERE clause correctly
 		if (itemCode) {
@@ -71,7 +127,7 @@ class Item {
 		const result = await db.query(
 			`SELECT COUNT(*) AS count
        FROM company_items ci
-       WHERE ci.company_id = $1`,
+       WHERE ci.company_id = $1 AND ci.deleted_at IS NULL`,
 			[companyId]
 		);
 
@@ -83,6 +139,9 @@ class Item {
 	}
 
 	/** Given an item code and company id, return data about the item.
+	 *
+	 * Returns { companyId, itemCode, description, uom, cost, costBreaks, sellBreaks }
+	 *   where costBreaks and sellBreaks are [{ id, breakType, minQuantity, amount }, ...], by min quantity
 	 *
 	 * Throws NotFoundError if not found.
 	 **/
@@ -94,7 +153,7 @@ class Item {
               uom,
               cost
        FROM company_items
-       WHERE company_id = $1 AND item_code = $2`,
+       WHERE company_id = $1 AND item_code = $2 AND deleted_at IS NULL`,
 			[companyId, itemCode]
 		);
 
@@ -102,6 +161,17 @@ class Item {
 
 		if (!item) throw new NotFoundError(`No item: ${itemCode} for company: ${companyId}`);
 
+		const breaksRes = await db.query(
+			`SELECT ${BREAK_COLUMNS}
+       FROM item_price_breaks
+       WHERE company_id = $1 AND item_code = $2
+       ORDER BY min_quantity`,
+			[companyId, itemCode]
+		);
+
+		item.costBreaks = breaksRes.rows.filter((b) => b.breakType === "cost");
+		item.sellBreaks = breaksRes.rows.filter((b) => b.breakType === "sell");
+
 		return item;
 	}
 
@@ -114,28 +184,37 @@ class Item {
 	 *
 	 * Returns { companyId, itemCode, description, uom, cost }
 	 *
-	 * Throws NotFoundError if not found.
+	 * Throws NotFoundError if not found, and BadRequestError for any other field.
 	 */
-	static async update(companyId, itemCode, data) {
+	static async update(companyId, itemCode, data, actor = {}) {
+		validateUpdateFields(data, UPDATE_FIELDS);
+
 		try {
-			// Use sqlForPartialUpdate to generate the SQL columns and values, excluding 'item_code' and 'company_id'
-			const { setCols, values } = sqlForPartialUpdate(data, {
-				description: "description",
-				uom: "uom",
-				cost: "cost",
-			});
+			const { setCols, values } = sqlForPartialUpdate(data, {});
 
 			const querySql = `UPDATE company_items
 							SET ${setCols}
-							WHERE company_id = $${values.length + 1} AND item_code = $${values.length + 2}
+							WHERE company_id = $${values.length + 1} AND item_code = $${values.length + 2} AND deleted_at IS NULL
 							RETURNING company_id AS "companyId", item_code AS "itemCode", description, uom, cost`;
 
+			const before = await Audit.snapshot("company_items", "company_id = $1 AND item_code = $2", [companyId, itemCode]);
+
 			// Execute the query
 			const result = await db.query(querySql, [...values, companyId, itemCode]);
 			const item = result.rows[0];
 
 			if (!item) throw new NotFoundError(`No item: ${itemCode} for company: ${companyId}`);
 
+			await Audit.record({
+				actor,
+				companyId: item.companyId,
+				entityType: "item",
+				entityId: item.itemCode,
+				action: "update",
+				before,
+				after: await Audit.snapshot("company_items", "company_id = $1 AND item_code = $2", [item.companyId, item.itemCode]),
+			});
+
 			return item;
 		} catch (err) {
 			console.error("Error updating item:", err);
@@ -143,15 +222,17 @@ class Item {
 		}
 	}
 
-	/** Delete given item from database; returns undefined.
+	/** Delete given item (a soft delete; see Item.restore).
 	 *
 	 * Throws NotFoundError if item not found.
 	 **/
-	static async remove(companyId, itemCode) {
+	static async remove(companyId, itemCode, actor = {}) {
+		const before = await Audit.snapshot("company_items", "company_id = $1 AND item_code = $2", [companyId, itemCode]);
+
 		const result = await db.query(
-			`DELETE
-       FROM company_items
-       WHERE company_id = $1 AND item_code = $2
+			`UPDATE company_items
+       SET deleted_at = NOW()
+       WHERE company_id = $1 AND item_code = $2 AND deleted_at IS NULL
        RETURNING company_id, item_code`,
 			[companyId, itemCode]
 		);
@@ -159,8 +240,189 @@ class Item {
 
 		if (!item) throw new NotFoundError(`No item: ${itemCode} for company: ${companyId}`);
 
+		await Audit.record({ actor, companyId: item.company_id, entityType: "item", entityId: itemCode, action: "delete", before });
+
 		return { message: "Deleted successfully" };
 	}
+
+	/** Restore a deleted item.
+	 *
+	 * Returns { companyId, itemCode, description, uom, cost }
+	 *
+	 * Throws NotFoundError if the company has no such deleted item.
+	 */
+	static async restore(companyId, itemCode, actor = {}) {
+		const result = await db.query(
+			`UPDATE company_items
+       SET deleted_at = NULL
+       WHERE company_id = $1 AND item_code = $2 AND deleted_at IS NOT NULL
+       RETURNING company_id AS "companyId", item_code AS "itemCode", description, uom, cost`,
+			[companyId, itemCode]
+		);
+		const item = result.rows[0];
+
+		if (!item) throw new NotFoundError(`No deleted item: ${itemCode} for company: ${companyId}`);
+
+		await Audit.record({
+			actor,
+			companyId: item.companyId,
+			entityType: "item",
+			entityId: itemCode,
+			action: "restore",
+			after: await Audit.snapshot("company_items", "company_id = $1 AND item_code = $2", [companyId, itemCode]),
+		});
+
+		return item;
+	}
+
+	/** Add a quantity break to an item.
+	 *
+	 * data should be { break_type, min_quantity, amount }: from min_quantity
+	 * up, the item's unit cost ("cost") or unit sell price ("sell") is amount.
+	 *
+	 * Returns { id, breakType, minQuantity, amount }
+	 *
+	 * Throws NotFoundError if the company has no such item, and
+	 * BadRequestError for an invalid break or one already at that quantity.
+	 */
+	static async addPriceBreak(companyId, itemCode, { break_type, min_quantity, amount }, actor = {}) {
+		if (!break_type || min_quantity === undefined || amount === undefined) {
+			throw new BadRequestError("break_type, min_quantity and amount are required.");
+		}
+		validateBreak({ break_type, min_quantity, amount });
+		await Item.get(companyId, itemCode);
+
+		try {
+			const result = await db.query(
+				`INSERT INTO item_price_breaks (company_id, item_code, break_type, min_quantity, amount)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${BREAK_COLUMNS}`,
+				[companyId, itemCode, break_type, min_quantity, amount]
+			);
+			const priceBreak = result.rows[0];
+
+			await Audit.record({
+				actor,
+				companyId,
+				entityType: "item_price_break",
+				entityId: priceBreak.id,
+				action: "create",
+				after: await Audit.snapshot("item_price_breaks", "id = $1", [priceBreak.id]),
+			});
+
+			return priceBreak;
+		} catch (err) {
+			if (err.code === "23505") throw new BadRequestError(`Item ${itemCode} already has a ${break_type} break at quantity ${min_quantity}`);
+			throw err;
+		}
+	}
+
+	/** Update a quantity break's min quantity or amount.
+	 *
+	 * Data can include: { min_quantity, amount }
+	 *
+	 * Returns { id, breakType, minQuantity, amount }
+	 *
+	 * Throws NotFoundError if the item has no such break, and
+	 * BadRequestError for an invalid break or one already at that quantity.
+	 */
+	static async updatePriceBreak(companyId, itemCode, breakId, data, actor = {}) {
+		validateBreak({ min_quantity: data.min_quantity, amount: data.amount });
+
+		// A break keeps its type; to move a tier between cost and sell, add a new one
+		const fields = Object.fromEntries(Object.entries(data).filter(([key]) => ["min_quantity", "amount"].includes(key)));
+		const { setCols, values } = sqlForPartialUpdate(fields, {});
+
+		const idx = values.length;
+		const before = await Audit.snapshot("item_price_breaks", "id = $1", [breakId]);
+
+		try {
+			const result = await db.query(
+				`UPDATE item_price_breaks
+         SET ${setCols}
+         WHERE company_id = $${idx + 1} AND item_code = $${idx + 2} AND id = $${idx + 3}
+         RETURNING ${BREAK_COLUMNS}`,
+				[...values, companyId, itemCode, breakId]
+			);
+			const priceBreak = result.rows[0];
+			if (!priceBreak) throw new NotFoundError(`No quantity break: ${breakId}`);
+
+			await Audit.record({
+				actor,
+				companyId,
+				entityType: "item_price_break",
+				entityId: priceBreak.id,
+				action: "update",
+				before,
+				after: await Audit.snapshot("item_price_breaks", "id = $1", [priceBreak.id]),
+			});
+
+			return priceBreak;
+		} catch (err) {
+			if (err.code === "23505") throw new BadRequestError(`Item ${itemCode} already has a break at quantity ${data.min_quantity}`);
+			throw err;
+		}
+	}
+
+	/** Delete a quantity break. Quote lines already priced from it keep their price.
+	 *
+	 * Throws NotFoundError if the item has no such break.
+	 */
+	static async removePriceBreak(companyId, itemCode, breakId, actor = {}) {
+		const before = await Audit.snapshot("item_price_breaks", "id = $1", [breakId]);
+
+		const result = await db.query(
+			`DELETE FROM item_price_breaks
+       WHERE company_id = $1 AND item_code = $2 AND id = $3
+       RETURNING id`,
+			[companyId, itemCode, breakId]
+		);
+		if (!result.rows[0]) throw new NotFoundError(`No quantity break: ${breakId}`);
+
+		await Audit.record({ actor, companyId, entityType: "item_price_break", entityId: breakId, action: "delete", before });
+	}
+
+	/** Permanently remove items deleted more than `olderThanDays` days ago.
+	 *
+	 * Items still on an RFQ or quote line are kept until those are purged.
+	 * Run by the purge job.
+	 *
+	 * Returns [{ companyId, itemCode }, ...] for the items removed.
+	 */
+	static async purgeDeleted(olderThanDays) {
+		const result = await db.query(
+			`DELETE FROM company_items ci
+       WHERE ci.deleted_at < NOW() - make_interval(days => $1)
+         AND NOT EXISTS (SELECT 1 FROM rfq_items WHERE rfq_items.company_id = ci.company_id AND rfq_items.item_code = ci.item_code)
+         AND NOT EXISTS (SELECT 1 FROM quote_items WHERE quote_items.company_id = ci.company_id AND quote_items.item_code = ci.item_code)
+       RETURNING ci.company_id AS "companyId", ci.item_code AS "itemCode", to_jsonb(ci) AS before`,
+			[olderThanDays]
+		);
+
+		const purged = [];
+		for (const { before, ...item } of result.rows) {
+			await Audit.record({ companyId: item.companyId, entityType: "item", entityId: item.itemCode, action: "purge", before });
+			purged.push(item);
+		}
+		return purged;
+	}
+
+	/** Throw BadRequestError unless the company has this item, not deleted.
+	 *
+	 * Used before adding the item to an RFQ or quote.
+	 */
+	static async ensureActive(companyId, itemCode) {
+		const result = await db.query(
+			`SELECT deleted_at AS "deletedAt"
+       FROM company_items
+       WHERE company_id = $1 AND item_code = $2`,
+			[companyId, itemCode]
+		);
+		const item = result.rows[0];
+
+		if (!item) throw new BadRequestError(`No item: ${itemCode} for company: ${companyId}`);
+		if (item.deletedAt) throw new BadRequestError(`Item ${itemCode} has been deleted`);
+	}
 }
 
 module.exports = Item;
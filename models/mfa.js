@@ -0,0 +1,161 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const { generateSecret, otpauthUrl, verifyTotp } = require("../helpers/totp");
+
+const RECOVERY_CODE_COUNT = 10;
+
+/** Recovery codes are shown as "xxxxx-xxxxx"; compare them without the
+ *  dash, spaces or case the user may type them with.
+ */
+
+function normalizeRecoveryCode(code) {
+	return String(code).toLowerCase().replace(/[^0-9a-f]/g, "");
+}
+
+/** Replace a user's recovery codes with a fresh set; returns the new codes. */
+
+async function issueRecoveryCodes(userId) {
+	const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+		const hex = crypto.randomBytes(5).toString("hex");
+		return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+	});
+
+	await db.query(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [userId]);
+	await db.query(
+		`INSERT INTO mfa_recovery_codes (user_id, code_hash)
+		 SELECT $1, unnest($2::text[])`,
+		[userId, codes.map((code) => hashToken(normalizeRecoveryCode(code)))]
+	);
+
+	return codes;
+}
+
+/** Related functions for two-factor authentication (TOTP, see helpers/totp.js).
+ *
+ * Enrolling is two steps: setup issues a secret for the user's authenticator
+ * app, and confirm turns MFA on once the user proves the app works by sending
+ * a code from it. Confirming also issues RECOVERY_CODE_COUNT single-use
+ * recovery codes, for when the authenticator is lost.
+ */
+
+class Mfa {
+	/** Start enrolling a user: store a new secret, replacing any earlier
+	 *  unconfirmed one.
+	 *
+	 * Returns { secret, otpauthUrl }
+	 *
+	 * Throws NotFoundError if there's no such user, BadRequestError if MFA is
+	 * already enabled.
+	 */
+
+	static async setup(userId) {
+		const userRes = await db.query(`SELECT email, mfa_enabled_at AS "mfaEnabledAt" FROM users WHERE id = $1`, [userId]);
+		const user = userRes.rows[0];
+
+		if (!user) throw new NotFoundError(`No user with id of: ${userId}`);
+		if (user.mfaEnabledAt) throw new BadRequestError("Two-factor authentication is already enabled");
+
+		const secret = generateSecret();
+		await db.query(`UPDATE users SET mfa_secret = $1, mfa_last_step = NULL WHERE id = $2`, [secret, userId]);
+
+		return { secret, otpauthUrl: otpauthUrl({ secret, accountName: user.email }) };
+	}
+
+	/** Finish enrolling a user with a code from their authenticator.
+	 *
+	 * Returns { recoveryCodes: [code, ...] }; they are only ever shown here.
+	 *
+	 * Throws BadRequestError if setup hasn't been started, MFA is already
+	 * enabled, or the code is wrong.
+	 */
+
+	static async confirm(userId, code) {
+		const userRes = await db.query(
+			`SELECT mfa_secret AS "mfaSecret", mfa_enabled_at AS "mfaEnabledAt" FROM users WHERE id = $1`,
+			[userId]
+		);
+		const user = userRes.rows[0];
+
+		if (!user) throw new NotFoundError(`No user with id of: ${userId}`);
+		if (user.mfaEnabledAt) throw new BadRequestError("Two-factor authentication is already enabled");
+		if (!user.mfaSecret) throw new BadRequestError("Two-factor authentication setup has not been started");
+
+		const step = verifyTotp(user.mfaSecret, code);
+		if (step === null) throw new BadRequestError("Invalid authentication code");
+
+		return db.transaction(async () => {
+			await db.query(`UPDATE users SET mfa_enabled_at = NOW(), mfa_last_step = $1 WHERE id = $2`, [step, userId]);
+			const recoveryCodes = await issueRecoveryCodes(userId);
+
+			return { recoveryCodes };
+		});
+	}
+
+	/** Check a second-factor code for a user with MFA enabled.
+	 *
+	 * code is either a current code from their authenticator (each is good
+	 * once) or one of their unused recovery codes, which is then used up.
+	 *
+	 * Returns true or false.
+	 */
+
+	static async verify(userId, code) {
+		if (!code) return false;
+
+		if (/^\d{6}$/.test(String(code))) {
+			const userRes = await db.query(
+				`SELECT mfa_secret AS "mfaSecret" FROM users WHERE id = $1 AND mfa_enabled_at IS NOT NULL`,
+				[userId]
+			);
+			const user = userRes.rows[0];
+			if (!user) return false;
+
+			const step = verifyTotp(user.mfaSecret, code);
+			if (step === null) return false;
+
+			// Only move forward, so a code (or an older one) can't be replayed
+			const result = await db.query(
+				`UPDATE users
+				 SET mfa_last_step = $2
+				 WHERE id = $1 AND (mfa_last_step IS NULL OR mfa_last_step < $2)
+				 RETURNING id`,
+				[userId, step]
+			);
+			return result.rows.length > 0;
+		}
+
+		const result = await db.query(
+			`UPDATE mfa_recovery_codes
+			 SET used_at = NOW()
+			 WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+			 RETURNING id`,
+			[userId, hashToken(normalizeRecoveryCode(code))]
+		);
+		return result.rows.length > 0;
+	}
+
+	/** Turn MFA off for a user, removing their secret and recovery codes.
+	 *
+	 * Throws NotFoundError if there's no such user.
+	 */
+
+	static async disable(userId) {
+		const result = await db.query(
+			`UPDATE users
+			 SET mfa_secret = NULL, mfa_enabled_at = NULL, mfa_last_step = NULL
+			 WHERE id = $1
+			 RETURNING id`,
+			[userId]
+		);
+
+		if (!result.rows[0]) throw new NotFoundError(`No user with id of: ${userId}`);
+
+		await db.query(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [userId]);
+	}
+}
+
+module.exports = Mfa;
@@ -0,0 +1,82 @@
+"use strict";
+
+const db = require("../db");
+const bcrypt = require("bcrypt");
+const { BadRequestError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { BCRYPT_WORK_FACTOR, PASSWORD_RESET_TTL_MINUTES } = require("../config");
+const Session = require("./session");
+
+/** Related functions for password reset tokens.
+ *
+ * A reset token is emailed to the user and is good for one use within
+ * PASSWORD_RESET_TTL_MINUTES. Only its SHA-256 hash is stored.
+ */
+
+class PasswordReset {
+	/** Issue a reset token for the user with this email.
+	 *
+	 * Any earlier unused tokens for the user stop working.
+	 *
+	 * Returns { token, user: { id, email, fullName } }, or null if no user has
+	 * that email (callers shouldn't reveal which).
+	 */
+
+	static async create(email) {
+		const userRes = await db.query(
+			`SELECT id, email, full_name AS "fullName"
+			 FROM users
+			 WHERE email = $1`,
+			[email]
+		);
+
+		const user = userRes.rows[0];
+		if (!user) return null;
+
+		const token = createRandomToken();
+
+		await db.query(`UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL`, [user.id]);
+		await db.query(
+			`INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+			 VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+			[user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES]
+		);
+
+		return { token, user };
+	}
+
+	/** Set a new password using a reset token.
+	 *
+	 * Uses up the token and signs the user out of every session.
+	 *
+	 * Returns { userId }
+	 *
+	 * Throws BadRequestError if the token is unknown, expired or already used.
+	 */
+
+	static async reset(token, newPassword) {
+		if (!newPassword) throw new BadRequestError("A new password is required.");
+
+		const hashedPassword = await bcrypt.hash(newPassword, BCRYPT_WORK_FACTOR);
+
+		return db.transaction(async () => {
+			const result = await db.query(
+				`UPDATE password_reset_tokens
+				 SET used_at = NOW()
+				 WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+				 RETURNING user_id AS "userId"`,
+				[hashToken(token)]
+			);
+
+			const reset = result.rows[0];
+			if (!reset) throw new BadRequestError("Invalid or expired password reset token");
+
+			await db.query(`UPDATE users SET password = $1 WHERE id = $2`, [hashedPassword, reset.userId]);
+			await Session.revokeAllForUser(reset.userId);
+
+			return reset;
+		});
+	}
+}
+
+module.exports = PasswordReset;
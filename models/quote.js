@@ -1,56 +1,680 @@
 "use strict";
 
 const db = require("../db");
-const { NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { BadRequestError, NotFoundError, ForbiddenError } = require("../expressError");
+const { sqlForPartialUpdate, validateUpdateFields, sqlForCompanyScope } = require("../helpers/sql");
+const Company = require("./company");
+const Customer = require("./customer");
+const Contact = require("./contact");
+const Address = require("./address");
+const CustomerPrice = require("./customerPrice");
+const Item = require("./item");
+const User = require("./user");
+const Audit = require("./audit");
+const { revisionLabel, revisionNumber, diffRevisions } = require("../helpers/quoteDiff");
+const { assessMargins } = require("../helpers/pricing");
+const { validateAdjustment, computeTotals } = require("../helpers/quoteTotals");
 
-/** Related functions for quotes */
+/** Quote lifecycle: each status maps to the statuses it may move to.
+ *
+ * A draft is sent to the customer, who accepts or rejects it. Sent and
+ * rejected quotes can be revised, which puts them back into draft.
+ * Open quotes past valid_until are expired by the quote expiry job and can
+ * also be revised. A sent quote's line items and adjustments are locked
+ * until it is revised; accepted quotes are final and stay locked.
+ */
+
+const QUOTE_STATUS_TRANSITIONS = {
+	draft: ["sent", "expired"],
+	sent: ["accepted", "rejected", "draft", "expired"],
+	rejected: ["draft"],
+	expired: ["draft"],
+	accepted: [],
+};
+
+/** Statuses of quotes still waiting on the customer, which can expire. */
+
+const OPEN_QUOTE_STATUSES = ["draft", "sent"];
+
+/** RFQ statuses a quote can be made from; won, lost and cancelled RFQs are closed. */
+
+const QUOTABLE_RFQ_STATUSES = ["draft", "submitted", "in_pricing", "quoted"];
+
+/** Columns returned after a quote changes status. */
+
+const QUOTE_STATUS_COLUMNS = `id,
+	status,
+	sent_at AS "sentAt",
+	accepted_at AS "acceptedAt",
+	accepted_by_name AS "acceptedByName",
+	accepted_by_email AS "acceptedByEmail",
+	rejected_at AS "rejectedAt",
+	rejection_reason AS "rejectionReason",
+	expired_at AS "expiredAt"`;
+
+/** Move a quote to `toStatus`, also setting any extra columns in `data`.
+ *
+ * `onTransition(id)`, if given, runs inside the same transaction after the
+ * status changes. The change is recorded in the audit log as made by `actor`.
+ *
+ * Throws NotFoundError if the quote does not exist (or belongs to a company
+ * other than `companyId`, when given) and BadRequestError if the transition
+ * is not allowed from the quote's current status.
+ */
+
+async function transitionQuote(id, toStatus, data = {}, onTransition = null, companyId, actor = {}) {
+	return db.transaction(async () => {
+		// Lock the row so two concurrent transitions can't both pass validation
+		const lockValues = [id];
+		const scope = sqlForCompanyScope("company_id", companyId, lockValues);
+		const currentRes = await db.query(
+			`SELECT status, company_id AS "companyId" FROM quotes WHERE id = $1 AND deleted_at IS NULL${scope} FOR UPDATE`,
+			lockValues
+		);
+		const current = currentRes.rows[0];
+
+		if (!current) throw new NotFoundError(`No quote: ${id}`);
+
+		if (!QUOTE_STATUS_TRANSITIONS[current.status].includes(toStatus)) {
+			throw new BadRequestError(`Cannot move quote ${id} from ${current.status} to ${toStatus}`);
+		}
+
+		const { setCols, values } = sqlForPartialUpdate({ ...data, status: toStatus }, {});
+		const result = await db.query(`UPDATE quotes SET ${setCols} WHERE id = $${values.length + 1} RETURNING ${QUOTE_STATUS_COLUMNS}`, [...values, id]);
+
+		if (onTransition) await onTransition(id);
+
+		await Audit.record({
+			actor,
+			companyId: current.companyId,
+			entityType: "quote",
+			entityId: id,
+			action: "transition",
+			before: { status: current.status },
+			after: result.rows[0],
+		});
+
+		return result.rows[0];
+	});
+}
+
+/** Throw BadRequestError unless a quote can be made from `rfq` ({ id, status }). */
+
+function ensureQuotable(rfq) {
+	if (!QUOTABLE_RFQ_STATUSES.includes(rfq.status)) {
+		throw new BadRequestError(`RFQ ${rfq.id} is ${rfq.status} and can't be quoted`);
+	}
+	return rfq;
+}
+
+/** Snapshot the quote's current header, line items, adjustments and totals
+ *  as its next revision.
+ *
+ * Must be called inside a transaction that holds the quote's row lock.
+ *
+ * Returns { id, quoteId, revision, createdBy, createdAt }
+ */
+
+async function snapshotRevision(quoteId, createdBy) {
+	const headerRes = await db.query(
+		`SELECT quotes.customer_id AS "customerId",
+				company_customers.customer_name AS "customerName",
+				customer_contacts.name AS "contactName",
+				quotes.user_id AS "userId",
+				quotes.quote_number AS "quoteNumber",
+				quotes.valid_until AS "validUntil",
+				quotes.notes,
+				quotes.tax_jurisdiction AS "taxJurisdiction"
+		 FROM quotes
+		 JOIN company_customers ON quotes.customer_id = company_customers.id
+		 LEFT JOIN customer_contacts ON quotes.contact_id = customer_contacts.id
+		 WHERE quotes.id = $1`,
+		[quoteId]
+	);
+
+	const itemsRes = await db.query(
+		`SELECT item_code AS "itemCode",
+				quantity,
+				item_description AS "itemDescription",
+				item_price::float AS "itemPrice"
+		 FROM quote_items
+		 WHERE quote_id = $1
+		 ORDER BY id`,
+		[quoteId]
+	);
+
+	const { adjustments, ...totals } = (await loadTotals([quoteId])).get(Number(quoteId));
+	const adjustmentTerms = adjustments.map(({ adjustmentType, calc, amount, description, taxable, value }) => ({
+		adjustmentType,
+		calc,
+		amount: Number(amount),
+		description,
+		taxable,
+		value,
+	}));
+
+	const result = await db.query(
+		`INSERT INTO quote_revisions (quote_id, revision_number, header, items, adjustments, totals, created_by)
+		 VALUES ($1, (SELECT COALESCE(MAX(revision_number), 0) + 1 FROM quote_revisions WHERE quote_id = $1), $2, $3, $4, $5, $6)
+		 RETURNING id, quote_id AS "quoteId", revision_number AS "revisionNumber", created_by AS "createdBy", created_at AS "createdAt"`,
+		[quoteId, headerRes.rows[0], JSON.stringify(itemsRes.rows), JSON.stringify(adjustmentTerms), totals, createdBy]
+	);
+
+	const { revisionNumber: number, ...revision } = result.rows[0];
+	return { ...revision, revision: revisionLabel(number) };
+}
+
+/** Throw BadRequestError unless `validUntil` is a real 'YYYY-MM-DD' date. */
+
+function validateValidUntil(validUntil) {
+	const date = new Date(`${validUntil}T00:00:00Z`);
+
+	// Round-trip through Date to also reject values like 2025-02-30
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(validUntil) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== validUntil) {
+		throw new BadRequestError(`valid_until must be a date formatted YYYY-MM-DD: ${validUntil}`);
+	}
+}
+
+/** Throw BadRequestError if a quote's line items and adjustments can no
+ *  longer be edited: once sent, what was offered stands until the quote is
+ *  revised back to draft (and sent again as a new revision), and once
+ *  accepted it is final.
+ *
+ * Returns { id, status, customerId, companyId } for the quote.
+ *
+ * Throws NotFoundError if the quote does not exist or, when `companyId` is
+ * given, belongs to another company.
+ */
+
+async function ensureItemsEditable(quoteId, companyId) {
+	const values = [quoteId];
+	const scope = sqlForCompanyScope("company_id", companyId, values);
+	const result = await db.query(`SELECT id, status, customer_id AS "customerId", company_id AS "companyId" FROM quotes WHERE id = $1 AND deleted_at IS NULL${scope}`, values);
+	const quote = result.rows[0];
+
+	if (!quote) throw new NotFoundError(`No quote: ${quoteId}`);
+
+	if (quote.status === "sent") {
+		throw new BadRequestError(`Quote ${quoteId} has been sent; revise it to change its line items or adjustments`);
+	}
+	if (quote.status === "accepted") {
+		throw new BadRequestError(`Quote ${quoteId} has been accepted; its line items are locked`);
+	}
+
+	return quote;
+}
+
+/** Same as ensureItemsEditable, looking the quote up from one of its items. */
+
+async function ensureItemEditable(quoteItemId, companyId) {
+	const values = [quoteItemId];
+	const scope = sqlForCompanyScope("quotes.company_id", companyId, values);
+	const result = await db.query(
+		`SELECT quote_items.quote_id
+		 FROM quote_items
+		 JOIN quotes ON quotes.id = quote_items.quote_id
+		 WHERE quote_items.id = $1 AND quotes.deleted_at IS NULL${scope}`,
+		values
+	);
+	const quoteItem = result.rows[0];
+
+	if (!quoteItem) throw new NotFoundError(`No quote item: ${quoteItemId}`);
+
+	return ensureItemsEditable(quoteItem.quote_id);
+}
+
+/** Columns returned for a quote approval request. */
+
+const APPROVAL_COLUMNS = `quote_approvals.id,
+	quote_approvals.quote_id AS "quoteId",
+	quote_approvals.status,
+	quote_approvals.margins,
+	quote_approvals.requested_by AS "requestedBy",
+	quote_approvals.request_comment AS "requestComment",
+	quote_approvals.requested_at AS "requestedAt",
+	quote_approvals.decided_by AS "decidedBy",
+	quote_approvals.decision_comment AS "decisionComment",
+	quote_approvals.decided_at AS "decidedAt"`;
+
+/** Columns returned for a quote adjustment. */
+
+const ADJUSTMENT_COLUMNS = `id,
+	quote_id AS "quoteId",
+	adjustment_type AS "adjustmentType",
+	calc,
+	amount,
+	description,
+	taxable,
+	created_at AS "createdAt"`;
+
+/** Fields of a quote adjustment that can be changed. */
+
+const ADJUSTMENT_FIELDS = ["adjustment_type", "calc", "amount", "description", "taxable"];
+
+/** Fields Quote.update accepts. Status and the lifecycle columns (sent_at,
+ *  accepted_at, deleted_at, ...) only change through send, accept, reject,
+ *  revise, remove and restore.
+ */
+
+const UPDATE_FIELDS = [
+	"customer_id",
+	"customer_name",
+	"contact_id",
+	"user_id",
+	"company_id",
+	"quote_number",
+	"valid_until",
+	"notes",
+	"bill_to_address_id",
+	"ship_to_address_id",
+	"tax_jurisdiction",
+];
+
+/** Fields of a quote line item that can be changed; its quote and company are fixed. */
+
+const ITEM_UPDATE_FIELDS = ["quantity", "item_description", "item_price"];
+
+/** The jurisdiction a quote is taxed in: its own tax_jurisdiction, or else
+ *  the state it ships to, bills to, or the customer is in.
+ */
+
+const TAX_JURISDICTION = `UPPER(COALESCE(quotes.tax_jurisdiction, quotes.ship_to->>'state', quotes.bill_to->>'state', company_customers.state))`;
+
+/** Total each of the given quotes: line items, adjustments and sales tax.
+ *
+ * Returns a Map of quote id to totals, as from computeTotals in
+ * helpers/quoteTotals.js: { subtotal, adjustments, discountTotal,
+ * chargeTotal, taxableAmount, tax, grandTotal }
+ */
+
+async function loadTotals(quoteIds) {
+	const headerRes = await db.query(
+		`SELECT quotes.id,
+				(SELECT COALESCE(SUM(quantity * item_price), 0) FROM quote_items WHERE quote_id = quotes.id) AS subtotal,
+				${TAX_JURISDICTION} AS jurisdiction,
+				company_customers.tax_exempt AS "taxExempt",
+				company_tax_rates.rate
+		 FROM quotes
+		 JOIN company_customers ON quotes.customer_id = company_customers.id
+		 LEFT JOIN company_tax_rates ON company_tax_rates.company_id = quotes.company_id AND company_tax_rates.jurisdiction = ${TAX_JURISDICTION}
+		 WHERE quotes.id = ANY($1)`,
+		[quoteIds]
+	);
+
+	const adjustmentsRes = await db.query(`SELECT ${ADJUSTMENT_COLUMNS} FROM quote_adjustments WHERE quote_id = ANY($1) ORDER BY id`, [quoteIds]);
+
+	return new Map(
+		headerRes.rows.map((row) => [
+			row.id,
+			computeTotals({
+				subtotal: row.subtotal,
+				adjustments: adjustmentsRes.rows.filter((adjustment) => adjustment.quoteId === row.id),
+				tax: { jurisdiction: row.jurisdiction, rate: row.rate, exempt: row.taxExempt },
+			}),
+		])
+	);
+}
+
+/** Look up a quote's status and company.
+ *
+ * Throws NotFoundError if the quote does not exist or, when `companyId` is
+ * given, belongs to another company.
+ */
+
+async function getQuoteStatus(quoteId, companyId) {
+	const values = [quoteId];
+	const scope = sqlForCompanyScope("company_id", companyId, values);
+	const result = await db.query(`SELECT status, company_id AS "companyId" FROM quotes WHERE id = $1 AND deleted_at IS NULL${scope}`, values);
+
+	if (!result.rows[0]) throw new NotFoundError(`No quote: ${quoteId}`);
+	return result.rows[0];
+}
+
+/** Measure a quote's margins, per line and in total, against its company's
+ *  minimums, using each item's catalog cost and taking its discounts off
+ *  the total (see assessMargins).
+ */
+
+async function assessQuoteMargins(quoteId) {
+	const linesRes = await db.query(
+		`SELECT quote_items.id,
+				quote_items.item_code AS "itemCode",
+				quote_items.quantity,
+				quote_items.item_price AS "unitPrice",
+				company_items.cost AS "unitCost"
+		 FROM quote_items
+		 LEFT JOIN company_items ON quote_items.company_id = company_items.company_id AND quote_items.item_code = company_items.item_code
+		 WHERE quote_items.quote_id = $1
+		 ORDER BY quote_items.id`,
+		[quoteId]
+	);
+
+	const { companyId } = await getQuoteStatus(quoteId);
+	const totals = (await loadTotals([quoteId])).get(Number(quoteId));
+	return assessMargins(linesRes.rows, await Company.getMarginPolicy(companyId), totals.discountTotal);
+}
+
+/** Throw BadRequestError if a quote is below its company's minimum margins
+ *  and has no approval to be sent anyway.
+ */
+
+async function ensureMarginsApproved(quoteId) {
+	const margins = await assessQuoteMargins(quoteId);
+	if (!margins.needsApproval) return;
+
+	const result = await db.query(`SELECT 1 FROM quote_approvals WHERE quote_id = $1 AND status = 'approved'`, [quoteId]);
+	if (!result.rows[0]) {
+		throw new BadRequestError(`Quote ${quoteId} is below the company's minimum margins and needs approval before it can be sent`);
+	}
+}
+
+/** Set aside a quote's pending and granted approvals once its lines or
+ *  adjustments change: what was approved is no longer what would be sent.
+ */
+
+async function supersedeApprovals(quoteId) {
+	await db.query(
+		`UPDATE quote_approvals
+		 SET status = 'superseded', decided_at = NOW()
+		 WHERE quote_id = $1 AND status IN ('pending', 'approved')`,
+		[quoteId]
+	);
+}
+
+/** Related functions for quotes
+ *
+ * Methods that look a quote up by id take an optional trailing `companyId`:
+ * when given, quotes belonging to any other company are treated as not found.
+ *
+ * Methods that change data take a trailing `actor` and record the change in
+ * the audit log (see models/audit.js).
+ *
+ * Deleting a quote only marks it deleted: it is then treated as not found
+ * everywhere but Quote.restore, until the purge job removes it (see
+ * jobs/purgeDeleted.js).
+ *
+ * A quote below its company's minimum margins can't be sent until a manager
+ * approves it (see Quote.requestApproval). Changing its lines or adjustments
+ * afterwards supersedes the approval.
+ *
+ * Quote.get and Quote.findAll total each quote: its line items subtotal,
+ * then its adjustments (discounts, freight, handling and fuel surcharges),
+ * then sales tax at the company's rate for the quote's jurisdiction, unless
+ * the customer is tax exempt (see computeTotals in helpers/quoteTotals.js).
+ */
 
 class Quote {
-	/** Create a quote (from data), update db, return new quote data. */
-	static async create({ company_id, customer_name, user_id, quote_number, valid_until, notes }) {
-		const result = await db.query(
-			`INSERT INTO quotes
-         (company_id, customer_name, user_id, quote_number, valid_until, notes)
-         VALUES ($1, $2, $3, $4, $5, $6)
-         RETURNING id, company_id AS "companyId", customer_name AS "customerName", 
+	/** Create a quote (from data), update db, return new quote data.
+	 *
+	 * data should be { company_id, customer_id, contact_id, user_id,
+	 * quote_number, valid_until, notes }; the customer can be given by its
+	 * exact customer_name instead of customer_id. contact_id, the person at the
+	 * customer the quote is addressed to, is optional.
+	 *
+	 * bill_to_address_id and ship_to_address_id pick addresses from the
+	 * customer's address book, which are copied onto the quote as billTo and
+	 * shipTo; each defaults to the customer's default address of that kind,
+	 * and null leaves it off.
+	 *
+	 * If quote_number is omitted, the next number from the company's quote
+	 * numbering scheme is allocated.
+	 *
+	 * Throws BadRequestError if valid_until is not a 'YYYY-MM-DD' date, the
+	 * company already has a quote with that number, the customer doesn't
+	 * exist or has been deleted, the contact or an address isn't one of the
+	 * customer's, or the user isn't one of the company's.
+	 */
+	static async create(
+		{ company_id, customer_id, customer_name, contact_id = null, user_id, quote_number, valid_until, notes, bill_to_address_id, ship_to_address_id },
+		actor = {}
+	) {
+		validateValidUntil(valid_until);
+		const customer = await Customer.ensureActive(company_id, { customerId: customer_id, customerName: customer_name });
+		if (contact_id) await Contact.ensureBelongs(customer.id, contact_id);
+		if (user_id) await User.ensureMember(company_id, user_id);
+		const billTo = await Address.snapshot(customer.id, "billTo", bill_to_address_id);
+		const shipTo = await Address.snapshot(customer.id, "shipTo", ship_to_address_id);
+
+		const quoteNumber = quote_number || (await Company.allocateNumber(company_id, "quote"));
+
+		try {
+			const result = await db.query(
+				`INSERT INTO quotes
+         (company_id, customer_id, contact_id, user_id, quote_number, valid_until, notes, bill_to, ship_to)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id, company_id AS "companyId", customer_id AS "customerId", contact_id AS "contactId",
                    user_id AS "userId", quote_number AS "quoteNumber", 
-                   valid_until AS "validUntil", notes, created_at AS "createdAt" `,
-			[company_id, customer_name, user_id, quote_number, valid_until, notes]
+                   valid_until AS "validUntil", notes, bill_to AS "billTo", ship_to AS "shipTo",
+                   rfq_id AS "rfqId", status, created_at AS "createdAt" `,
+				[company_id, customer.id, contact_id, user_id, quoteNumber, valid_until, notes, billTo, shipTo]
+			);
+			const quote = { ...result.rows[0], customerName: customer.customerName };
+
+			await Audit.record({
+				actor,
+				companyId: quote.companyId,
+				entityType: "quote",
+				entityId: quote.id,
+				action: "create",
+				after: await Audit.snapshot("quotes", "id = $1", [quote.id]),
+			});
+
+			return quote;
+		} catch (err) {
+			if (err.code === "23505") throw new BadRequestError(`Duplicate quote number: ${quoteNumber}`);
+			throw err;
+		}
+	}
+
+	/** Convert an RFQ into a priced quote.
+	 *
+	 * Creates the quote header from the RFQ's company, customer and contact, then adds a
+	 * quote item for every RFQ item. Each item_price is resolved from the
+	 * customer's price list and markup for the line's quantity (see
+	 * CustomerPrice.resolve), marking up the RFQ item's cost or, failing
+	 * that, the catalog cost.
+	 * Everything runs in a single transaction, which also moves the RFQ to
+	 * "quoted" and records the move in its status history.
+	 *
+	 * data should be { user_id, quote_number, valid_until, notes,
+	 * bill_to_address_id, ship_to_address_id }; quote_number is allocated from
+	 * the company's numbering scheme when omitted, and the addresses default as
+	 * in Quote.create.
+	 *
+	 * Returns the new quote as returned by Quote.get.
+	 *
+	 * Throws NotFoundError if the RFQ does not exist, and BadRequestError if it
+	 * is won, lost or cancelled, its customer has been deleted, user_id isn't
+	 * one of the company's users, it has no items, an item has no cost or the
+	 * quote number is taken.
+	 */
+	static async createFromRfq(rfqId, { user_id, quote_number, valid_until, notes = null, bill_to_address_id, ship_to_address_id }, companyId, actor = {}) {
+		validateValidUntil(valid_until);
+
+		const rfqValues = [rfqId];
+		const scope = sqlForCompanyScope("rfqs.company_id", companyId, rfqValues);
+
+		const rfqRes = await db.query(
+			`SELECT rfqs.id,
+					rfqs.company_id,
+					rfqs.customer_id,
+					rfqs.contact_id,
+					rfqs.user_id,
+					rfqs.status,
+					company_customers.customer_name,
+					company_customers.markup_type,
+					company_customers.markup,
+					company_customers.deleted_at AS customer_deleted_at
+			 FROM rfqs
+			 JOIN company_customers ON rfqs.customer_id = company_customers.id
+			 WHERE rfqs.id = $1 AND rfqs.deleted_at IS NULL${scope}`,
+			rfqValues
 		);
-		return result.rows[0];
+
+		const rfq = rfqRes.rows[0];
+		if (!rfq) throw new NotFoundError(`No RFQ: ${rfqId}`);
+		ensureQuotable(rfq);
+		if (rfq.customer_deleted_at) throw new BadRequestError(`Customer ${rfq.customer_name} has been deleted`);
+		if (user_id) await User.ensureMember(rfq.company_id, user_id);
+
+		const billTo = await Address.snapshot(rfq.customer_id, "billTo", bill_to_address_id);
+		const shipTo = await Address.snapshot(rfq.customer_id, "shipTo", ship_to_address_id);
+
+		const itemsRes = await db.query(
+			`SELECT rfq_items.item_code,
+					rfq_items.quantity,
+					COALESCE(rfq_items.item_description, company_items.description) AS item_description,
+					rfq_items.item_cost
+			 FROM rfq_items
+			 LEFT JOIN company_items ON rfq_items.company_id = company_items.company_id AND rfq_items.item_code = company_items.item_code
+			 WHERE rfq_items.rfq_id = $1
+			 ORDER BY rfq_items.id`,
+			[rfqId]
+		);
+
+		if (itemsRes.rows.length === 0) throw new BadRequestError(`RFQ ${rfqId} has no items to quote`);
+
+		// Price every line before touching the database so a bad cost aborts early
+		const quoteItems = [];
+		for (const item of itemsRes.rows) {
+			const { unitPrice, rule } = await CustomerPrice.resolve(rfq.company_id, rfq.customer_id, item.item_code, {
+				cost: item.item_cost,
+				quantity: item.quantity,
+			});
+			quoteItems.push({ ...item, item_price: unitPrice, price_rule: rule });
+		}
+
+		let quoteId;
+		let quoteNumber = quote_number;
+
+		try {
+			await db.transaction(async () => {
+				// Lock the RFQ so a concurrent status change can't close it mid-conversion
+				const statusRes = await db.query(`SELECT id, status FROM rfqs WHERE id = $1 FOR UPDATE`, [rfq.id]);
+				const { status } = ensureQuotable(statusRes.rows[0]);
+
+				quoteNumber = quoteNumber || (await Company.allocateNumber(rfq.company_id, "quote"));
+
+				const quoteRes = await db.query(
+					`INSERT INTO quotes
+					 (company_id, customer_id, contact_id, user_id, quote_number, valid_until, notes, bill_to, ship_to, rfq_id)
+					 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+					 RETURNING id`,
+					[rfq.company_id, rfq.customer_id, rfq.contact_id, user_id || rfq.user_id, quoteNumber, valid_until, notes, billTo, shipTo, rfq.id]
+				);
+				quoteId = quoteRes.rows[0].id;
+
+				await Audit.record({
+					actor,
+					companyId: rfq.company_id,
+					entityType: "quote",
+					entityId: quoteId,
+					action: "create",
+					after: await Audit.snapshot("quotes", "id = $1", [quoteId]),
+				});
+
+				for (const item of quoteItems) {
+					const itemRes = await db.query(
+						`INSERT INTO quote_items (quote_id, company_id, item_code, quantity, item_description, item_price, price_rule)
+						 VALUES ($1, $2, $3, $4, $5, $6, $7)
+						 RETURNING id`,
+						[quoteId, rfq.company_id, item.item_code, item.quantity, item.item_description, item.item_price, item.price_rule]
+					);
+
+					const quoteItemId = itemRes.rows[0].id;
+					await Audit.record({
+						actor,
+						companyId: rfq.company_id,
+						entityType: "quote_item",
+						entityId: quoteItemId,
+						action: "create",
+						after: await Audit.snapshot("quote_items", "id = $1", [quoteItemId]),
+					});
+				}
+
+				if (status !== "quoted") {
+					await db.query(`UPDATE rfqs SET status = 'quoted' WHERE id = $1`, [rfq.id]);
+					await db.query(
+						`INSERT INTO rfq_status_history (rfq_id, from_status, to_status, changed_by, comment)
+						 VALUES ($1, $2, 'quoted', $3, $4)`,
+						[rfq.id, status, actor.userId || null, `Converted to quote ${quoteNumber}`]
+					);
+					await Audit.record({
+						actor,
+						companyId: rfq.company_id,
+						entityType: "rfq",
+						entityId: rfq.id,
+						action: "transition",
+						before: { status },
+						after: { status: "quoted" },
+					});
+				}
+			});
+		} catch (err) {
+			if (err.code === "23505") throw new BadRequestError(`Duplicate quote number: ${quoteNumber}`);
+			throw err;
+		}
+
+		return Quote.get(quoteId);
 	}
 
-	/** Find all quotes (optional filter on searchFilters). */
+	/** Find all quotes (optional filter on searchFilters).
+	 *
+	 * searchFilters can include { id, companyId, customerId, userId,
+	 * quoteNumber, status, expiringWithinDays, deleted }; deleted: "true" lists
+	 * deleted quotes instead.
+	 *
+	 * Each quote has quotetotal, the sum of its lines, and totals: { subtotal,
+	 * adjustments, discountTotal, chargeTotal, taxableAmount, tax, grandTotal }
+	 */
 	static async findAll(searchFilters = {}) {
 		let query = `SELECT quotes.id,
             				quotes.company_id AS "companyId",
-            				quotes.customer_name AS "customerName",
+            				quotes.customer_id AS "customerId",
+            				quotes.contact_id AS "contactId",
             				quotes.user_id AS "userId",
 							quotes.quote_number AS "quoteNumber",
             				quotes.created_at AS "createdAt",
             				quotes.valid_until AS "validUntil",
 							quotes.notes,
+							quotes.rfq_id AS "rfqId",
+							quotes.status,
+							quotes.deleted_at AS "deletedAt",
 							COALESCE(SUM(quote_items.quantity * quote_items.item_price), 0) AS quoteTotal,
 							users.full_name AS "userFullName",
 							companies.name AS "companyName",
-							company_customers.customer_name AS "customerName"
+							company_customers.customer_name AS "customerName",
+							customer_contacts.name AS "contactName"
 					FROM quotes
 					LEFT JOIN quote_items ON quotes.id = quote_items.quote_id
 					LEFT JOIN company_items ON quote_items.company_id = company_items.company_id AND quote_items.item_code = company_items.item_code
 					LEFT JOIN users ON quotes.user_id = users.id
 					LEFT JOIN companies ON quotes.company_id = companies.id
-					LEFT JOIN company_customers ON quotes.company_id = company_customers.company_id AND quotes.customer_name = company_customers.customer_name
+					LEFT JOIN company_customers ON quotes.customer_id = company_customers.id
+					LEFT JOIN customer_contacts ON quotes.contact_id = customer_contacts.id
 					WHERE 1=1`;
 
 		const queryValues = [];
-		const { companyId, userId, quoteNumber } = searchFilters;
+		const { id, companyId, customerId, userId, quoteNumber, status, expiringWithinDays, deleted } = searchFilters;
+
+		query += deleted === true || deleted === "true" ? " AND quotes.deleted_at IS NOT NULL" : " AND quotes.deleted_at IS NULL";
+
+		if (id !== undefined) {
+			if (!/^\d+$/.test(String(id))) throw new BadRequestError("id must be a quote id");
+			query += ` AND quotes.id = $${queryValues.length + 1}`;
+			queryValues.push(Number(id));
+		}
 
 		if (companyId) {
 			query += ` AND quotes.company_id = $${queryValues.length + 1}`;
 			queryValues.push(companyId);
 		}
 
+		if (customerId) {
+			query += ` AND quotes.customer_id = $${queryValues.length + 1}`;
+			queryValues.push(customerId);
+		}
+
 		if (userId) {
 			query += ` AND quotes.user_id = $${queryValues.length + 1}`;
 			queryValues.push(userId);
@@ -61,16 +685,36 @@ class Quote {
 			queryValues.push(quoteNumber);
 		}
 
-		query += ` GROUP BY quotes.id, users.full_name, companies.name, company_customers.customer_name ORDER BY quotes.id`;
+		if (status) {
+			if (!QUOTE_STATUS_TRANSITIONS[status]) throw new BadRequestError(`Invalid quote status: ${status}`);
+			query += ` AND quotes.status = $${queryValues.length + 1}`;
+			queryValues.push(status);
+		}
+
+		// Open quotes whose valid_until falls between today and N days from now
+		if (expiringWithinDays !== undefined) {
+			const days = Number(expiringWithinDays);
+			if (!Number.isInteger(days) || days < 0) {
+				throw new BadRequestError("expiringWithinDays must be a non-negative integer");
+			}
+
+			query += ` AND quotes.status = ANY($${queryValues.length + 1})
+					   AND quotes.valid_until BETWEEN CURRENT_DATE AND CURRENT_DATE + $${queryValues.length + 2}::integer`;
+			queryValues.push(OPEN_QUOTE_STATUSES, days);
+		}
+
+		query += ` GROUP BY quotes.id, users.full_name, companies.name, company_customers.customer_name, customer_contacts.name ORDER BY quotes.id`;
 
 		const quotesRes = await db.query(query, queryValues);
-		return quotesRes.rows;
+		const totals = await loadTotals(quotesRes.rows.map((quote) => quote.id));
+
+		return quotesRes.rows.map((quote) => ({ ...quote, totals: totals.get(quote.id) }));
 	}
 
 	/** Get the count of quotes for a given user. */
 	static async getQuoteCount(userId, companyId) {
 		try {
-			let query = `SELECT COUNT(*) AS count FROM quotes WHERE 1=1`;
+			let query = `SELECT COUNT(*) AS count FROM quotes WHERE deleted_at IS NULL`;
 
 			const queryParams = [];
 
@@ -97,22 +741,47 @@ class Quote {
 		}
 	}
 
-	/** Given a quote id, return data about the quote. */
-	static async get(id) {
+	/** Given a quote id, return data about the quote.
+	 *
+	 * Returns the quote's header, its quoteItems and its totals: { subtotal,
+	 * adjustments, discountTotal, chargeTotal, taxableAmount,
+	 * tax: { jurisdiction, rate, exempt, amount }, grandTotal }
+	 */
+	static async get(id, companyId) {
+		const values = [id];
+		const scope = sqlForCompanyScope("quotes.company_id", companyId, values);
+
 		// Fetch quote details
 		const result = await db.query(
 			`SELECT 
 			quotes.id,
 			quotes.company_id AS "companyId",
-			quotes.customer_name AS "customerName",
+			quotes.customer_id AS "customerId",
+			company_customers.customer_name AS "customerName",
+			quotes.contact_id AS "contactId",
+			customer_contacts.name AS "contactName",
 			quotes.user_id AS "userId",
 			quotes.created_at AS "createdAt",
 			quotes.valid_until AS "validUntil",
 			quotes.quote_number AS "quoteNumber",
-			quotes.notes
+			quotes.notes,
+			quotes.bill_to AS "billTo",
+			quotes.ship_to AS "shipTo",
+			quotes.tax_jurisdiction AS "taxJurisdiction",
+			quotes.rfq_id AS "rfqId",
+			quotes.status,
+			quotes.sent_at AS "sentAt",
+			quotes.accepted_at AS "acceptedAt",
+			quotes.accepted_by_name AS "acceptedByName",
+			quotes.accepted_by_email AS "acceptedByEmail",
+			quotes.rejected_at AS "rejectedAt",
+			quotes.rejection_reason AS "rejectionReason",
+			quotes.expired_at AS "expiredAt"
 		  FROM quotes
-		  WHERE quotes.id = $1`,
-			[id]
+		  JOIN company_customers ON quotes.customer_id = company_customers.id
+		  LEFT JOIN customer_contacts ON quotes.contact_id = customer_contacts.id
+		  WHERE quotes.id = $1 AND quotes.deleted_at IS NULL${scope}`,
+			values
 		);
 
 		const quote = result.rows[0];
@@ -126,6 +795,7 @@ class Quote {
 			quote_items.quantity,
 			quote_items.item_description AS "itemDescription",
 			quote_items.item_price AS "itemPrice",
+			quote_items.price_rule AS "priceRule",
 			company_items.description AS "itemDescription",
 			company_items.uom AS "itemUom"
 		  FROM quote_items
@@ -142,69 +812,707 @@ class Quote {
 			quantity: row.quantity,
 			itemDescription: row.itemDescription,
 			itemPrice: row.itemPrice,
+			priceRule: row.priceRule,
 			itemUom: row.itemUom,
 		}));
 
 		// Remove item-specific fields from the main Quote object
-		const { quoteItemId, itemCode, itemDescription, itemPrice, itemUom, ...quoteDetails } = quote;
+		const { quoteItemId, itemCode, itemDescription, itemPrice, priceRule, itemUom, ...quoteDetails } = quote;
+
+		const totals = await loadTotals([quote.id]);
 
 		return {
 			...quoteDetails, // Includes companyId, customerName, userId, etc.
 			quoteItems, // Nested item details
+			totals: totals.get(quote.id),
 		};
 	}
 
-	/** Update quote data with `data`. */
-	static async update(id, data) {
-		const { setCols, values } = sqlForPartialUpdate(data, {
-			customer_name: "customer_name",
+	/** Update quote data with `data`.
+	 *
+	 * Status is not editable here; use send, accept, reject or revise. The
+	 * customer can be given by customer_id or its exact customer_name.
+	 * Changing the customer clears the contact unless a new one is given.
+	 *
+	 * bill_to_address_id and ship_to_address_id copy a new address from the
+	 * customer's address book onto the quote (null clears it). Changing the
+	 * customer copies the new customer's defaults unless addresses are given.
+	 *
+	 * tax_jurisdiction, e.g. "TX", sets where the quote is taxed; null goes
+	 * back to the state it ships to.
+	 *
+	 * Data can include: { customer_id, customer_name, contact_id, user_id,
+	 * company_id, quote_number, valid_until, notes, bill_to_address_id,
+	 * ship_to_address_id, tax_jurisdiction }
+	 *
+	 * Throws NotFoundError if not found (or not in companyId). Throws
+	 * BadRequestError for any other field, if valid_until is not a
+	 * 'YYYY-MM-DD' date, if a company-scoped caller tries to move the quote to
+	 * another company, or if it names a customer that doesn't exist or has
+	 * been deleted, or a user outside the company.
+	 */
+	static async update(id, data, companyId, actor = {}) {
+		const beforeValues = [id];
+		const beforeScope = sqlForCompanyScope("company_id", companyId, beforeValues);
+		const before = await Audit.snapshot("quotes", `id = $1 AND deleted_at IS NULL${beforeScope}`, beforeValues);
+		if (!before) throw new NotFoundError(`No quote: ${id}`);
+
+		if ("status" in data) throw new BadRequestError("Quote status can only be changed through send, accept, reject or revise.");
+		validateUpdateFields(data, UPDATE_FIELDS);
+		if ("valid_until" in data) validateValidUntil(data.valid_until);
+		if (companyId && data.company_id && Number(data.company_id) !== Number(companyId)) {
+			throw new BadRequestError("A quote can't be moved to another company.");
+		}
+
+		const { customer_name, bill_to_address_id, ship_to_address_id, ...fields } = data;
+		const quoteCompanyId = fields.company_id || before.company_id;
+		if (fields.customer_id || customer_name) {
+			const customer = await Customer.ensureActive(quoteCompanyId, { customerId: fields.customer_id, customerName: customer_name });
+			fields.customer_id = customer.id;
+		}
+		if (fields.user_id) await User.ensureMember(quoteCompanyId, fields.user_id);
+
+		const customerId = fields.customer_id || before.customer_id;
+		const customerChanged = customerId !== before.customer_id;
+
+		if (fields.contact_id) {
+			await Contact.ensureBelongs(customerId, fields.contact_id);
+		} else if (customerChanged && !("contact_id" in fields)) {
+			fields.contact_id = null; // The old contact works for the old customer
+		}
+
+		if ("bill_to_address_id" in data || customerChanged) fields.bill_to = await Address.snapshot(customerId, "billTo", bill_to_address_id);
+		if ("ship_to_address_id" in data || customerChanged) fields.ship_to = await Address.snapshot(customerId, "shipTo", ship_to_address_id);
+		if ("tax_jurisdiction" in fields) fields.tax_jurisdiction = fields.tax_jurisdiction ? String(fields.tax_jurisdiction).trim().toUpperCase() : null;
+
+		const { setCols, values } = sqlForPartialUpdate(fields, {
+			customer_id: "customer_id",
+			contact_id: "contact_id",
 			user_id: "user_id",
 			company_id: "company_id",
 			quote_number: "quote_number",
 			valid_until: "valid_until",
 			notes: "notes",
+			bill_to: "bill_to",
+			ship_to: "ship_to",
+			tax_jurisdiction: "tax_jurisdiction",
 		});
 
-		const result = await db.query(`UPDATE quotes SET ${setCols} WHERE id = $${values.length + 1} RETURNING *`, [...values, id]);
+		const idVarIdx = "$" + (values.length + 1);
+		const queryValues = [...values, id];
+		const scope = sqlForCompanyScope("company_id", companyId, queryValues);
+
+		const result = await db.query(`UPDATE quotes SET ${setCols} WHERE id = ${idVarIdx} AND deleted_at IS NULL${scope} RETURNING *`, queryValues);
 		const quote = result.rows[0];
 		if (!quote) throw new NotFoundError(`No quote: ${id}`);
+
+		await Audit.record({
+			actor,
+			companyId: quote.company_id,
+			entityType: "quote",
+			entityId: quote.id,
+			action: "update",
+			before,
+			after: await Audit.snapshot("quotes", "id = $1", [quote.id]),
+		});
+
 		return quote;
 	}
 
-	/** Delete given quote from database; returns undefined. */
-	static async remove(id) {
-		const result = await db.query(`DELETE FROM quotes WHERE id = $1 RETURNING id`, [id]);
+	/** Delete given quote (a soft delete; see Quote.restore). */
+	static async remove(id, companyId, actor = {}) {
+		const values = [id];
+		const scope = sqlForCompanyScope("company_id", companyId, values);
+
+		const before = await Audit.snapshot("quotes", "id = $1", [id]);
+
+		const result = await db.query(`UPDATE quotes SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL${scope} RETURNING id`, values);
 		if (!result.rows[0]) throw new NotFoundError(`No quote: ${id}`);
+
+		await Audit.record({ actor, companyId: before.company_id, entityType: "quote", entityId: id, action: "delete", before });
+
 		return { message: "Deleted successfully" };
 	}
 
-	/** Create an item for a quote in the quote_items table. */
-	static async createQuoteItem({ quote_id, company_id, item_code, quantity, item_description, item_price }) {
+	/** Restore a deleted quote.
+	 *
+	 * Returns the quote as returned by Quote.get.
+	 *
+	 * Throws NotFoundError if there's no such deleted quote.
+	 */
+	static async restore(id, companyId, actor = {}) {
+		const values = [id];
+		const scope = sqlForCompanyScope("company_id", companyId, values);
+
+		const result = await db.query(`UPDATE quotes SET deleted_at = NULL WHERE id = $1 AND deleted_at IS NOT NULL${scope} RETURNING id, company_id`, values);
+		const quote = result.rows[0];
+		if (!quote) throw new NotFoundError(`No deleted quote: ${id}`);
+
+		await Audit.record({
+			actor,
+			companyId: quote.company_id,
+			entityType: "quote",
+			entityId: id,
+			action: "restore",
+			after: await Audit.snapshot("quotes", "id = $1", [id]),
+		});
+
+		return Quote.get(id);
+	}
+
+	/** Permanently remove quotes deleted more than `olderThanDays` days ago,
+	 * with their items and revisions. Run by the purge job.
+	 *
+	 * Returns [{ id, companyId, quoteNumber }, ...] for the quotes removed.
+	 */
+	static async purgeDeleted(olderThanDays) {
 		const result = await db.query(
-			`INSERT INTO quote_items (quote_id, company_id, item_code, quantity, item_description, item_price)
-         VALUES ($1, $2, $3, $4, $5, $6)
-         RETURNING id, quote_id, company_id, item_code, quantity, item_description, item_price`,
-			[quote_id, company_id, item_code, quantity, item_description, item_price]
+			`DELETE FROM quotes
+			 WHERE deleted_at < NOW() - make_interval(days => $1)
+			 RETURNING id, company_id AS "companyId", quote_number AS "quoteNumber", to_jsonb(quotes) AS before`,
+			[olderThanDays]
 		);
-		return result.rows[0];
+
+		const purged = [];
+		for (const { before, ...quote } of result.rows) {
+			await Audit.record({ companyId: quote.companyId, entityType: "quote", entityId: quote.id, action: "purge", before });
+			purged.push(quote);
+		}
+		return purged;
+	}
+
+	/** Mark a draft quote as sent to the customer.
+	 *
+	 * Each send snapshots what was offered (header, line items, adjustments
+	 * and totals) as the quote's next revision (Rev A, Rev B, ...). Lines and
+	 * adjustments are then locked until the quote is revised, so a change
+	 * always reaches the customer as a new revision.
+	 *
+	 * Returns { id, status, sentAt, acceptedAt, acceptedByName, acceptedByEmail, rejectedAt, rejectionReason, expiredAt }
+	 *
+	 * Throws BadRequestError if the quote is below the company's minimum
+	 * margins and hasn't been approved (see Quote.requestApproval).
+	 */
+	static async send(id, sentBy = null, companyId, actor = {}) {
+		const onSend = async (quoteId) => {
+			await ensureMarginsApproved(quoteId);
+			return snapshotRevision(quoteId, sentBy);
+		};
+
+		return transitionQuote(id, "sent", { sent_at: new Date() }, onSend, companyId, actor);
+	}
+
+	/** Record the customer's acceptance of a sent quote.
+	 *
+	 * contact should be { name, email }; name is required.
+	 *
+	 * Once accepted, the quote's line items are locked.
+	 */
+	static async accept(id, { name, email = null } = {}, companyId, actor = {}) {
+		if (!name) throw new BadRequestError("The accepting contact's name is required.");
+
+		return transitionQuote(
+			id,
+			"accepted",
+			{
+				accepted_at: new Date(),
+				accepted_by_name: name,
+				accepted_by_email: email,
+			},
+			null,
+			companyId,
+			actor
+		);
+	}
+
+	/** Record the customer's rejection of a sent quote, with an optional reason. */
+	static async reject(id, reason = null, companyId, actor = {}) {
+		return transitionQuote(id, "rejected", { rejected_at: new Date(), rejection_reason: reason }, null, companyId, actor);
+	}
+
+	/** Expire every open quote whose valid_until date has passed.
+	 *
+	 * Run periodically by the quote expiry job.
+	 *
+	 * Returns [{ id, companyId, quoteNumber, validUntil }, ...] for the quotes expired.
+	 * Each expiry is recorded in the audit log as made by the system.
+	 */
+	static async expireOverdue() {
+		const result = await db.query(
+			`UPDATE quotes
+			 SET status = 'expired', expired_at = NOW()
+			 FROM (SELECT id, status FROM quotes WHERE status = ANY($1) AND valid_until < CURRENT_DATE AND deleted_at IS NULL FOR UPDATE) AS previous
+			 WHERE quotes.id = previous.id
+			 RETURNING quotes.id, quotes.company_id AS "companyId", quote_number AS "quoteNumber", valid_until AS "validUntil",
+			           previous.status AS "previousStatus", quotes.expired_at AS "expiredAt"`,
+			[OPEN_QUOTE_STATUSES]
+		);
+
+		const expired = [];
+		for (const { previousStatus, expiredAt, ...quote } of result.rows) {
+			await Audit.record({
+				companyId: quote.companyId,
+				entityType: "quote",
+				entityId: quote.id,
+				action: "transition",
+				before: { status: previousStatus },
+				after: { id: quote.id, status: "expired", expiredAt },
+			});
+			expired.push(quote);
+		}
+		return expired;
+	}
+
+	/** Put a sent, rejected or expired quote back into draft so it can be reworked. */
+	static async revise(id, companyId, actor = {}) {
+		return transitionQuote(id, "draft", { rejected_at: null, rejection_reason: null, expired_at: null }, null, companyId, actor);
+	}
+
+	/** List a quote's revisions, oldest first.
+	 *
+	 * Returns [{ revision, revisionNumber, header, items, adjustments, totals, createdBy, createdByName, createdAt }, ...]
+	 *
+	 * Throws NotFoundError if the quote does not exist.
+	 */
+	static async getRevisions(id, companyId) {
+		const values = [id];
+		const scope = sqlForCompanyScope("company_id", companyId, values);
+
+		const quoteRes = await db.query(`SELECT id FROM quotes WHERE id = $1 AND deleted_at IS NULL${scope}`, values);
+		if (!quoteRes.rows[0]) throw new NotFoundError(`No quote: ${id}`);
+
+		const result = await db.query(
+			`SELECT quote_revisions.revision_number AS "revisionNumber",
+					quote_revisions.header,
+					quote_revisions.items,
+					quote_revisions.adjustments,
+					quote_revisions.totals,
+					quote_revisions.created_by AS "createdBy",
+					users.full_name AS "createdByName",
+					quote_revisions.created_at AS "createdAt"
+			 FROM quote_revisions
+			 LEFT JOIN users ON quote_revisions.created_by = users.id
+			 WHERE quote_revisions.quote_id = $1
+			 ORDER BY quote_revisions.revision_number`,
+			[id]
+		);
+
+		return result.rows.map((row) => ({ revision: revisionLabel(row.revisionNumber), ...row }));
+	}
+
+	/** Compare two revisions of a quote, given as labels ("A") or numbers.
+	 *
+	 * Returns { from, to, header, added, removed, repriced, quantityChanged, adjustments, totals }
+	 * (see diffRevisions in helpers/quoteDiff.js)
+	 *
+	 * Throws BadRequestError for an invalid label and NotFoundError if either
+	 * revision does not exist.
+	 */
+	static async diffRevisions(id, fromLabel, toLabel, companyId) {
+		const fromNumber = revisionNumber(fromLabel);
+		const toNumber = revisionNumber(toLabel);
+		if (!fromNumber || !toNumber) throw new BadRequestError(`Invalid revision: ${!fromNumber ? fromLabel : toLabel}`);
+
+		const values = [id, [fromNumber, toNumber]];
+		const scope = sqlForCompanyScope("quotes.company_id", companyId, values);
+
+		const result = await db.query(
+			`SELECT quote_revisions.revision_number AS "revisionNumber",
+					quote_revisions.header,
+					quote_revisions.items,
+					quote_revisions.adjustments,
+					quote_revisions.totals
+			 FROM quote_revisions
+			 JOIN quotes ON quotes.id = quote_revisions.quote_id
+			 WHERE quote_revisions.quote_id = $1 AND quote_revisions.revision_number = ANY($2) AND quotes.deleted_at IS NULL${scope}`,
+			values
+		);
+
+		const from = result.rows.find((r) => r.revisionNumber === fromNumber);
+		const to = result.rows.find((r) => r.revisionNumber === toNumber);
+
+		if (!from) throw new NotFoundError(`No revision ${fromLabel} for quote: ${id}`);
+		if (!to) throw new NotFoundError(`No revision ${toLabel} for quote: ${id}`);
+
+		return {
+			from: revisionLabel(fromNumber),
+			to: revisionLabel(toNumber),
+			...diffRevisions(from, to),
+		};
+	}
+
+	/** Get a quote's margins against the catalog cost of its items.
+	 *
+	 * Returns { lines, quote, policy, needsApproval }
+	 *   where lines is [{ id, itemCode, quantity, unitPrice, unitCost, margin, marginPercent, belowMinimum }, ...],
+	 *   quote is { price, cost, margin, marginPercent, belowMinimum } and
+	 *   policy is the company's { minLineMargin, minQuoteMargin }
+	 *
+	 * Throws NotFoundError if the quote does not exist.
+	 */
+	static async getMargins(id, companyId) {
+		await getQuoteStatus(id, companyId);
+		return assessQuoteMargins(id);
+	}
+
+	/** List a quote's approval requests, oldest first.
+	 *
+	 * Returns [{ id, quoteId, status, margins, requestedBy, requestedByName, requestComment, requestedAt,
+	 *            decidedBy, decidedByName, decisionComment, decidedAt }, ...]
+	 *   where status is pending, approved, rejected or superseded (by a later
+	 *   change to the quote's lines), and margins are as when requested
+	 *
+	 * Throws NotFoundError if the quote does not exist.
+	 */
+	static async getApprovals(id, companyId) {
+		await getQuoteStatus(id, companyId);
+
+		const result = await db.query(
+			`SELECT ${APPROVAL_COLUMNS},
+					requesters.full_name AS "requestedByName",
+					deciders.full_name AS "decidedByName"
+			 FROM quote_approvals
+			 LEFT JOIN users requesters ON quote_approvals.requested_by = requesters.id
+			 LEFT JOIN users deciders ON quote_approvals.decided_by = deciders.id
+			 WHERE quote_approvals.quote_id = $1
+			 ORDER BY quote_approvals.requested_at, quote_approvals.id`,
+			[id]
+		);
+
+		return result.rows;
+	}
+
+	/** Ask for a draft quote that's below the company's minimum margins to be
+	 *  approved for sending, with an optional comment.
+	 *
+	 * Returns { id, quoteId, status, margins, requestedBy, requestComment, requestedAt, decidedBy, decisionComment, decidedAt }
+	 *
+	 * Throws NotFoundError if the quote does not exist, and BadRequestError if
+	 * it isn't a draft, meets the minimums, is already approved or already
+	 * has a request pending.
+	 */
+	static async requestApproval(id, { comment = null } = {}, companyId, actor = {}) {
+		const quote = await getQuoteStatus(id, companyId);
+		if (quote.status !== "draft") throw new BadRequestError(`Quote ${id} is ${quote.status}; only drafts can be approved for sending`);
+
+		const margins = await assessQuoteMargins(id);
+		if (!margins.needsApproval) throw new BadRequestError(`Quote ${id} meets the company's minimum margins and needs no approval`);
+
+		const approved = await db.query(`SELECT id FROM quote_approvals WHERE quote_id = $1 AND status = 'approved'`, [id]);
+		if (approved.rows[0]) throw new BadRequestError(`Quote ${id} is already approved`);
+
+		try {
+			const result = await db.query(
+				`INSERT INTO quote_approvals (quote_id, margins, requested_by, request_comment)
+				 VALUES ($1, $2, $3, $4)
+				 RETURNING ${APPROVAL_COLUMNS}`,
+				[id, margins, actor.userId || null, comment]
+			);
+			const approval = result.rows[0];
+
+			await Audit.record({
+				actor,
+				companyId: quote.companyId,
+				entityType: "quote_approval",
+				entityId: approval.id,
+				action: "request",
+				after: { quoteId: id, status: approval.status, requestComment: comment },
+			});
+
+			return approval;
+		} catch (err) {
+			if (err.code === "23505") throw new BadRequestError(`Quote ${id} already has an approval request pending`);
+			throw err;
+		}
 	}
 
-	/** Update a quote item with new data. */
-	static async updateQuoteItem(id, data) {
-		const { setCols, values } = sqlForPartialUpdate(data, {
+	/** Approve or reject a quote's pending approval request.
+	 *
+	 * decision is "approved" or "rejected"; a rejection needs a comment
+	 * saying why. An approved quote can be sent until its lines change.
+	 *
+	 * Returns { id, quoteId, status, margins, requestedBy, requestComment, requestedAt, decidedBy, decisionComment, decidedAt }
+	 *
+	 * Throws NotFoundError if the quote has no such request,
+	 * BadRequestError if it has already been decided or superseded, and
+	 * ForbiddenError if the actor approving it is the user who asked.
+	 */
+	static async decideApproval(id, approvalId, decision, { comment = null } = {}, companyId, actor = {}) {
+		if (!["approved", "rejected"].includes(decision)) throw new BadRequestError(`Invalid decision: ${decision}`);
+		if (decision === "rejected" && !comment) throw new BadRequestError("A comment is required to reject an approval request.");
+
+		const quote = await getQuoteStatus(id, companyId);
+		const deciderId = actor.userId || null;
+
+		const result = await db.query(
+			`UPDATE quote_approvals
+			 SET status = $1, decided_by = $2, decision_comment = $3, decided_at = NOW()
+			 WHERE id = $4 AND quote_id = $5 AND status = 'pending'
+			   AND ($1 = 'rejected' OR $2::integer IS NULL OR requested_by IS DISTINCT FROM $2)
+			 RETURNING ${APPROVAL_COLUMNS}`,
+			[decision, deciderId, comment, approvalId, id]
+		);
+		const approval = result.rows[0];
+
+		if (!approval) {
+			const existing = await db.query(`SELECT status FROM quote_approvals WHERE id = $1 AND quote_id = $2`, [approvalId, id]);
+			if (!existing.rows[0]) throw new NotFoundError(`No approval request ${approvalId} for quote: ${id}`);
+			if (existing.rows[0].status === "pending") throw new ForbiddenError(`Approval request ${approvalId} must be approved by someone other than who asked`);
+			throw new BadRequestError(`Approval request ${approvalId} is ${existing.rows[0].status}, not pending`);
+		}
+
+		await Audit.record({
+			actor,
+			companyId: quote.companyId,
+			entityType: "quote_approval",
+			entityId: approval.id,
+			action: decision === "approved" ? "approve" : "reject",
+			before: { status: "pending" },
+			after: { status: approval.status, decisionComment: comment },
+		});
+
+		return approval;
+	}
+
+	/** Add a discount or charge to a quote.
+	 *
+	 * data should be { adjustment_type, calc, amount, description, taxable }:
+	 * adjustment_type is discount, freight, handling or fuel_surcharge, and
+	 * calc is "percentage" (of the line items subtotal) or "fixed". taxable,
+	 * default false, says whether a charge is taxed; discounts always reduce
+	 * the taxable amount.
+	 *
+	 * Returns { id, quoteId, adjustmentType, calc, amount, description, taxable, createdAt }
+	 *
+	 * Throws NotFoundError if the quote does not exist, and BadRequestError if
+	 * it has been accepted or the adjustment is invalid.
+	 */
+	static async addAdjustment(id, data, companyId, actor = {}) {
+		const { adjustment_type, calc, amount, description = null, taxable = false } = data;
+		if (!adjustment_type || !calc || amount === undefined || amount === null) {
+			throw new BadRequestError("adjustment_type, calc and amount are required.");
+		}
+		validateAdjustment({ adjustment_type, calc, amount });
+
+		const quote = await ensureItemsEditable(id, companyId);
+
+		const result = await db.query(
+			`INSERT INTO quote_adjustments (quote_id, adjustment_type, calc, amount, description, taxable)
+			 VALUES ($1, $2, $3, $4, $5, $6)
+			 RETURNING ${ADJUSTMENT_COLUMNS}`,
+			[quote.id, adjustment_type, calc, amount, description, adjustment_type !== "discount" && Boolean(taxable)]
+		);
+		const adjustment = result.rows[0];
+
+		await supersedeApprovals(quote.id);
+
+		await Audit.record({
+			actor,
+			companyId: quote.companyId,
+			entityType: "quote_adjustment",
+			entityId: adjustment.id,
+			action: "create",
+			after: await Audit.snapshot("quote_adjustments", "id = $1", [adjustment.id]),
+		});
+
+		return adjustment;
+	}
+
+	/** Update a quote's adjustment; only the fields given change.
+	 *
+	 * Data can include: { adjustment_type, calc, amount, description, taxable }
+	 *
+	 * Returns { id, quoteId, adjustmentType, calc, amount, description, taxable, createdAt }
+	 *
+	 * Throws NotFoundError if the quote has no such adjustment, and
+	 * BadRequestError if it has been accepted or the result is invalid.
+	 */
+	static async updateAdjustment(id, adjustmentId, data, companyId, actor = {}) {
+		const quote = await ensureItemsEditable(id, companyId);
+
+		const before = await Audit.snapshot("quote_adjustments", "id = $1 AND quote_id = $2", [adjustmentId, quote.id]);
+		if (!before) throw new NotFoundError(`No adjustment ${adjustmentId} for quote: ${id}`);
+
+		const fields = Object.fromEntries(Object.entries(data).filter(([key]) => ADJUSTMENT_FIELDS.includes(key)));
+		const { adjustment_type, calc, amount } = { ...before, ...fields };
+		validateAdjustment({ adjustment_type, calc, amount });
+		if (adjustment_type === "discount" && (before.taxable || "taxable" in fields)) fields.taxable = false;
+
+		const { setCols, values } = sqlForPartialUpdate(fields, {});
+
+		const result = await db.query(
+			`UPDATE quote_adjustments
+			 SET ${setCols}
+			 WHERE id = $${values.length + 1}
+			 RETURNING ${ADJUSTMENT_COLUMNS}`,
+			[...values, adjustmentId]
+		);
+		const adjustment = result.rows[0];
+
+		await supersedeApprovals(quote.id);
+
+		await Audit.record({
+			actor,
+			companyId: quote.companyId,
+			entityType: "quote_adjustment",
+			entityId: adjustment.id,
+			action: "update",
+			before,
+			after: await Audit.snapshot("quote_adjustments", "id = $1", [adjustment.id]),
+		});
+
+		return adjustment;
+	}
+
+	/** Remove a quote's adjustment.
+	 *
+	 * Throws NotFoundError if the quote has no such adjustment, and
+	 * BadRequestError if it has been accepted.
+	 */
+	static async removeAdjustment(id, adjustmentId, companyId, actor = {}) {
+		const quote = await ensureItemsEditable(id, companyId);
+
+		const before = await Audit.snapshot("quote_adjustments", "id = $1 AND quote_id = $2", [adjustmentId, quote.id]);
+
+		const result = await db.query(`DELETE FROM quote_adjustments WHERE id = $1 AND quote_id = $2 RETURNING id`, [adjustmentId, quote.id]);
+		if (!result.rows[0]) throw new NotFoundError(`No adjustment ${adjustmentId} for quote: ${id}`);
+
+		await supersedeApprovals(quote.id);
+
+		await Audit.record({ actor, companyId: quote.companyId, entityType: "quote_adjustment", entityId: adjustmentId, action: "delete", before });
+	}
+
+	/** Price a prospective quote line for a customer, without saving anything.
+	 *
+	 * Returns the price with a step-by-step breakdown, as from
+	 * CustomerPrice.resolve: { quantity, unitCost, costSource, tiers, markup,
+	 * discount, rounding, unitPrice, extendedPrice, rule, priceListEntryId, steps }
+	 *
+	 * Throws NotFoundError if the company has no such customer, and
+	 * BadRequestError for a bad quantity or an unknown or deleted item.
+	 */
+	static async previewLinePrice(companyId, { customer_id, item_code, quantity = 1, cost = null }) {
+		if (!customer_id || !item_code) throw new BadRequestError("customer_id and item_code are required.");
+		if (!(Number.isInteger(Number(quantity)) && Number(quantity) > 0)) {
+			throw new BadRequestError("Quantity must be a whole number greater than 0.");
+		}
+
+		await Customer.ensureExists(companyId, customer_id);
+		await Item.ensureActive(companyId, item_code);
+
+		return CustomerPrice.resolve(companyId, customer_id, item_code, { cost, quantity });
+	}
+
+	/** Create an item for a quote in the quote_items table.
+	 *
+	 * Without an item_price, the line is priced for the quote's customer and
+	 * the quantity by CustomerPrice.resolve; price_rule on the result says which rule applied
+	 * ("manual" when item_price was given).
+	 *
+	 * Throws NotFoundError if the quote does not belong to company_id and
+	 * BadRequestError if the quote has been accepted or the item doesn't exist
+	 * or has been deleted.
+	 */
+	static async createQuoteItem({ quote_id, company_id, item_code, quantity, item_description, item_price }, actor = {}) {
+		if (!company_id) throw new BadRequestError("Company ID is required.");
+
+		const quote = await ensureItemsEditable(quote_id, company_id);
+		await Item.ensureActive(company_id, item_code);
+
+		let priceRule = "manual";
+		if (item_price === undefined || item_price === null) {
+			const { unitPrice, rule } = await CustomerPrice.resolve(company_id, quote.customerId, item_code, { quantity });
+			item_price = unitPrice;
+			priceRule = rule;
+		}
+
+		const result = await db.query(
+			`INSERT INTO quote_items (quote_id, company_id, item_code, quantity, item_description, item_price, price_rule)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, quote_id, company_id, item_code, quantity, item_description, item_price, price_rule`,
+			[quote_id, company_id, item_code, quantity, item_description, item_price, priceRule]
+		);
+		const quoteItem = result.rows[0];
+
+		await supersedeApprovals(quote_id);
+
+		await Audit.record({
+			actor,
+			companyId: company_id,
+			entityType: "quote_item",
+			entityId: quoteItem.id,
+			action: "create",
+			after: await Audit.snapshot("quote_items", "id = $1", [quoteItem.id]),
+		});
+
+		return quoteItem;
+	}
+
+	/** Update a quote item with new data.
+	 *
+	 * Setting item_price marks the line as manually priced. Otherwise a new
+	 * quantity reprices a line that was priced by rule, for the quantity
+	 * break it now falls in.
+	 *
+	 * Data can include: { quantity, item_description, item_price }
+	 *
+	 * Throws BadRequestError for any other field or if the quote has been
+	 * accepted.
+	 */
+	static async updateQuoteItem(id, data, companyId, actor = {}) {
+		const quote = await ensureItemEditable(id, companyId);
+		validateUpdateFields(data, ITEM_UPDATE_FIELDS);
+
+		const before = await Audit.snapshot("quote_items", "id = $1", [id]);
+
+		let fields = data;
+		if ("item_price" in data) {
+			fields = { ...data, price_rule: "manual" };
+		} else if ("quantity" in data && before.price_rule && before.price_rule !== "manual") {
+			const { unitPrice, rule } = await CustomerPrice.resolve(before.company_id, quote.customerId, before.item_code, { quantity: data.quantity });
+			fields = { ...data, item_price: unitPrice, price_rule: rule };
+		}
+		const { setCols, values } = sqlForPartialUpdate(fields, {
 			quantity: "quantity",
+			item_description: "item_description",
+			item_price: "item_price",
+			price_rule: "price_rule",
 		});
 
 		const result = await db.query(`UPDATE quote_items SET ${setCols} WHERE id = $${values.length + 1} RETURNING *`, [...values, id]);
 		const quoteItem = result.rows[0];
 		if (!quoteItem) throw new NotFoundError(`No quote item: ${id}`);
+
+		await supersedeApprovals(quoteItem.quote_id);
+
+		await Audit.record({
+			actor,
+			companyId: quoteItem.company_id,
+			entityType: "quote_item",
+			entityId: quoteItem.id,
+			action: "update",
+			before,
+			after: await Audit.snapshot("quote_items", "id = $1", [quoteItem.id]),
+		});
+
 		return quoteItem;
 	}
 
-	/** Delete a quote item from the quote_items table. */
-	static async removeQuoteItem(id) {
+	/** Delete a quote item from the quote_items table.
+	 *
+	 * Throws BadRequestError if the quote has been accepted.
+	 */
+	static async removeQuoteItem(id, companyId, actor = {}) {
+		await ensureItemEditable(id, companyId);
+
+		const before = await Audit.snapshot("quote_items", "id = $1", [id]);
+
 		const result = await db.query(`DELETE FROM quote_items WHERE id = $1 RETURNING id`, [id]);
 		if (!result.rows[0]) throw new NotFoundError(`No quote item: ${id}`);
+
+		await supersedeApprovals(before.quote_id);
+
+		await Audit.record({ actor, companyId: before.company_id, entityType: "quote_item", entityId: id, action: "delete", before });
 		return { message: "Deleted successfully" };
 	}
 }
@@ -0,0 +1,482 @@
+"use strict";
+
+const { NotFoundError, BadRequestError, ForbiddenError } = require("../expressError");
+const db = require("../db.js");
+const Quote = require("./quote.js");
+const Company = require("./company.js");
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testCompanyIds, testUserIds, testCustomerIds, testQuoteIds, testRfqIds } = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** update */
+
+describe("update", function () {
+	test("works", async function () {
+		const quote = await Quote.update(testQuoteIds[0], { notes: "Net 30", valid_until: "2099-06-30" }, testCompanyIds[0]);
+		expect(quote).toEqual(expect.objectContaining({ id: testQuoteIds[0], notes: "Net 30", status: "draft" }));
+	});
+
+	test("bad request for status or lifecycle columns", async function () {
+		for (const change of [{ status: "accepted" }, { accepted_at: "2020-01-01" }, { sent_at: "2020-01-01" }, { deleted_at: "2020-01-01" }, { accepted_by_name: "Me" }]) {
+			await expect(Quote.update(testQuoteIds[0], change, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		}
+
+		const res = await db.query("SELECT status, sent_at, accepted_at, accepted_by_name, deleted_at FROM quotes WHERE id = $1", [testQuoteIds[0]]);
+		expect(res.rows).toEqual([{ status: "draft", sent_at: null, accepted_at: null, accepted_by_name: null, deleted_at: null }]);
+	});
+
+	test("bad request for a user of another company", async function () {
+		await expect(Quote.update(testQuoteIds[0], { user_id: testUserIds[1] }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+});
+
+/************************************** createFromRfq */
+
+describe("createFromRfq", function () {
+	const data = { valid_until: "2099-06-30" };
+
+	test("works, moving the RFQ to quoted", async function () {
+		const quote = await Quote.createFromRfq(testRfqIds[0], { ...data, quote_number: "QUOTE003" }, testCompanyIds[0], { userId: testUserIds[0] });
+		expect(quote).toEqual(expect.objectContaining({ quoteNumber: "QUOTE003", rfqId: testRfqIds[0], status: "draft" }));
+		expect(quote.quoteItems).toEqual([expect.objectContaining({ itemCode: "ITEM001", quantity: 5 })]);
+
+		const rfq = await db.query("SELECT status FROM rfqs WHERE id = $1", [testRfqIds[0]]);
+		expect(rfq.rows[0].status).toEqual("quoted");
+		const history = await db.query("SELECT from_status, to_status, changed_by, comment FROM rfq_status_history WHERE rfq_id = $1", [testRfqIds[0]]);
+		expect(history.rows).toEqual([{ from_status: "draft", to_status: "quoted", changed_by: testUserIds[0], comment: "Converted to quote QUOTE003" }]);
+	});
+
+	test("works: a quoted RFQ can be quoted again", async function () {
+		await Quote.createFromRfq(testRfqIds[0], { ...data, quote_number: "QUOTE003" }, testCompanyIds[0]);
+		await Quote.createFromRfq(testRfqIds[0], { ...data, quote_number: "QUOTE004" }, testCompanyIds[0]);
+
+		const history = await db.query("SELECT to_status FROM rfq_status_history WHERE rfq_id = $1", [testRfqIds[0]]);
+		expect(history.rows).toEqual([{ to_status: "quoted" }]);
+	});
+
+	test("bad request for a won, lost or cancelled RFQ", async function () {
+		for (const status of ["won", "lost", "cancelled"]) {
+			await db.query("UPDATE rfqs SET status = $1 WHERE id = $2", [status, testRfqIds[0]]);
+			await expect(Quote.createFromRfq(testRfqIds[0], data, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		}
+
+		const quotes = await db.query("SELECT id FROM quotes WHERE rfq_id = $1", [testRfqIds[0]]);
+		expect(quotes.rows).toEqual([]);
+		const rfq = await db.query("SELECT status FROM rfqs WHERE id = $1", [testRfqIds[0]]);
+		expect(rfq.rows[0].status).toEqual("cancelled");
+	});
+
+	test("not found for another company's RFQ", async function () {
+		await expect(Quote.createFromRfq(testRfqIds[1], data, testCompanyIds[0])).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** lifecycle */
+
+describe("lifecycle", function () {
+	test("send, then accept, locks the line items", async function () {
+		const sent = await Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0]);
+		expect(sent).toEqual(expect.objectContaining({ id: testQuoteIds[0], status: "sent", sentAt: expect.any(Date) }));
+
+		const accepted = await Quote.accept(testQuoteIds[0], { name: "Jane Buyer", email: "jane@example.com" }, testCompanyIds[0]);
+		expect(accepted).toEqual(expect.objectContaining({ status: "accepted", acceptedByName: "Jane Buyer", acceptedAt: expect.any(Date) }));
+
+		await expect(Quote.updateQuoteItem(1, { quantity: 9 }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		await expect(Quote.revise(testQuoteIds[0], testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+
+	test("sending records a revision", async function () {
+		await Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0]);
+
+		const revisions = await Quote.getRevisions(testQuoteIds[0], testCompanyIds[0]);
+		expect(revisions.map((r) => [r.revisionNumber, r.items.length])).toEqual([[1, 1]]);
+	});
+
+	test("reject, then revise back to draft", async function () {
+		await Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0]);
+
+		const rejected = await Quote.reject(testQuoteIds[0], "Too expensive", testCompanyIds[0]);
+		expect(rejected).toEqual(expect.objectContaining({ status: "rejected", rejectionReason: "Too expensive" }));
+
+		const revised = await Quote.revise(testQuoteIds[0], testCompanyIds[0]);
+		expect(revised).toEqual(expect.objectContaining({ status: "draft", rejectedAt: null, rejectionReason: null }));
+	});
+
+	test("bad request for a transition the status doesn't allow", async function () {
+		await expect(Quote.accept(testQuoteIds[0], { name: "Jane Buyer" }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		await expect(Quote.reject(testQuoteIds[0], null, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		await expect(Quote.revise(testQuoteIds[0], testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+
+	test("bad request accepting without a name", async function () {
+		await Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0]);
+		await expect(Quote.accept(testQuoteIds[0], {}, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+
+	test("expireOverdue expires open quotes past valid_until", async function () {
+		await db.query("UPDATE quotes SET valid_until = '2020-01-01' WHERE id = $1", [testQuoteIds[0]]);
+
+		const expired = await Quote.expireOverdue();
+		expect(expired.map((q) => q.id)).toEqual([testQuoteIds[0]]);
+
+		const res = await db.query("SELECT id, status FROM quotes ORDER BY id");
+		expect(res.rows).toEqual([
+			{ id: testQuoteIds[0], status: "expired" },
+			{ id: testQuoteIds[1], status: "draft" },
+		]);
+	});
+});
+
+/************************************** approvals */
+
+describe("approvals", function () {
+	const requester = () => ({ userId: testUserIds[0] });
+	const approver = () => ({ userId: testUserIds[1] });
+
+	// Priced below cost, the line is under the default 0% minimum margin
+	beforeEach(async function () {
+		await db.query("UPDATE quote_items SET item_price = 40 WHERE id = 1");
+	});
+
+	test("request, then approve, lets the quote be sent", async function () {
+		await expect(Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0])).rejects.toThrow(BadRequestError);
+
+		const approval = await Quote.requestApproval(testQuoteIds[0], { comment: "Strategic account" }, testCompanyIds[0], requester());
+		expect(approval).toEqual(expect.objectContaining({ quoteId: testQuoteIds[0], status: "pending", requestedBy: testUserIds[0] }));
+
+		const decided = await Quote.decideApproval(testQuoteIds[0], approval.id, "approved", {}, testCompanyIds[0], approver());
+		expect(decided).toEqual(expect.objectContaining({ status: "approved", decidedBy: testUserIds[1] }));
+
+		const sent = await Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0]);
+		expect(sent.status).toEqual("sent");
+	});
+
+	test("forbidden to approve your own request", async function () {
+		const approval = await Quote.requestApproval(testQuoteIds[0], {}, testCompanyIds[0], requester());
+		await expect(Quote.decideApproval(testQuoteIds[0], approval.id, "approved", {}, testCompanyIds[0], requester())).rejects.toThrow(ForbiddenError);
+
+		const res = await db.query("SELECT status, decided_by FROM quote_approvals WHERE id = $1", [approval.id]);
+		expect(res.rows).toEqual([{ status: "pending", decided_by: null }]);
+	});
+
+	test("reject needs a comment", async function () {
+		const approval = await Quote.requestApproval(testQuoteIds[0], {}, testCompanyIds[0], requester());
+		await expect(Quote.decideApproval(testQuoteIds[0], approval.id, "rejected", {}, testCompanyIds[0], approver())).rejects.toThrow(BadRequestError);
+
+		const decided = await Quote.decideApproval(testQuoteIds[0], approval.id, "rejected", { comment: "Too low" }, testCompanyIds[0], approver());
+		expect(decided).toEqual(expect.objectContaining({ status: "rejected", decisionComment: "Too low" }));
+	});
+
+	test("bad request deciding a request twice", async function () {
+		const approval = await Quote.requestApproval(testQuoteIds[0], {}, testCompanyIds[0], requester());
+		await Quote.decideApproval(testQuoteIds[0], approval.id, "approved", {}, testCompanyIds[0], approver());
+		await expect(Quote.decideApproval(testQuoteIds[0], approval.id, "approved", {}, testCompanyIds[0], approver())).rejects.toThrow(BadRequestError);
+	});
+});
+
+/************************************** updateQuoteItem */
+
+describe("updateQuoteItem", function () {
+	test("works, marking the price manual", async function () {
+		const quoteItem = await Quote.updateQuoteItem(1, { item_price: 45 }, testCompanyIds[0]);
+		expect(quoteItem).toEqual(expect.objectContaining({ id: 1, quote_id: testQuoteIds[0], item_price: "45.00", price_rule: "manual" }));
+	});
+
+	test("bad request for the item's quote, company or pricing rule", async function () {
+		await expect(Quote.updateQuoteItem(1, { company_id: testCompanyIds[1] }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		await expect(Quote.updateQuoteItem(1, { quote_id: testQuoteIds[1] }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		await expect(Quote.updateQuoteItem(1, { price_rule: "contract" }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+
+		const res = await db.query("SELECT quote_id, company_id, price_rule FROM quote_items WHERE id = 1");
+		expect(res.rows).toEqual([{ quote_id: testQuoteIds[0], company_id: testCompanyIds[0], price_rule: null }]);
+	});
+});
+
+/************************************** remove, restore */
+
+describe("remove", function () {
+	test("works: soft deletes", async function () {
+		await Quote.remove(testQuoteIds[0], testCompanyIds[0]);
+		await expect(Quote.get(testQuoteIds[0], testCompanyIds[0])).rejects.toThrow(NotFoundError);
+		await expect(Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0])).rejects.toThrow(NotFoundError);
+
+		const res = await db.query("SELECT deleted_at FROM quotes WHERE id = $1", [testQuoteIds[0]]);
+		expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+	});
+
+	test("deleted quotes are only listed when asked for", async function () {
+		await Quote.remove(testQuoteIds[0], testCompanyIds[0]);
+
+		expect(await Quote.findAll({ companyId: testCompanyIds[0] })).toEqual([]);
+		const deleted = await Quote.findAll({ companyId: testCompanyIds[0], deleted: "true" });
+		expect(deleted.map((q) => q.id)).toEqual([testQuoteIds[0]]);
+	});
+});
+
+describe("restore", function () {
+	test("works", async function () {
+		await Quote.remove(testQuoteIds[0], testCompanyIds[0]);
+
+		await Quote.restore(testQuoteIds[0], testCompanyIds[0]);
+		const quote = await Quote.get(testQuoteIds[0], testCompanyIds[0]);
+		expect(quote).toEqual(expect.objectContaining({ id: testQuoteIds[0], status: "draft" }));
+		expect(quote.quoteItems.length).toEqual(1);
+	});
+
+	test("not found if not deleted", async function () {
+		await expect(Quote.restore(testQuoteIds[0], testCompanyIds[0])).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** purgeDeleted */
+
+describe("purgeDeleted", function () {
+	test("removes quotes deleted before the retention period", async function () {
+		await db.query("UPDATE quotes SET deleted_at = NOW() - INTERVAL '40 days' WHERE id = $1", [testQuoteIds[0]]);
+		await db.query("UPDATE quotes SET deleted_at = NOW() - INTERVAL '5 days' WHERE id = $1", [testQuoteIds[1]]);
+
+		const purged = await Quote.purgeDeleted(30);
+		expect(purged.map((q) => q.id)).toEqual([testQuoteIds[0]]);
+
+		const res = await db.query("SELECT id FROM quotes");
+		expect(res.rows).toEqual([{ id: testQuoteIds[1] }]);
+	});
+});
+
+/************************************** adjustments */
+
+describe("adjustments", function () {
+	test("add, update and remove", async function () {
+		const freight = await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "freight", calc: "fixed", amount: 25, taxable: true }, testCompanyIds[0]);
+		expect(freight).toEqual({
+			id: expect.any(Number),
+			quoteId: testQuoteIds[0],
+			adjustmentType: "freight",
+			calc: "fixed",
+			amount: "25.00",
+			description: null,
+			taxable: true,
+			createdAt: expect.any(Date),
+		});
+
+		const updated = await Quote.updateAdjustment(testQuoteIds[0], freight.id, { amount: 30, description: "Ground" }, testCompanyIds[0]);
+		expect(updated).toEqual(expect.objectContaining({ id: freight.id, amount: "30.00", description: "Ground", taxable: true }));
+
+		await Quote.removeAdjustment(testQuoteIds[0], freight.id, testCompanyIds[0]);
+		expect((await Quote.get(testQuoteIds[0], testCompanyIds[0])).totals.adjustments).toEqual([]);
+	});
+
+	test("discounts are never taxable", async function () {
+		const discount = await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "discount", calc: "percentage", amount: 10, taxable: true }, testCompanyIds[0]);
+		expect(discount.taxable).toEqual(false);
+
+		const updated = await Quote.updateAdjustment(testQuoteIds[0], discount.id, { taxable: true }, testCompanyIds[0]);
+		expect(updated.taxable).toEqual(false);
+	});
+
+	test("bad request for an invalid adjustment", async function () {
+		for (const data of [
+			{ adjustment_type: "freight", calc: "fixed" },
+			{ adjustment_type: "rebate", calc: "fixed", amount: 5 },
+			{ adjustment_type: "freight", calc: "per_unit", amount: 5 },
+			{ adjustment_type: "freight", calc: "fixed", amount: -5 },
+			{ adjustment_type: "discount", calc: "percentage", amount: 101 },
+		]) {
+			await expect(Quote.addAdjustment(testQuoteIds[0], data, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		}
+
+		const { id } = await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "discount", calc: "fixed", amount: 500 }, testCompanyIds[0]);
+		await expect(Quote.updateAdjustment(testQuoteIds[0], id, { calc: "percentage" }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+
+	test("bad request once the quote is accepted", async function () {
+		await Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0]);
+		await Quote.accept(testQuoteIds[0], { name: "Jane Buyer" }, testCompanyIds[0]);
+
+		await expect(Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "freight", calc: "fixed", amount: 25 }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+
+	test("not found for another quote's adjustment, or another company", async function () {
+		const { id } = await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "freight", calc: "fixed", amount: 25 }, testCompanyIds[0]);
+
+		await expect(Quote.updateAdjustment(testQuoteIds[1], id, { amount: 1 }, testCompanyIds[1])).rejects.toThrow(NotFoundError);
+		await expect(Quote.removeAdjustment(testQuoteIds[1], id, testCompanyIds[1])).rejects.toThrow(NotFoundError);
+		await expect(Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "freight", calc: "fixed", amount: 1 }, testCompanyIds[1])).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** revisions */
+
+describe("revisions", function () {
+	test("record adjustments, tax and totals, and diff them", async function () {
+		await Company.setTaxRate(testCompanyIds[0], "NY", { rate: 8 });
+		const discount = await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "discount", calc: "percentage", amount: 10 }, testCompanyIds[0]);
+		await Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0]);
+
+		await Quote.revise(testQuoteIds[0], testCompanyIds[0]);
+		await Quote.updateAdjustment(testQuoteIds[0], discount.id, { amount: 20 }, testCompanyIds[0]);
+		await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "freight", calc: "fixed", amount: 10, taxable: true }, testCompanyIds[0]);
+		await Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0]);
+
+		const [revA] = await Quote.getRevisions(testQuoteIds[0], testCompanyIds[0]);
+		expect(revA.adjustments).toEqual([{ adjustmentType: "discount", calc: "percentage", amount: 10, description: null, taxable: false, value: -15 }]);
+		expect(revA.totals).toEqual(expect.objectContaining({ discountTotal: 15, tax: { jurisdiction: "NY", rate: 8, exempt: false, amount: 10.8 }, grandTotal: 145.8 }));
+		expect(revA.header.taxJurisdiction).toEqual(null);
+
+		const diff = await Quote.diffRevisions(testQuoteIds[0], "A", "B", testCompanyIds[0]);
+		expect(diff.adjustments).toEqual({
+			added: [expect.objectContaining({ adjustmentType: "freight", amount: 10 })],
+			removed: [],
+			changed: [
+				{
+					adjustmentType: "discount",
+					from: { calc: "percentage", amount: 10, description: null, taxable: false },
+					to: { calc: "percentage", amount: 20, description: null, taxable: false },
+				},
+			],
+		});
+		expect(diff.totals).toEqual([
+			{ field: "discountTotal", from: 15, to: 30 },
+			{ field: "chargeTotal", from: 0, to: 10 },
+			{ field: "taxableAmount", from: 135, to: 130 },
+			{ field: "taxAmount", from: 10.8, to: 10.4 },
+			{ field: "grandTotal", from: 145.8, to: 140.4 },
+		]);
+	});
+
+	test("a sent quote's lines and adjustments are locked until it is revised", async function () {
+		const { id } = await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "freight", calc: "fixed", amount: 25 }, testCompanyIds[0]);
+		await Quote.send(testQuoteIds[0], testUserIds[0], testCompanyIds[0]);
+
+		await expect(Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "discount", calc: "fixed", amount: 5 }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		await expect(Quote.updateAdjustment(testQuoteIds[0], id, { amount: 0 }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		await expect(Quote.removeAdjustment(testQuoteIds[0], id, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		await expect(Quote.updateQuoteItem(1, { quantity: 9 }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+
+		await Quote.revise(testQuoteIds[0], testCompanyIds[0]);
+		expect(await Quote.updateAdjustment(testQuoteIds[0], id, { amount: 0 }, testCompanyIds[0])).toEqual(expect.objectContaining({ amount: "0.00" }));
+	});
+});
+
+/************************************** totals */
+
+describe("totals", function () {
+	/** QUOTE001 has one line, 3 x 50.00, for Customer1 in NY. */
+
+	test("the line items alone, untaxed without a rate", async function () {
+		const { totals } = await Quote.get(testQuoteIds[0], testCompanyIds[0]);
+		expect(totals).toEqual({
+			subtotal: 150,
+			adjustments: [],
+			discountTotal: 0,
+			chargeTotal: 0,
+			taxableAmount: 150,
+			tax: { jurisdiction: "NY", rate: null, exempt: false, amount: 0 },
+			grandTotal: 150,
+		});
+	});
+
+	test("discounts, then charges, then tax at the customer's state rate", async function () {
+		await Company.setTaxRate(testCompanyIds[0], "ny", { rate: 8 });
+		await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "discount", calc: "percentage", amount: 10 }, testCompanyIds[0]);
+		await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "freight", calc: "fixed", amount: 25, taxable: true }, testCompanyIds[0]);
+		await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "handling", calc: "percentage", amount: 10 }, testCompanyIds[0]);
+
+		const { totals } = await Quote.get(testQuoteIds[0], testCompanyIds[0]);
+		expect(totals.adjustments.map((a) => [a.adjustmentType, a.value])).toEqual([
+			["discount", -15],
+			["freight", 25],
+			["handling", 13.5],
+		]);
+		expect(totals).toEqual(
+			expect.objectContaining({
+				subtotal: 150,
+				discountTotal: 15,
+				chargeTotal: 38.5,
+				taxableAmount: 160,
+				tax: { jurisdiction: "NY", rate: 8, exempt: false, amount: 12.8 },
+				grandTotal: 186.3,
+			})
+		);
+	});
+
+	test("discounts stop at zero", async function () {
+		await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "discount", calc: "fixed", amount: 100 }, testCompanyIds[0]);
+		await Quote.addAdjustment(testQuoteIds[0], { adjustment_type: "discount", calc: "fixed", amount: 100 }, testCompanyIds[0]);
+
+		const { totals } = await Quote.get(testQuoteIds[0], testCompanyIds[0]);
+		expect(totals).toEqual(expect.objectContaining({ discountTotal: 150, grandTotal: 0 }));
+	});
+
+	test("the quote's own jurisdiction over the customer's", async function () {
+		await Company.setTaxRate(testCompanyIds[0], "NY", { rate: 8 });
+		await Company.setTaxRate(testCompanyIds[0], "TX", { rate: 6.25 });
+		await Quote.update(testQuoteIds[0], { tax_jurisdiction: " tx " }, testCompanyIds[0]);
+
+		const { totals } = await Quote.get(testQuoteIds[0], testCompanyIds[0]);
+		expect(totals.tax).toEqual({ jurisdiction: "TX", rate: 6.25, exempt: false, amount: 9.38 });
+	});
+
+	test("no tax for a tax-exempt customer", async function () {
+		await Company.setTaxRate(testCompanyIds[0], "NY", { rate: 8 });
+		await db.query("UPDATE company_customers SET tax_exempt = TRUE WHERE id = $1", [testCustomerIds[0]]);
+
+		const { totals } = await Quote.get(testQuoteIds[0], testCompanyIds[0]);
+		expect(totals).toEqual(expect.objectContaining({ taxableAmount: 0, tax: { jurisdiction: "NY", rate: 8, exempt: true, amount: 0 }, grandTotal: 150 }));
+	});
+
+	test("another company's rate doesn't apply", async function () {
+		await Company.setTaxRate(testCompanyIds[1], "NY", { rate: 8 });
+
+		const { totals } = await Quote.get(testQuoteIds[0], testCompanyIds[0]);
+		expect(totals.tax.rate).toEqual(null);
+	});
+
+	test("findAll totals each quote", async function () {
+		await Company.setTaxRate(testCompanyIds[0], "NY", { rate: 8 });
+
+		const quotes = await Quote.findAll({ companyId: testCompanyIds[0] });
+		expect(quotes.map((q) => [q.id, q.totals.grandTotal])).toEqual([[testQuoteIds[0], 162]]);
+	});
+});
+
+/************************************** another company's quote */
+
+describe("another company's quote", function () {
+	const otherCompany = () => testCompanyIds[1];
+
+	test("get: not found", async function () {
+		await expect(Quote.get(testQuoteIds[0], otherCompany())).rejects.toThrow(NotFoundError);
+	});
+
+	test("update: not found, and unchanged", async function () {
+		await expect(Quote.update(testQuoteIds[0], { notes: "mine" }, otherCompany())).rejects.toThrow(NotFoundError);
+		await expect(Quote.update(testQuoteIds[0], { customer_id: testCustomerIds[1] }, otherCompany())).rejects.toThrow(NotFoundError);
+		await expect(Quote.update(testQuoteIds[0], { company_id: otherCompany() }, otherCompany())).rejects.toThrow(NotFoundError);
+
+		const res = await db.query("SELECT company_id, customer_id, notes FROM quotes WHERE id = $1", [testQuoteIds[0]]);
+		expect(res.rows).toEqual([{ company_id: testCompanyIds[0], customer_id: testCustomerIds[0], notes: null }]);
+	});
+
+	test("remove: not found", async function () {
+		await expect(Quote.remove(testQuoteIds[0], otherCompany())).rejects.toThrow(NotFoundError);
+	});
+
+	test("send: not found", async function () {
+		await expect(Quote.send(testQuoteIds[0], testUserIds[1], otherCompany())).rejects.toThrow(NotFoundError);
+
+		const res = await db.query("SELECT status FROM quotes WHERE id = $1", [testQuoteIds[0]]);
+		expect(res.rows[0].status).toEqual("draft");
+	});
+
+	test("items: not found", async function () {
+		await expect(Quote.updateQuoteItem(1, { quantity: 99 }, otherCompany())).rejects.toThrow(NotFoundError);
+		await expect(Quote.removeQuoteItem(1, otherCompany())).rejects.toThrow(NotFoundError);
+
+		const res = await db.query("SELECT quantity FROM quote_items WHERE id = 1");
+		expect(res.rows).toEqual([{ quantity: 3 }]);
+	});
+});
@@ -2,57 +2,156 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
-
-/** Related functions for rfqs */
+const { sqlForPartialUpdate, validateUpdateFields, sqlForCompanyScope } = require("../helpers/sql");
+const Company = require("./company");
+const Customer = require("./customer");
+const Contact = require("./contact");
+const Item = require("./item");
+const User = require("./user");
+const Audit = require("./audit");
+
+/** RFQ status workflow: each status maps to the statuses it may move to.
+ *
+ * draft -> submitted -> in_pricing -> quoted -> won / lost
+ * Any open RFQ can be cancelled; won, lost and cancelled are final.
+ */
+
+const RFQ_STATUS_TRANSITIONS = {
+	draft: ["submitted", "cancelled"],
+	submitted: ["in_pricing", "cancelled"],
+	in_pricing: ["quoted", "cancelled"],
+	quoted: ["won", "lost", "cancelled"],
+	won: [],
+	lost: [],
+	cancelled: [],
+};
+
+const RFQ_STATUSES = Object.keys(RFQ_STATUS_TRANSITIONS);
+
+/** Columns returned for an RFQ header; customerName is looked up from its customer. */
+
+const RFQ_COLUMNS = `id,
+	company_id AS "companyId",
+	customer_id AS "customerId",
+	(SELECT customer_name FROM company_customers WHERE company_customers.id = rfqs.customer_id) AS "customerName",
+	contact_id AS "contactId",
+	user_id AS "userId",
+	rfq_number AS "rfqNumber",
+	status,
+	created_at AS "createdAt"`;
+
+/** Fields Rfq.update and Rfq.updateRfqItem accept; status moves through Rfq.transition. */
+
+const UPDATE_FIELDS = ["customer_id", "customer_name", "contact_id", "user_id", "company_id", "rfq_number"];
+
+const ITEM_UPDATE_FIELDS = ["quantity", "item_description", "item_cost"];
+
+/** Related functions for rfqs
+ *
+ * Methods that look an RFQ up by id take an optional trailing `companyId`:
+ * when given, RFQs belonging to any other company are treated as not found.
+ *
+ * Methods that change data take a trailing `actor` and record the change in
+ * the audit log (see models/audit.js).
+ *
+ * Deleting an RFQ only marks it deleted: it is then treated as not found
+ * everywhere but Rfq.restore, until the purge job removes it (see
+ * jobs/purgeDeleted.js).
+ */
 
 class Rfq {
 	/** Create a rfq (from data), update db, return new rfq data.
 	 *
-	 * data should be { company_id, customer_name, user_id, rfq_number }
+	 * data should be { company_id, customer_id, contact_id, user_id, rfq_number };
+	 * the customer can be given by its exact customer_name instead of
+	 * customer_id. contact_id, the person at the customer who sent the RFQ, is
+	 * optional.
+	 *
+	 * If rfq_number is omitted, the next number from the company's RFQ
+	 * numbering scheme is allocated.
+	 *
+	 * New RFQs always start in the "draft" status.
+	 *
+	 * Returns { id, companyId, customerId, customerName, contactId, userId, rfqNumber, status, createdAt }
 	 *
-	 * Returns { id, companyId, customerName, userId, rfqNumber, createdAt }
+	 * Throws BadRequestError if the company already has an RFQ with that number,
+	 * the customer doesn't exist or has been deleted, the contact isn't one
+	 * of the customer's or the user isn't one of the company's.
 	 * */
 
-	static async create({ company_id, customer_name, user_id, rfq_number }) {
-		const result = await db.query(
-			`INSERT INTO rfqs
-         (company_id, customer_name, user_id, rfq_number)
-         VALUES ($1, $2, $3, $4)
-         RETURNING id, company_id AS "companyId", customer_name AS "customerName", user_id AS "userId", rfq_number AS "rfqNumber", created_at AS "createdAt" `,
-			[company_id, customer_name, user_id, rfq_number]
-		);
-		const rfq = result.rows[0];
+	static async create({ company_id, customer_id, customer_name, contact_id = null, user_id, rfq_number }, actor = {}) {
+		const customer = await Customer.ensureActive(company_id, { customerId: customer_id, customerName: customer_name });
+		if (contact_id) await Contact.ensureBelongs(customer.id, contact_id);
+		if (user_id) await User.ensureMember(company_id, user_id);
 
-		return rfq;
+		const rfqNumber = rfq_number || (await Company.allocateNumber(company_id, "rfq"));
+
+		try {
+			const result = await db.query(
+				`INSERT INTO rfqs
+         (company_id, customer_id, contact_id, user_id, rfq_number)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${RFQ_COLUMNS}`,
+				[company_id, customer.id, contact_id, user_id, rfqNumber]
+			);
+			const rfq = result.rows[0];
+
+			await Audit.record({
+				actor,
+				companyId: rfq.companyId,
+				entityType: "rfq",
+				entityId: rfq.id,
+				action: "create",
+				after: await Audit.snapshot("rfqs", "id = $1", [rfq.id]),
+			});
+
+			return rfq;
+		} catch (err) {
+			if (err.code === "23505") throw new BadRequestError(`Duplicate RFQ number: ${rfqNumber}`);
+			throw err;
+		}
 	}
 
 	/** Find all rfqs (optional filter on searchFilters).
 	 *
-	 * Returns [{ id, companyId, customerName, userId, rfqNumber, createdAt }, ...]
+	 * searchFilters can include { companyId, customerId, userId, rfqNumber, status, deleted };
+	 * deleted: "true" lists deleted RFQs instead.
+	 *
+	 * Returns [{ id, companyId, customerId, customerName, contactId, contactName, userId, rfqNumber, status, createdAt, deletedAt, rfqtotal }, ...]
+	 *   where rfqtotal sums the lines at the cost stored on each, or the
+	 *   catalog cost for lines stored without one
+	 *
+	 * Throws BadRequestError if status is not a known RFQ status.
 	 * */
 
 	static async findAll(searchFilters = {}) {
 		let query = `SELECT rfqs.id, 
 							rfqs.company_id AS "companyId", 
-							rfqs.customer_name AS "customerName", 
+							rfqs.customer_id AS "customerId", 
+							rfqs.contact_id AS "contactId",
 							rfqs.user_id AS "userId", 
 							rfqs.rfq_number AS "rfqNumber", 
+							rfqs.status,
 							rfqs.created_at AS "createdAt", 
-							COALESCE(SUM(rfq_items.quantity * company_items.cost), 0) AS rfqTotal,
+							rfqs.deleted_at AS "deletedAt",
+							COALESCE(SUM(rfq_items.quantity * COALESCE(rfq_items.item_cost, company_items.cost)), 0) AS rfqTotal,
 							users.full_name AS "userFullName",
 							companies.name AS "companyName",
-							company_customers.customer_name AS "customerName"  -- Use customer_name instead of name
+							company_customers.customer_name AS "customerName",
+							customer_contacts.name AS "contactName"
 					FROM rfqs
 					LEFT JOIN rfq_items ON rfqs.id = rfq_items.rfq_id
 					LEFT JOIN company_items ON rfq_items.company_id = company_items.company_id AND rfq_items.item_code = company_items.item_code
 					LEFT JOIN users ON rfqs.user_id = users.id
 					LEFT JOIN companies ON rfqs.company_id = companies.id
-					LEFT JOIN company_customers ON rfqs.company_id = company_customers.company_id AND rfqs.customer_name = company_customers.customer_name
+					LEFT JOIN company_customers ON rfqs.customer_id = company_customers.id
+					LEFT JOIN customer_contacts ON rfqs.contact_id = customer_contacts.id
 					WHERE 1=1`;
 
 		let queryValues = [];
-		const { companyId, userId, rfqNumber } = searchFilters;
+		const { companyId, customerId, userId, rfqNumber, status, deleted } = searchFilters;
+
+		query += deleted === true || deleted === "true" ? " AND rfqs.deleted_at IS NOT NULL" : " AND rfqs.deleted_at IS NULL";
 
 		// Add filter for companyId if provided
 		if (companyId) {
@@ -60,6 +159,11 @@ class Rfq {
 			queryValues.push(companyId);
 		}
 
+		if (customerId) {
+			query += ` AND rfqs.customer_id = $${queryValues.length + 1}`;
+			queryValues.push(customerId);
+		}
+
 		// Add filter for userId if provided
 		if (userId) {
 			query += ` AND rfqs.user_id = $${queryValues.length + 1}`;
@@ -72,7 +176,14 @@ class Rfq {
 			queryValues.push(rfqNumber);
 		}
 
-		query += ` GROUP BY rfqs.id, users.full_name, companies.name, company_customers.customer_name ORDER BY rfqs.id`; // Correct GROUP BY for customer_name
+		// Add filter for status if provided
+		if (status) {
+			if (!RFQ_STATUSES.includes(status)) throw new BadRequestError(`Invalid RFQ status: ${status}`);
+			query += ` AND rfqs.status = $${queryValues.length + 1}`;
+			queryValues.push(status);
+		}
+
+		query += ` GROUP BY rfqs.id, users.full_name, companies.name, company_customers.customer_name, customer_contacts.name ORDER BY rfqs.id`;
 
 		const rfqsRes = await db.query(query, queryValues);
 		return rfqsRes.rows;
@@ -81,7 +192,7 @@ class Rfq {
 	/** Get the count of rfqs for a given user. */
 	static async getRfqCount(userId, companyId) {
 		try {
-			let query = `SELECT COUNT(*) AS count FROM rfqs WHERE 1=1`;
+			let query = `SELECT COUNT(*) AS count FROM rfqs WHERE deleted_at IS NULL`;
 
 			const queryParams = [];
 
@@ -109,33 +220,44 @@ class Rfq {
 	}
 
 	/** Given a rfq id, return data about rfq.
+	 *
+	 * Returns { id, companyId, customerId, customerName, contactId, contactName, userId, userFullName, rfqNumber, status, createdAt, rfqItems, statusHistory }
+	 *   where statusHistory is [{ fromStatus, toStatus, changedBy, changedByName, changedAt, comment }, ...]
 	 *
 	 * Throws NotFoundError if not found.
 	 **/
 
-	static async get(id) {
+	static async get(id, companyId) {
+		const values = [id];
+		const scope = sqlForCompanyScope("rfqs.company_id", companyId, values);
+
 		const rfqRes = await db.query(
 			`SELECT rfqs.id, 
 					rfqs.company_id AS "companyId", 
-					rfqs.customer_name AS "customerName",
+					rfqs.customer_id AS "customerId",
+					company_customers.customer_name AS "customerName",
+					rfqs.contact_id AS "contactId",
+					customer_contacts.name AS "contactName",
 					rfqs.user_id AS "userId", 
 					users.full_name AS "userFullName",
 					rfqs.rfq_number AS "rfqNumber", 
+					rfqs.status,
 					rfqs.created_at AS "createdAt",
 					rfq_items.id AS rfq_item_id, 
 					rfq_items.item_code, 
 					rfq_items.quantity,
-					company_items.cost AS "itemCost",
+					COALESCE(rfq_items.item_cost, company_items.cost) AS "itemCost",
 					company_items.uom AS "itemUom",
 					company_items.description AS "itemDescription"
 			 FROM rfqs
 			 LEFT JOIN users ON rfqs.user_id = users.id
 			 LEFT JOIN companies ON rfqs.company_id = companies.id
-			 LEFT JOIN company_customers ON rfqs.company_id = company_customers.company_id AND rfqs.customer_name = company_customers.customer_name
+			 LEFT JOIN company_customers ON rfqs.customer_id = company_customers.id
+			 LEFT JOIN customer_contacts ON rfqs.contact_id = customer_contacts.id
 			 LEFT JOIN rfq_items ON rfqs.id = rfq_items.rfq_id
 			 LEFT JOIN company_items ON rfq_items.company_id = company_items.company_id AND rfq_items.item_code = company_items.item_code
-			 WHERE rfqs.id = $1`,
-			[id]
+			 WHERE rfqs.id = $1 AND rfqs.deleted_at IS NULL${scope}`,
+			values
 		);
 
 		const rfq = rfqRes.rows[0];
@@ -157,9 +279,24 @@ class Rfq {
 		// Remove item-specific fields from the main RFQ object
 		const { rfq_item_id, itemCode, itemCost, itemUom, itemDescription, ...rfqDetails } = rfq;
 
+		const historyRes = await db.query(
+			`SELECT rfq_status_history.from_status AS "fromStatus",
+					rfq_status_history.to_status AS "toStatus",
+					rfq_status_history.changed_by AS "changedBy",
+					users.full_name AS "changedByName",
+					rfq_status_history.changed_at AS "changedAt",
+					rfq_status_history.comment
+			 FROM rfq_status_history
+			 LEFT JOIN users ON rfq_status_history.changed_by = users.id
+			 WHERE rfq_status_history.rfq_id = $1
+			 ORDER BY rfq_status_history.changed_at, rfq_status_history.id`,
+			[id]
+		);
+
 		return {
 			...rfqDetails, // Includes companyId, customerName, userFullName
 			rfqItems, // Nested item details
+			statusHistory: historyRes.rows,
 		};
 	}
 
@@ -168,36 +305,82 @@ class Rfq {
 	 * This is a "partial update" --- it's fine if data doesn't contain all the
 	 * fields; this only changes provided ones.
 	 *
-	 * Data can include: { id, customer_name, user_id, company_id, rfq_number }
+	 * Data can include: { customer_id, contact_id, user_id, company_id, rfq_number };
+	 * the customer can be given by its exact customer_name instead of
+	 * customer_id. Changing the customer clears the contact unless a new one
+	 * is given.
 	 *
-	 * Returns { id, companyId, customerName, userId, rfqNumber, createdAt }
+	 * Status is not editable here; use Rfq.transition.
 	 *
-	 * Throws NotFoundError if not found.
+	 * Returns { id, companyId, customerId, customerName, contactId, userId, rfqNumber, status, createdAt }
+	 *
+	 * Throws NotFoundError if not found (or not in companyId), BadRequestError
+	 * for any other field, if a company-scoped caller tries to move the RFQ to
+	 * another company, or if it names a customer that doesn't exist or has
+	 * been deleted, or a user outside the company.
 	 */
 
-	static async update(id, data) {
+	static async update(id, data, companyId, actor = {}) {
 		try {
+			const beforeValues = [id];
+			const beforeScope = sqlForCompanyScope("company_id", companyId, beforeValues);
+			const before = await Audit.snapshot("rfqs", `id = $1 AND deleted_at IS NULL${beforeScope}`, beforeValues);
+			if (!before) throw new NotFoundError(`No RFQ: ${id}`);
+
+			if ("status" in data) throw new BadRequestError("RFQ status can only be changed through a transition.");
+			validateUpdateFields(data, UPDATE_FIELDS);
+			if (companyId && data.company_id && Number(data.company_id) !== Number(companyId)) {
+				throw new BadRequestError("An RFQ can't be moved to another company.");
+			}
+
+			const { customer_name, ...fields } = data;
+			const rfqCompanyId = fields.company_id || before.company_id;
+			if (fields.customer_id || customer_name) {
+				const customer = await Customer.ensureActive(rfqCompanyId, { customerId: fields.customer_id, customerName: customer_name });
+				fields.customer_id = customer.id;
+			}
+			if (fields.user_id) await User.ensureMember(rfqCompanyId, fields.user_id);
+
+			if (fields.contact_id) {
+				await Contact.ensureBelongs(fields.customer_id || before.customer_id, fields.contact_id);
+			} else if (fields.customer_id && fields.customer_id !== before.customer_id && !("contact_id" in fields)) {
+				fields.contact_id = null; // The old contact works for the old customer
+			}
+
 			// Use sqlForPartialUpdate to generate the SQL columns and values
-			const { setCols, values } = sqlForPartialUpdate(data, {
-				customer_name: "customer_name",
+			const { setCols, values } = sqlForPartialUpdate(fields, {
+				customer_id: "customer_id",
+				contact_id: "contact_id",
 				user_id: "user_id",
 				company_id: "company_id",
 				rfq_number: "rfq_number",
 			});
 
 			const idVarIdx = "$" + (values.length + 1);
+			const queryValues = [...values, id];
+			const scope = sqlForCompanyScope("company_id", companyId, queryValues);
 
 			const querySql = `UPDATE rfqs 
 							SET ${setCols} 
-							WHERE id = ${idVarIdx} 
-							RETURNING id, company_id AS "companyId", customer_name AS "customerName", user_id AS "userId", rfq_number AS "rfqNumber", created_at AS "createdAt"`;
+							WHERE id = ${idVarIdx} AND deleted_at IS NULL${scope} 
+							RETURNING ${RFQ_COLUMNS}`;
 
 			// Execute the query
-			const result = await db.query(querySql, [...values, id]);
+			const result = await db.query(querySql, queryValues);
 			const rfq = result.rows[0];
 
 			if (!rfq) throw new NotFoundError(`No RFQ: ${id}`);
 
+			await Audit.record({
+				actor,
+				companyId: rfq.companyId,
+				entityType: "rfq",
+				entityId: rfq.id,
+				action: "update",
+				before,
+				after: await Audit.snapshot("rfqs", "id = $1", [rfq.id]),
+			});
+
 			return rfq;
 		} catch (err) {
 			console.error("Error updating RFQ:", err);
@@ -205,34 +388,154 @@ class Rfq {
 		}
 	}
 
-	/** Delete given rfq from database; returns undefined.
+	/** Delete given rfq (a soft delete; see Rfq.restore).
 	 *
 	 * Throws NotFoundError if rfq not found.
 	 **/
 
-	static async remove(id) {
+	static async remove(id, companyId, actor = {}) {
+		const values = [id];
+		const scope = sqlForCompanyScope("company_id", companyId, values);
+
+		const before = await Audit.snapshot("rfqs", "id = $1", [id]);
+
 		const result = await db.query(
-			`DELETE
-           FROM rfqs
-           WHERE id = $1
+			`UPDATE rfqs
+           SET deleted_at = NOW()
+           WHERE id = $1 AND deleted_at IS NULL${scope}
            RETURNING id`,
-			[id]
+			values
 		);
 		const rfq = result.rows[0];
 
 		if (!rfq) throw new NotFoundError(`No RFQ: ${id}`);
 
+		await Audit.record({ actor, companyId: before.company_id, entityType: "rfq", entityId: rfq.id, action: "delete", before });
+
 		return { message: "Deleted successfully" };
 	}
 
+	/** Restore a deleted rfq.
+	 *
+	 * Returns { id, companyId, customerId, customerName, contactId, userId, rfqNumber, status, createdAt }
+	 *
+	 * Throws NotFoundError if there's no such deleted rfq.
+	 **/
+
+	static async restore(id, companyId, actor = {}) {
+		const values = [id];
+		const scope = sqlForCompanyScope("company_id", companyId, values);
+
+		const result = await db.query(
+			`UPDATE rfqs
+           SET deleted_at = NULL
+           WHERE id = $1 AND deleted_at IS NOT NULL${scope}
+           RETURNING ${RFQ_COLUMNS}`,
+			values
+		);
+		const rfq = result.rows[0];
+
+		if (!rfq) throw new NotFoundError(`No deleted RFQ: ${id}`);
+
+		await Audit.record({
+			actor,
+			companyId: rfq.companyId,
+			entityType: "rfq",
+			entityId: rfq.id,
+			action: "restore",
+			after: await Audit.snapshot("rfqs", "id = $1", [rfq.id]),
+		});
+
+		return rfq;
+	}
+
+	/** Permanently remove rfqs deleted more than `olderThanDays` days ago,
+	 *  with their items and status history. Run by the purge job.
+	 *
+	 * Returns [{ id, companyId, rfqNumber }, ...] for the rfqs removed.
+	 **/
+
+	static async purgeDeleted(olderThanDays) {
+		const result = await db.query(
+			`DELETE FROM rfqs
+           WHERE deleted_at < NOW() - make_interval(days => $1)
+           RETURNING id, company_id AS "companyId", rfq_number AS "rfqNumber", to_jsonb(rfqs) AS before`,
+			[olderThanDays]
+		);
+
+		const purged = [];
+		for (const { before, ...rfq } of result.rows) {
+			await Audit.record({ companyId: rfq.companyId, entityType: "rfq", entityId: rfq.id, action: "purge", before });
+			purged.push(rfq);
+		}
+		return purged;
+	}
+
+	/** Can an RFQ move from status `from` to status `to`? */
+
+	static canTransition(from, to) {
+		const allowed = RFQ_STATUS_TRANSITIONS[from] || [];
+		return allowed.includes(to);
+	}
+
+	/** Move an RFQ to a new status, recording who moved it and when.
+	 *
+	 * Returns { id, status, fromStatus, changedBy, changedAt, comment }
+	 *
+	 * Throws NotFoundError if not found, BadRequestError if the status is
+	 * unknown or the transition is not allowed from the current status.
+	 */
+
+	static async transition(id, toStatus, changedBy, comment = null, companyId, actor = {}) {
+		if (!RFQ_STATUSES.includes(toStatus)) throw new BadRequestError(`Invalid RFQ status: ${toStatus}`);
+
+		return db.transaction(async () => {
+			// Lock the row so two concurrent transitions can't both pass validation
+			const values = [id];
+			const scope = sqlForCompanyScope("company_id", companyId, values);
+			const currentRes = await db.query(`SELECT status, company_id AS "companyId" FROM rfqs WHERE id = $1 AND deleted_at IS NULL${scope} FOR UPDATE`, values);
+			const current = currentRes.rows[0];
+
+			if (!current) throw new NotFoundError(`No RFQ: ${id}`);
+
+			if (!Rfq.canTransition(current.status, toStatus)) {
+				throw new BadRequestError(`Cannot move RFQ ${id} from ${current.status} to ${toStatus}`);
+			}
+
+			await db.query(`UPDATE rfqs SET status = $1 WHERE id = $2`, [toStatus, id]);
+
+			const historyRes = await db.query(
+				`INSERT INTO rfq_status_history (rfq_id, from_status, to_status, changed_by, comment)
+				 VALUES ($1, $2, $3, $4, $5)
+				 RETURNING rfq_id AS "id", to_status AS "status", from_status AS "fromStatus", changed_by AS "changedBy", changed_at AS "changedAt", comment`,
+				[id, current.status, toStatus, changedBy, comment]
+			);
+
+			await Audit.record({
+				actor,
+				companyId: current.companyId,
+				entityType: "rfq",
+				entityId: id,
+				action: "transition",
+				before: { status: current.status },
+				after: { status: toStatus, comment },
+			});
+
+			return historyRes.rows[0];
+		});
+	}
+
 	/** Create an item for an RFQ in the rfq_items table.
 	 *
-	 * data should be { rfq_id, item_code, quantity }
+	 * data should be { rfq_id, company_id, item_code, quantity }
 	 *
 	 * Returns { id, rfq_id, item_code, quantity }
+	 *
+	 * Throws NotFoundError if the RFQ doesn't belong to company_id, and
+	 * BadRequestError if the item doesn't exist or has been deleted.
 	 */
 
-	static async createRfqItem({ rfq_id, company_id, item_code, quantity, item_description, item_cost }) {
+	static async createRfqItem({ rfq_id, company_id, item_code, quantity, item_description, item_cost }, actor = {}) {
 		if (!company_id) {
 			throw new BadRequestError("Company ID is required.");
 		}
@@ -241,6 +544,11 @@ class Rfq {
 			throw new BadRequestError("Quantity must be greater than 0.");
 		}
 
+		const rfqRes = await db.query(`SELECT id FROM rfqs WHERE id = $1 AND company_id = $2 AND deleted_at IS NULL`, [rfq_id, company_id]);
+		if (!rfqRes.rows[0]) throw new NotFoundError(`No RFQ: ${rfq_id}`);
+
+		await Item.ensureActive(company_id, item_code);
+
 		const result = await db.query(
 			`INSERT INTO rfq_items (rfq_id, company_id, item_code, quantity, item_description, item_cost)
 			 VALUES ($1, $2, $3, $4, $5, $6)
@@ -249,36 +557,68 @@ class Rfq {
 		);
 		const rfqItem = result.rows[0];
 
+		await Audit.record({
+			actor,
+			companyId: company_id,
+			entityType: "rfq_item",
+			entityId: rfqItem.id,
+			action: "create",
+			after: await Audit.snapshot("rfq_items", "id = $1", [rfqItem.id]),
+		});
+
 		return rfqItem;
 	}
 
 	/** Update an RFQ item with new data.
 	 *
-	 * Data can include: { quantity }
+	 * Data can include: { quantity, item_description, item_cost }
 	 *
 	 * Returns { id, rfq_id, item_code, quantity }
+	 *
+	 * Throws BadRequestError for any other field (the item's RFQ and company
+	 * are fixed), NotFoundError if not found.
 	 */
 
-	static async updateRfqItem(id, data) {
+	static async updateRfqItem(id, data, companyId, actor = {}) {
 		try {
+			validateUpdateFields(data, ITEM_UPDATE_FIELDS);
+
 			// Use sqlForPartialUpdate to generate the SQL columns and values
 			const { setCols, values } = sqlForPartialUpdate(data, {
-				quantity: "quantity", // Add any other fields as needed
+				quantity: "quantity",
+				item_description: "item_description",
+				item_cost: "item_cost",
 			});
 
 			// Log the SQL query and values for debugging
 			const idVarIdx = "$" + (values.length + 1); // For id parameter
+			const queryValues = [...values, id];
+			const scope = sqlForCompanyScope("rfqs.company_id", companyId, queryValues);
+
+			const before = await Audit.snapshot("rfq_items", "id = $1", [id]);
+
 			const querySql = `UPDATE rfq_items
 							SET ${setCols}
-							WHERE id = ${idVarIdx}
-							RETURNING id, rfq_id, item_code, quantity`;
+							FROM rfqs
+							WHERE rfq_items.id = ${idVarIdx} AND rfqs.id = rfq_items.rfq_id AND rfqs.deleted_at IS NULL${scope}
+							RETURNING rfq_items.id, rfq_items.rfq_id, rfq_items.item_code, rfq_items.quantity`;
 
 			// Execute the query, passing the values and id
-			const result = await db.query(querySql, [...values, id]);
+			const result = await db.query(querySql, queryValues);
 			const rfqItem = result.rows[0];
 
 			if (!rfqItem) throw new NotFoundError(`No RFQ Item: ${id}`);
 
+			await Audit.record({
+				actor,
+				companyId: before.company_id,
+				entityType: "rfq_item",
+				entityId: rfqItem.id,
+				action: "update",
+				before,
+				after: await Audit.snapshot("rfq_items", "id = $1", [id]),
+			});
+
 			return rfqItem;
 		} catch (err) {
 			console.error("Error updating RFQ item:", err);
@@ -291,18 +631,26 @@ class Rfq {
 	 * Throws NotFoundError if not found.
 	 */
 
-	static async removeRfqItem(id) {
+	static async removeRfqItem(id, companyId, actor = {}) {
+		const values = [id];
+		const scope = sqlForCompanyScope("rfqs.company_id", companyId, values);
+
+		const before = await Audit.snapshot("rfq_items", "id = $1", [id]);
+
 		const result = await db.query(
 			`DELETE FROM rfq_items
-			 WHERE id = $1
-			 RETURNING id`,
-			[id]
+			 USING rfqs
+			 WHERE rfq_items.id = $1 AND rfqs.id = rfq_items.rfq_id AND rfqs.deleted_at IS NULL${scope}
+			 RETURNING rfq_items.id`,
+			values
 		);
 
 		const rfqItem = result.rows[0];
 
 		if (!rfqItem) throw new NotFoundError(`No RFQ Item: ${id}`);
 
+		await Audit.record({ actor, companyId: before.company_id, entityType: "rfq_item", entityId: rfqItem.id, action: "delete", before });
+
 		return { message: "Deleted successfully" };
 	}
 }
@@ -0,0 +1,219 @@
+"use strict";
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Rfq = require("./rfq.js");
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testCompanyIds, testUserIds, testCustomerIds, testRfqIds } = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+	test("works, starting in draft", async function () {
+		const rfq = await Rfq.create({ company_id: testCompanyIds[0], customer_id: testCustomerIds[0], user_id: testUserIds[0], rfq_number: "RFQ003" });
+		expect(rfq).toEqual(expect.objectContaining({ companyId: testCompanyIds[0], customerId: testCustomerIds[0], rfqNumber: "RFQ003", status: "draft" }));
+	});
+});
+
+/************************************** transition */
+
+describe("transition", function () {
+	test("works, recording who moved it", async function () {
+		const transition = await Rfq.transition(testRfqIds[0], "submitted", testUserIds[0], "Sent to pricing", testCompanyIds[0]);
+		expect(transition).toEqual({
+			id: testRfqIds[0],
+			status: "submitted",
+			fromStatus: "draft",
+			changedBy: testUserIds[0],
+			changedAt: expect.any(Date),
+			comment: "Sent to pricing",
+		});
+
+		const rfq = await Rfq.get(testRfqIds[0], testCompanyIds[0]);
+		expect(rfq.status).toEqual("submitted");
+		expect(rfq.statusHistory).toEqual([expect.objectContaining({ fromStatus: "draft", toStatus: "submitted", changedByName: "User One" })]);
+	});
+
+	test("follows the workflow through to won", async function () {
+		for (const status of ["submitted", "in_pricing", "quoted", "won"]) {
+			await Rfq.transition(testRfqIds[0], status, testUserIds[0], null, testCompanyIds[0]);
+		}
+
+		const rfq = await Rfq.get(testRfqIds[0], testCompanyIds[0]);
+		expect(rfq.statusHistory.map((h) => h.toStatus)).toEqual(["submitted", "in_pricing", "quoted", "won"]);
+	});
+
+	test("bad request for a transition the workflow doesn't allow", async function () {
+		await expect(Rfq.transition(testRfqIds[0], "won", testUserIds[0], null, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+
+		const res = await db.query("SELECT status FROM rfqs WHERE id = $1", [testRfqIds[0]]);
+		expect(res.rows[0].status).toEqual("draft");
+	});
+
+	test("bad request out of a final status", async function () {
+		await Rfq.transition(testRfqIds[0], "cancelled", testUserIds[0], null, testCompanyIds[0]);
+		await expect(Rfq.transition(testRfqIds[0], "submitted", testUserIds[0], null, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+
+	test("bad request for an unknown status", async function () {
+		await expect(Rfq.transition(testRfqIds[0], "archived", testUserIds[0], null, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+	test("filters by status", async function () {
+		await Rfq.transition(testRfqIds[0], "submitted", testUserIds[0], null, testCompanyIds[0]);
+
+		const submitted = await Rfq.findAll({ companyId: testCompanyIds[0], status: "submitted" });
+		expect(submitted.map((r) => r.id)).toEqual([testRfqIds[0]]);
+
+		const drafts = await Rfq.findAll({ companyId: testCompanyIds[0], status: "draft" });
+		expect(drafts).toEqual([]);
+	});
+
+	test("bad request for an unknown status", async function () {
+		await expect(Rfq.findAll({ status: "archived" })).rejects.toThrow(BadRequestError);
+	});
+});
+
+/************************************** update */
+
+describe("update", function () {
+	test("works", async function () {
+		const rfq = await Rfq.update(testRfqIds[0], { rfq_number: "RFQ001-A" }, testCompanyIds[0]);
+		expect(rfq).toEqual(expect.objectContaining({ id: testRfqIds[0], companyId: testCompanyIds[0], rfqNumber: "RFQ001-A", status: "draft" }));
+	});
+
+	test("bad request for the status", async function () {
+		await expect(Rfq.update(testRfqIds[0], { status: "won" }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+
+	test("bad request for columns the update doesn't cover", async function () {
+		await expect(Rfq.update(testRfqIds[0], { deleted_at: "2020-01-01" }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		await expect(Rfq.update(testRfqIds[0], { created_at: "2020-01-01" }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+
+	test("bad request for a user of another company", async function () {
+		await expect(Rfq.update(testRfqIds[0], { user_id: testUserIds[1] }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+	});
+});
+
+/************************************** updateRfqItem */
+
+describe("updateRfqItem", function () {
+	test("works", async function () {
+		const rfqItem = await Rfq.updateRfqItem(1, { quantity: 7 }, testCompanyIds[0]);
+		expect(rfqItem).toEqual({ id: 1, rfq_id: testRfqIds[0], item_code: "ITEM001", quantity: 7 });
+	});
+
+	test("bad request for the item's RFQ or company", async function () {
+		await expect(Rfq.updateRfqItem(1, { company_id: testCompanyIds[1] }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+		await expect(Rfq.updateRfqItem(1, { rfq_id: testRfqIds[1] }, testCompanyIds[0])).rejects.toThrow(BadRequestError);
+
+		const res = await db.query("SELECT rfq_id, company_id FROM rfq_items WHERE id = 1");
+		expect(res.rows).toEqual([{ rfq_id: testRfqIds[0], company_id: testCompanyIds[0] }]);
+	});
+});
+
+/************************************** remove, restore */
+
+describe("remove", function () {
+	test("works: soft deletes", async function () {
+		await Rfq.remove(testRfqIds[0], testCompanyIds[0]);
+		await expect(Rfq.get(testRfqIds[0], testCompanyIds[0])).rejects.toThrow(NotFoundError);
+
+		const res = await db.query("SELECT deleted_at FROM rfqs WHERE id = $1", [testRfqIds[0]]);
+		expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+	});
+
+	test("deleted RFQs are only listed when asked for", async function () {
+		await Rfq.remove(testRfqIds[0], testCompanyIds[0]);
+
+		expect(await Rfq.findAll({ companyId: testCompanyIds[0] })).toEqual([]);
+		const deleted = await Rfq.findAll({ companyId: testCompanyIds[0], deleted: "true" });
+		expect(deleted.map((r) => [r.id, r.deletedAt])).toEqual([[testRfqIds[0], expect.any(Date)]]);
+	});
+
+	test("not found if already deleted", async function () {
+		await Rfq.remove(testRfqIds[0], testCompanyIds[0]);
+		await expect(Rfq.remove(testRfqIds[0], testCompanyIds[0])).rejects.toThrow(NotFoundError);
+	});
+});
+
+describe("restore", function () {
+	test("works", async function () {
+		await Rfq.remove(testRfqIds[0], testCompanyIds[0]);
+
+		const rfq = await Rfq.restore(testRfqIds[0], testCompanyIds[0]);
+		expect(rfq).toEqual(expect.objectContaining({ id: testRfqIds[0], rfqNumber: "RFQ001" }));
+		expect((await Rfq.get(testRfqIds[0], testCompanyIds[0])).rfqItems.length).toEqual(1);
+	});
+
+	test("not found if not deleted, or another company's", async function () {
+		await expect(Rfq.restore(testRfqIds[0], testCompanyIds[0])).rejects.toThrow(NotFoundError);
+
+		await Rfq.remove(testRfqIds[0], testCompanyIds[0]);
+		await expect(Rfq.restore(testRfqIds[0], testCompanyIds[1])).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** purgeDeleted */
+
+describe("purgeDeleted", function () {
+	test("removes RFQs deleted before the retention period", async function () {
+		await db.query("UPDATE rfqs SET deleted_at = NOW() - INTERVAL '40 days' WHERE id = $1", [testRfqIds[0]]);
+		await db.query("UPDATE rfqs SET deleted_at = NOW() - INTERVAL '5 days' WHERE id = $1", [testRfqIds[1]]);
+
+		const purged = await Rfq.purgeDeleted(30);
+		expect(purged).toEqual([{ id: testRfqIds[0], companyId: testCompanyIds[0], rfqNumber: "RFQ001" }]);
+
+		const res = await db.query("SELECT id FROM rfqs");
+		expect(res.rows).toEqual([{ id: testRfqIds[1] }]);
+		const items = await db.query("SELECT rfq_id FROM rfq_items");
+		expect(items.rows).toEqual([{ rfq_id: testRfqIds[1] }]);
+	});
+});
+
+/************************************** another company's RFQ */
+
+describe("another company's RFQ", function () {
+	const otherCompany = () => testCompanyIds[1];
+
+	test("get: not found", async function () {
+		await expect(Rfq.get(testRfqIds[0], otherCompany())).rejects.toThrow(NotFoundError);
+	});
+
+	test("update: not found, and unchanged", async function () {
+		await expect(Rfq.update(testRfqIds[0], { rfq_number: "MINE" }, otherCompany())).rejects.toThrow(NotFoundError);
+		await expect(Rfq.update(testRfqIds[0], { customer_id: testCustomerIds[1] }, otherCompany())).rejects.toThrow(NotFoundError);
+		await expect(Rfq.update(testRfqIds[0], { company_id: otherCompany() }, otherCompany())).rejects.toThrow(NotFoundError);
+
+		const res = await db.query("SELECT company_id, customer_id, rfq_number FROM rfqs WHERE id = $1", [testRfqIds[0]]);
+		expect(res.rows).toEqual([{ company_id: testCompanyIds[0], customer_id: testCustomerIds[0], rfq_number: "RFQ001" }]);
+	});
+
+	test("remove: not found", async function () {
+		await expect(Rfq.remove(testRfqIds[0], otherCompany())).rejects.toThrow(NotFoundError);
+	});
+
+	test("transition: not found", async function () {
+		await expect(Rfq.transition(testRfqIds[0], "submitted", testUserIds[1], null, otherCompany())).rejects.toThrow(NotFoundError);
+
+		const res = await db.query("SELECT status FROM rfqs WHERE id = $1", [testRfqIds[0]]);
+		expect(res.rows[0].status).toEqual("draft");
+	});
+
+	test("items: not found", async function () {
+		await expect(Rfq.updateRfqItem(1, { quantity: 99 }, otherCompany())).rejects.toThrow(NotFoundError);
+		await expect(Rfq.removeRfqItem(1, otherCompany())).rejects.toThrow(NotFoundError);
+
+		const res = await db.query("SELECT quantity FROM rfq_items WHERE id = 1");
+		expect(res.rows).toEqual([{ quantity: 5 }]);
+	});
+});
@@ -0,0 +1,129 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+
+/** Related functions for login sessions.
+ *
+ * Every login starts a session that lasts REFRESH_TOKEN_TTL_DAYS. The client
+ * holds the session's refresh token; only its SHA-256 hash is stored. Each
+ * refresh rotates the token, and presenting an already-rotated token again
+ * (a sign it was stolen) revokes the whole session.
+ */
+
+class Session {
+	/** Start a session for a user.
+	 *
+	 * Returns { sessionId, refreshToken }
+	 */
+
+	static async create(userId) {
+		const refreshToken = createRandomToken();
+
+		const result = await db.query(
+			`INSERT INTO user_sessions (user_id, refresh_token_hash, expires_at)
+			 VALUES ($1, $2, NOW() + make_interval(days => $3))
+			 RETURNING id`,
+			[userId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+		);
+
+		return { sessionId: result.rows[0].id, refreshToken };
+	}
+
+	/** Trade a refresh token for a new one.
+	 *
+	 * Returns { sessionId, userId, refreshToken }
+	 *
+	 * Throws UnauthorizedError if the token is unknown, expired, revoked or has
+	 * already been used.
+	 */
+
+	static async rotate(refreshToken) {
+		const tokenHash = hashToken(refreshToken);
+		const newToken = createRandomToken();
+
+		const result = await db.query(
+			`UPDATE user_sessions
+			 SET previous_token_hash = refresh_token_hash,
+			     refresh_token_hash = $2,
+			     last_used_at = NOW()
+			 WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+			 RETURNING id AS "sessionId", user_id AS "userId"`,
+			[tokenHash, hashToken(newToken)]
+		);
+
+		const session = result.rows[0];
+
+		if (!session) {
+			// A rotated-out token being replayed: shut the session down
+			await db.query(
+				`UPDATE user_sessions
+				 SET revoked_at = NOW()
+				 WHERE previous_token_hash = $1 AND revoked_at IS NULL`,
+				[tokenHash]
+			);
+			throw new UnauthorizedError("Invalid refresh token");
+		}
+
+		return { ...session, refreshToken: newToken };
+	}
+
+	/** Is the session still usable by this user? */
+
+	static async isActive(sessionId, userId) {
+		const result = await db.query(
+			`SELECT id
+			 FROM user_sessions
+			 WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+			[sessionId, userId]
+		);
+
+		return result.rows.length > 0;
+	}
+
+	/** Revoke one session by id; returns whether it was still active. */
+
+	static async revoke(sessionId) {
+		const result = await db.query(
+			`UPDATE user_sessions
+			 SET revoked_at = NOW()
+			 WHERE id = $1 AND revoked_at IS NULL
+			 RETURNING id`,
+			[sessionId]
+		);
+
+		return result.rows.length > 0;
+	}
+
+	/** Revoke the session a refresh token belongs to; returns whether it was still active. */
+
+	static async revokeByRefreshToken(refreshToken) {
+		const result = await db.query(
+			`UPDATE user_sessions
+			 SET revoked_at = NOW()
+			 WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+			 RETURNING id`,
+			[hashToken(refreshToken)]
+		);
+
+		return result.rows.length > 0;
+	}
+
+	/** Revoke every active session of a user; returns how many were revoked. */
+
+	static async revokeAllForUser(userId) {
+		const result = await db.query(
+			`UPDATE user_sessions
+			 SET revoked_at = NOW()
+			 WHERE user_id = $1 AND revoked_at IS NULL
+			 RETURNING id`,
+			[userId]
+		);
+
+		return result.rows.length;
+	}
+}
+
+module.exports = Session;
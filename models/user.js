@@ -2,30 +2,161 @@
 
 const db = require("../db.js");
 const bcrypt = require("bcrypt");
-const { sqlForPartialUpdate } = require("../helpers/sql.js");
-const { NotFoundError, BadRequestError, UnauthorizedError } = require("../expressError.js");
+const { sqlForPartialUpdate, validateUpdateFields } = require("../helpers/sql.js");
+const { NotFoundError, BadRequestError, UnauthorizedError, TooManyRequestsError } = require("../expressError.js");
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const { validateRole } = require("../helpers/permissions.js");
+const { MAX_FAILED_LOGINS, IP_MAX_FAILED_LOGINS, IP_FAILURE_WINDOW_MINUTES, lockoutMinutes } = require("../helpers/lockout.js");
+const Audit = require("./audit.js");
+const Mfa = require("./mfa.js");
+
+/** Throw TooManyRequestsError if `ip` has failed to sign in too often lately. */
+
+async function ensureIpNotThrottled(ip) {
+	const result = await db.query(
+		`SELECT COUNT(*) AS count
+		 FROM login_failures
+		 WHERE ip = $1 AND attempted_at > NOW() - make_interval(mins => $2)`,
+		[ip, IP_FAILURE_WINDOW_MINUTES]
+	);
+
+	if (Number(result.rows[0].count) >= IP_MAX_FAILED_LOGINS) {
+		throw new TooManyRequestsError("Too many failed sign-ins from this address; try again later");
+	}
+}
+
+/** Record a failed sign-in from `ip`, forgetting failures older than the throttling window. */
+
+async function recordIpFailure(ip, email) {
+	await db.query(`DELETE FROM login_failures WHERE attempted_at < NOW() - make_interval(mins => $1)`, [IP_FAILURE_WINDOW_MINUTES]);
+	await db.query(`INSERT INTO login_failures (ip, email) VALUES ($1, $2)`, [ip, email]);
+}
+
+/** Count a wrong password against user, locking the account once it reaches
+ *  MAX_FAILED_LOGINS in a row. Lockouts are written to the audit log.
+ */
+
+async function recordFailedLogin(user, ip) {
+	const countRes = await db.query(
+		`UPDATE users
+		 SET failed_login_count = failed_login_count + 1
+		 WHERE id = $1
+		 RETURNING failed_login_count AS "failedLoginCount", lockout_count AS "lockoutCount"`,
+		[user.id]
+	);
+
+	const { failedLoginCount, lockoutCount } = countRes.rows[0];
+	if (failedLoginCount < MAX_FAILED_LOGINS) return;
+
+	const minutes = lockoutMinutes(lockoutCount + 1);
+
+	// The failed_login_count condition stops concurrent failures locking twice
+	const lockRes = await db.query(
+		`UPDATE users
+		 SET failed_login_count = 0,
+		     lockout_count = lockout_count + 1,
+		     locked_until = NOW() + make_interval(mins => $2)
+		 WHERE id = $1 AND failed_login_count >= $3
+		 RETURNING locked_until AS "lockedUntil", lockout_count AS "lockoutCount"`,
+		[user.id, minutes, MAX_FAILED_LOGINS]
+	);
+
+	if (lockRes.rows[0]) {
+		await Audit.record({
+			companyId: user.companyId,
+			entityType: "user",
+			entityId: user.id,
+			action: "lock",
+			after: { ...lockRes.rows[0], minutes },
+			ip,
+		});
+	}
+}
+
+/** Columns read when signing a user in. */
 
-/** Related functions for users. */
+const SIGN_IN_COLUMNS = `id, email,
+                  password,
+                  full_name AS "fullName",
+				  phone,
+                  is_admin AS "isAdmin",
+				  company_id AS "companyId",
+				  role,
+				  email_verified_at AS "emailVerifiedAt",
+				  mfa_enabled_at IS NOT NULL AS "mfaEnabled",
+				  failed_login_count AS "failedLoginCount",
+				  lockout_count AS "lockoutCount",
+				  locked_until AS "lockedUntil",
+				  locked_until > NOW() AS "isLocked"`;
+
+/** Throw TooManyRequestsError if user (read with SIGN_IN_COLUMNS) is locked out. */
+
+function ensureNotLocked(user) {
+	if (user.isLocked) {
+		throw new TooManyRequestsError(`Too many failed sign-ins; account locked until ${user.lockedUntil.toISOString()}`);
+	}
+}
+
+/** The fields of user (read with SIGN_IN_COLUMNS) that are safe to return. */
+
+function signInFields(user) {
+	const { password, emailVerifiedAt, failedLoginCount, lockoutCount, lockedUntil, isLocked, ...fields } = user;
+	return fields;
+}
+
+/** Clear user's failed sign-ins now they have signed in; returns signInFields. */
+
+async function completeSignIn(user) {
+	if (user.failedLoginCount || user.lockoutCount) {
+		await db.query(`UPDATE users SET failed_login_count = 0, lockout_count = 0, locked_until = NULL WHERE id = $1`, [user.id]);
+	}
+	return signInFields(user);
+}
+
+/** Fields a user's profile update can change, and their columns. */
+
+const PROFILE_FIELDS = { email: "email", fullName: "full_name", phone: "phone" };
+
+/** Columns returned for a user after a change. */
+
+const USER_COLUMNS = `id,
+                  email,
+                  full_name AS "fullName",
+                  phone,
+                  is_admin AS "isAdmin",
+                  company_id AS "companyId",
+                  role`;
+
+/** Related functions for users.
+ *
+ * Methods that change data take a trailing `actor` and record the change in
+ * the audit log (see models/audit.js); password hashes and MFA secrets are
+ * never copied there.
+ */
 
 class User {
 	/** authenticate user with email, password.
 	 *
-	 * Returns { id, email, full_name, phone, is_admin, company_id }
+	 * Returns { id, email, full_name, phone, is_admin, company_id, role, mfaEnabled }
+	 *
+	 * A user with mfaEnabled isn't signed in yet: they still have to pass
+	 * authenticateMfa.
 	 *
-	 * Throws UnauthorizedError if user is not found or wrong password.
+	 * Throws UnauthorizedError if user is not found, wrong password, or the user
+	 * hasn't verified their email address yet.
+	 *
+	 * Failures are tracked per account and, when `ip` is given, per IP address
+	 * (see helpers/lockout.js). Throws TooManyRequestsError while the account is
+	 * locked or the IP address is throttled, whatever the password.
 	 **/
 
-	static async authenticate(email, password) {
+	static async authenticate(email, password, ip = null) {
+		if (ip) await ensureIpNotThrottled(ip);
+
 		// try to find the user first
 		const result = await db.query(
-			`SELECT id, email,
-                  password,
-                  full_name AS "fullName",
-				  phone,
-                  is_admin AS "isAdmin",
-				  company_id AS "companyId"
+			`SELECT ${SIGN_IN_COLUMNS}
            FROM users
            WHERE email = $1`,
 			[email]
@@ -33,26 +164,73 @@ class User {
 
 		const user = result.rows[0];
 
+		if (user) ensureNotLocked(user);
+
 		if (user) {
 			// compare hashed password to a new hash from password
 			const isValid = await bcrypt.compare(password, user.password);
 			if (isValid === true) {
-				delete user.password;
-				return user;
+				if (!user.emailVerifiedAt) throw new UnauthorizedError("Email address has not been verified");
+
+				// Failures only reset once the second factor is given too
+				return user.mfaEnabled ? signInFields(user) : completeSignIn(user);
 			}
+
+			await recordFailedLogin(user, ip);
 		}
 
+		if (ip) await recordIpFailure(ip, email);
+
 		throw new UnauthorizedError("Invalid email/password");
 	}
 
+	/** Second step of signing in for a user with two-factor authentication:
+	 *  check a code from their authenticator, or a recovery code (see
+	 *  models/mfa.js).
+	 *
+	 * Returns { id, email, full_name, phone, is_admin, company_id, role, mfaEnabled }
+	 *
+	 * Wrong codes count towards the same lockout and IP throttling as wrong
+	 * passwords, and throw UnauthorizedError.
+	 **/
+
+	static async authenticateMfa(userId, code, ip = null) {
+		if (ip) await ensureIpNotThrottled(ip);
+
+		const result = await db.query(
+			`SELECT ${SIGN_IN_COLUMNS}
+           FROM users
+           WHERE id = $1 AND mfa_enabled_at IS NOT NULL`,
+			[userId]
+		);
+
+		const user = result.rows[0];
+		if (!user) throw new UnauthorizedError("Invalid authentication code");
+
+		ensureNotLocked(user);
+
+		if (await Mfa.verify(user.id, code)) return completeSignIn(user);
+
+		await recordFailedLogin(user, ip);
+		if (ip) await recordIpFailure(ip, user.email);
+
+		throw new UnauthorizedError("Invalid authentication code");
+	}
+
 	/** Register user with data.
 	 *
-	 * Returns { email, fullName, phone, isAdmin, companyId }
+	 * role is the user's company role and defaults to "sales_rep".
+	 * emailVerified marks the email address as already confirmed; otherwise
+	 * the user can't sign in until it is (see models/emailVerification.js).
 	 *
-	 * Throws BadRequestError on duplicates.
+	 * Returns { email, fullName, phone, isAdmin, companyId, role }
+	 *
+	 * Throws BadRequestError on duplicates or an unknown role.
 	 **/
 
-	static async register({ email, password, fullName, phone = null, isAdmin, companyId }) {
+	static async register({ email, password, fullName, phone = null, isAdmin, companyId, role = "sales_rep", emailVerified = false }, actor = {}) {
+		validateRole(role);
+
 		const duplicateCheck = await db.query(
 			`SELECT email
            FROM users
@@ -73,20 +251,32 @@ class User {
             full_name,
             phone,
             is_admin,
-			company_id)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING id, email, full_name AS "fullName", phone, is_admin AS "isAdmin", company_id AS "companyId"`,
-			[email, hashedPassword, fullName, phone, isAdmin, companyId]
+			company_id,
+			role,
+			email_verified_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $8 THEN NOW() END)
+           RETURNING id, email, full_name AS "fullName", phone, is_admin AS "isAdmin", company_id AS "companyId", role`,
+			[email, hashedPassword, fullName, phone, isAdmin, companyId, role, emailVerified]
 		);
 
 		const user = result.rows[0];
 
+		await Audit.record({
+			actor,
+			companyId: user.companyId,
+			entityType: "user",
+			entityId: user.id,
+			action: "create",
+			after: await Audit.snapshot("users", "id = $1", [user.id]),
+		});
+
 		return user;
 	}
 
 	/** Find all users.
 	 *
-	 * Returns [{ email, fullName, phone, is_admin, companyId }, ...]
+	 * Returns [{ email, fullName, phone, is_admin, companyId, role, lockedUntil }, ...]
+	 *   where lockedUntil is set only while the account is locked
 	 **/
 
 	static async findAll() {
@@ -96,7 +286,9 @@ class User {
                 full_name AS "fullName",
                 phone,
                 is_admin AS "isAdmin",
-				company_id AS "companyId"
+				company_id AS "companyId",
+				role,
+				CASE WHEN locked_until > NOW() THEN locked_until END AS "lockedUntil"
            FROM users
            ORDER BY id`
 		);
@@ -106,7 +298,7 @@ class User {
 
 	/** Given a id, return data about user.
 	 *
-	 * Returns { email, full_name, phone, is_admin, companyId, rfqs, quotes }
+	 * Returns { email, full_name, phone, is_admin, role, companyId, rfqs, quotes }
 	 *   where rfqs is { id, customer_id, created_at }
 	 *   where quotes is { id, customer_id, created_at, valid_until }
 	 *
@@ -121,6 +313,7 @@ class User {
             u.full_name AS "fullName", 
             u.phone, 
             u.is_admin AS "isAdmin", 
+            u.role,
             u.company_id AS "companyId",
             c.name AS "companyName", 
             c.address_line1 AS "companyAddressLine1",
@@ -147,6 +340,7 @@ class User {
 			fullName: user.fullName,
 			phone: user.phone,
 			isAdmin: user.isAdmin,
+			role: user.role,
 			company: {
 				companyId: user.companyId,
 				companyName: user.companyName,
@@ -186,38 +380,43 @@ class User {
 	 * Data can include:
 	 *   { email, fullName, phone }
 	 *
-	 * Returns { id, email, fullName, phone }
+	 * Anything else is refused: the password changes through setPassword, the
+	 * role through setRole, and the company, email verification and MFA only
+	 * through their own flows (invitations, verification links, MFA setup).
 	 *
-	 * Throws NotFoundError if not found.
+	 * Returns { id, email, fullName, phone, isAdmin, companyId, role, company }
+	 *
+	 * Throws NotFoundError if not found, BadRequestError for any other field.
 	 *
 	 */
 
-	static async update(id, data) {
-		if (data.password) {
-			data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
-		}
+	static async update(id, data, actor = {}) {
+		validateUpdateFields(data, Object.keys(PROFILE_FIELDS));
 
-		const { setCols, values } = sqlForPartialUpdate(data, {
-			email: "email",
-			fullName: "full_name",
-			phone: "phone",
-		});
+		const { setCols, values } = sqlForPartialUpdate(data, PROFILE_FIELDS);
 		const idIdx = "$" + (values.length + 1);
 
 		const querySql = `UPDATE users 
 						  SET ${setCols} 
 						  WHERE id = ${idIdx} 
-						  RETURNING id,
-								   email,
-								   full_name AS "fullName",
-								   phone,
-								   is_admin AS "isAdmin",
-								   company_id AS "companyId"`;
+						  RETURNING ${USER_COLUMNS}`;
+		const before = await Audit.snapshot("users", "id = $1", [id]);
+
 		const result = await db.query(querySql, [...values, id]);
 		const user = result.rows[0];
 
 		if (!user) throw new NotFoundError(`No user with id of: ${id}`);
 
+		await Audit.record({
+			actor,
+			companyId: user.companyId,
+			entityType: "user",
+			entityId: user.id,
+			action: "update",
+			before,
+			after: await Audit.snapshot("users", "id = $1", [user.id]),
+		});
+
 		// After updating, get the company info as well
 		const companyRes = await db.query(
 			`SELECT c.name AS "companyName", 
@@ -239,13 +438,118 @@ class User {
 			user.company = company;
 		}
 
-		delete user.password;
 		return user;
 	}
 
+	/** Set a user's password; the change is written to the audit log.
+	 *
+	 * Returns { id, email, fullName, phone, isAdmin, companyId, role }
+	 *
+	 * Throws NotFoundError if not found.
+	 */
+
+	static async setPassword(id, password, actor = {}) {
+		if (!password) throw new BadRequestError("password is required.");
+		const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
+
+		const result = await db.query(`UPDATE users SET password = $1 WHERE id = $2 RETURNING ${USER_COLUMNS}`, [hashedPassword, id]);
+		const user = result.rows[0];
+
+		if (!user) throw new NotFoundError(`No user with id of: ${id}`);
+
+		await Audit.record({ actor, companyId: user.companyId, entityType: "user", entityId: user.id, action: "password_change" });
+
+		return user;
+	}
+
+	/** Change a user's role within their company.
+	 *
+	 * Returns { id, email, fullName, role, companyId }
+	 *
+	 * Throws NotFoundError if the user is not in the company, and
+	 * BadRequestError for an unknown role or if it would leave the company
+	 * without an owner.
+	 */
+
+	static async setRole(companyId, userId, role, actor = {}) {
+		validateRole(role);
+
+		const userRes = await db.query(`SELECT role FROM users WHERE id = $1 AND company_id = $2`, [userId, companyId]);
+		const user = userRes.rows[0];
+
+		if (!user) throw new NotFoundError(`No user with id of: ${userId} in company: ${companyId}`);
+
+		if (user.role === "owner" && role !== "owner") {
+			const ownersRes = await db.query(`SELECT COUNT(*) AS count FROM users WHERE company_id = $1 AND role = 'owner'`, [companyId]);
+			if (Number(ownersRes.rows[0].count) <= 1) throw new BadRequestError("A company must keep at least one owner.");
+		}
+
+		const result = await db.query(
+			`UPDATE users
+           SET role = $1
+           WHERE id = $2
+           RETURNING id, email, full_name AS "fullName", role, company_id AS "companyId"`,
+			[role, userId]
+		);
+
+		await Audit.record({
+			actor,
+			companyId,
+			entityType: "user",
+			entityId: userId,
+			action: "role_change",
+			before: { role: user.role },
+			after: { role },
+		});
+
+		return result.rows[0];
+	}
+
+	/** Throw BadRequestError unless the user belongs to the company.
+	 *
+	 * Used where a record is assigned to a user given in the request body.
+	 */
+
+	static async ensureMember(companyId, userId) {
+		const result = await db.query(`SELECT id FROM users WHERE id = $1 AND company_id = $2`, [userId, companyId]);
+
+		if (!result.rows[0]) throw new BadRequestError(`No user with id of: ${userId} in company: ${companyId}`);
+	}
+
+	/** Clear a user's failed sign-ins and lift any lockout.
+	 *
+	 * actor is the admin doing it; the unlock is written to the audit log.
+	 *
+	 * Returns { id, email, lockedUntil: null }
+	 *
+	 * Throws NotFoundError if user not found.
+	 */
+
+	static async unlock(id, actor = {}) {
+		const beforeRes = await db.query(
+			`SELECT id, email, company_id AS "companyId", failed_login_count AS "failedLoginCount",
+				  lockout_count AS "lockoutCount", locked_until AS "lockedUntil"
+           FROM users
+           WHERE id = $1`,
+			[id]
+		);
+
+		const user = beforeRes.rows[0];
+		if (!user) throw new NotFoundError(`No user with id of: ${id}`);
+
+		await db.query(`UPDATE users SET failed_login_count = 0, lockout_count = 0, locked_until = NULL WHERE id = $1`, [id]);
+
+		const { companyId, email, ...before } = user;
+		await Audit.record({ actor, companyId, entityType: "user", entityId: user.id, action: "unlock", before });
+
+		return { id: user.id, email, lockedUntil: null };
+	}
+
 	/** Delete given user from database; returns undefined. */
 
-	static async remove(id) {
+	static async remove(id, actor = {}) {
+		const before = await Audit.snapshot("users", "id = $1", [id]);
+
 		let result = await db.query(
 			`DELETE
            FROM users
@@ -256,6 +560,8 @@ class User {
 		const user = result.rows[0];
 
 		if (!user) throw new NotFoundError(`No user with id of: ${id}`);
+
+		await Audit.record({ actor, companyId: before.company_id, entityType: "user", entityId: user.id, action: "delete", before });
 	}
 }
 
@@ -1,19 +1,9 @@
 "use strict";
 
-const {
-  NotFoundError,
-  BadRequestError,
-  UnauthorizedError,
-} = require("../expressError");
+const { NotFoundError, BadRequestError, UnauthorizedError } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
-const {
-  commonBeforeAll,
-  commonBeforeEach,
-  commonAfterEach,
-  commonAfterAll,
-  testJobIds,
-} = require("./_testCommon");
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testCompanyIds, testUserIds, testRfqIds, testQuoteIds } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
@@ -23,243 +13,195 @@ afterAll(commonAfterAll);
 /************************************** authenticate */
 
 describe("authenticate", function () {
-  test("works", async function () {
-    const user = await User.authenticate("u1", "password1");
-    expect(user).toEqual({
-      username: "u1",
-      firstName: "U1F",
-      lastName: "U1L",
-      email: "u1@email.com",
-      isAdmin: false,
-    });
-  });
-
-  test("unauth if no such user", async function () {
-    try {
-      await User.authenticate("nope", "password");
-      fail();
-    } catch (err) {
-      expect(err instanceof UnauthorizedError).toBeTruthy();
-    }
-  });
-
-  test("unauth if wrong password", async function () {
-    try {
-      await User.authenticate("c1", "wrong");
-      fail();
-    } catch (err) {
-      expect(err instanceof UnauthorizedError).toBeTruthy();
-    }
-  });
+	test("works", async function () {
+		const user = await User.authenticate("user1@example.com", "password1");
+		expect(user).toEqual({
+			id: testUserIds[0],
+			email: "user1@example.com",
+			fullName: "User One",
+			phone: "111-222-3333",
+			isAdmin: false,
+			companyId: testCompanyIds[0],
+			role: "owner",
+			mfaEnabled: false,
+		});
+	});
+
+	test("unauth if no such user", async function () {
+		await expect(User.authenticate("nope@example.com", "password")).rejects.toThrow(UnauthorizedError);
+	});
+
+	test("unauth if wrong password", async function () {
+		await expect(User.authenticate("user1@example.com", "wrong")).rejects.toThrow(UnauthorizedError);
+	});
+
+	test("unauth until the email address is verified", async function () {
+		await db.query("UPDATE users SET email_verified_at = NULL WHERE id = $1", [testUserIds[0]]);
+		await expect(User.authenticate("user1@example.com", "password1")).rejects.toThrow("Email address has not been verified");
+	});
 });
 
 /************************************** register */
 
 describe("register", function () {
-  const newUser = {
-    username: "new",
-    firstName: "Test",
-    lastName: "Tester",
-    email: "test@test.com",
-    isAdmin: false,
-  };
-
-  test("works", async function () {
-    let user = await User.register({
-      ...newUser,
-      password: "password",
-    });
-    expect(user).toEqual(newUser);
-    const found = await db.query("SELECT * FROM users WHERE username = 'new'");
-    expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(false);
-    expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
-  });
-
-  test("works: adds admin", async function () {
-    let user = await User.register({
-      ...newUser,
-      password: "password",
-      isAdmin: true,
-    });
-    expect(user).toEqual({ ...newUser, isAdmin: true });
-    const found = await db.query("SELECT * FROM users WHERE username = 'new'");
-    expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(true);
-    expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
-  });
-
-  test("bad request with dup data", async function () {
-    try {
-      await User.register({
-        ...newUser,
-        password: "password",
-      });
-      await User.register({
-        ...newUser,
-        password: "password",
-      });
-      fail();
-    } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
-    }
-  });
+	const newUser = {
+		email: "new@example.com",
+		fullName: "New User",
+		phone: null,
+		isAdmin: false,
+		role: "estimator",
+	};
+
+	test("works", async function () {
+		const user = await User.register({ ...newUser, password: "password", companyId: testCompanyIds[0] });
+		expect(user).toEqual({ ...newUser, id: expect.any(Number), companyId: testCompanyIds[0] });
+
+		const found = await db.query("SELECT * FROM users WHERE email = 'new@example.com'");
+		expect(found.rows.length).toEqual(1);
+		expect(found.rows[0].email_verified_at).toEqual(null);
+		expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
+	});
+
+	test("bad request with dup data", async function () {
+		await expect(User.register({ ...newUser, email: "user1@example.com", password: "password", companyId: testCompanyIds[0] })).rejects.toThrow(BadRequestError);
+	});
+
+	test("bad request with an unknown role", async function () {
+		await expect(User.register({ ...newUser, role: "boss", password: "password", companyId: testCompanyIds[0] })).rejects.toThrow(BadRequestError);
+	});
 });
 
 /************************************** findAll */
 
 describe("findAll", function () {
-  test("works", async function () {
-    const users = await User.findAll();
-    expect(users).toEqual([
-      {
-        username: "u1",
-        firstName: "U1F",
-        lastName: "U1L",
-        email: "u1@email.com",
-        isAdmin: false,
-      },
-      {
-        username: "u2",
-        firstName: "U2F",
-        lastName: "U2L",
-        email: "u2@email.com",
-        isAdmin: false,
-      },
-    ]);
-  });
+	test("works", async function () {
+		const users = await User.findAll();
+		expect(users.map((u) => [u.email, u.companyId, u.lockedUntil])).toEqual([
+			["user1@example.com", testCompanyIds[0], null],
+			["user2@example.com", testCompanyIds[1], null],
+		]);
+	});
 });
 
 /************************************** get */
 
 describe("get", function () {
-  test("works", async function () {
-    let user = await User.get("u1");
-    expect(user).toEqual({
-      username: "u1",
-      firstName: "U1F",
-      lastName: "U1L",
-      email: "u1@email.com",
-      isAdmin: false,
-      applications: [testJobIds[0]],
-    });
-  });
-
-  test("not found if no such user", async function () {
-    try {
-      await User.get("nope");
-      fail();
-    } catch (err) {
-      expect(err instanceof NotFoundError).toBeTruthy();
-    }
-  });
+	test("works", async function () {
+		const user = await User.get(testUserIds[0]);
+		expect(user).toEqual(
+			expect.objectContaining({
+				id: testUserIds[0],
+				email: "user1@example.com",
+				fullName: "User One",
+				role: "owner",
+				rfqs: [testRfqIds[0]],
+				quotes: [testQuoteIds[0]],
+			})
+		);
+		expect(user.company).toEqual(expect.objectContaining({ companyId: testCompanyIds[0], companyName: "Company 1" }));
+	});
+
+	test("not found if no such user", async function () {
+		await expect(User.get(0)).rejects.toThrow(NotFoundError);
+	});
 });
 
 /************************************** update */
 
 describe("update", function () {
-  const updateData = {
-    firstName: "NewF",
-    lastName: "NewF",
-    email: "new@email.com",
-    isAdmin: true,
-  };
-
-  test("works", async function () {
-    let job = await User.update("u1", updateData);
-    expect(job).toEqual({
-      username: "u1",
-      ...updateData,
-    });
-  });
-
-  test("works: set password", async function () {
-    let job = await User.update("u1", {
-      password: "new",
-    });
-    expect(job).toEqual({
-      username: "u1",
-      firstName: "U1F",
-      lastName: "U1L",
-      email: "u1@email.com",
-      isAdmin: false,
-    });
-    const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
-    expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
-  });
-
-  test("not found if no such user", async function () {
-    try {
-      await User.update("nope", {
-        firstName: "test",
-      });
-      fail();
-    } catch (err) {
-      expect(err instanceof NotFoundError).toBeTruthy();
-    }
-  });
-
-  test("bad request if no data", async function () {
-    expect.assertions(1);
-    try {
-      await User.update("c1", {});
-      fail();
-    } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
-    }
-  });
+	test("works", async function () {
+		const user = await User.update(testUserIds[0], { fullName: "New Name", phone: "999" });
+		expect(user).toEqual(expect.objectContaining({ id: testUserIds[0], fullName: "New Name", phone: "999", role: "owner" }));
+		expect(user.company).toEqual(expect.objectContaining({ companyName: "Company 1" }));
+	});
+
+	test("bad request for fields other than the profile", async function () {
+		await expect(User.update(testUserIds[0], { role: "owner" })).rejects.toThrow(BadRequestError);
+		await expect(User.update(testUserIds[0], { fullName: "New Name", is_admin: true })).rejects.toThrow(BadRequestError);
+		await expect(User.update(testUserIds[0], { password: "new-password" })).rejects.toThrow(BadRequestError);
+
+		const res = await db.query("SELECT full_name, is_admin FROM users WHERE id = $1", [testUserIds[0]]);
+		expect(res.rows).toEqual([{ full_name: "User One", is_admin: false }]);
+	});
+
+	test("bad request for the company or account state", async function () {
+		await expect(User.update(testUserIds[0], { company_id: testCompanyIds[1] })).rejects.toThrow(BadRequestError);
+		await expect(User.update(testUserIds[0], { companyId: testCompanyIds[1] })).rejects.toThrow(BadRequestError);
+		await expect(User.update(testUserIds[0], { email_verified_at: null })).rejects.toThrow(BadRequestError);
+		await expect(User.update(testUserIds[0], { mfa_enabled_at: null })).rejects.toThrow(BadRequestError);
+
+		const res = await db.query("SELECT company_id, email_verified_at IS NOT NULL AS verified FROM users WHERE id = $1", [testUserIds[0]]);
+		expect(res.rows).toEqual([{ company_id: testCompanyIds[0], verified: true }]);
+	});
+
+	test("not found if no such user", async function () {
+		await expect(User.update(0, { fullName: "test" })).rejects.toThrow(NotFoundError);
+	});
+
+	test("bad request if no data", async function () {
+		await expect(User.update(testUserIds[0], {})).rejects.toThrow(BadRequestError);
+	});
 });
 
-/************************************** remove */
+/************************************** setPassword */
 
-describe("remove", function () {
-  test("works", async function () {
-    await User.remove("u1");
-    const res = await db.query(
-        "SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
-  });
-
-  test("not found if no such user", async function () {
-    try {
-      await User.remove("nope");
-      fail();
-    } catch (err) {
-      expect(err instanceof NotFoundError).toBeTruthy();
-    }
-  });
+describe("setPassword", function () {
+	test("works", async function () {
+		const user = await User.setPassword(testUserIds[0], "new-password");
+		expect(user).toEqual(expect.objectContaining({ id: testUserIds[0], email: "user1@example.com" }));
+		expect(await User.authenticate("user1@example.com", "new-password")).toEqual(expect.objectContaining({ id: testUserIds[0] }));
+
+		const audit = await db.query("SELECT action, before, after FROM audit_log WHERE action = 'password_change'");
+		expect(audit.rows).toEqual([{ action: "password_change", before: null, after: null }]);
+	});
+
+	test("not found if no such user", async function () {
+		await expect(User.setPassword(0, "new-password")).rejects.toThrow(NotFoundError);
+	});
 });
 
-/************************************** applyToJob */
-
-describe("applyToJob", function () {
-  test("works", async function () {
-    await User.applyToJob("u1", testJobIds[1]);
-
-    const res = await db.query(
-        "SELECT * FROM applications WHERE job_id=$1", [testJobIds[1]]);
-    expect(res.rows).toEqual([{
-      job_id: testJobIds[1],
-      username: "u1",
-    }]);
-  });
-
-  test("not found if no such job", async function () {
-    try {
-      await User.applyToJob("u1", 0, "applied");
-      fail();
-    } catch (err) {
-      expect(err instanceof NotFoundError).toBeTruthy();
-    }
-  });
-
-  test("not found if no such user", async function () {
-    try {
-      await User.applyToJob("nope", testJobIds[0], "applied");
-      fail();
-    } catch (err) {
-      expect(err instanceof NotFoundError).toBeTruthy();
-    }
-  });
+/************************************** setRole */
+
+describe("setRole", function () {
+	test("works", async function () {
+		const { id: newId } = await User.register({ email: "new@example.com", password: "password", fullName: "New User", isAdmin: false, companyId: testCompanyIds[0] });
+
+		const user = await User.setRole(testCompanyIds[0], newId, "manager");
+		expect(user).toEqual(expect.objectContaining({ id: newId, role: "manager" }));
+	});
+
+	test("bad request when it would leave the company without an owner", async function () {
+		await expect(User.setRole(testCompanyIds[0], testUserIds[0], "manager")).rejects.toThrow(BadRequestError);
+	});
+
+	test("not found for a user of another company", async function () {
+		await expect(User.setRole(testCompanyIds[0], testUserIds[1], "manager")).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** ensureMember */
+
+describe("ensureMember", function () {
+	test("works", async function () {
+		await User.ensureMember(testCompanyIds[0], testUserIds[0]);
+	});
+
+	test("bad request for a user of another company", async function () {
+		await expect(User.ensureMember(testCompanyIds[0], testUserIds[1])).rejects.toThrow(BadRequestError);
+	});
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+	test("works", async function () {
+		const { id } = await User.register({ email: "new@example.com", password: "password", fullName: "New User", isAdmin: false, companyId: testCompanyIds[0] });
+		await User.remove(id);
+		const res = await db.query("SELECT * FROM users WHERE id = $1", [id]);
+		expect(res.rows.length).toEqual(0);
+	});
+
+	test("not found if no such user", async function () {
+		await expect(User.remove(0)).rejects.toThrow(NotFoundError);
+	});
 });
@@ -7,91 +7,123 @@ const Customer = require("../models/customer");
 const Item = require("../models/item");
 const RFQ = require("../models/rfq");
 const Quote = require("../models/quote");
+const Session = require("../models/session");
 const { createToken } = require("../helpers/tokens");
 
 const testRFQIds = [];
 const testQuoteIds = [];
 
+const tables = [];
+
+/** Empty every table and restart its id sequences. */
+
+async function clearTables() {
+	await db.query(`TRUNCATE ${tables.join(", ")} RESTART IDENTITY CASCADE`);
+}
+
 async function commonBeforeAll() {
-	await db.query("DELETE FROM quote_items");
-	await db.query("DELETE FROM rfq_items");
-	await db.query("DELETE FROM quotes");
-	await db.query("DELETE FROM rfqs");
-	await db.query("DELETE FROM company_items");
-	await db.query("DELETE FROM company_customers");
-	await db.query("DELETE FROM users");
-	await db.query("DELETE FROM companies");
+	const result = await db.query(`SELECT tablename FROM pg_tables WHERE schemaname = 'public'`);
+	tables.splice(0, tables.length, ...result.rows.map((r) => r.tablename));
+
+	// Clean up previous data
+	await clearTables();
+}
+
+/** Load the fixtures. Models commit their own transactions on pooled
+ *  connections, so requests can't be rolled back; instead every test gets a
+ *  fresh copy, with the same ids each time.
+ *
+ *  Company 1 has the site admin (user 1, an owner) and user1@example.com
+ *  (user 2, a sales_rep); company 2, another tenant, has user2@example.com
+ *  (user 3, its owner). Each company has a customer, an item, an RFQ and a
+ *  quote. Users 1-3 are signed in as sessions 1-3, which the tokens below
+ *  belong to.
+ */
 
+async function commonBeforeEach() {
 	const c1 = await Company.create({
 		name: "Aerospace Innovations",
-		address_line1: "123 Space Ave",
+		addressLine1: "123 Space Ave",
 		city: "Houston",
 		state: "TX",
-		phone_main: "555-1234",
+		phoneMain: "555-1234",
+	});
+	const c2 = await Company.create({
+		name: "Orbital Freight",
+		addressLine1: "9 Launch Rd",
+		city: "Titusville",
+		state: "FL",
+		phoneMain: "555-4321",
 	});
 
+	const admin = await User.register({
+		email: "admin@example.com",
+		password: "password",
+		fullName: "Admin User",
+		isAdmin: true,
+		companyId: c1.id,
+		role: "owner",
+		emailVerified: true,
+	});
 	const u1 = await User.register({
 		email: "user1@example.com",
 		password: "password1",
-		full_name: "User One",
+		fullName: "User One",
 		phone: "555-1111",
-		is_admin: false,
-		company_id: c1.id,
+		isAdmin: false,
+		companyId: c1.id,
+		emailVerified: true,
 	});
-
-	await Customer.create({
-		company_id: c1.id,
-		customer_name: "NASA",
-		address_line1: "1 Space Center Blvd",
-		city: "Houston",
-		state: "TX",
-		phone_main: "555-9876",
-		markup_type: "percentage",
-		markup: 15,
+	const u2 = await User.register({
+		email: "user2@example.com",
+		password: "password2",
+		fullName: "User Two",
+		isAdmin: false,
+		companyId: c2.id,
+		role: "owner",
+		emailVerified: true,
 	});
 
-	await Item.create({
-		company_id: c1.id,
-		item_code: "A100",
-		description: "Rocket Engine",
-		uom: "unit",
-		cost: 500000,
-	});
+	for (const user of [admin, u1, u2]) await Session.create(user.id);
 
-	testRFQIds[0] = (
-		await RFQ.create({
-			company_id: c1.id,
-			customer_name: "NASA",
-			user_id: u1.id,
-			rfq_number: "RFQ-001",
-		})
-	).id;
-
-	testQuoteIds[0] = (
-		await Quote.create({
-			company_id: c1.id,
-			customer_name: "NASA",
-			user_id: u1.id,
-			quote_number: "Q-001",
-			valid_until: "2025-12-31",
-		})
-	).id;
-}
+	const fixtures = [
+		{ company: c1, user: u1, customer: "NASA", itemCode: "A100", rfqNumber: "RFQ-001", quoteNumber: "Q-001" },
+		{ company: c2, user: u2, customer: "ESA", itemCode: "B200", rfqNumber: "RFQ-002", quoteNumber: "Q-002" },
+	];
 
-async function commonBeforeEach() {
-	await db.query("BEGIN");
+	for (const [idx, { company, user, customer, itemCode, rfqNumber, quoteNumber }] of fixtures.entries()) {
+		await Customer.create({
+			company_id: company.id,
+			customer_name: customer,
+			address_line1: "1 Space Center Blvd",
+			city: "Houston",
+			state: "TX",
+			phone_main: "555-9876",
+			markup_type: "percentage",
+			markup: 15,
+		});
+
+		await Item.create({ companyId: company.id, itemCode, description: "Rocket Engine", uom: "unit", cost: 500000 });
+
+		testRFQIds[idx] = (await RFQ.create({ company_id: company.id, customer_name: customer, user_id: user.id, rfq_number: rfqNumber })).id;
+
+		testQuoteIds[idx] = (
+			await Quote.create({ company_id: company.id, customer_name: customer, user_id: user.id, quote_number: quoteNumber, valid_until: "2099-12-31" })
+		).id;
+	}
 }
 
 async function commonAfterEach() {
-	await db.query("ROLLBACK");
+	await clearTables();
 }
 
 async function commonAfterAll() {
 	await db.end();
 }
 
-const u1Token = createToken({ email: "user1@example.com", isAdmin: false });
-const adminToken = createToken({ email: "admin@example.com", isAdmin: true });
+const adminToken = createToken({ id: 1, isAdmin: true, companyId: 1, role: "owner" }, 1);
+const u1Token = createToken({ id: 2, isAdmin: false, companyId: 1, role: "sales_rep" }, 2);
+const u2Token = createToken({ id: 3, isAdmin: false, companyId: 2, role: "owner" }, 3);
 
 module.exports = {
 	commonBeforeAll,
@@ -101,5 +133,6 @@ module.exports = {
 	testRFQIds,
 	testQuoteIds,
 	u1Token,
+	u2Token,
 	adminToken,
 };
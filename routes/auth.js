@@ -7,11 +7,49 @@ const jsonschema = require("jsonschema");
 const User = require("../models/user");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
+const Session = require("../models/session");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const Invitation = require("../models/invitation");
+const { BadRequestError } = require("../expressError");
+const { createToken, createMfaChallengeToken, verifyMfaChallengeToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const { APP_URL, PASSWORD_RESET_TTL_MINUTES, EMAIL_VERIFICATION_TTL_HOURS } = require("../config");
 
-/** POST /auth/token:  { email, password } => { token }
+/** Start a session for user; returns { token, refreshToken }. */
+
+async function startSession(user) {
+	const { sessionId, refreshToken } = await Session.create(user.id);
+	return { token: createToken(user, sessionId), refreshToken };
+}
+
+/** Email a verification link to the unverified user with this email, if any. */
+
+async function sendVerificationEmail(email) {
+	const verification = await EmailVerification.create(email);
+	if (!verification) return;
+
+	await sendMail({
+		to: verification.user.email,
+		subject: "Verify your easyRFQ email address",
+		text:
+			`Hi ${verification.user.fullName},\n\n` +
+			`Confirm your email address to finish setting up your account. The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours:\n\n` +
+			`${APP_URL}/verify-email?token=${verification.token}`,
+	});
+}
+
+/** POST /auth/token:  { email, password } => { token, refreshToken }
+ *
+ * Returns a short-lived JWT access token which can be used to authenticate
+ * further requests, and a refresh token to get a new one with once it expires.
+ *
+ * For a user with two-factor authentication, returns
+ * { mfaRequired: true, challengeToken } instead; trade the challenge token and
+ * a code at POST /auth/mfa for the tokens above.
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Repeated failures lock the account, and throttle the caller's IP address,
+ * with a 429 response (see helpers/lockout.js).
  *
  * Authorization required: none
  */
@@ -19,32 +57,211 @@ const { createToken } = require("../helpers/tokens");
 router.post("/token", async function (req, res, next) {
 	try {
 		const { email, password } = req.body;
-		const user = await User.authenticate(email, password);
-		const token = createToken(user);
-		return res.json({ token });
+		if (typeof email !== "string" || typeof password !== "string") throw new BadRequestError("email and password are required.");
+
+		const user = await User.authenticate(email, password, req.ip);
+
+		if (user.mfaEnabled) {
+			return res.json({ mfaRequired: true, challengeToken: createMfaChallengeToken(user) });
+		}
+
+		const tokens = await startSession(user);
+		return res.json(tokens);
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /auth/mfa:  { challengeToken, code } => { token, refreshToken }
+ *
+ * Second step of signing in with two-factor authentication. code is the
+ * current code from the user's authenticator app, or one of their recovery
+ * codes. The challenge token comes from POST /auth/token and expires after
+ * MFA_CHALLENGE_TTL_MINUTES.
+ *
+ * Wrong codes count towards the same lockout as wrong passwords.
+ *
+ * Authorization required: none
+ */
+
+router.post("/mfa", async function (req, res, next) {
+	try {
+		const { challengeToken, code } = req.body;
+		if (!challengeToken || !code) throw new BadRequestError("challengeToken and code are required.");
+
+		const userId = verifyMfaChallengeToken(challengeToken);
+		const user = await User.authenticateMfa(userId, code, req.ip);
+		const tokens = await startSession(user);
+		return res.json(tokens);
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /auth/refresh:  { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new access token and a new refresh token; the
+ * one presented can't be used again. The access token reflects the user's
+ * current role and company.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+	try {
+		const { refreshToken } = req.body;
+		if (!refreshToken) throw new BadRequestError("refreshToken is required.");
+
+		const session = await Session.rotate(refreshToken);
+		const user = await User.get(session.userId);
+		const token = createToken({ id: user.id, isAdmin: user.isAdmin, companyId: user.company.companyId, role: user.role }, session.sessionId);
+		return res.json({ token, refreshToken: session.refreshToken });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /auth/logout:  { refreshToken } => { loggedOut: true }
+ *
+ * Ends the session of the refresh token given or, without one, the session
+ * of the access token the request was made with. Either way, that session's
+ * access and refresh tokens stop working.
+ *
+ * Authorization required: none
+ */
+
+router.post("/logout", async function (req, res, next) {
+	try {
+		const { refreshToken } = req.body;
+		const user = res.locals.user;
+
+		if (refreshToken) {
+			await Session.revokeByRefreshToken(refreshToken);
+		} else if (user && user.sid) {
+			await Session.revoke(user.sid);
+		} else {
+			throw new BadRequestError("refreshToken is required.");
+		}
+
+		return res.json({ loggedOut: true });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /auth/forgot-password:  { email } => { message }
+ *
+ * Emails the user a link to reset their password. The response is the same
+ * whether or not the email belongs to a user.
+ *
+ * Authorization required: none
+ */
+
+router.post("/forgot-password", async function (req, res, next) {
+	try {
+		const { email } = req.body;
+		if (!email) throw new BadRequestError("email is required.");
+
+		const reset = await PasswordReset.create(email);
+
+		if (reset) {
+			await sendMail({
+				to: reset.user.email,
+				subject: "Reset your easyRFQ password",
+				text:
+					`Hi ${reset.user.fullName},\n\n` +
+					`Use this link to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and works once:\n\n` +
+					`${APP_URL}/reset-password?token=${reset.token}\n\n` +
+					`If you didn't ask for this, you can ignore this email.`,
+			});
+		}
+
+		return res.json({ message: "If that email is registered, a password reset link has been sent to it." });
 	} catch (err) {
 		return next(err);
 	}
 });
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/reset-password:  { token, password } => { message }
  *
- * user must include { email, password, fullName }
+ * Sets a new password using the token from a reset email. The token can't be
+ * used again, and the user is signed out of every existing session.
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Authorization required: none
+ */
+
+router.post("/reset-password", async function (req, res, next) {
+	try {
+		const { token, password } = req.body;
+		if (!token) throw new BadRequestError("token is required.");
+
+		await PasswordReset.reset(token, password);
+		return res.json({ message: "Password has been reset." });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /auth/register:   { inviteToken, password, fullName, phone } => { user, message }
+ *
+ * Registers the invitee of a company invitation; their email, company and
+ * role come from the invitation. A verification link is emailed to them, and
+ * they can't sign in until they follow it.
+ *
+ * Returns { user: { id, email, fullName, phone, isAdmin, companyId, role }, message }
  *
  * Authorization required: none
  */
 
 router.post("/register", async function (req, res, next) {
 	try {
-		const newUser = await User.register({
-			...req.body,
-			phone: null,
-			isAdmin: false,
-		});
-		const token = createToken(newUser);
-		return res.status(201).json({ token });
+		const { inviteToken, password, fullName, phone } = req.body;
+		if (!inviteToken) throw new BadRequestError("An invitation is required to register.");
+
+		const user = await Invitation.accept(inviteToken, { password, fullName, phone });
+		await sendVerificationEmail(user.email);
+
+		return res.status(201).json({ user, message: "Check your email to verify your address, then sign in." });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /auth/verify-email:  { token } => { message }
+ *
+ * Confirms a user's email address using the token from their verification
+ * email, after which they can sign in.
+ *
+ * Authorization required: none
+ */
+
+router.post("/verify-email", async function (req, res, next) {
+	try {
+		const { token } = req.body;
+		if (!token) throw new BadRequestError("token is required.");
+
+		await EmailVerification.verify(token);
+		return res.json({ message: "Email address verified." });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /auth/resend-verification:  { email } => { message }
+ *
+ * Emails a new verification link to a user who hasn't verified yet. The
+ * response is the same whatever the email.
+ *
+ * Authorization required: none
+ */
+
+router.post("/resend-verification", async function (req, res, next) {
+	try {
+		const { email } = req.body;
+		if (!email) throw new BadRequestError("email is required.");
+
+		await sendVerificationEmail(email);
+		return res.json({ message: "If that email needs verifying, a new link has been sent to it." });
 	} catch (err) {
 		return next(err);
 	}
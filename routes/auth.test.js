@@ -3,12 +3,18 @@
 const request = require("supertest");
 
 const app = require("../app");
+const db = require("../db");
+const { getMailTransport } = require("../helpers/mailer");
+const { createToken } = require("../helpers/tokens");
+const { totp } = require("../helpers/totp");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  adminToken,
+  u1Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -23,11 +29,12 @@ describe("POST /auth/token", function () {
     const resp = await request(app)
         .post("/auth/token")
         .send({
-          username: "u1",
+          email: "user1@example.com",
           password: "password1",
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -35,7 +42,7 @@ describe("POST /auth/token", function () {
     const resp = await request(app)
         .post("/auth/token")
         .send({
-          username: "no-such-user",
+          email: "nobody@example.com",
           password: "password1",
         });
     expect(resp.statusCode).toEqual(401);
@@ -45,7 +52,7 @@ describe("POST /auth/token", function () {
     const resp = await request(app)
         .post("/auth/token")
         .send({
-          username: "u1",
+          email: "user1@example.com",
           password: "nope",
         });
     expect(resp.statusCode).toEqual(401);
@@ -55,7 +62,7 @@ describe("POST /auth/token", function () {
     const resp = await request(app)
         .post("/auth/token")
         .send({
-          username: "u1",
+          email: "user1@example.com",
         });
     expect(resp.statusCode).toEqual(400);
   });
@@ -64,7 +71,7 @@ describe("POST /auth/token", function () {
     const resp = await request(app)
         .post("/auth/token")
         .send({
-          username: 42,
+          email: 42,
           password: "above-is-a-number",
         });
     expect(resp.statusCode).toEqual(400);
@@ -74,41 +81,272 @@ describe("POST /auth/token", function () {
 /************************************** POST /auth/register */
 
 describe("POST /auth/register", function () {
-  test("works for anon", async function () {
+  async function invite(email) {
+    const company = (await db.query("SELECT id FROM companies LIMIT 1")).rows[0];
+    const outbox = getMailTransport().outbox;
+    outbox.length = 0;
+    await request(app)
+        .post(`/companies/company/${company.id}/invitations`)
+        .send({ email, role: "estimator" })
+        .set("authorization", `Bearer ${adminToken}`);
+    return outbox[0].text.match(/invite=([0-9a-f]+)/)[1];
+  }
+
+  test("works with an invitation, then email verification", async function () {
+    const inviteToken = await invite("new@email.com");
     const resp = await request(app)
         .post("/auth/register")
         .send({
-          username: "new",
-          firstName: "first",
-          lastName: "last",
+          inviteToken,
+          fullName: "New User",
           password: "password",
-          email: "new@email.com",
         });
     expect(resp.statusCode).toEqual(201);
-    expect(resp.body).toEqual({
-      "token": expect.any(String),
-    });
+    expect(resp.body.user).toEqual(expect.objectContaining({
+      email: "new@email.com",
+      role: "estimator",
+    }));
+
+    const unverified = await request(app)
+        .post("/auth/token")
+        .send({ email: "new@email.com", password: "password" });
+    expect(unverified.statusCode).toEqual(401);
+
+    const mail = getMailTransport().outbox.find((m) => m.subject.includes("Verify"));
+    const token = mail.text.match(/token=([0-9a-f]+)/)[1];
+    await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ email: "new@email.com", password: "password" });
+    expect(login.statusCode).toEqual(200);
   });
 
-  test("bad request with missing fields", async function () {
+  test("bad request without an invitation", async function () {
     const resp = await request(app)
         .post("/auth/register")
         .send({
-          username: "new",
+          fullName: "New User",
+          password: "password",
+          email: "new@email.com",
+          companyId: 1,
         });
     expect(resp.statusCode).toEqual(400);
   });
 
-  test("bad request with invalid data", async function () {
+  test("invitation works only once", async function () {
+    const inviteToken = await invite("new@email.com");
+    await request(app)
+        .post("/auth/register")
+        .send({ inviteToken, fullName: "New User", password: "password" });
     const resp = await request(app)
         .post("/auth/register")
-        .send({
-          username: "new",
-          firstName: "first",
-          lastName: "last",
-          password: "password",
-          email: "not-an-email",
-        });
+        .send({ inviteToken, fullName: "Someone Else", password: "password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing fields", async function () {
+    const inviteToken = await invite("new@email.com");
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({ inviteToken });
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ email: "user1@example.com", password: "password1" });
+    return resp.body;
+  }
+
+  test("works, rotating the refresh token", async function () {
+    const { refreshToken } = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("reusing a rotated token revokes the session", async function () {
+    const { refreshToken } = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    const replay = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(replay.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works: access and refresh tokens stop working", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ email: "user1@example.com", password: "password1" });
+    const { token, refreshToken } = login.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+
+    const me = await request(app)
+        .get("/rfqs")
+        .set("authorization", `Bearer ${token}`);
+    expect(me.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/forgot-password, /auth/reset-password */
+
+describe("password reset", function () {
+  async function requestReset(email) {
+    const outbox = getMailTransport().outbox;
+    outbox.length = 0;
+    const resp = await request(app)
+        .post("/auth/forgot-password")
+        .send({ email });
+    const mail = outbox[0];
+    const token = mail && mail.text.match(/token=([0-9a-f]+)/)[1];
+    return { resp, mail, token };
+  }
+
+  test("works", async function () {
+    const { resp, mail, token } = await requestReset("user1@example.com");
+    expect(resp.statusCode).toEqual(200);
+    expect(mail.to).toEqual("user1@example.com");
+
+    const reset = await request(app)
+        .post("/auth/reset-password")
+        .send({ token, password: "new-password" });
+    expect(reset.body).toEqual({ message: "Password has been reset." });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ email: "user1@example.com", password: "new-password" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("token works only once", async function () {
+    const { token } = await requestReset("user1@example.com");
+    await request(app)
+        .post("/auth/reset-password")
+        .send({ token, password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/reset-password")
+        .send({ token, password: "another" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("same response for unknown email, and no mail", async function () {
+    const { resp, mail } = await requestReset("nobody@example.com");
+    expect(resp.statusCode).toEqual(200);
+    expect(mail).toBeUndefined();
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/reset-password")
+        .send({ token: "nope", password: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** lockout */
+
+describe("account lockout", function () {
+  test("locks after repeated failures, until an admin unlocks", async function () {
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ email: "user1@example.com", password: "wrong" });
+    }
+
+    const locked = await request(app)
+        .post("/auth/token")
+        .send({ email: "user1@example.com", password: "password1" });
+    expect(locked.statusCode).toEqual(429);
+
+    const user = (await db.query("SELECT id FROM users WHERE email = 'user1@example.com'")).rows[0];
+    const audit = await db.query("SELECT action FROM audit_log WHERE entity_type = 'user' AND entity_id = $1 ORDER BY id", [String(user.id)]);
+    expect(audit.rows).toEqual([{ action: "create" }, { action: "lock" }]);
+
+    await request(app)
+        .post(`/users/${user.id}/unlock`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ email: "user1@example.com", password: "password1" });
+    expect(resp.statusCode).toEqual(200);
+  });
+});
+
+/************************************** two-factor authentication */
+
+describe("two-factor authentication", function () {
+  test("sign-in needs a code once enabled", async function () {
+    const user = (await db.query("SELECT id FROM users WHERE email = 'user1@example.com'")).rows[0];
+
+    const setup = await request(app)
+        .post(`/users/${user.id}/mfa/setup`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(setup.statusCode).toEqual(200);
+
+    const confirm = await request(app)
+        .post(`/users/${user.id}/mfa/confirm`)
+        .send({ code: totp(setup.body.secret) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(confirm.body.recoveryCodes).toHaveLength(10);
+
+    const challenge = await request(app)
+        .post("/auth/token")
+        .send({ email: "user1@example.com", password: "password1" });
+    expect(challenge.body).toEqual({ mfaRequired: true, challengeToken: expect.any(String) });
+
+    const wrong = await request(app)
+        .post("/auth/mfa")
+        .send({ challengeToken: challenge.body.challengeToken, code: "not-a-code" });
+    expect(wrong.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post("/auth/mfa")
+        .send({ challengeToken: challenge.body.challengeToken, code: confirm.body.recoveryCodes[0] });
+    expect(resp.body).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+
+    const reused = await request(app)
+        .post("/auth/mfa")
+        .send({ challengeToken: challenge.body.challengeToken, code: confirm.body.recoveryCodes[0] });
+    expect(reused.statusCode).toEqual(401);
+  });
+});
@@ -3,8 +3,18 @@
 /** Routes for companies. */
 
 const express = require("express");
-const { ensureAdmin, ensureLoggedIn, ensureCorrectUserOrAdmin } = require("../middleware/auth");
+const { BadRequestError } = require("../expressError");
+const { ensureAdmin, ensureLoggedIn, ensureCompanyMemberOrAdmin, ensureCompanyScope, requirePermission } = require("../middleware/auth");
 const Company = require("../models/company");
+const User = require("../models/user");
+const Invitation = require("../models/invitation");
+const ApiKey = require("../models/apiKey");
+const Audit = require("../models/audit");
+const { ROLE_PERMISSIONS } = require("../helpers/permissions");
+const { DEFAULT_QUOTE_TEMPLATE } = require("../helpers/quotePdf");
+const { sendMail } = require("../helpers/mailer");
+const { purgeDeleted } = require("../jobs/purgeDeleted");
+const { APP_URL, INVITATION_TTL_DAYS, DELETED_RETENTION_DAYS } = require("../config");
 
 const router = new express.Router();
 
@@ -19,7 +29,7 @@ const router = new express.Router();
  */
 router.post("/company", async function (req, res, next) {
 	try {
-		const company = await Company.create(req.body);
+		const company = await Company.create(req.body, res.locals.actor);
 		return res.status(201).json({ company });
 	} catch (err) {
 		console.error("Error in company creation:", err);
@@ -72,7 +82,7 @@ router.get("/company/:name", ensureLoggedIn, async function (req, res, next) {
  */
 router.patch("/company/:name", ensureAdmin, async function (req, res, next) {
 	try {
-		const company = await Company.update(req.params.name, req.body);
+		const company = await Company.update(req.params.name, req.body, res.locals.actor);
 		return res.json({ company });
 	} catch (err) {
 		return next(err);
@@ -87,13 +97,33 @@ router.patch("/company/:name", ensureAdmin, async function (req, res, next) {
  */
 router.delete("/company/:name", ensureAdmin, async function (req, res, next) {
 	try {
-		await Company.remove(req.params.name);
+		await Company.remove(req.params.name, res.locals.actor);
 		return res.json({ deleted: req.params.name });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** POST /purge-deleted { olderThanDays } => { purged: { quotes, rfqs, customers, items } }
+ *
+ * Runs the purge job now: permanently removes RFQs, quotes, customers and
+ * items, across all companies, deleted more than olderThanDays days ago
+ * (default DELETED_RETENTION_DAYS). Returns how many of each were removed.
+ *
+ * Authorization required: admin
+ */
+router.post("/purge-deleted", ensureAdmin, async function (req, res, next) {
+	try {
+		const { olderThanDays = DELETED_RETENTION_DAYS } = req.body;
+		if (!Number.isInteger(olderThanDays) || olderThanDays < 0) throw new BadRequestError("olderThanDays must be a non-negative integer");
+
+		const purged = await purgeDeleted(olderThanDays);
+		return res.json({ purged });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 /**
  * POST /company/add-customer
  * Adds a customer to the company_customers table.
@@ -102,9 +132,10 @@ router.delete("/company/:name", ensureAdmin, async function (req, res, next) {
  *
  * Authorization required: logged-in user or admin (ensures the user is authorized to add customers to a company)
  */
-router.post("/company/add-customer", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.post("/company/add-customer", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
 	try {
-		const { companyId, customerId } = req.body;
+		const { customerId } = req.body;
+		const companyId = res.locals.companyId || req.body.companyId;
 
 		// Add the customer to the company's customer list
 		const companyCustomer = await Company.addCustomer(companyId, customerId);
@@ -123,9 +154,10 @@ router.post("/company/add-customer", ensureCorrectUserOrAdmin, async function (r
  *
  * Authorization required: logged-in user or admin (ensures the user is authorized to add items to a company)
  */
-router.post("/company/add-item", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.post("/company/add-item", ensureCompanyScope, requirePermission("items:write"), async function (req, res, next) {
 	try {
-		const { companyId, itemCode } = req.body;
+		const { itemCode } = req.body;
+		const companyId = res.locals.companyId || req.body.companyId;
 
 		// Add the item to the company's item list
 		const companyItem = await Company.addItem(companyId, itemCode);
@@ -143,7 +175,7 @@ router.post("/company/add-item", ensureCorrectUserOrAdmin, async function (req,
  *
  * Authorization required: logged-in user or admin (ensures the user has access to view the company directory)
  */
-router.get("/company/:companyId/directory", ensureCorrectUserOrAdmin, async (req, res, next) => {
+router.get("/company/:companyId/directory", ensureCompanyMemberOrAdmin, async (req, res, next) => {
 	try {
 		const { companyId } = req.params;
 		const directory = await Company.getDirectory(companyId);
@@ -153,4 +185,319 @@ router.get("/company/:companyId/directory", ensureCorrectUserOrAdmin, async (req
 	}
 });
 
+/** GET /company/:companyId/quote-template  => { template }
+ *
+ * Retrieves the company's quote PDF template, falling back to the defaults
+ * for any fields it hasn't set.
+ *
+ * Returns { accentColor, tagline, terms, footerText, showItemCodes }
+ *
+ * Authorization required: logged-in user or admin
+ */
+router.get("/company/:companyId/quote-template", ensureCompanyMemberOrAdmin, async (req, res, next) => {
+	try {
+		const template = await Company.getQuoteTemplate(req.params.companyId);
+		return res.json({ template: { ...DEFAULT_QUOTE_TEMPLATE, ...template } });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /company/:companyId/quote-template { fld1, fld2, ... } => { template }
+ *
+ * Updates the company's quote PDF template.
+ * Acceptable fields: { accentColor, tagline, terms, footerText, showItemCodes }
+ *
+ * Authorization required: logged-in user or admin
+ */
+router.patch("/company/:companyId/quote-template", ensureCompanyMemberOrAdmin, requirePermission("company:manage"), async (req, res, next) => {
+	try {
+		const template = await Company.updateQuoteTemplate(req.params.companyId, req.body, res.locals.actor);
+		return res.json({ template });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /company/:companyId/numbering  => { numbering: { rfq, quote } }
+ *
+ * Retrieves the company's RFQ and quote numbering schemes, each
+ * { docType, prefix, includeYear, padding, resetPeriod, lastNumber, periodKey }
+ *
+ * Authorization required: logged-in user or admin
+ */
+router.get("/company/:companyId/numbering", ensureCompanyMemberOrAdmin, async (req, res, next) => {
+	try {
+		const numbering = await Company.getNumbering(req.params.companyId);
+		return res.json({ numbering });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /company/:companyId/numbering/:docType { fld1, fld2, ... } => { numbering }
+ *
+ * Updates the numbering scheme for docType ("rfq" or "quote").
+ * Acceptable fields: { prefix, includeYear, padding, resetPeriod, lastNumber }
+ * resetPeriod is one of "never", "yearly" or "monthly". A counter that resets
+ * needs includeYear; monthly ones also get the month, e.g. "Q-2025-03-0001".
+ *
+ * Authorization required: logged-in user or admin
+ */
+router.patch("/company/:companyId/numbering/:docType", ensureCompanyMemberOrAdmin, requirePermission("company:manage"), async (req, res, next) => {
+	try {
+		const numbering = await Company.updateNumbering(req.params.companyId, req.params.docType, req.body, res.locals.actor);
+		return res.json({ numbering });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /company/:companyId/margin-policy  => { marginPolicy }
+ *
+ * Retrieves the company's margin minimums, { minLineMargin, minQuoteMargin },
+ * each a percent of price or null for none. Quotes below them need approval
+ * before they can be sent.
+ *
+ * Authorization required: logged-in user or admin
+ */
+router.get("/company/:companyId/margin-policy", ensureCompanyMemberOrAdmin, async (req, res, next) => {
+	try {
+		const marginPolicy = await Company.getMarginPolicy(req.params.companyId);
+		return res.json({ marginPolicy });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /company/:companyId/margin-policy { minLineMargin, minQuoteMargin } => { marginPolicy }
+ *
+ * Updates the company's margin minimums; null removes one.
+ *
+ * Authorization required: logged-in user or admin
+ */
+router.patch("/company/:companyId/margin-policy", ensureCompanyMemberOrAdmin, requirePermission("company:manage"), async (req, res, next) => {
+	try {
+		const marginPolicy = await Company.updateMarginPolicy(req.params.companyId, req.body, res.locals.actor);
+		return res.json({ marginPolicy });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /company/:companyId/tax-rates  => { taxRates: [{ jurisdiction, rate }, ...] }
+ *
+ * Retrieves the company's sales tax rates, each a percent. A quote is taxed
+ * at the rate for its jurisdiction: its own tax jurisdiction if set, or
+ * else the state it ships to (or bills to, or the customer's).
+ *
+ * Authorization required: logged-in user or admin
+ */
+router.get("/company/:companyId/tax-rates", ensureCompanyMemberOrAdmin, async (req, res, next) => {
+	try {
+		const taxRates = await Company.getTaxRates(req.params.companyId);
+		return res.json({ taxRates });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /company/:companyId/tax-rates/:jurisdiction { rate } => { taxRate }
+ *
+ * Sets the company's sales tax rate for jurisdiction, e.g. "TX".
+ *
+ * Authorization required: logged-in user or admin
+ */
+router.patch("/company/:companyId/tax-rates/:jurisdiction", ensureCompanyMemberOrAdmin, requirePermission("company:manage"), async (req, res, next) => {
+	try {
+		const taxRate = await Company.setTaxRate(req.params.companyId, req.params.jurisdiction, req.body, res.locals.actor);
+		return res.json({ taxRate });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /company/:companyId/tax-rates/:jurisdiction  => { deleted: jurisdiction }
+ *
+ * Authorization required: logged-in user or admin
+ */
+router.delete("/company/:companyId/tax-rates/:jurisdiction", ensureCompanyMemberOrAdmin, requirePermission("company:manage"), async (req, res, next) => {
+	try {
+		await Company.removeTaxRate(req.params.companyId, req.params.jurisdiction, res.locals.actor);
+		return res.json({ deleted: req.params.jurisdiction });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /company/:companyId/roles  => { roles, users }
+ *
+ * Retrieves the permission matrix, { role: [permission, ...], ... }, and each
+ * company user's role: [{ id, fullName, email, phone, isAdmin, role }, ...]
+ *
+ * Authorization required: logged-in user or admin
+ */
+router.get("/company/:companyId/roles", ensureCompanyMemberOrAdmin, async (req, res, next) => {
+	try {
+		const { users } = await Company.getDirectory(req.params.companyId);
+		return res.json({ roles: ROLE_PERMISSIONS, users });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /company/:companyId/roles/:memberId { role } => { user }
+ *
+ * Changes a company user's role. role is one of owner, manager, sales_rep,
+ * estimator or read_only. The company's last owner can't be demoted.
+ *
+ * Returns { id, email, fullName, role, companyId }
+ *
+ * Authorization required: admin, or company user with roles:manage permission
+ */
+router.patch("/company/:companyId/roles/:memberId", ensureCompanyMemberOrAdmin, requirePermission("roles:manage"), async (req, res, next) => {
+	try {
+		const user = await User.setRole(req.params.companyId, req.params.memberId, req.body.role, res.locals.actor);
+		return res.json({ user });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /company/:companyId/invitations { email, role } => { invitation }
+ *
+ * Invites someone to join the company with the given role (default
+ * sales_rep) and emails them a link to register. Inviting the same email
+ * again replaces the earlier invite.
+ *
+ * Returns { id, companyId, email, role, invitedBy, createdAt, expiresAt }
+ *
+ * Authorization required: admin, or company user with roles:manage permission
+ */
+router.post("/company/:companyId/invitations", ensureCompanyMemberOrAdmin, requirePermission("roles:manage"), async (req, res, next) => {
+	try {
+		const company = await Company.get(req.params.companyId);
+		const { invitation, token } = await Invitation.create(company.id, req.body, res.locals.user.id);
+
+		await sendMail({
+			to: invitation.email,
+			subject: `You're invited to join ${company.name} on easyRFQ`,
+			text:
+				`You've been invited to join ${company.name} on easyRFQ.\n\n` +
+				`Use this link to create your account. It expires in ${INVITATION_TTL_DAYS} days:\n\n` +
+				`${APP_URL}/register?invite=${token}`,
+		});
+
+		return res.status(201).json({ invitation });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /company/:companyId/invitations => { invitations: [ { id, companyId, email, role, invitedBy, createdAt, expiresAt }, ... ] }
+ *
+ * Lists the company's pending invitations.
+ *
+ * Authorization required: admin, or company user with roles:manage permission
+ */
+router.get("/company/:companyId/invitations", ensureCompanyMemberOrAdmin, requirePermission("roles:manage"), async (req, res, next) => {
+	try {
+		const invitations = await Invitation.findAll(req.params.companyId);
+		return res.json({ invitations });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /company/:companyId/invitations/:invitationId => { revoked: invitationId }
+ *
+ * Revokes a pending invitation so its link no longer works.
+ *
+ * Authorization required: admin, or company user with roles:manage permission
+ */
+router.delete("/company/:companyId/invitations/:invitationId", ensureCompanyMemberOrAdmin, requirePermission("roles:manage"), async (req, res, next) => {
+	try {
+		await Invitation.revoke(req.params.companyId, req.params.invitationId);
+		return res.json({ revoked: req.params.invitationId });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /company/:companyId/api-keys { name, scopes } => { apiKey, key }
+ *
+ * Creates an API key for integrations to call the API as the company, with
+ * "Authorization: ApiKey <key>". scopes lists the permissions it gets (see
+ * API_KEY_SCOPES in helpers/permissions.js).
+ *
+ * key is shown only in this response. apiKey is
+ * { id, companyId, name, keyPrefix, scopes, createdBy, createdAt, lastUsedAt, revokedAt }
+ *
+ * Authorization required: admin, or company user with company:manage permission
+ */
+router.post("/company/:companyId/api-keys", ensureCompanyMemberOrAdmin, requirePermission("company:manage"), async (req, res, next) => {
+	try {
+		const company = await Company.get(req.params.companyId);
+		const { apiKey, key } = await ApiKey.create(company.id, req.body, res.locals.user.id);
+		return res.status(201).json({ apiKey, key });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /company/:companyId/api-keys => { apiKeys: [ { id, companyId, name, keyPrefix, scopes, createdBy, createdAt, lastUsedAt, revokedAt }, ... ] }
+ *
+ * Lists the company's API keys, including revoked ones.
+ *
+ * Authorization required: admin, or company user with company:manage permission
+ */
+router.get("/company/:companyId/api-keys", ensureCompanyMemberOrAdmin, requirePermission("company:manage"), async (req, res, next) => {
+	try {
+		const apiKeys = await ApiKey.findAll(req.params.companyId);
+		return res.json({ apiKeys });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /company/:companyId/api-keys/:apiKeyId => { apiKey }
+ *
+ * Revokes an API key; requests made with it fail from then on.
+ *
+ * Authorization required: admin, or company user with company:manage permission
+ */
+router.delete("/company/:companyId/api-keys/:apiKeyId", ensureCompanyMemberOrAdmin, requirePermission("company:manage"), async (req, res, next) => {
+	try {
+		const apiKey = await ApiKey.revoke(req.params.companyId, req.params.apiKeyId);
+		return res.json({ apiKey });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /company/:companyId/audit => { entries: [ { id, companyId, actorId, actorName, apiKeyId, entityType, entityId, action, before, after, ip, createdAt }, ... ] }
+ *
+ * The company's audit trail: who created, changed or deleted what, newest
+ * first, with each record as it was before and after.
+ *
+ * Optional query parameters:
+ *  - entityType: e.g. quote, quote_item, rfq, customer, item, user, company
+ *  - entityId: one record (needs entityType to be meaningful)
+ *  - userId: changes made by one user
+ *  - action: e.g. create, update, delete, transition
+ *  - from, to: dates (YYYY-MM-DD) or timestamps, inclusive
+ *  - limit (default 100, max 500), offset
+ *
+ * Authorization required: admin, or company user with company:manage permission
+ */
+router.get("/company/:companyId/audit", ensureCompanyMemberOrAdmin, requirePermission("company:manage"), async (req, res, next) => {
+	try {
+		const { entityType, entityId, userId, action, from, to, limit, offset } = req.query;
+		const entries = await Audit.findAll(req.params.companyId, { entityType, entityId, userId, action, from, to, limit, offset });
+		return res.json({ entries });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 module.exports = router;
@@ -0,0 +1,93 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testRFQIds, u1Token, u2Token, adminToken } = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /companies/purge-deleted */
+
+describe("POST /companies/purge-deleted", function () {
+	test("works for admin", async function () {
+		await db.query("UPDATE rfqs SET deleted_at = NOW() - INTERVAL '40 days' WHERE id = $1", [testRFQIds[0]]);
+
+		const resp = await request(app).post("/companies/purge-deleted").send({ olderThanDays: 30 }).set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body).toEqual({ purged: { quotes: 0, rfqs: 1, customers: 0, items: 0 } });
+
+		const res = await db.query("SELECT id FROM rfqs WHERE id = $1", [testRFQIds[0]]);
+		expect(res.rows).toEqual([]);
+	});
+
+	test("bad request for a negative retention period", async function () {
+		const resp = await request(app).post("/companies/purge-deleted").send({ olderThanDays: -1 }).set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("unauth for non-admin", async function () {
+		const resp = await request(app).post("/companies/purge-deleted").send({ olderThanDays: 0 }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** PATCH /companies/company/:name */
+
+describe("PATCH /companies/company/:name", function () {
+	test("works for admin", async function () {
+		const resp = await request(app).patch("/companies/company/1").send({ city: "Cape Canaveral" }).set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body.company).toEqual(expect.objectContaining({ id: 1, name: "Aerospace Innovations", city: "Cape Canaveral" }));
+	});
+
+	test("bad request for the company's id or name", async function () {
+		for (const change of [{ name: "x", id: 5 }, { id: 5 }, { name: "x" }]) {
+			const resp = await request(app).patch("/companies/company/1").send(change).set("authorization", `Bearer ${adminToken}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+
+		const res = await db.query("SELECT id, name FROM companies WHERE id = 1");
+		expect(res.rows).toEqual([{ id: 1, name: "Aerospace Innovations" }]);
+	});
+});
+
+/************************************** /companies/company/:companyId/tax-rates */
+
+describe("company tax rates", function () {
+	test("set, list, change and remove", async function () {
+		const set = await request(app).patch("/companies/company/1/tax-rates/tx").send({ rate: 8.25 }).set("authorization", `Bearer ${adminToken}`);
+		expect(set.body).toEqual({ taxRate: { jurisdiction: "TX", rate: 8.25 } });
+
+		const changed = await request(app).patch("/companies/company/1/tax-rates/TX").send({ rate: 6.25 }).set("authorization", `Bearer ${adminToken}`);
+		expect(changed.body).toEqual({ taxRate: { jurisdiction: "TX", rate: 6.25 } });
+
+		const list = await request(app).get("/companies/company/1/tax-rates").set("authorization", `Bearer ${u1Token}`);
+		expect(list.body).toEqual({ taxRates: [{ jurisdiction: "TX", rate: 6.25 }] });
+
+		const deleted = await request(app).delete("/companies/company/1/tax-rates/TX").set("authorization", `Bearer ${adminToken}`);
+		expect(deleted.statusCode).toEqual(200);
+		const again = await request(app).delete("/companies/company/1/tax-rates/TX").set("authorization", `Bearer ${adminToken}`);
+		expect(again.statusCode).toEqual(404);
+	});
+
+	test("bad request for a rate that isn't a percent below 100", async function () {
+		for (const rate of [100, -1, "lots"]) {
+			const resp = await request(app).patch("/companies/company/1/tax-rates/TX").send({ rate }).set("authorization", `Bearer ${adminToken}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+	});
+
+	test("forbidden without company:manage", async function () {
+		const resp = await request(app).patch("/companies/company/1/tax-rates/TX").send({ rate: 8.25 }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(403);
+	});
+
+	test("unauth for another company's user", async function () {
+		const resp = await request(app).patch("/companies/company/1/tax-rates/TX").send({ rate: 0 }).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
@@ -6,23 +6,26 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureCorrectUserOrAdmin } = require("../middleware/auth");
+const { ensureCompanyScope, requirePermission } = require("../middleware/auth");
 const Customer = require("../models/customer");
+const Contact = require("../models/contact");
+const Address = require("../models/address");
+const CustomerPrice = require("../models/customerPrice");
 
 const router = new express.Router();
 
 /** POST / { customer } =>  { customer }
  *
- * customer should be { company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup }
+ * customer should be { company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup, tax_exempt }
  *
- * Returns { company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup }
+ * Returns { id, company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup, tax_exempt }
  *
  * Authorization required: admin or correct user
  */
 
-router.post("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.post("/", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
 	try {
-		const customer = await Customer.create(req.body);
+		const customer = await Customer.create({ ...req.body, company_id: res.locals.companyId || req.body.company_id }, res.locals.actor);
 		return res.status(201).json({ customer });
 	} catch (err) {
 		return next(err);
@@ -30,15 +33,22 @@ router.post("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { customers: [ { company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup }, ...] }
+ *   { customers: [ { id, company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup, tax_exempt, deleted_at }, ...] }
+ *
+ * Optional query parameters: name, and deleted ("true" to list deleted
+ * customers, which can be restored, instead)
  *
  * Authorization required: admin or correct user
  */
 
-router.get("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
-	const { companyId } = req.query;
+router.get("/", ensureCompanyScope, requirePermission("customers:read"), async function (req, res, next) {
+	const companyId = res.locals.companyId; // The caller's company, or ?companyId= for admins
 	const searchFilters = req.query;
 
+	if (!companyId) {
+		return next(new BadRequestError("companyId is required"));
+	}
+
 	try {
 		const customers = await Customer.findAll(companyId, searchFilters); // Pass company_id to the model method
 		return res.json({ customers });
@@ -47,24 +57,23 @@ router.get("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
 	}
 });
 
-/** GET /customer/:customerName  =>  { customer }
+/** GET /customer/:id  =>  { customer }
  *
- *  Customer is { company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup }
+ *  Customer is { id, company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup, addresses }
+ *   where addresses is the customer's address book: [ { id, address_type, label, address_line1, ..., is_default }, ... ]
  *
  * Authorization required: admin or correct user
  */
 
-router.get("/customer/:customerName", ensureCorrectUserOrAdmin, async function (req, res, next) {
-	const { customerName } = req.params; // Extract customerName from URL path
-	const { companyId } = req.query; // Extract companyId from query string
+router.get("/customer/:id", ensureCompanyScope, requirePermission("customers:read"), async function (req, res, next) {
+	const companyId = res.locals.companyId;
 
 	if (!companyId) {
 		return res.status(400).json({ error: "companyId is required" });
 	}
 
 	try {
-		// Call the Customer.get method passing both companyId and customerName
-		const customer = await Customer.get(companyId, customerName);
+		const customer = await Customer.get(companyId, req.params.id);
 		return res.json({ customer });
 	} catch (err) {
 		return next(err);
@@ -76,9 +85,9 @@ router.get("/customer/:customerName", ensureCorrectUserOrAdmin, async function (
  * Returns the total number of customers for a given company.
  */
 
-router.get("/count", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.get("/count", ensureCompanyScope, requirePermission("customers:read"), async function (req, res, next) {
 	try {
-		const { companyId } = req.query;
+		const companyId = res.locals.companyId;
 		if (!companyId) throw new BadRequestError("companyId is required");
 		const count = await Customer.getCustomerCount(companyId);
 		return res.json({ count });
@@ -87,37 +96,334 @@ router.get("/count", ensureCorrectUserOrAdmin, async function (req, res, next) {
 	}
 });
 
-/** PATCH /customer/:customerName { fld1, fld2, ... } => { customer }
+/** PATCH /customer/:id { fld1, fld2, ... } => { customer }
  *
  * Patches customer data.
  *
- * fields can be: { customer_name, markup_type, markup, address_line1, address_line2, city, state, country, phone_main }
+ * fields can be: { customer_name, markup_type, markup, tax_exempt, address_line1, address_line2, city, state, country, phone_main }
  *
- * Returns { company_id, customer_name, markup_type, markup, address_line1, address_line2, city, state, country, phone_main }
+ * Returns { id, company_id, customer_name, markup_type, markup, tax_exempt, address_line1, address_line2, city, state, country, phone_main }
  *
  * Authorization required: admin or correct user
  */
 
-router.patch("/customer/:customerName", ensureCorrectUserOrAdmin, async function (req, res, next) {
-	const { companyId } = req.query; // Extract companyId from query
+router.patch("/customer/:id", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	const companyId = res.locals.companyId;
+
+	if (!companyId) {
+		return next(new BadRequestError("companyId is required"));
+	}
+
 	try {
-		const customer = await Customer.update(companyId, req.params.customerName, req.body);
+		const customer = await Customer.update(companyId, req.params.id, req.body, res.locals.actor);
 		return res.json({ customer });
 	} catch (err) {
 		return next(err);
 	}
 });
 
-/** DELETE /customer/:customerName  =>  { deleted: customerName }
+/** DELETE /customer/:id  =>  { deleted: id }
+ *
+ * The customer can be restored until the purge job removes it; its RFQs and
+ * quotes are kept.
+ *
+ * Authorization: admin or correct user
+ */
+
+router.delete("/customer/:id", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	const companyId = res.locals.companyId;
+
+	if (!companyId) {
+		return next(new BadRequestError("companyId is required"));
+	}
+
+	try {
+		await Customer.remove(companyId, req.params.id, res.locals.actor);
+		return res.json({ deleted: req.params.id });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /customer/:id/restore  =>  { customer }
+ *
+ * Restores a deleted customer.
+ *
+ * Authorization: admin or correct user
+ */
+
+router.post("/customer/:id/restore", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	const companyId = res.locals.companyId;
+
+	if (!companyId) {
+		return next(new BadRequestError("companyId is required"));
+	}
+
+	try {
+		const customer = await Customer.restore(companyId, req.params.id, res.locals.actor);
+		return res.json({ customer });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /customer/:id/contacts  =>  { contacts: [ { id, companyId, customerId, name, title, email, phone, role, isPrimary, createdAt }, ... ] }
+ *
+ * The primary contact is listed first.
+ *
+ * Authorization: admin or correct user
+ */
+
+router.get("/customer/:id/contacts", ensureCompanyScope, requirePermission("customers:read"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const contacts = await Contact.findAll(companyId, req.params.id);
+		return res.json({ contacts });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /customer/:id/contacts { name, title, email, phone, role, is_primary }  =>  { contact }
+ *
+ * role is buyer (the default), engineer, accounts_payable or other. A new
+ * primary contact takes the flag from the customer's previous one.
+ *
+ * Authorization: admin or correct user
+ */
+
+router.post("/customer/:id/contacts", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const contact = await Contact.create(companyId, req.params.id, req.body, res.locals.actor);
+		return res.status(201).json({ contact });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /customer/:id/contacts/:contactId  =>  { contact }
+ *
+ * Authorization: admin or correct user
+ */
+
+router.get("/customer/:id/contacts/:contactId", ensureCompanyScope, requirePermission("customers:read"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const contact = await Contact.get(companyId, req.params.id, req.params.contactId);
+		return res.json({ contact });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /customer/:id/contacts/:contactId { name, title, email, phone, role, is_primary }  =>  { contact }
+ *
+ * Authorization: admin or correct user
+ */
+
+router.patch("/customer/:id/contacts/:contactId", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const contact = await Contact.update(companyId, req.params.id, req.params.contactId, req.body, res.locals.actor);
+		return res.json({ contact });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /customer/:id/contacts/:contactId  =>  { deleted: contactId }
+ *
+ * RFQs and quotes that named the contact are kept, without one.
+ *
+ * Authorization: admin or correct user
+ */
+
+router.delete("/customer/:id/contacts/:contactId", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		await Contact.remove(companyId, req.params.id, req.params.contactId, res.locals.actor);
+		return res.json({ deleted: req.params.contactId });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /customer/:id/addresses  =>  { addresses: [ { id, companyId, customerId, addressType, label, addressLine1, addressLine2, city, state, country, isDefault, createdAt }, ... ] }
+ *
+ * Authorization: admin or correct user
+ */
+
+router.get("/customer/:id/addresses", ensureCompanyScope, requirePermission("customers:read"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const addresses = await Address.findAll(companyId, req.params.id);
+		return res.json({ addresses });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /customer/:id/addresses { address_type, label, address_line1, address_line2, city, state, country, is_default }  =>  { address }
+ *
+ * address_type is billing, shipping or plant. A new default takes the flag
+ * from the customer's previous default of that type.
+ *
+ * Authorization: admin or correct user
+ */
+
+router.post("/customer/:id/addresses", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const address = await Address.create(companyId, req.params.id, req.body, res.locals.actor);
+		return res.status(201).json({ address });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /customer/:id/addresses/:addressId  =>  { address }
  *
  * Authorization: admin or correct user
  */
 
-router.delete("/customer/:customerName", ensureCorrectUserOrAdmin, async function (req, res, next) {
-	const { companyId } = req.query; // Extract companyId from query
+router.get("/customer/:id/addresses/:addressId", ensureCompanyScope, requirePermission("customers:read"), async function (req, res, next) {
 	try {
-		await Customer.remove(companyId, req.params.customerName);
-		return res.json({ deleted: req.params.customerName });
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const address = await Address.get(companyId, req.params.id, req.params.addressId);
+		return res.json({ address });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /customer/:id/addresses/:addressId { address_type, label, address_line1, address_line2, city, state, country, is_default }  =>  { address }
+ *
+ * Quotes already using the address keep their copy of it.
+ *
+ * Authorization: admin or correct user
+ */
+
+router.patch("/customer/:id/addresses/:addressId", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const address = await Address.update(companyId, req.params.id, req.params.addressId, req.body, res.locals.actor);
+		return res.json({ address });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /customer/:id/addresses/:addressId  =>  { deleted: addressId }
+ *
+ * Authorization: admin or correct user
+ */
+
+router.delete("/customer/:id/addresses/:addressId", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		await Address.remove(companyId, req.params.id, req.params.addressId, res.locals.actor);
+		return res.json({ deleted: req.params.addressId });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /customer/:id/prices  =>  { prices: [ { id, companyId, customerId, itemCode, priceType, price, markupType, markup, effectiveFrom, expiresOn, createdAt }, ... ] }
+ *
+ * Can filter on provided search filters:
+ * - itemCode
+ * - activeOn ('YYYY-MM-DD' or "today": only entries in effect that day)
+ *
+ * Authorization: admin or correct user
+ */
+
+router.get("/customer/:id/prices", ensureCompanyScope, requirePermission("customers:read"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const { itemCode, activeOn } = req.query;
+		const prices = await CustomerPrice.findAll(companyId, req.params.id, { itemCode, activeOn });
+		return res.json({ prices });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /customer/:id/prices { item_code, price_type, price, markup_type, markup, effective_from, expires_on }  =>  { price }
+ *
+ * price_type "fixed" sets a contract price; "markup" overrides the customer's
+ * markup for the item.
+ *
+ * Authorization: admin or correct user
+ */
+
+router.post("/customer/:id/prices", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const price = await CustomerPrice.create(companyId, req.params.id, req.body, res.locals.actor);
+		return res.status(201).json({ price });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /customer/:id/prices/:priceId  =>  { price }
+ *
+ * Authorization: admin or correct user
+ */
+
+router.get("/customer/:id/prices/:priceId", ensureCompanyScope, requirePermission("customers:read"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const price = await CustomerPrice.get(companyId, req.params.id, req.params.priceId);
+		return res.json({ price });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /customer/:id/prices/:priceId { price_type, price, markup_type, markup, effective_from, expires_on }  =>  { price }
+ *
+ * Quote lines already priced from the entry keep their price.
+ *
+ * Authorization: admin or correct user
+ */
+
+router.patch("/customer/:id/prices/:priceId", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const price = await CustomerPrice.update(companyId, req.params.id, req.params.priceId, req.body, res.locals.actor);
+		return res.json({ price });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /customer/:id/prices/:priceId  =>  { deleted: priceId }
+ *
+ * Authorization: admin or correct user
+ */
+
+router.delete("/customer/:id/prices/:priceId", ensureCompanyScope, requirePermission("customers:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		await CustomerPrice.remove(companyId, req.params.id, req.params.priceId, res.locals.actor);
+		return res.json({ deleted: req.params.priceId });
 	} catch (err) {
 		return next(err);
 	}
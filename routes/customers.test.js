@@ -4,288 +4,356 @@ const request = require("supertest");
 
 const app = require("../app");
 
-const {
-  commonBeforeAll,
-  commonBeforeEach,
-  commonAfterEach,
-  commonAfterAll,
-  testJobIds,
-  u1Token,
-  adminToken,
-} = require("./_testCommon");
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, u1Token, u2Token, adminToken } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
-/************************************** POST /companies */
-
-describe("POST /companies", function () {
-  const newCompany = {
-    handle: "new",
-    name: "New",
-    logoUrl: "http://new.img",
-    description: "DescNew",
-    numEmployees: 10,
-  };
-
-  test("ok for admin", async function () {
-    const resp = await request(app)
-        .post("/companies")
-        .send(newCompany)
-        .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.statusCode).toEqual(201);
-    expect(resp.body).toEqual({
-      company: newCompany,
-    });
-  });
-
-  test("unauth for non-admin", async function () {
-    const resp = await request(app)
-        .post("/companies")
-        .send(newCompany)
-        .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
-  });
-
-  test("bad request with missing data", async function () {
-    const resp = await request(app)
-        .post("/companies")
-        .send({
-          handle: "new",
-          numEmployees: 10,
-        })
-        .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.statusCode).toEqual(400);
-  });
-
-  test("bad request with invalid data", async function () {
-    const resp = await request(app)
-        .post("/companies")
-        .send({
-          ...newCompany,
-          logoUrl: "not-a-url",
-        })
-        .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.statusCode).toEqual(400);
-  });
+/************************************** POST /customers */
+
+describe("POST /customers", function () {
+	const newCustomer = {
+		customer_name: "Boeing",
+		address_line1: "100 N Riverside",
+		city: "Chicago",
+		state: "IL",
+		phone_main: "555-0000",
+		markup_type: "percentage",
+		markup: 20,
+	};
+
+	test("works, in the caller's company", async function () {
+		const resp = await request(app)
+			.post("/customers")
+			.send({ ...newCustomer, company_id: 2 })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.customer).toEqual(expect.objectContaining({ id: expect.any(Number), companyId: 1, customerName: "Boeing", markup: 20 }));
+	});
+
+	test("bad request on duplicate name", async function () {
+		const resp = await request(app)
+			.post("/customers")
+			.send({ ...newCustomer, customer_name: "NASA" })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("unauth for anon", async function () {
+		const resp = await request(app).post("/customers").send(newCustomer);
+		expect(resp.statusCode).toEqual(401);
+	});
 });
 
-/************************************** GET /companies */
-
-describe("GET /companies", function () {
-  test("ok for anon", async function () {
-    const resp = await request(app).get("/companies");
-    expect(resp.body).toEqual({
-      companies:
-          [
-            {
-              handle: "c1",
-              name: "C1",
-              description: "Desc1",
-              numEmployees: 1,
-              logoUrl: "http://c1.img",
-            },
-            {
-              handle: "c2",
-              name: "C2",
-              description: "Desc2",
-              numEmployees: 2,
-              logoUrl: "http://c2.img",
-            },
-            {
-              handle: "c3",
-              name: "C3",
-              description: "Desc3",
-              numEmployees: 3,
-              logoUrl: "http://c3.img",
-            },
-          ],
-    });
-  });
-
-  test("works: filtering", async function () {
-    const resp = await request(app)
-        .get("/companies")
-        .query({ minEmployees: 3 });
-    expect(resp.body).toEqual({
-      companies: [
-        {
-          handle: "c3",
-          name: "C3",
-          description: "Desc3",
-          numEmployees: 3,
-          logoUrl: "http://c3.img",
-        },
-      ],
-    });
-  });
-
-  test("works: filtering on all filters", async function () {
-    const resp = await request(app)
-        .get("/companies")
-        .query({ minEmployees: 2, maxEmployees: 3, name: "3" });
-    expect(resp.body).toEqual({
-      companies: [
-        {
-          handle: "c3",
-          name: "C3",
-          description: "Desc3",
-          numEmployees: 3,
-          logoUrl: "http://c3.img",
-        },
-      ],
-    });
-  });
-
-  test("bad request if invalid filter key", async function () {
-    const resp = await request(app)
-        .get("/companies")
-        .query({ minEmployees: 2, nope: "nope" });
-    expect(resp.statusCode).toEqual(400);
-  });
+/************************************** GET /customers */
+
+describe("GET /customers", function () {
+	test("lists only the caller's company", async function () {
+		const resp = await request(app).get("/customers").set("authorization", `Bearer ${u1Token}`);
+		expect(resp.body.customers.map((c) => c.customerName)).toEqual(["NASA"]);
+	});
+
+	test("admins pick the company", async function () {
+		const resp = await request(app).get("/customers").query({ companyId: 2 }).set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body.customers.map((c) => c.customerName)).toEqual(["ESA"]);
+	});
+
+	test("unauth for anon", async function () {
+		const resp = await request(app).get("/customers");
+		expect(resp.statusCode).toEqual(401);
+	});
 });
 
-/************************************** GET /companies/:handle */
-
-describe("GET /companies/:handle", function () {
-  test("works for anon", async function () {
-    const resp = await request(app).get(`/companies/c1`);
-    expect(resp.body).toEqual({
-      company: {
-        handle: "c1",
-        name: "C1",
-        description: "Desc1",
-        numEmployees: 1,
-        logoUrl: "http://c1.img",
-        jobs: [
-          { id: testJobIds[0], title: "J1", equity: "0.1", salary: 1 },
-          { id: testJobIds[1], title: "J2", equity: "0.2", salary: 2 },
-          { id: testJobIds[2], title: "J3", equity: null, salary: 3 },
-        ],
-      },
-    });
-  });
-
-  test("works for anon: company w/o jobs", async function () {
-    const resp = await request(app).get(`/companies/c2`);
-    expect(resp.body).toEqual({
-      company: {
-        handle: "c2",
-        name: "C2",
-        description: "Desc2",
-        numEmployees: 2,
-        logoUrl: "http://c2.img",
-        jobs: [],
-      },
-    });
-  });
-
-  test("not found for no such company", async function () {
-    const resp = await request(app).get(`/companies/nope`);
-    expect(resp.statusCode).toEqual(404);
-  });
+/************************************** GET /customers/customer/:id */
+
+describe("GET /customers/customer/:id", function () {
+	test("works", async function () {
+		const resp = await request(app).get("/customers/customer/1").set("authorization", `Bearer ${u1Token}`);
+		expect(resp.body.customer).toEqual(expect.objectContaining({ id: 1, companyId: 1, customerName: "NASA", addresses: [] }));
+	});
+
+	test("not found for another company's customer", async function () {
+		const resp = await request(app).get("/customers/customer/1").set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
 });
 
-/************************************** PATCH /companies/:handle */
-
-describe("PATCH /companies/:handle", function () {
-  test("works for admin", async function () {
-    const resp = await request(app)
-        .patch(`/companies/c1`)
-        .send({
-          name: "C1-new",
-        })
-        .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.body).toEqual({
-      company: {
-        handle: "c1",
-        name: "C1-new",
-        description: "Desc1",
-        numEmployees: 1,
-        logoUrl: "http://c1.img",
-      },
-    });
-  });
-
-  test("unauth for non-admin", async function () {
-    const resp = await request(app)
-        .patch(`/companies/c1`)
-        .send({
-          name: "C1-new",
-        })
-        .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
-  });
-
-  test("unauth for anon", async function () {
-    const resp = await request(app)
-        .patch(`/companies/c1`)
-        .send({
-          name: "C1-new",
-        });
-    expect(resp.statusCode).toEqual(401);
-  });
-
-  test("not found on no such company", async function () {
-    const resp = await request(app)
-        .patch(`/companies/nope`)
-        .send({
-          name: "new nope",
-        })
-        .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.statusCode).toEqual(404);
-  });
-
-  test("bad request on handle change attempt", async function () {
-    const resp = await request(app)
-        .patch(`/companies/c1`)
-        .send({
-          handle: "c1-new",
-        })
-        .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.statusCode).toEqual(400);
-  });
-
-  test("bad request on invalid data", async function () {
-    const resp = await request(app)
-        .patch(`/companies/c1`)
-        .send({
-          logoUrl: "not-a-url",
-        })
-        .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.statusCode).toEqual(400);
-  });
+/************************************** PATCH /customers/customer/:id */
+
+describe("PATCH /customers/customer/:id", function () {
+	test("works", async function () {
+		const resp = await request(app).patch("/customers/customer/1").send({ markup: 25 }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.customer.markup).toEqual(25);
+	});
+
+	test("works by column name", async function () {
+		const resp = await request(app).patch("/customers/customer/1").send({ tax_exempt: true }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.customer.taxExempt).toEqual(true);
+	});
+
+	test("bad request for the customer's id or company, and it stays put", async function () {
+		for (const change of [{ company_id: 2 }, { companyId: 2 }, { id: 99 }, { deleted_at: "2020-01-01" }]) {
+			const resp = await request(app).patch("/customers/customer/1").send(change).set("authorization", `Bearer ${u1Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+
+		const own = await request(app).get("/customers/customer/1").set("authorization", `Bearer ${u1Token}`);
+		expect(own.body.customer).toEqual(expect.objectContaining({ id: 1, companyId: 1 }));
+		const other = await request(app).get("/customers/customer/1").set("authorization", `Bearer ${u2Token}`);
+		expect(other.statusCode).toEqual(404);
+	});
+
+	test("not found for another company's customer", async function () {
+		const resp = await request(app).patch("/customers/customer/1").send({ markup: 25 }).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
 });
 
-/************************************** DELETE /companies/:handle */
-
-describe("DELETE /companies/:handle", function () {
-  test("works for admin", async function () {
-    const resp = await request(app)
-        .delete(`/companies/c1`)
-        .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.body).toEqual({ deleted: "c1" });
-  });
-
-  test("unauth for non-admin", async function () {
-    const resp = await request(app)
-        .delete(`/companies/c1`)
-        .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
-  });
-
-  test("unauth for anon", async function () {
-    const resp = await request(app)
-        .delete(`/companies/c1`);
-    expect(resp.statusCode).toEqual(401);
-  });
-
-  test("not found for no such company", async function () {
-    const resp = await request(app)
-        .delete(`/companies/nope`)
-        .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.statusCode).toEqual(404);
-  });
+/************************************** DELETE /customers/customer/:id */
+
+describe("DELETE /customers/customer/:id", function () {
+	test("works", async function () {
+		const resp = await request(app).delete("/customers/customer/1").set("authorization", `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ deleted: "1" });
+
+		const get = await request(app).get("/customers/customer/1").set("authorization", `Bearer ${u1Token}`);
+		expect(get.statusCode).toEqual(404);
+	});
+
+	test("keeps the customer's RFQs and quotes", async function () {
+		await request(app).delete("/customers/customer/1").set("authorization", `Bearer ${u1Token}`);
+
+		const rfqs = await request(app).get("/rfqs").set("authorization", `Bearer ${u1Token}`);
+		expect(rfqs.body.rfqs.map((r) => r.customerName)).toEqual(["NASA"]);
+		const quotes = await request(app).get("/quotes").set("authorization", `Bearer ${u1Token}`);
+		expect(quotes.body.quotes.map((q) => q.customerName)).toEqual(["NASA"]);
+	});
+
+	test("not found for another company's customer", async function () {
+		const resp = await request(app).delete("/customers/customer/1").set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** POST /customers/customer/:id/restore */
+
+describe("POST /customers/customer/:id/restore", function () {
+	test("works", async function () {
+		await request(app).delete("/customers/customer/1").set("authorization", `Bearer ${u1Token}`);
+
+		const resp = await request(app).post("/customers/customer/1/restore").set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.customer).toEqual(expect.objectContaining({ id: 1 }));
+
+		const get = await request(app).get("/customers/customer/1").set("authorization", `Bearer ${u1Token}`);
+		expect(get.statusCode).toEqual(200);
+	});
+
+	test("not found if not deleted", async function () {
+		const resp = await request(app).post("/customers/customer/1/restore").set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test("not found for another company's customer", async function () {
+		await request(app).delete("/customers/customer/1").set("authorization", `Bearer ${u1Token}`);
+
+		const resp = await request(app).post("/customers/customer/1/restore").set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** /customers/customer/:id/contacts */
+
+describe("customer contacts", function () {
+	const buyer = { name: "Pat Buyer", email: "pat@nasa.gov", role: "buyer", is_primary: true };
+
+	async function addContact(data = buyer) {
+		const resp = await request(app).post("/customers/customer/1/contacts").send(data).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		return resp.body.contact;
+	}
+
+	test("create, list, get, update and delete", async function () {
+		const contact = await addContact();
+		expect(contact).toEqual(expect.objectContaining({ id: expect.any(Number), companyId: 1, customerId: 1, name: "Pat Buyer", isPrimary: true }));
+
+		const list = await request(app).get("/customers/customer/1/contacts").set("authorization", `Bearer ${u1Token}`);
+		expect(list.body.contacts.map((c) => c.id)).toEqual([contact.id]);
+
+		const get = await request(app).get(`/customers/customer/1/contacts/${contact.id}`).set("authorization", `Bearer ${u1Token}`);
+		expect(get.body.contact.email).toEqual("pat@nasa.gov");
+
+		const patched = await request(app).patch(`/customers/customer/1/contacts/${contact.id}`).send({ title: "Procurement" }).set("authorization", `Bearer ${u1Token}`);
+		expect(patched.body.contact).toEqual(expect.objectContaining({ id: contact.id, title: "Procurement" }));
+
+		const deleted = await request(app).delete(`/customers/customer/1/contacts/${contact.id}`).set("authorization", `Bearer ${u1Token}`);
+		expect(deleted.statusCode).toEqual(200);
+		const gone = await request(app).get(`/customers/customer/1/contacts/${contact.id}`).set("authorization", `Bearer ${u1Token}`);
+		expect(gone.statusCode).toEqual(404);
+	});
+
+	test("bad request for an invalid role, or moving the contact", async function () {
+		const role = await request(app).post("/customers/customer/1/contacts").send({ name: "Pat", role: "boss" }).set("authorization", `Bearer ${u1Token}`);
+		expect(role.statusCode).toEqual(400);
+
+		const contact = await addContact();
+		const moved = await request(app).patch(`/customers/customer/1/contacts/${contact.id}`).send({ customer_id: 2 }).set("authorization", `Bearer ${u1Token}`);
+		expect(moved.statusCode).toEqual(400);
+	});
+
+	test("RFQs and quotes can name the contact, but not another customer's", async function () {
+		const contact = await addContact();
+
+		const rfq = await request(app).post("/rfqs").send({ customer_name: "NASA", user_id: 2, contact_id: contact.id }).set("authorization", `Bearer ${u1Token}`);
+		expect(rfq.statusCode).toEqual(201);
+		expect(rfq.body.rfq.contactId).toEqual(contact.id);
+
+		const quote = await request(app).patch("/quotes/quote/1").send({ contact_id: contact.id }).set("authorization", `Bearer ${u1Token}`);
+		expect(quote.body.quote.contact_id).toEqual(contact.id);
+
+		const foreign = await request(app).post("/customers/customer/2/contacts").send(buyer).set("authorization", `Bearer ${u2Token}`);
+		const wrong = await request(app).patch("/quotes/quote/1").send({ contact_id: foreign.body.contact.id }).set("authorization", `Bearer ${u1Token}`);
+		expect(wrong.statusCode).toEqual(400);
+	});
+
+	test("not found for another company's customer", async function () {
+		const contact = await addContact();
+
+		const list = await request(app).get("/customers/customer/1/contacts").set("authorization", `Bearer ${u2Token}`);
+		expect(list.statusCode).toEqual(404);
+		const create = await request(app).post("/customers/customer/1/contacts").send(buyer).set("authorization", `Bearer ${u2Token}`);
+		expect(create.statusCode).toEqual(404);
+		const patch = await request(app).patch(`/customers/customer/1/contacts/${contact.id}`).send({ name: "Mine" }).set("authorization", `Bearer ${u2Token}`);
+		expect(patch.statusCode).toEqual(404);
+		const del = await request(app).delete(`/customers/customer/1/contacts/${contact.id}`).set("authorization", `Bearer ${u2Token}`);
+		expect(del.statusCode).toEqual(404);
+	});
+});
+
+/************************************** /customers/customer/:id/addresses */
+
+describe("customer addresses", function () {
+	const billing = { address_type: "billing", label: "Accounts", address_line1: "300 E St SW", city: "Washington", state: "DC", is_default: true };
+	const dock = { address_type: "shipping", label: "Dock 4", address_line1: "2101 NASA Pkwy", city: "Houston", state: "TX", is_default: true };
+
+	async function addAddress(data) {
+		const resp = await request(app).post("/customers/customer/1/addresses").send(data).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		return resp.body.address;
+	}
+
+	test("create, list, get, update and delete", async function () {
+		const address = await addAddress(billing);
+		expect(address).toEqual(expect.objectContaining({ id: expect.any(Number), companyId: 1, customerId: 1, addressType: "billing", isDefault: true }));
+
+		const list = await request(app).get("/customers/customer/1/addresses").set("authorization", `Bearer ${u1Token}`);
+		expect(list.body.addresses.map((a) => a.id)).toEqual([address.id]);
+
+		const customer = await request(app).get("/customers/customer/1").set("authorization", `Bearer ${u1Token}`);
+		expect(customer.body.customer.addresses.map((a) => a.id)).toEqual([address.id]);
+
+		const get = await request(app).get(`/customers/customer/1/addresses/${address.id}`).set("authorization", `Bearer ${u1Token}`);
+		expect(get.body.address.addressLine1).toEqual("300 E St SW");
+
+		const patched = await request(app).patch(`/customers/customer/1/addresses/${address.id}`).send({ label: "AP" }).set("authorization", `Bearer ${u1Token}`);
+		expect(patched.body.address).toEqual(expect.objectContaining({ id: address.id, label: "AP" }));
+
+		const deleted = await request(app).delete(`/customers/customer/1/addresses/${address.id}`).set("authorization", `Bearer ${u1Token}`);
+		expect(deleted.body).toEqual({ deleted: String(address.id) });
+		const gone = await request(app).get(`/customers/customer/1/addresses/${address.id}`).set("authorization", `Bearer ${u1Token}`);
+		expect(gone.statusCode).toEqual(404);
+	});
+
+	test("bad request for an invalid type, or moving the address", async function () {
+		const type = await request(app).post("/customers/customer/1/addresses").send({ ...billing, address_type: "home" }).set("authorization", `Bearer ${u1Token}`);
+		expect(type.statusCode).toEqual(400);
+
+		const address = await addAddress(billing);
+		const moved = await request(app).patch(`/customers/customer/1/addresses/${address.id}`).send({ customer_id: 2 }).set("authorization", `Bearer ${u1Token}`);
+		expect(moved.statusCode).toEqual(400);
+	});
+
+	test("quotes copy the addresses they name, of a suitable type", async function () {
+		const bill = await addAddress(billing);
+		const ship = await addAddress(dock);
+
+		const quote = await request(app)
+			.patch("/quotes/quote/1")
+			.send({ bill_to_address_id: bill.id, ship_to_address_id: ship.id })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(quote.statusCode).toEqual(200);
+		expect(quote.body.quote.bill_to).toEqual(expect.objectContaining({ addressId: bill.id, addressLine1: "300 E St SW" }));
+		expect(quote.body.quote.ship_to).toEqual(expect.objectContaining({ addressId: ship.id, label: "Dock 4" }));
+
+		const wrong = await request(app).patch("/quotes/quote/1").send({ bill_to_address_id: ship.id }).set("authorization", `Bearer ${u1Token}`);
+		expect(wrong.statusCode).toEqual(400);
+	});
+
+	test("not found for another company's customer", async function () {
+		const address = await addAddress(billing);
+
+		const list = await request(app).get("/customers/customer/1/addresses").set("authorization", `Bearer ${u2Token}`);
+		expect(list.statusCode).toEqual(404);
+		const create = await request(app).post("/customers/customer/1/addresses").send(billing).set("authorization", `Bearer ${u2Token}`);
+		expect(create.statusCode).toEqual(404);
+		const patch = await request(app).patch(`/customers/customer/1/addresses/${address.id}`).send({ label: "Mine" }).set("authorization", `Bearer ${u2Token}`);
+		expect(patch.statusCode).toEqual(404);
+		const del = await request(app).delete(`/customers/customer/1/addresses/${address.id}`).set("authorization", `Bearer ${u2Token}`);
+		expect(del.statusCode).toEqual(404);
+	});
+});
+
+/************************************** /customers/customer/:id/prices */
+
+describe("customer price list", function () {
+	const contract = { item_code: "A100", price_type: "fixed", price: 550000 };
+
+	async function addPrice(data = contract) {
+		const resp = await request(app).post("/customers/customer/1/prices").send(data).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		return resp.body.price;
+	}
+
+	test("create, list, get, update and delete", async function () {
+		const price = await addPrice();
+		expect(price).toEqual(expect.objectContaining({ id: expect.any(Number), customerId: 1, itemCode: "A100", priceType: "fixed", price: "550000.00" }));
+
+		const list = await request(app).get("/customers/customer/1/prices").query({ activeOn: "today" }).set("authorization", `Bearer ${u1Token}`);
+		expect(list.body.prices.map((p) => p.id)).toEqual([price.id]);
+
+		const get = await request(app).get(`/customers/customer/1/prices/${price.id}`).set("authorization", `Bearer ${u1Token}`);
+		expect(get.body.price.expiresOn).toEqual(null);
+
+		const patched = await request(app).patch(`/customers/customer/1/prices/${price.id}`).send({ expires_on: "2099-12-31" }).set("authorization", `Bearer ${u1Token}`);
+		expect(patched.body.price).toEqual(expect.objectContaining({ id: price.id, expiresOn: "2099-12-31" }));
+
+		const deleted = await request(app).delete(`/customers/customer/1/prices/${price.id}`).set("authorization", `Bearer ${u1Token}`);
+		expect(deleted.body).toEqual({ deleted: String(price.id) });
+		const gone = await request(app).get(`/customers/customer/1/prices/${price.id}`).set("authorization", `Bearer ${u1Token}`);
+		expect(gone.statusCode).toEqual(404);
+	});
+
+	test("bad request for an invalid entry or another company's item", async function () {
+		for (const data of [{ ...contract, price: undefined }, { ...contract, price_type: "rebate" }, { ...contract, effective_from: "tomorrow" }, { ...contract, item_code: "B200" }]) {
+			const resp = await request(app).post("/customers/customer/1/prices").send(data).set("authorization", `Bearer ${u1Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+	});
+
+	test("not found for another company's customer", async function () {
+		const price = await addPrice();
+
+		const list = await request(app).get("/customers/customer/1/prices").set("authorization", `Bearer ${u2Token}`);
+		expect(list.statusCode).toEqual(404);
+		const create = await request(app).post("/customers/customer/1/prices").send(contract).set("authorization", `Bearer ${u2Token}`);
+		expect(create.statusCode).toEqual(404);
+		const patch = await request(app).patch(`/customers/customer/1/prices/${price.id}`).send({ price: 1 }).set("authorization", `Bearer ${u2Token}`);
+		expect(patch.statusCode).toEqual(404);
+		const del = await request(app).delete(`/customers/customer/1/prices/${price.id}`).set("authorization", `Bearer ${u2Token}`);
+		expect(del.statusCode).toEqual(404);
+	});
 });
@@ -5,7 +5,7 @@
 const express = require("express");
 
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { ensureCorrectUserOrAdmin } = require("../middleware/auth");
+const { ensureCompanyScope, requirePermission } = require("../middleware/auth");
 const Item = require("../models/item");
 
 const router = new express.Router();
@@ -17,9 +17,9 @@ const router = new express.Router();
  * Returns { companyId, itemCode, description, uom, cost }
  */
 
-router.post("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.post("/", ensureCompanyScope, requirePermission("items:write"), async function (req, res, next) {
 	try {
-		const item = await Item.create(req.body);
+		const item = await Item.create({ ...req.body, companyId: res.locals.companyId || req.body.companyId }, res.locals.actor);
 		return res.status(201).json({ item });
 	} catch (err) {
 		return next(err);
@@ -27,11 +27,14 @@ router.post("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { items: [ { companyId, itemCode, description, uom, cost }, ...] }
+ *   { items: [ { companyId, itemCode, description, uom, cost, deletedAt }, ...] }
+ *
+ * Optional query parameters: itemCode, and deleted ("true" to list deleted
+ * items, which can be restored, instead)
  */
 
-router.get("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
-	const { companyId } = req.query; // Extract companyId from query params
+router.get("/", ensureCompanyScope, requirePermission("items:read"), async function (req, res, next) {
+	const companyId = res.locals.companyId; // The caller's company, or ?companyId= for admins
 	const searchFilters = req.query;
 
 	if (!companyId) {
@@ -48,12 +51,13 @@ router.get("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
 
 /** GET /item/:itemCode  =>  { item }
  *
- * Item is { companyId, itemCode, description, uom, cost }
+ * Item is { companyId, itemCode, description, uom, cost, costBreaks, sellBreaks }
+ *   where costBreaks and sellBreaks are the item's quantity breaks: [ { id, breakType, minQuantity, amount }, ... ]
  */
 
-router.get("/item/:itemCode", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.get("/item/:itemCode", ensureCompanyScope, requirePermission("items:read"), async function (req, res, next) {
 	const { itemCode } = req.params;
-	const { companyId } = req.query; // Extract companyId from query params
+	const companyId = res.locals.companyId;
 
 	if (!companyId) {
 		return res.status(400).json({ error: "companyId is required" });
@@ -72,9 +76,9 @@ router.get("/item/:itemCode", ensureCorrectUserOrAdmin, async function (req, res
  * Returns the total number of items for a given company.
  */
 
-router.get("/count", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.get("/count", ensureCompanyScope, requirePermission("items:read"), async function (req, res, next) {
 	try {
-		const { companyId } = req.query;
+		const companyId = res.locals.companyId;
 		if (!companyId) throw new BadRequestError("companyId is required");
 		const count = await Item.getItemCount(companyId); // Pass companyId to get count
 		return res.json({ count });
@@ -92,8 +96,8 @@ router.get("/count", ensureCorrectUserOrAdmin, async function (req, res, next) {
  * Returns { companyId, itemCode, description, uom, cost }
  */
 
-router.patch("/item/:itemCode", ensureCorrectUserOrAdmin, async function (req, res, next) {
-	const { companyId } = req.query;
+router.patch("/item/:itemCode", ensureCompanyScope, requirePermission("items:write"), async function (req, res, next) {
+	const companyId = res.locals.companyId;
 	const { itemCode } = req.params;
 
 	if (!companyId) {
@@ -101,7 +105,7 @@ router.patch("/item/:itemCode", ensureCorrectUserOrAdmin, async function (req, r
 	}
 
 	try {
-		const item = await Item.update(companyId, itemCode, req.body); // Pass companyId and itemCode to update the item
+		const item = await Item.update(companyId, itemCode, req.body, res.locals.actor); // Pass companyId and itemCode to update the item
 		return res.json({ item });
 	} catch (err) {
 		return next(err);
@@ -110,10 +114,11 @@ router.patch("/item/:itemCode", ensureCorrectUserOrAdmin, async function (req, r
 
 /** DELETE /item/:itemCode  =>  { deleted: itemCode }
  *
+ * The item can be restored until the purge job removes it.
  */
 
-router.delete("/item/:itemCode", ensureCorrectUserOrAdmin, async function (req, res, next) {
-	const { companyId } = req.query; // Extract companyId from query params
+router.delete("/item/:itemCode", ensureCompanyScope, requirePermission("items:write"), async function (req, res, next) {
+	const companyId = res.locals.companyId;
 	const { itemCode } = req.params;
 
 	if (!companyId) {
@@ -121,11 +126,74 @@ router.delete("/item/:itemCode", ensureCorrectUserOrAdmin, async function (req,
 	}
 
 	try {
-		const result = await Item.remove(companyId, itemCode); // Pass companyId and itemCode to remove the item
+		const result = await Item.remove(companyId, itemCode, res.locals.actor); // Pass companyId and itemCode to remove the item
 		return res.json({ deleted: itemCode });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** POST /item/:itemCode/restore  =>  { item }
+ *
+ * Restores a deleted item.
+ */
+
+router.post("/item/:itemCode/restore", ensureCompanyScope, requirePermission("items:write"), async function (req, res, next) {
+	const companyId = res.locals.companyId;
+
+	if (!companyId) {
+		return next(new BadRequestError("companyId is required"));
+	}
+
+	try {
+		const item = await Item.restore(companyId, req.params.itemCode, res.locals.actor);
+		return res.json({ item });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /item/:itemCode/price-breaks { break_type, min_quantity, amount }  =>  { priceBreak }
+ *
+ * Adds a quantity break: from min_quantity up, the item's unit cost
+ * (break_type "cost") or unit sell price ("sell") is amount.
+ */
+
+router.post("/item/:itemCode/price-breaks", ensureCompanyScope, requirePermission("items:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const priceBreak = await Item.addPriceBreak(companyId, req.params.itemCode, req.body, res.locals.actor);
+		return res.status(201).json({ priceBreak });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /item/:itemCode/price-breaks/:breakId { min_quantity, amount }  =>  { priceBreak } */
+
+router.patch("/item/:itemCode/price-breaks/:breakId", ensureCompanyScope, requirePermission("items:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const priceBreak = await Item.updatePriceBreak(companyId, req.params.itemCode, req.params.breakId, req.body, res.locals.actor);
+		return res.json({ priceBreak });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /item/:itemCode/price-breaks/:breakId  =>  { deleted: breakId } */
+
+router.delete("/item/:itemCode/price-breaks/:breakId", ensureCompanyScope, requirePermission("items:write"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		await Item.removePriceBreak(companyId, req.params.itemCode, req.params.breakId, res.locals.actor);
+		return res.json({ deleted: req.params.breakId });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 module.exports = router;
@@ -0,0 +1,39 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, u1Token, u2Token } = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** PATCH /items/item/:itemCode */
+
+describe("PATCH /items/item/:itemCode", function () {
+	test("works", async function () {
+		const resp = await request(app).patch("/items/item/B200").send({ description: "Upper stage", cost: 450000 }).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.item).toEqual({ companyId: 2, itemCode: "B200", description: "Upper stage", uom: "unit", cost: "450000.00" });
+	});
+
+	test("bad request for the item's code or company, and it stays put", async function () {
+		for (const change of [{ company_id: 1 }, { companyId: 1 }, { item_code: "Z9" }, { deleted_at: "2020-01-01" }]) {
+			const resp = await request(app).patch("/items/item/B200").send(change).set("authorization", `Bearer ${u2Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+
+		const own = await request(app).get("/items/item/B200").set("authorization", `Bearer ${u2Token}`);
+		expect(own.body.item).toEqual(expect.objectContaining({ companyId: 2, itemCode: "B200" }));
+		const other = await request(app).get("/items/item/B200").set("authorization", `Bearer ${u1Token}`);
+		expect(other.statusCode).toEqual(404);
+	});
+
+	test("not found for another company's item", async function () {
+		const resp = await request(app).patch("/items/item/A100").send({ cost: 1 }).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
@@ -4,35 +4,77 @@
 
 const express = require("express");
 const { BadRequestError } = require("../expressError");
-const { ensureCorrectUserOrAdmin } = require("../middleware/auth");
+const { ensureCompanyScope, requirePermission } = require("../middleware/auth");
 const Quote = require("../models/quote");
+const Company = require("../models/company");
+const Customer = require("../models/customer");
+const Contact = require("../models/contact");
+const { renderQuotePdf } = require("../helpers/quotePdf");
 
 const router = new express.Router();
 
 /** POST / { quote } =>  { quote }
  *
- * quote should be { company_id, customer_name, user_id, quote_number }
+ * quote should be { company_id, customer_id, contact_id, user_id, quote_number, valid_until, notes,
+ *   bill_to_address_id, ship_to_address_id }
  *
- * Returns { id, company_id, customer_name, user_id, quote_number, created_at }
+ * quote_number is optional; when omitted the company's numbering scheme
+ * allocates one. The customer can be given by its exact customer_name
+ * instead of customer_id. The bill-to and ship-to addresses, picked from the
+ * customer's address book, are copied onto the quote; each defaults to the
+ * customer's default address of that kind.
+ *
+ * Returns { id, company_id, customer_id, customer_name, contact_id, user_id, quote_number, created_at }
  */
 
-router.post("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.post("/", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
 	try {
-		const quote = await Quote.create(req.body);
+		const quote = await Quote.create({ ...req.body, company_id: res.locals.companyId || req.body.company_id }, res.locals.actor);
 		return res.status(201).json({ quote });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** POST /price-preview { customer_id, item_code, quantity, cost }  =>  { price }
+ *
+ * Prices a quote line for the customer without saving anything. quantity
+ * defaults to 1; cost, if given, is used as the unit cost (as an RFQ line's
+ * quoted cost would be).
+ *
+ * price is { quantity, unitCost, costSource, tiers, markup, discount, rounding,
+ *   unitPrice, extendedPrice, rule, priceListEntryId, steps }
+ *   where steps explains, in words, how the price was reached.
+ */
+
+router.post("/price-preview", ensureCompanyScope, requirePermission("quotes:read"), async function (req, res, next) {
+	try {
+		const companyId = res.locals.companyId;
+		if (!companyId) throw new BadRequestError("companyId is required");
+		const price = await Quote.previewLinePrice(companyId, req.body);
+		return res.json({ price });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 /** GET /  =>
- *   { quotes: [ { id, company_id, customer_name, user_id, quote_number, created_at, quote_total }, ...] }
+ *   { quotes: [ { id, company_id, customer_id, customer_name, contact_id, contact_name, user_id, quote_number, status, created_at, quote_total, totals }, ...] }
+ *
+ * totals is { subtotal, adjustments, discountTotal, chargeTotal, taxableAmount, tax, grandTotal },
+ * as for GET /quote/[id].
+ *
+ * Optional query parameters:
+ *  - companyId (admins only; everyone else only sees their own company's quotes), customerId, userId, id
+ *  - status: draft, sent, accepted, rejected or expired
+ *  - expiringWithinDays: open quotes whose valid_until is within the next N days
+ *  - deleted: "true" to list deleted quotes, which can be restored, instead
  */
 
-router.get("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
-	const { companyId, userId, id } = req.query;
+router.get("/", ensureCompanyScope, requirePermission("quotes:read"), async function (req, res, next) {
+	const { customerId, userId, id, status, expiringWithinDays, deleted } = req.query;
 
-	const searchFilters = { companyId, userId, id };
+	const searchFilters = { companyId: res.locals.companyId, customerId, userId, id, status, expiringWithinDays, deleted };
 
 	try {
 		const quotes = await Quote.findAll(searchFilters);
@@ -42,22 +84,53 @@ router.get("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
 	}
 });
 
-/** GET /[id]  =>  { quote } */
+/** GET /[id]  =>  { quote }
+ *
+ * quote.totals is { subtotal, adjustments, discountTotal, chargeTotal, taxableAmount,
+ * tax: { jurisdiction, rate, exempt, amount }, grandTotal }: the line items
+ * subtotal, less discounts, plus charges, plus sales tax. Each adjustment has
+ * the signed value it adds to the total.
+ */
 
-router.get("/quote/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.get("/quote/:id", ensureCompanyScope, requirePermission("quotes:read"), async function (req, res, next) {
 	try {
-		const quote = await Quote.get(req.params.id);
+		const quote = await Quote.get(req.params.id, res.locals.companyId);
 		return res.json({ quote });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** GET /[id]/pdf  =>  application/pdf
+ *
+ * Renders the quote, with the company's letterhead and the customer's
+ * address, using the company's quote template. It's addressed to the quote's
+ * contact, or else the customer's primary contact.
+ */
+
+router.get("/quote/:id/pdf", ensureCompanyScope, requirePermission("quotes:read"), async function (req, res, next) {
+	try {
+		const quote = await Quote.get(req.params.id, res.locals.companyId);
+		const company = await Company.get(quote.companyId);
+		const customer = await Customer.get(quote.companyId, quote.customerId, { includeDeleted: true });
+		const contact = await Contact.addressee(quote.customerId, quote.contactId);
+		const template = await Company.getQuoteTemplate(quote.companyId);
+
+		const pdf = await renderQuotePdf({ quote, company, customer, contact, template: template || {} });
+
+		res.set("Content-Disposition", `inline; filename="${encodeURIComponent(quote.quoteNumber)}.pdf"`);
+		return res.type("application/pdf").send(pdf);
+	} catch (err) {
+		return next(err);
+	}
+});
+
 /** GET /count?userId=xyz => { count: number } */
 
-router.get("/count", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.get("/count", ensureCompanyScope, requirePermission("quotes:read"), async function (req, res, next) {
 	try {
-		const { userId, companyId } = req.query;
+		const { userId } = req.query;
+		const companyId = res.locals.companyId;
 
 		if (!userId && !companyId) {
 			throw new BadRequestError("Either userId or companyId is required");
@@ -70,50 +143,277 @@ router.get("/count", ensureCorrectUserOrAdmin, async function (req, res, next) {
 	}
 });
 
-/** PATCH /[id] { customer_name, user_id, company_id, quote_number } => { quote } */
+/** PATCH /[id] { customer_id, contact_id, user_id, company_id, quote_number, valid_until, notes, bill_to_address_id, ship_to_address_id, tax_jurisdiction } => { quote }
+ *
+ * Any other field is a 400: status and its timestamps change through the
+ * send, accept, reject and revise routes.
+ */
 
-router.patch("/quote/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.patch("/quote/:id", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
 	try {
-		const quote = await Quote.update(req.params.id, req.body);
+		const quote = await Quote.update(req.params.id, req.body, res.locals.companyId, res.locals.actor);
 		return res.json({ quote });
 	} catch (err) {
 		return next(err);
 	}
 });
 
-/** DELETE /[id]  =>  { deleted: id } */
+/** DELETE /[id]  =>  { deleted: id }
+ *
+ * The quote can be restored until the purge job removes it.
+ */
 
-router.delete("/quote/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.delete("/quote/:id", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
 	try {
-		await Quote.remove(req.params.id);
+		await Quote.remove(req.params.id, res.locals.companyId, res.locals.actor);
 		return res.json({ deleted: req.params.id });
 	} catch (err) {
 		return next(err);
 	}
 });
 
-/** POST /quote-items { quote_item } =>  { quote_item } */
+/** POST /quote/[id]/restore => { quote }
+ *
+ * Restores a deleted quote.
+ */
+
+router.post("/quote/:id/restore", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
+	try {
+		const quote = await Quote.restore(req.params.id, res.locals.companyId, res.locals.actor);
+		return res.json({ quote });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /quote/[id]/send => { quote }
+ *
+ * Marks a draft quote as sent and records what was sent as a new revision.
+ * A quote below the company's minimum margins must be approved first (see
+ * /quote/[id]/approvals).
+ *
+ * Returns { id, status, sentAt, acceptedAt, acceptedByName, acceptedByEmail, rejectedAt, rejectionReason }
+ */
+
+router.post("/quote/:id/send", ensureCompanyScope, requirePermission("quotes:send"), async function (req, res, next) {
+	try {
+		const quote = await Quote.send(req.params.id, res.locals.user.id, res.locals.companyId, res.locals.actor);
+		return res.json({ quote });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /quote/[id]/accept { name, email } => { quote }
+ *
+ * Records acceptance of a sent quote by the named customer contact. Line
+ * items are locked afterwards.
+ */
+
+router.post("/quote/:id/accept", ensureCompanyScope, requirePermission("quotes:send"), async function (req, res, next) {
+	try {
+		const { name, email } = req.body;
+		const quote = await Quote.accept(req.params.id, { name, email }, res.locals.companyId, res.locals.actor);
+		return res.json({ quote });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /quote/[id]/reject { reason } => { quote } */
+
+router.post("/quote/:id/reject", ensureCompanyScope, requirePermission("quotes:send"), async function (req, res, next) {
+	try {
+		const quote = await Quote.reject(req.params.id, req.body.reason, res.locals.companyId, res.locals.actor);
+		return res.json({ quote });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /quote/[id]/revise => { quote }
+ *
+ * Returns a sent, rejected or expired quote to draft so it can be edited and re-sent.
+ */
 
-router.post("/quote-items", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.post("/quote/:id/revise", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
 	try {
-		const { quote_id, company_id, item_code, quantity, item_description, item_price } = req.body;
+		const quote = await Quote.revise(req.params.id, res.locals.companyId, res.locals.actor);
+		return res.json({ quote });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /quote/[id]/revisions => { revisions: [ { revision, revisionNumber, header, items, adjustments, totals, createdBy, createdByName, createdAt }, ... ] } */
+
+router.get("/quote/:id/revisions", ensureCompanyScope, requirePermission("quotes:read"), async function (req, res, next) {
+	try {
+		const revisions = await Quote.getRevisions(req.params.id, res.locals.companyId);
+		return res.json({ revisions });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /quote/[id]/revisions/[a]/diff/[b] => { diff }
+ *
+ * a and b are revision labels (A, B, ...) or numbers.
+ *
+ * Returns { from, to, header, added, removed, repriced, quantityChanged, adjustments, totals }
+ *   where adjustments is { added, removed, changed } and totals lists the
+ *   totals that differ, as [{ field, from, to }, ...]
+ */
+
+router.get("/quote/:id/revisions/:a/diff/:b", ensureCompanyScope, requirePermission("quotes:read"), async function (req, res, next) {
+	try {
+		const diff = await Quote.diffRevisions(req.params.id, req.params.a, req.params.b, res.locals.companyId);
+		return res.json({ diff });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /quote/[id]/margins => { margins }
+ *
+ * margins is { lines, quote, policy, needsApproval }: each line's and the
+ * quote's margin against the items' catalog cost, and whether either is
+ * below the company's minimums.
+ */
+
+router.get("/quote/:id/margins", ensureCompanyScope, requirePermission("quotes:read"), async function (req, res, next) {
+	try {
+		const margins = await Quote.getMargins(req.params.id, res.locals.companyId);
+		return res.json({ margins });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /quote/[id]/approvals => { approvals: [ { id, quoteId, status, margins, requestedBy, requestedByName, requestComment, requestedAt,
+ *                                                 decidedBy, decidedByName, decisionComment, decidedAt }, ... ] }
+ */
+
+router.get("/quote/:id/approvals", ensureCompanyScope, requirePermission("quotes:read"), async function (req, res, next) {
+	try {
+		const approvals = await Quote.getApprovals(req.params.id, res.locals.companyId);
+		return res.json({ approvals });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /quote/[id]/approvals { comment } => { approval }
+ *
+ * Asks for a draft quote below the company's minimum margins to be approved
+ * for sending.
+ */
+
+router.post("/quote/:id/approvals", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
+	try {
+		const approval = await Quote.requestApproval(req.params.id, req.body, res.locals.companyId, res.locals.actor);
+		return res.status(201).json({ approval });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /quote/[id]/approvals/[approvalId]/approve { comment } => { approval }
+ *
+ * The user who asked for the approval can't give it (403).
+ */
+
+router.post("/quote/:id/approvals/:approvalId/approve", ensureCompanyScope, requirePermission("quotes:approve"), async function (req, res, next) {
+	try {
+		const approval = await Quote.decideApproval(req.params.id, req.params.approvalId, "approved", req.body, res.locals.companyId, res.locals.actor);
+		return res.json({ approval });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /quote/[id]/approvals/[approvalId]/reject { comment } => { approval }
+ *
+ * comment, saying why, is required.
+ */
+
+router.post("/quote/:id/approvals/:approvalId/reject", ensureCompanyScope, requirePermission("quotes:approve"), async function (req, res, next) {
+	try {
+		const approval = await Quote.decideApproval(req.params.id, req.params.approvalId, "rejected", req.body, res.locals.companyId, res.locals.actor);
+		return res.json({ approval });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /quote/[id]/adjustments { adjustment_type, calc, amount, description, taxable } => { adjustment }
+ *
+ * Adds a discount or charge to the quote: adjustment_type is discount,
+ * freight, handling or fuel_surcharge, and calc is "percentage" (of the line
+ * items subtotal) or "fixed". taxable says whether a charge is taxed.
+ */
+
+router.post("/quote/:id/adjustments", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
+	try {
+		const adjustment = await Quote.addAdjustment(req.params.id, req.body, res.locals.companyId, res.locals.actor);
+		return res.status(201).json({ adjustment });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /quote/[id]/adjustments/[adjustmentId] { adjustment_type, calc, amount, description, taxable } => { adjustment } */
+
+router.patch("/quote/:id/adjustments/:adjustmentId", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
+	try {
+		const adjustment = await Quote.updateAdjustment(req.params.id, req.params.adjustmentId, req.body, res.locals.companyId, res.locals.actor);
+		return res.json({ adjustment });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /quote/[id]/adjustments/[adjustmentId] => { deleted: adjustmentId } */
+
+router.delete("/quote/:id/adjustments/:adjustmentId", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
+	try {
+		await Quote.removeAdjustment(req.params.id, req.params.adjustmentId, res.locals.companyId, res.locals.actor);
+		return res.json({ deleted: req.params.adjustmentId });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /quote-items { quote_id, item_code, quantity, item_description, item_price } =>  { quoteItem }
+ *
+ * item_price is optional: left out, the line is priced from the quote
+ * customer's price list and markup. quoteItem.price_rule says how.
+ */
+
+router.post("/quote-items", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
+	try {
+		const { quote_id, item_code, quantity, item_description, item_price } = req.body;
+		const company_id = res.locals.companyId || req.body.company_id;
 
 		if (quantity <= 0) {
 			throw new BadRequestError("Quantity must be greater than 0.");
 		}
 
-		const quoteItem = await Quote.createQuoteItem({ quote_id, company_id, item_code, quantity, item_description, item_price });
+		const quoteItem = await Quote.createQuoteItem({ quote_id, company_id, item_code, quantity, item_description, item_price }, res.locals.actor);
 		return res.status(201).json({ quoteItem });
 	} catch (err) {
 		return next(err);
 	}
 });
 
-/** PATCH /quote-items/[id] { quantity } => { quoteItem } */
+/** PATCH /quote-items/[id] { quantity, item_description, item_price } => { quoteItem }
+ *
+ * Setting item_price marks the line as manually priced.
+ */
 
-router.patch("/quote-items/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.patch("/quote-items/:id", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
 	try {
-		const quoteItem = await Quote.updateQuoteItem(req.params.id, req.body);
+		const quoteItem = await Quote.updateQuoteItem(req.params.id, req.body, res.locals.companyId, res.locals.actor);
 		return res.json({ quoteItem });
 	} catch (err) {
 		return next(err);
@@ -122,9 +422,9 @@ router.patch("/quote-items/:id", ensureCorrectUserOrAdmin, async function (req,
 
 /** DELETE /quote-items/[id]  =>  { deleted: id } */
 
-router.delete("/quote-items/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.delete("/quote-items/:id", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
 	try {
-		await Quote.removeQuoteItem(req.params.id);
+		await Quote.removeQuoteItem(req.params.id, res.locals.companyId, res.locals.actor);
 		return res.json({ deleted: req.params.id });
 	} catch (err) {
 		return next(err);
@@ -0,0 +1,484 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testQuoteIds, u1Token, u2Token, adminToken } = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Add a line to company 1's quote, as user1; returns the quote item. */
+
+async function addQuoteItem(data = {}) {
+	const resp = await request(app)
+		.post("/quotes/quote-items")
+		.send({ quote_id: testQuoteIds[0], item_code: "A100", quantity: 2, item_price: 600000, ...data })
+		.set("authorization", `Bearer ${u1Token}`);
+	expect(resp.statusCode).toEqual(201);
+	return resp.body.quoteItem;
+}
+
+/** Give A100 a sell price of 540000 from 10 up, as company 1's admin. */
+
+async function addSellBreak() {
+	const resp = await request(app)
+		.post("/items/item/A100/price-breaks")
+		.query({ companyId: 1 })
+		.send({ break_type: "sell", min_quantity: 10, amount: 540000 })
+		.set("authorization", `Bearer ${adminToken}`);
+	expect(resp.statusCode).toEqual(201);
+}
+
+/************************************** GET /quotes */
+
+describe("GET /quotes", function () {
+	test("works: filtered by id", async function () {
+		await db.query(
+			`INSERT INTO quotes (company_id, customer_id, user_id, quote_number, valid_until)
+			 SELECT company_id, customer_id, user_id, 'Q-003', valid_until FROM quotes WHERE id = $1`,
+			[testQuoteIds[0]]
+		);
+
+		const all = await request(app).get("/quotes").set("authorization", `Bearer ${u1Token}`);
+		expect(all.body.quotes.map((q) => q.quoteNumber)).toEqual(["Q-001", "Q-003"]);
+
+		const resp = await request(app).get("/quotes").query({ id: testQuoteIds[0] }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.quotes.map((q) => q.id)).toEqual([testQuoteIds[0]]);
+	});
+
+	test("finds nothing for another company's quote id", async function () {
+		const resp = await request(app).get("/quotes").query({ id: testQuoteIds[1] }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.body.quotes).toEqual([]);
+	});
+
+	test("bad request for an id that isn't a number", async function () {
+		const resp = await request(app).get("/quotes").query({ id: "abc" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
+/************************************** PATCH /quotes/quote/:id */
+
+describe("PATCH /quotes/quote/:id", function () {
+	test("works", async function () {
+		const resp = await request(app).patch(`/quotes/quote/${testQuoteIds[0]}`).send({ notes: "Net 30" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.quote).toEqual(expect.objectContaining({ id: testQuoteIds[0], notes: "Net 30" }));
+	});
+
+	test("bad request for status or lifecycle columns", async function () {
+		for (const change of [{ status: "accepted" }, { accepted_at: "2020-01-01" }, { sent_at: "2020-01-01" }, { deleted_at: "2020-01-01" }]) {
+			const resp = await request(app).patch(`/quotes/quote/${testQuoteIds[0]}`).send(change).set("authorization", `Bearer ${u1Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+
+		const res = await db.query("SELECT status, sent_at, accepted_at, deleted_at FROM quotes WHERE id = $1", [testQuoteIds[0]]);
+		expect(res.rows).toEqual([{ status: "draft", sent_at: null, accepted_at: null, deleted_at: null }]);
+	});
+});
+
+/************************************** quote lifecycle */
+
+describe("quote lifecycle", function () {
+	test("send, accept, and the lines are locked", async function () {
+		const { id: itemId } = await addQuoteItem();
+
+		const sent = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/send`).set("authorization", `Bearer ${u1Token}`);
+		expect(sent.statusCode).toEqual(200);
+		expect(sent.body.quote).toEqual(expect.objectContaining({ status: "sent", sentAt: expect.any(String) }));
+
+		const accepted = await request(app)
+			.post(`/quotes/quote/${testQuoteIds[0]}/accept`)
+			.send({ name: "Jane Buyer", email: "jane@example.com" })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(accepted.statusCode).toEqual(200);
+		expect(accepted.body.quote).toEqual(expect.objectContaining({ status: "accepted", acceptedByName: "Jane Buyer" }));
+
+		const patched = await request(app).patch(`/quotes/quote-items/${itemId}`).send({ quantity: 9 }).set("authorization", `Bearer ${u1Token}`);
+		expect(patched.statusCode).toEqual(400);
+	});
+
+	test("reject, then revise", async function () {
+		await addQuoteItem();
+		await request(app).post(`/quotes/quote/${testQuoteIds[0]}/send`).set("authorization", `Bearer ${u1Token}`);
+
+		const rejected = await request(app)
+			.post(`/quotes/quote/${testQuoteIds[0]}/reject`)
+			.send({ reason: "Too expensive" })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(rejected.body.quote).toEqual(expect.objectContaining({ status: "rejected", rejectionReason: "Too expensive" }));
+
+		const revised = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/revise`).set("authorization", `Bearer ${u1Token}`);
+		expect(revised.statusCode).toEqual(200);
+		expect(revised.body.quote).toEqual(expect.objectContaining({ status: "draft" }));
+	});
+
+	test("bad request accepting a draft", async function () {
+		const resp = await request(app)
+			.post(`/quotes/quote/${testQuoteIds[0]}/accept`)
+			.send({ name: "Jane Buyer" })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("unauth for anon", async function () {
+		const resp = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/send`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** approvals */
+
+describe("quote approvals", function () {
+	/** Put a line below cost on company 1's quote and ask, with `token`, for approval to send it. */
+
+	async function requestApproval(token) {
+		await addQuoteItem({ item_price: 400000 });
+		const resp = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/approvals`).send({ comment: "Strategic account" }).set("authorization", `Bearer ${token}`);
+		expect(resp.statusCode).toEqual(201);
+		return resp.body.approval;
+	}
+
+	test("sending is blocked until the quote is approved", async function () {
+		const approval = await requestApproval(u1Token);
+
+		const blocked = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/send`).set("authorization", `Bearer ${u1Token}`);
+		expect(blocked.statusCode).toEqual(400);
+
+		const approved = await request(app)
+			.post(`/quotes/quote/${testQuoteIds[0]}/approvals/${approval.id}/approve`)
+			.send({ comment: "OK this once" })
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(approved.statusCode).toEqual(200);
+		expect(approved.body.approval).toEqual(expect.objectContaining({ status: "approved", requestedBy: 2, decidedBy: 1 }));
+
+		const sent = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/send`).set("authorization", `Bearer ${u1Token}`);
+		expect(sent.statusCode).toEqual(200);
+	});
+
+	test("reject, with a comment", async function () {
+		const approval = await requestApproval(u1Token);
+
+		const noComment = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/approvals/${approval.id}/reject`).set("authorization", `Bearer ${adminToken}`);
+		expect(noComment.statusCode).toEqual(400);
+
+		const rejected = await request(app)
+			.post(`/quotes/quote/${testQuoteIds[0]}/approvals/${approval.id}/reject`)
+			.send({ comment: "Margin too thin" })
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(rejected.body.approval).toEqual(expect.objectContaining({ status: "rejected", decisionComment: "Margin too thin" }));
+
+		const approvals = await request(app).get(`/quotes/quote/${testQuoteIds[0]}/approvals`).set("authorization", `Bearer ${u1Token}`);
+		expect(approvals.body.approvals).toEqual([expect.objectContaining({ id: approval.id, requestedByName: "User One", decidedByName: "Admin User" })]);
+	});
+
+	test("forbidden to approve your own request", async function () {
+		const approval = await requestApproval(adminToken);
+
+		const resp = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/approvals/${approval.id}/approve`).set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(403);
+
+		const sent = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/send`).set("authorization", `Bearer ${adminToken}`);
+		expect(sent.statusCode).toEqual(400);
+	});
+
+	test("forbidden without quotes:approve", async function () {
+		const approval = await requestApproval(u1Token);
+
+		const resp = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/approvals/${approval.id}/approve`).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(403);
+	});
+});
+
+/************************************** PATCH /quotes/quote-items/:id */
+
+describe("PATCH /quotes/quote-items/:id", function () {
+	test("works", async function () {
+		const { id } = await addQuoteItem();
+		const resp = await request(app).patch(`/quotes/quote-items/${id}`).send({ quantity: 3 }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.quoteItem).toEqual(expect.objectContaining({ id, quantity: 3 }));
+	});
+
+	test("bad request for the item's quote or company", async function () {
+		const { id } = await addQuoteItem();
+		for (const change of [{ company_id: 2 }, { quote_id: testQuoteIds[1] }]) {
+			const resp = await request(app).patch(`/quotes/quote-items/${id}`).send(change).set("authorization", `Bearer ${u1Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+	});
+});
+
+/************************************** POST /quotes/price-preview */
+
+describe("POST /quotes/price-preview", function () {
+	test("prices from the customer's markup, with the steps", async function () {
+		const resp = await request(app).post("/quotes/price-preview").send({ customer_id: 1, item_code: "A100", quantity: 2 }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.price).toEqual(
+			expect.objectContaining({ quantity: 2, unitCost: 500000, unitPrice: 575000, extendedPrice: 1150000, rule: "customer_markup", steps: expect.any(Array) })
+		);
+	});
+
+	test("a contract price, and a quantity break without one", async function () {
+		await addSellBreak();
+
+		const preview = (quantity) => request(app).post("/quotes/price-preview").send({ customer_id: 1, item_code: "A100", quantity }).set("authorization", `Bearer ${u1Token}`);
+		expect((await preview(10)).body.price).toEqual(expect.objectContaining({ unitPrice: 540000, rule: "quantity_break" }));
+
+		await request(app)
+			.post("/customers/customer/1/prices")
+			.send({ item_code: "A100", price_type: "fixed", price: 530000 })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect((await preview(10)).body.price).toEqual(expect.objectContaining({ unitPrice: 530000, rule: "contract" }));
+	});
+
+	test("bad request for a bad quantity or a missing item", async function () {
+		for (const data of [{ customer_id: 1, item_code: "A100", quantity: 0 }, { customer_id: 1 }, { customer_id: 1, item_code: "B200" }]) {
+			const resp = await request(app).post("/quotes/price-preview").send(data).set("authorization", `Bearer ${u1Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+	});
+
+	test("not found for another company's customer", async function () {
+		const resp = await request(app).post("/quotes/price-preview").send({ customer_id: 1, item_code: "B200" }).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** POST /quotes/quote-items */
+
+describe("POST /quotes/quote-items", function () {
+	test("prices a line left without a price, and says how", async function () {
+		const line = await addQuoteItem({ item_price: undefined });
+		expect(line).toEqual(expect.objectContaining({ quantity: 2, item_price: "575000.00", price_rule: "customer_markup" }));
+	});
+
+	test("keeps a price given, as manual", async function () {
+		const line = await addQuoteItem();
+		expect(line).toEqual(expect.objectContaining({ item_price: "600000.00", price_rule: "manual" }));
+	});
+
+	test("reprices a priced line when its quantity changes, but not a manual one", async function () {
+		await addSellBreak();
+		const priced = await addQuoteItem({ item_price: undefined });
+		const manual = await addQuoteItem();
+
+		const repriced = await request(app).patch(`/quotes/quote-items/${priced.id}`).send({ quantity: 10 }).set("authorization", `Bearer ${u1Token}`);
+		expect(repriced.body.quoteItem).toEqual(expect.objectContaining({ item_price: "540000.00", price_rule: "quantity_break" }));
+
+		const kept = await request(app).patch(`/quotes/quote-items/${manual.id}`).send({ quantity: 10 }).set("authorization", `Bearer ${u1Token}`);
+		expect(kept.body.quoteItem).toEqual(expect.objectContaining({ item_price: "600000.00", price_rule: "manual" }));
+	});
+});
+
+/************************************** /quotes/quote/:id/adjustments, totals */
+
+describe("quote adjustments and totals", function () {
+	const freight = { adjustment_type: "freight", calc: "fixed", amount: 1000, taxable: true };
+
+	async function addAdjustment(data) {
+		const resp = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/adjustments`).send(data).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		return resp.body.adjustment;
+	}
+
+	async function setTaxRate(jurisdiction, rate) {
+		const resp = await request(app).patch(`/companies/company/1/tax-rates/${jurisdiction}`).send({ rate }).set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(200);
+	}
+
+	test("add, update and remove", async function () {
+		const adjustment = await addAdjustment(freight);
+		expect(adjustment).toEqual(expect.objectContaining({ id: expect.any(Number), quoteId: testQuoteIds[0], adjustmentType: "freight", amount: "1000.00", taxable: true }));
+
+		const patched = await request(app)
+			.patch(`/quotes/quote/${testQuoteIds[0]}/adjustments/${adjustment.id}`)
+			.send({ amount: 1200 })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(patched.body.adjustment).toEqual(expect.objectContaining({ id: adjustment.id, amount: "1200.00" }));
+
+		const deleted = await request(app).delete(`/quotes/quote/${testQuoteIds[0]}/adjustments/${adjustment.id}`).set("authorization", `Bearer ${u1Token}`);
+		expect(deleted.body).toEqual({ deleted: String(adjustment.id) });
+	});
+
+	test("bad request for an invalid adjustment", async function () {
+		for (const data of [{ ...freight, amount: undefined }, { ...freight, adjustment_type: "rebate" }, { adjustment_type: "discount", calc: "percentage", amount: 150 }]) {
+			const resp = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/adjustments`).send(data).set("authorization", `Bearer ${u1Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+	});
+
+	test("totals: discounts, then charges, then tax for the customer's state", async function () {
+		await addQuoteItem();
+		await addAdjustment({ adjustment_type: "discount", calc: "percentage", amount: 5 });
+		await addAdjustment(freight);
+		await setTaxRate("TX", 8.25);
+
+		const resp = await request(app).get(`/quotes/quote/${testQuoteIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.body.quote.totals).toEqual(
+			expect.objectContaining({
+				subtotal: 1200000,
+				discountTotal: 60000,
+				chargeTotal: 1000,
+				taxableAmount: 1141000,
+				tax: { jurisdiction: "TX", rate: 8.25, exempt: false, amount: 94132.5 },
+				grandTotal: 1235132.5,
+			})
+		);
+
+		const list = await request(app).get("/quotes").set("authorization", `Bearer ${u1Token}`);
+		expect(list.body.quotes.map((q) => [q.id, q.totals.grandTotal])).toEqual([[testQuoteIds[0], 1235132.5]]);
+	});
+
+	test("totals: no tax for a tax-exempt customer", async function () {
+		await addQuoteItem();
+		await setTaxRate("TX", 8.25);
+		const exempt = await request(app).patch("/customers/customer/1").send({ tax_exempt: true }).set("authorization", `Bearer ${u1Token}`);
+		expect(exempt.statusCode).toEqual(200);
+
+		const resp = await request(app).get(`/quotes/quote/${testQuoteIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.body.quote.totals).toEqual(
+			expect.objectContaining({ taxableAmount: 0, tax: { jurisdiction: "TX", rate: 8.25, exempt: true, amount: 0 }, grandTotal: 1200000 })
+		);
+	});
+
+	test("totals: tax for the quote's own jurisdiction", async function () {
+		await addQuoteItem();
+		await setTaxRate("TX", 8.25);
+		await setTaxRate("CA", 7.25);
+		await request(app).patch(`/quotes/quote/${testQuoteIds[0]}`).send({ tax_jurisdiction: "ca" }).set("authorization", `Bearer ${u1Token}`);
+
+		const resp = await request(app).get(`/quotes/quote/${testQuoteIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.body.quote.totals.tax).toEqual({ jurisdiction: "CA", rate: 7.25, exempt: false, amount: 87000 });
+	});
+
+	test("locked once sent; the next revision's diff shows the changes", async function () {
+		await addQuoteItem();
+		const adjustment = await addAdjustment(freight);
+		await request(app).post(`/quotes/quote/${testQuoteIds[0]}/send`).set("authorization", `Bearer ${u1Token}`);
+
+		const locked = await request(app)
+			.patch(`/quotes/quote/${testQuoteIds[0]}/adjustments/${adjustment.id}`)
+			.send({ amount: 1500 })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(locked.statusCode).toEqual(400);
+
+		await request(app).post(`/quotes/quote/${testQuoteIds[0]}/revise`).set("authorization", `Bearer ${u1Token}`);
+		await request(app)
+			.patch(`/quotes/quote/${testQuoteIds[0]}/adjustments/${adjustment.id}`)
+			.send({ amount: 1500 })
+			.set("authorization", `Bearer ${u1Token}`);
+		await request(app).post(`/quotes/quote/${testQuoteIds[0]}/send`).set("authorization", `Bearer ${u1Token}`);
+
+		const resp = await request(app).get(`/quotes/quote/${testQuoteIds[0]}/revisions/A/diff/B`).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.body.diff.adjustments.changed).toEqual([
+			{ adjustmentType: "freight", from: expect.objectContaining({ amount: 1000 }), to: expect.objectContaining({ amount: 1500 }) },
+		]);
+		expect(resp.body.diff.totals).toEqual([
+			{ field: "chargeTotal", from: 1000, to: 1500 },
+			{ field: "taxableAmount", from: 1201000, to: 1201500 },
+			{ field: "grandTotal", from: 1201000, to: 1201500 },
+		]);
+	});
+
+	test("not found for another company's quote", async function () {
+		const adjustment = await addAdjustment(freight);
+
+		const create = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/adjustments`).send(freight).set("authorization", `Bearer ${u2Token}`);
+		expect(create.statusCode).toEqual(404);
+		const patch = await request(app)
+			.patch(`/quotes/quote/${testQuoteIds[0]}/adjustments/${adjustment.id}`)
+			.send({ amount: 1 })
+			.set("authorization", `Bearer ${u2Token}`);
+		expect(patch.statusCode).toEqual(404);
+		const del = await request(app).delete(`/quotes/quote/${testQuoteIds[0]}/adjustments/${adjustment.id}`).set("authorization", `Bearer ${u2Token}`);
+		expect(del.statusCode).toEqual(404);
+	});
+});
+
+/************************************** DELETE /quotes/quote/:id, POST /quotes/quote/:id/restore */
+
+describe("DELETE /quotes/quote/:id", function () {
+	test("works: soft deletes", async function () {
+		const resp = await request(app).delete(`/quotes/quote/${testQuoteIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+
+		const get = await request(app).get(`/quotes/quote/${testQuoteIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+		expect(get.statusCode).toEqual(404);
+
+		const deleted = await request(app).get("/quotes").query({ deleted: "true" }).set("authorization", `Bearer ${u1Token}`);
+		expect(deleted.body.quotes.map((q) => q.id)).toEqual([testQuoteIds[0]]);
+	});
+});
+
+describe("POST /quotes/quote/:id/restore", function () {
+	test("works", async function () {
+		await request(app).delete(`/quotes/quote/${testQuoteIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+
+		const resp = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/restore`).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+
+		const get = await request(app).get(`/quotes/quote/${testQuoteIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+		expect(get.statusCode).toEqual(200);
+	});
+
+	test("not found for another company's quote", async function () {
+		await request(app).delete(`/quotes/quote/${testQuoteIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+
+		const resp = await request(app).post(`/quotes/quote/${testQuoteIds[0]}/restore`).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** another company's quote */
+
+describe("another company's quote", function () {
+	test("get: not found", async function () {
+		const resp = await request(app).get(`/quotes/quote/${testQuoteIds[0]}`).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test("update: not found, and unchanged", async function () {
+		for (const change of [{ notes: "mine" }, { customer_name: "ESA" }, { company_id: 2 }]) {
+			const resp = await request(app).patch(`/quotes/quote/${testQuoteIds[0]}`).send(change).set("authorization", `Bearer ${u2Token}`);
+			expect(resp.statusCode).toEqual(404);
+		}
+
+		const res = await db.query("SELECT company_id, customer_id, notes FROM quotes WHERE id = $1", [testQuoteIds[0]]);
+		expect(res.rows).toEqual([{ company_id: 1, customer_id: 1, notes: null }]);
+	});
+
+	test("delete: not found", async function () {
+		const resp = await request(app).delete(`/quotes/quote/${testQuoteIds[0]}`).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test("send, accept and reject: not found", async function () {
+		for (const action of ["send", "accept", "reject"]) {
+			const resp = await request(app)
+				.post(`/quotes/quote/${testQuoteIds[0]}/${action}`)
+				.send({ name: "Jane Buyer" })
+				.set("authorization", `Bearer ${u2Token}`);
+			expect(resp.statusCode).toEqual(404);
+		}
+
+		const res = await db.query("SELECT status FROM quotes WHERE id = $1", [testQuoteIds[0]]);
+		expect(res.rows[0].status).toEqual("draft");
+	});
+
+	test("items: not found", async function () {
+		const { id } = await addQuoteItem();
+
+		const patched = await request(app).patch(`/quotes/quote-items/${id}`).send({ quantity: 99 }).set("authorization", `Bearer ${u2Token}`);
+		expect(patched.statusCode).toEqual(404);
+		const deleted = await request(app).delete(`/quotes/quote-items/${id}`).set("authorization", `Bearer ${u2Token}`);
+		expect(deleted.statusCode).toEqual(404);
+	});
+});
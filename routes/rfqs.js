@@ -4,21 +4,27 @@
 
 const express = require("express");
 const { BadRequestError } = require("../expressError");
-const { ensureCorrectUserOrAdmin } = require("../middleware/auth");
+const { ensureCompanyScope, requirePermission } = require("../middleware/auth");
 const Rfq = require("../models/rfq");
+const Quote = require("../models/quote");
 
 const router = new express.Router();
 
 /** POST / { rfq } =>  { rfq }
  *
- * rfq should be { company_id, customer_name, user_id, rfq_number }
+ * rfq should be { company_id, customer_id, contact_id, user_id, rfq_number }
  *
- * Returns { id, company_id, customer_name, user_id, rfq_number, created_at }
+ * rfq_number is optional; when omitted the company's numbering scheme
+ * allocates one. The customer can be given by its exact customer_name
+ * instead of customer_id. contact_id, who at the customer sent the RFQ, is
+ * optional.
+ *
+ * Returns { id, company_id, customer_id, customer_name, contact_id, user_id, rfq_number, created_at }
  */
 
-router.post("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.post("/", ensureCompanyScope, requirePermission("rfqs:write"), async function (req, res, next) {
 	try {
-		const rfq = await Rfq.create(req.body);
+		const rfq = await Rfq.create({ ...req.body, company_id: res.locals.companyId || req.body.company_id }, res.locals.actor);
 		return res.status(201).json({ rfq });
 	} catch (err) {
 		return next(err);
@@ -26,19 +32,22 @@ router.post("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { rfqs: [ { id, company_id, customer_name, user_id, rfq_number, created_at, rfq_total }, ...] }
+ *   { rfqs: [ { id, company_id, customer_id, customer_name, contact_id, contact_name, user_id, rfq_number, status, created_at, deleted_at, rfq_total }, ...] }
  *
  * Optional query parameters can include:
- *  - companyId: Filter by company
+ *  - companyId: Filter by company (admins only; everyone else only sees their own company's RFQs)
+ *  - customerId: Filter by customer
  *  - userId: Filter by user
  *  - id: Filter by RFQ id
+ *  - status: Filter by RFQ status (draft, submitted, in_pricing, quoted, won, lost, cancelled)
+ *  - deleted: "true" to list deleted RFQs, which can be restored, instead
  */
 
-router.get("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
-	const { companyId, userId, id } = req.query;
+router.get("/", ensureCompanyScope, requirePermission("rfqs:read"), async function (req, res, next) {
+	const { customerId, userId, id, status, deleted } = req.query;
 
 	// Collect the search filters from the query parameters
-	const searchFilters = { companyId, userId, id };
+	const searchFilters = { companyId: res.locals.companyId, customerId, userId, id, status, deleted };
 
 	try {
 		const rfqs = await Rfq.findAll(searchFilters); // Pass filters to the model method
@@ -50,12 +59,12 @@ router.get("/", ensureCorrectUserOrAdmin, async function (req, res, next) {
 
 /** GET /[id]  =>  { rfq }
  *
- * Rfq is { id, company_id, customer_name, user_id, rfq_number, created_at, rfq_items: [ { id, item_code, quantity, item_cost, item_uom, item_description }, ... ] }
+ * Rfq is { id, company_id, customer_id, customer_name, contact_id, contact_name, user_id, rfq_number, created_at, rfq_items: [ { id, item_code, quantity, item_cost, item_uom, item_description }, ... ] }
  */
 
-router.get("/rfq/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.get("/rfq/:id", ensureCompanyScope, requirePermission("rfqs:read"), async function (req, res, next) {
 	try {
-		const rfq = await Rfq.get(req.params.id);
+		const rfq = await Rfq.get(req.params.id, res.locals.companyId);
 		return res.json({ rfq });
 	} catch (err) {
 		return next(err);
@@ -67,9 +76,10 @@ router.get("/rfq/:id", ensureCorrectUserOrAdmin, async function (req, res, next)
  * Returns the total number of rfqs for a given user or company.
  */
 
-router.get("/count", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.get("/count", ensureCompanyScope, requirePermission("rfqs:read"), async function (req, res, next) {
 	try {
-		const { userId, companyId } = req.query;
+		const { userId } = req.query;
+		const companyId = res.locals.companyId;
 
 		// Check if either userId or companyId is provided
 		if (!userId && !companyId) {
@@ -86,16 +96,16 @@ router.get("/count", ensureCorrectUserOrAdmin, async function (req, res, next) {
 	}
 });
 
-/** PATCH /[id] { customer_name, user_id, company_id, rfq_number } => { rfq }
+/** PATCH /[id] { customer_id, contact_id, user_id, company_id, rfq_number } => { rfq }
  *
  * Patches rfq data.
  *
- * Returns { id, company_id, customer_name, user_id, rfq_number, created_at }
+ * Returns { id, company_id, customer_id, customer_name, contact_id, user_id, rfq_number, created_at }
  */
 
-router.patch("/rfq/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.patch("/rfq/:id", ensureCompanyScope, requirePermission("rfqs:write"), async function (req, res, next) {
 	try {
-		const rfq = await Rfq.update(req.params.id, req.body);
+		const rfq = await Rfq.update(req.params.id, req.body, res.locals.companyId, res.locals.actor);
 		return res.json({ rfq });
 	} catch (err) {
 		return next(err);
@@ -103,17 +113,85 @@ router.patch("/rfq/:id", ensureCorrectUserOrAdmin, async function (req, res, nex
 });
 
 /** DELETE /[id]  =>  { deleted: id }
+ *
+ * The RFQ can be restored until the purge job removes it.
  */
 
-router.delete("/rfq/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.delete("/rfq/:id", ensureCompanyScope, requirePermission("rfqs:write"), async function (req, res, next) {
 	try {
-		await Rfq.remove(req.params.id);
+		await Rfq.remove(req.params.id, res.locals.companyId, res.locals.actor);
 		return res.json({ deleted: req.params.id });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** POST /rfq/[id]/restore => { rfq }
+ *
+ * Restores a deleted RFQ.
+ *
+ * Returns { id, companyId, customerId, customerName, contactId, userId, rfqNumber, status, createdAt }
+ */
+
+router.post("/rfq/:id/restore", ensureCompanyScope, requirePermission("rfqs:write"), async function (req, res, next) {
+	try {
+		const rfq = await Rfq.restore(req.params.id, res.locals.companyId, res.locals.actor);
+		return res.json({ rfq });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /rfq/[id]/transition { status, comment } => { transition }
+ *
+ * Moves the RFQ to a new status. Illegal transitions are rejected with a 400.
+ * The logged-in user is recorded as having made the change.
+ *
+ * Returns { id, status, fromStatus, changedBy, changedAt, comment }
+ */
+
+router.post("/rfq/:id/transition", ensureCompanyScope, requirePermission("rfqs:write"), async function (req, res, next) {
+	try {
+		const { status, comment } = req.body;
+		if (!status) throw new BadRequestError("status is required.");
+
+		const transition = await Rfq.transition(req.params.id, status, res.locals.user.id, comment, res.locals.companyId, res.locals.actor);
+		return res.json({ transition });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /rfq/[id]/convert-to-quote { quote_number, valid_until, notes, user_id, bill_to_address_id, ship_to_address_id } => { quote }
+ *
+ * Creates a quote from the RFQ, pricing each RFQ item with the customer's
+ * markup. user_id defaults to the logged-in user, quote_number to the next
+ * number from the company's numbering scheme, and the addresses to the
+ * customer's defaults. The RFQ moves to "quoted"; won, lost and cancelled
+ * RFQs can't be converted.
+ *
+ * Returns { id, companyId, customerId, customerName, contactId, userId, quoteNumber, validUntil, notes, billTo, shipTo, rfqId, quoteItems: [ ... ] }
+ */
+
+router.post("/rfq/:id/convert-to-quote", ensureCompanyScope, requirePermission("quotes:write"), async function (req, res, next) {
+	try {
+		const { quote_number, valid_until, notes, bill_to_address_id, ship_to_address_id } = req.body;
+
+		if (!valid_until) throw new BadRequestError("valid_until is required.");
+
+		const user_id = req.body.user_id || res.locals.user.id;
+		const quote = await Quote.createFromRfq(
+			req.params.id,
+			{ user_id, quote_number, valid_until, notes, bill_to_address_id, ship_to_address_id },
+			res.locals.companyId,
+			res.locals.actor
+		);
+		return res.status(201).json({ quote });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 /** POST /rfq-items { rfq_item } =>  { rfq_item }
  *
  * rfq_item should be { rfq_id, item_code, quantity }
@@ -121,10 +199,11 @@ router.delete("/rfq/:id", ensureCorrectUserOrAdmin, async function (req, res, ne
  * Returns { id, rfq_id, item_code, quantity, item_cost, item_uom, item_description }
  */
 
-router.post("/rfq-items", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.post("/rfq-items", ensureCompanyScope, requirePermission("rfqs:write"), async function (req, res, next) {
 	try {
 		// Destructure the data from the request body
-		const { rfq_id, company_id, item_code, quantity, item_description, item_cost } = req.body;
+		const { rfq_id, item_code, quantity, item_description, item_cost } = req.body;
+		const company_id = res.locals.companyId || req.body.company_id;
 
 		// Validate that quantity is greater than 0
 		if (quantity <= 0) {
@@ -132,7 +211,7 @@ router.post("/rfq-items", ensureCorrectUserOrAdmin, async function (req, res, ne
 		}
 
 		// Create the RFQ item in the database
-		const rfqItem = await Rfq.createRfqItem({ rfq_id, company_id, item_code, quantity, item_description, item_cost });
+		const rfqItem = await Rfq.createRfqItem({ rfq_id, company_id, item_code, quantity, item_description, item_cost }, res.locals.actor);
 
 		// Return the created RFQ item in the response
 		return res.status(201).json({ rfqItem });
@@ -141,7 +220,7 @@ router.post("/rfq-items", ensureCorrectUserOrAdmin, async function (req, res, ne
 	}
 });
 
-/** PATCH /rfq-items/[id] { quantity } => { rfqItem }
+/** PATCH /rfq-items/[id] { quantity, item_description, item_cost } => { rfqItem }
  *
  * Patches an RFQ item.
  *
@@ -150,9 +229,9 @@ router.post("/rfq-items", ensureCorrectUserOrAdmin, async function (req, res, ne
  * Throws NotFoundError if RFQ item not found.
  */
 
-router.patch("/rfq-items/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.patch("/rfq-items/:id", ensureCompanyScope, requirePermission("rfqs:write"), async function (req, res, next) {
 	try {
-		const rfqItem = await Rfq.updateRfqItem(req.params.id, req.body);
+		const rfqItem = await Rfq.updateRfqItem(req.params.id, req.body, res.locals.companyId, res.locals.actor);
 		return res.json({ rfqItem });
 	} catch (err) {
 		return next(err);
@@ -166,9 +245,9 @@ router.patch("/rfq-items/:id", ensureCorrectUserOrAdmin, async function (req, re
  * Throws NotFoundError if the RFQ item is not found.
  */
 
-router.delete("/rfq-items/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.delete("/rfq-items/:id", ensureCompanyScope, requirePermission("rfqs:write"), async function (req, res, next) {
 	try {
-		await Rfq.removeRfqItem(req.params.id);
+		await Rfq.removeRfqItem(req.params.id, res.locals.companyId, res.locals.actor);
 		return res.json({ deleted: req.params.id });
 	} catch (err) {
 		return next(err);
@@ -0,0 +1,177 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testRFQIds, u1Token, u2Token } = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /rfqs */
+
+describe("POST /rfqs", function () {
+	test("works, starting in draft", async function () {
+		const resp = await request(app).post("/rfqs").send({ customer_name: "NASA", user_id: 2, rfq_number: "RFQ-003" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.rfq).toEqual(expect.objectContaining({ companyId: 1, userId: 2, rfqNumber: "RFQ-003", status: "draft" }));
+	});
+});
+
+/************************************** POST /rfqs/rfq/:id/transition */
+
+describe("POST /rfqs/rfq/:id/transition", function () {
+	test("works, recording who moved it", async function () {
+		const resp = await request(app)
+			.post(`/rfqs/rfq/${testRFQIds[0]}/transition`)
+			.send({ status: "submitted", comment: "Ready for pricing" })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.transition).toEqual(expect.objectContaining({ status: "submitted", fromStatus: "draft", changedBy: 2, comment: "Ready for pricing" }));
+
+		const rfq = await request(app).get(`/rfqs/rfq/${testRFQIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+		expect(rfq.body.rfq.status).toEqual("submitted");
+		expect(rfq.body.rfq.statusHistory).toEqual([expect.objectContaining({ fromStatus: "draft", toStatus: "submitted", changedByName: "User One" })]);
+	});
+
+	test("bad request for a transition the workflow doesn't allow", async function () {
+		const resp = await request(app).post(`/rfqs/rfq/${testRFQIds[0]}/transition`).send({ status: "won" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("bad request without a status", async function () {
+		const resp = await request(app).post(`/rfqs/rfq/${testRFQIds[0]}/transition`).send({}).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("bad request changing the status through PATCH", async function () {
+		const resp = await request(app).patch(`/rfqs/rfq/${testRFQIds[0]}`).send({ status: "won" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("unauth for anon", async function () {
+		const resp = await request(app).post(`/rfqs/rfq/${testRFQIds[0]}/transition`).send({ status: "submitted" });
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** GET /rfqs */
+
+describe("GET /rfqs", function () {
+	test("filters by status", async function () {
+		await request(app).post(`/rfqs/rfq/${testRFQIds[0]}/transition`).send({ status: "submitted" }).set("authorization", `Bearer ${u1Token}`);
+
+		const submitted = await request(app).get("/rfqs").query({ status: "submitted" }).set("authorization", `Bearer ${u1Token}`);
+		expect(submitted.body.rfqs.map((r) => r.id)).toEqual([testRFQIds[0]]);
+
+		const drafts = await request(app).get("/rfqs").query({ status: "draft" }).set("authorization", `Bearer ${u1Token}`);
+		expect(drafts.body.rfqs).toEqual([]);
+	});
+
+	test("bad request for an unknown status", async function () {
+		const resp = await request(app).get("/rfqs").query({ status: "archived" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
+/************************************** PATCH /rfqs/rfq/:id */
+
+describe("PATCH /rfqs/rfq/:id", function () {
+	test("works", async function () {
+		const resp = await request(app).patch(`/rfqs/rfq/${testRFQIds[0]}`).send({ rfq_number: "RFQ-001-A" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.rfq).toEqual(expect.objectContaining({ id: testRFQIds[0], rfqNumber: "RFQ-001-A" }));
+	});
+
+	test("bad request for columns the update doesn't cover", async function () {
+		const resp = await request(app).patch(`/rfqs/rfq/${testRFQIds[0]}`).send({ deleted_at: "2020-01-01" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
+/************************************** DELETE /rfqs/rfq/:id, POST /rfqs/rfq/:id/restore */
+
+describe("DELETE /rfqs/rfq/:id", function () {
+	test("works: soft deletes", async function () {
+		const resp = await request(app).delete(`/rfqs/rfq/${testRFQIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+
+		const get = await request(app).get(`/rfqs/rfq/${testRFQIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+		expect(get.statusCode).toEqual(404);
+
+		const deleted = await request(app).get("/rfqs").query({ deleted: "true" }).set("authorization", `Bearer ${u1Token}`);
+		expect(deleted.body.rfqs.map((r) => r.id)).toEqual([testRFQIds[0]]);
+	});
+});
+
+describe("POST /rfqs/rfq/:id/restore", function () {
+	test("works", async function () {
+		await request(app).delete(`/rfqs/rfq/${testRFQIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+
+		const resp = await request(app).post(`/rfqs/rfq/${testRFQIds[0]}/restore`).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.rfq).toEqual(expect.objectContaining({ id: testRFQIds[0], rfqNumber: "RFQ-001" }));
+	});
+
+	test("not found if not deleted, or another company's", async function () {
+		const live = await request(app).post(`/rfqs/rfq/${testRFQIds[0]}/restore`).set("authorization", `Bearer ${u1Token}`);
+		expect(live.statusCode).toEqual(404);
+
+		await request(app).delete(`/rfqs/rfq/${testRFQIds[0]}`).set("authorization", `Bearer ${u1Token}`);
+		const foreign = await request(app).post(`/rfqs/rfq/${testRFQIds[0]}/restore`).set("authorization", `Bearer ${u2Token}`);
+		expect(foreign.statusCode).toEqual(404);
+	});
+});
+
+/************************************** another company's RFQ */
+
+describe("another company's RFQ", function () {
+	test("get: not found", async function () {
+		const resp = await request(app).get(`/rfqs/rfq/${testRFQIds[0]}`).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test("update: not found, and unchanged", async function () {
+		for (const change of [{ rfq_number: "MINE" }, { customer_name: "ESA" }, { company_id: 2 }]) {
+			const resp = await request(app).patch(`/rfqs/rfq/${testRFQIds[0]}`).send(change).set("authorization", `Bearer ${u2Token}`);
+			expect(resp.statusCode).toEqual(404);
+		}
+
+		const res = await db.query("SELECT company_id, customer_id, rfq_number FROM rfqs WHERE id = $1", [testRFQIds[0]]);
+		expect(res.rows).toEqual([{ company_id: 1, customer_id: 1, rfq_number: "RFQ-001" }]);
+	});
+
+	test("delete: not found", async function () {
+		const resp = await request(app).delete(`/rfqs/rfq/${testRFQIds[0]}`).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test("transition: not found", async function () {
+		const resp = await request(app).post(`/rfqs/rfq/${testRFQIds[0]}/transition`).send({ status: "submitted" }).set("authorization", `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test("items: not found", async function () {
+		const foreign = await request(app)
+			.post("/rfqs/rfq-items")
+			.send({ rfq_id: testRFQIds[0], item_code: "B200", quantity: 2 })
+			.set("authorization", `Bearer ${u2Token}`);
+		expect(foreign.statusCode).toEqual(404);
+
+		const created = await request(app)
+			.post("/rfqs/rfq-items")
+			.send({ rfq_id: testRFQIds[0], item_code: "A100", quantity: 2 })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(created.statusCode).toEqual(201);
+		const itemId = created.body.rfqItem.id;
+
+		const patched = await request(app).patch(`/rfqs/rfq-items/${itemId}`).send({ quantity: 99 }).set("authorization", `Bearer ${u2Token}`);
+		expect(patched.statusCode).toEqual(404);
+		const deleted = await request(app).delete(`/rfqs/rfq-items/${itemId}`).set("authorization", `Bearer ${u2Token}`);
+		expect(deleted.statusCode).toEqual(404);
+	});
+});
@@ -5,30 +5,38 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureCorrectUserOrAdmin, ensureAdmin } = require("../middleware/auth");
+const { ensureCorrectUser, ensureSelfOrAdmin, ensureAdmin } = require("../middleware/auth");
+const { BadRequestError } = require("../expressError");
 const User = require("../models/user");
+const Session = require("../models/session");
+const Mfa = require("../models/mfa");
 const { createToken } = require("../helpers/tokens");
 const bcrypt = require("bcrypt");
 
 const router = express.Router();
 
-/** POST / { user }  => { user, token }
+/** POST / { user }  => { user, token, refreshToken }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
  * only for admin users to add new users. The new user being added can be an
- * admin.
+ * admin. Their email address counts as verified.
  *
- * This returns the newly created user and an authentication token for them:
- *  {user: { email, fullName, phone, isAdmin }, token }
+ * This returns the newly created user and a session for them, as from
+ * POST /auth/token:
+ *  {user: { id, email, fullName, phone, isAdmin, companyId, role }, token, refreshToken }
  *
  * Authorization required: admin
  **/
 
 router.post("/", ensureAdmin, async function (req, res, next) {
 	try {
-		const user = await User.register(req.body);
-		const token = createToken(user);
-		return res.status(201).json({ user, token });
+		const { email, password, fullName, companyId } = req.body;
+		if (!email || !password || !fullName || !companyId) throw new BadRequestError("email, password, fullName and companyId are required.");
+
+		const user = await User.register({ ...req.body, emailVerified: true }, res.locals.actor);
+		const { sessionId, refreshToken } = await Session.create(user.id);
+		const token = createToken(user, sessionId);
+		return res.status(201).json({ user, token, refreshToken });
 	} catch (err) {
 		return next(err);
 	}
@@ -57,7 +65,7 @@ router.get("/", ensureAdmin, async function (req, res, next) {
  * Authorization required: admin or same user-as-:id
  **/
 
-router.get("/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.get("/:id", ensureSelfOrAdmin, async function (req, res, next) {
 	try {
 		const user = await User.get(req.params.id);
 		return res.json({ user });
@@ -69,16 +77,19 @@ router.get("/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
 /** PATCH /[id] { user } => { user }
  *
  * Data can include:
- *   { fullName, password, email, phone }
+ *   { fullName, email, phone }
  *
- * Returns { id, email, fullName, phone, isAdmin }
+ * Any other field is a 400: the password changes at PATCH /[id]/password,
+ * and the role at PATCH /companies/company/:companyId/roles/:memberId.
+ *
+ * Returns { id, email, fullName, phone, isAdmin, companyId, role, company }
  *
  * Authorization required: admin or same-user-as-:id
  **/
 
-router.patch("/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.patch("/:id", ensureSelfOrAdmin, async function (req, res, next) {
 	try {
-		const user = await User.update(req.params.id, req.body);
+		const user = await User.update(req.params.id, req.body, res.locals.actor);
 		return res.json({ user });
 	} catch (err) {
 		return next(err);
@@ -90,32 +101,144 @@ router.patch("/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
  * Authorization required: admin or same-user-as-:id
  **/
 
-router.delete("/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.delete("/:id", ensureSelfOrAdmin, async function (req, res, next) {
 	try {
-		await User.remove(req.params.id);
+		await User.remove(req.params.id, res.locals.actor);
 		return res.json({ deleted: req.params.id });
 	} catch (err) {
 		return next(err);
 	}
 });
 
-/** POST /[id]/jobs/[id]  { state } => { application }
+/** POST /[id]/unlock  =>  { user: { id, email, lockedUntil } }
  *
- * Returns {"applied": jobId}
+ * Lifts a lockout from too many failed sign-ins and clears the user's failed
+ * attempts. Recorded in the audit log.
  *
- * Authorization required: admin or same-user-as-:id
- * */
+ * Authorization required: admin
+ **/
+
+router.post("/:id/unlock", ensureAdmin, async function (req, res, next) {
+	try {
+		const user = await User.unlock(req.params.id, res.locals.actor);
+		return res.json({ user });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[id]/revoke-sessions  =>  { revoked: count }
+ *
+ * Signs the user out everywhere: every session they have is revoked, so none
+ * of their access or refresh tokens work any more.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:id/revoke-sessions", ensureAdmin, async function (req, res, next) {
+	try {
+		await User.get(req.params.id);
+		const revoked = await Session.revokeAllForUser(req.params.id);
+		return res.json({ revoked });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[id]/mfa/setup  =>  { secret, otpauthUrl }
+ *
+ * Starts enrolling the user in two-factor authentication. Add the secret to
+ * an authenticator app (otpauthUrl is usually shown as a QR code), then send
+ * a code from it to POST /[id]/mfa/confirm.
+ *
+ * Authorization required: same-user-as-:id
+ **/
+
+router.post("/:id/mfa/setup", ensureCorrectUser, async function (req, res, next) {
+	try {
+		const setup = await Mfa.setup(req.params.id);
+		return res.json(setup);
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[id]/mfa/confirm  { code }  =>  { recoveryCodes }
+ *
+ * Turns two-factor authentication on, given a code from the authenticator
+ * app set up above. Returns single-use recovery codes, which are not shown
+ * again.
+ *
+ * Authorization required: same-user-as-:id
+ **/
 
-router.patch("/:id/password", async (req, res, next) => {
+router.post("/:id/mfa/confirm", ensureCorrectUser, async function (req, res, next) {
+	try {
+		if (!req.body.code) throw new BadRequestError("code is required.");
+
+		const { recoveryCodes } = await Mfa.confirm(req.params.id, req.body.code);
+		return res.json({ recoveryCodes });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[id]/mfa/disable  { code }  =>  { mfaEnabled: false }
+ *
+ * Turns two-factor authentication off. code is a current authenticator or
+ * recovery code, so a stolen access token alone can't do this; wrong codes
+ * count towards sign-in lockout.
+ *
+ * Authorization required: same-user-as-:id
+ **/
+
+router.post("/:id/mfa/disable", ensureCorrectUser, async function (req, res, next) {
+	try {
+		if (!req.body.code) throw new BadRequestError("code is required.");
+		await User.authenticateMfa(req.params.id, req.body.code, req.ip);
+
+		await Mfa.disable(req.params.id);
+		return res.json({ mfaEnabled: false });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /[id]/mfa  =>  { mfaEnabled: false }
+ *
+ * Turns a user's two-factor authentication off without a code, for a user
+ * who has lost their authenticator and recovery codes.
+ *
+ * Authorization required: admin
+ **/
+
+router.delete("/:id/mfa", ensureAdmin, async function (req, res, next) {
+	try {
+		await Mfa.disable(req.params.id);
+		return res.json({ mfaEnabled: false });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /[id]/password { currentPassword, newPassword } => { message, user }
+ *
+ * Changes the user's own password, given their current one.
+ *
+ * Returns { message, user: { id, email, fullName, phone, isAdmin, companyId, role } }
+ *
+ * Authorization required: same-user-as-:id
+ **/
+
+router.patch("/:id/password", ensureCorrectUser, async (req, res, next) => {
 	try {
 		const { currentPassword, newPassword } = req.body;
+		if (!currentPassword || !newPassword) throw new BadRequestError("currentPassword and newPassword are required.");
+
 		const userId = parseInt(req.params.id, 10); // Get the user ID from the URL parameter
 
 		// Find the user by ID (including the password)
 		const user = await User.get(userId);
-		if (!user) {
-			return res.status(404).json({ error: "User not found" });
-		}
 
 		// Compare current password with the stored hash
 		const isMatch = await bcrypt.compare(currentPassword, user.password);
@@ -123,8 +246,7 @@ router.patch("/:id/password", async (req, res, next) => {
 			return res.status(401).json({ error: "Current password is incorrect" });
 		}
 
-		// Hash the new password and update in DB
-		const updatedUser = await User.update(userId, { password: newPassword });
+		const updatedUser = await User.setPassword(userId, newPassword, res.locals.actor);
 
 		return res.json({ message: "Password updated successfully", user: updatedUser });
 	} catch (err) {
@@ -5,7 +5,7 @@ const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
 
-const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, adminToken, userToken } = require("./_testCommon");
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, adminToken, u1Token } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
@@ -36,9 +36,14 @@ describe("POST /users", function () {
 				phone: "123-456-7890",
 				isAdmin: false,
 				companyId: 1,
+				role: "sales_rep",
 			},
 			token: expect.any(String),
+			refreshToken: expect.any(String),
 		});
+
+		const me = await request(app).get(`/users/${resp.body.user.id}`).set("authorization", `Bearer ${resp.body.token}`);
+		expect(me.statusCode).toEqual(200);
 	});
 
 	test("unauthorized for non-admin users", async function () {
@@ -52,7 +57,7 @@ describe("POST /users", function () {
 				isAdmin: false,
 				companyId: 1,
 			})
-			.set("authorization", `Bearer ${userToken}`);
+			.set("authorization", `Bearer ${u1Token}`);
 		expect(resp.statusCode).toEqual(401);
 	});
 
@@ -72,7 +77,7 @@ describe("GET /users", function () {
 	});
 
 	test("unauthorized for non-admin users", async function () {
-		const resp = await request(app).get("/users").set("authorization", `Bearer ${userToken}`);
+		const resp = await request(app).get("/users").set("authorization", `Bearer ${u1Token}`);
 		expect(resp.statusCode).toEqual(401);
 	});
 });
@@ -87,7 +92,7 @@ describe("GET /users/:id", function () {
 	});
 
 	test("unauthorized for another user", async function () {
-		const resp = await request(app).get("/users/1").set("authorization", `Bearer ${userToken}`);
+		const resp = await request(app).get("/users/1").set("authorization", `Bearer ${u1Token}`);
 		expect(resp.statusCode).toEqual(401);
 	});
 });
@@ -101,10 +106,86 @@ describe("PATCH /users/:id", function () {
 		expect(resp.body.user.fullName).toEqual("Updated User");
 	});
 
+	test("is recorded in the audit log", async function () {
+		await request(app).patch("/users/1").send({ fullName: "Audited User" }).set("authorization", `Bearer ${adminToken}`);
+		const audit = await db.query(
+			`SELECT action, before->>'full_name' AS before, after->>'full_name' AS after FROM audit_log WHERE entity_type = 'user' AND entity_id = '1' ORDER BY id`
+		);
+		expect(audit.rows).toEqual([
+			{ action: "create", before: null, after: "Admin User" },
+			{ action: "update", before: "Admin User", after: "Audited User" },
+		]);
+	});
+
+	test("works for the same user", async function () {
+		const resp = await request(app).patch("/users/2").send({ phone: "555-2222" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.user).toEqual(expect.objectContaining({ id: 2, phone: "555-2222", role: "sales_rep" }));
+	});
+
+	test("bad request for a role or admin flag", async function () {
+		for (const change of [{ role: "owner" }, { is_admin: true }, { isAdmin: true }, { password: "new-password" }]) {
+			const resp = await request(app).patch("/users/2").send(change).set("authorization", `Bearer ${u1Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+
+		const user = await db.query("SELECT role, is_admin FROM users WHERE id = 2");
+		expect(user.rows).toEqual([{ role: "sales_rep", is_admin: false }]);
+	});
+
+	test("bad request for the company or account state", async function () {
+		for (const change of [{ company_id: 2 }, { companyId: 2 }, { email_verified_at: null }, { mfa_enabled_at: "2020-01-01" }]) {
+			const resp = await request(app).patch("/users/2").send(change).set("authorization", `Bearer ${u1Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+
+		const user = await db.query("SELECT company_id, email_verified_at IS NOT NULL AS verified, mfa_enabled_at FROM users WHERE id = 2");
+		expect(user.rows).toEqual([{ company_id: 1, verified: true, mfa_enabled_at: null }]);
+	});
+
 	test("unauthorized for another user", async function () {
-		const resp = await request(app).patch("/users/1").send({ fullName: "Hacker" }).set("authorization", `Bearer ${userToken}`);
+		const resp = await request(app).patch("/users/1").send({ fullName: "Hacker" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("unauthorized for a colleague naming their own company", async function () {
+		const resp = await request(app).patch("/users/1").query({ companyId: 1 }).send({ fullName: "Hacker" }).set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** PATCH /users/:id/password */
+
+describe("PATCH /users/:id/password", function () {
+	test("works for the same user", async function () {
+		const resp = await request(app)
+			.patch("/users/2/password")
+			.send({ currentPassword: "password1", newPassword: "new-password" })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+
+		const login = await request(app).post("/auth/token").send({ email: "user1@example.com", password: "new-password" });
+		expect(login.statusCode).toEqual(200);
+	});
+
+	test("unauth with the wrong current password", async function () {
+		const resp = await request(app)
+			.patch("/users/2/password")
+			.send({ currentPassword: "wrong", newPassword: "new-password" })
+			.set("authorization", `Bearer ${u1Token}`);
 		expect(resp.statusCode).toEqual(401);
 	});
+
+	test("unauthorized for another user or anon", async function () {
+		const other = await request(app)
+			.patch("/users/1/password")
+			.send({ currentPassword: "password", newPassword: "new-password" })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(other.statusCode).toEqual(401);
+
+		const anon = await request(app).patch("/users/2/password").send({ currentPassword: "password1", newPassword: "new-password" });
+		expect(anon.statusCode).toEqual(401);
+	});
 });
 
 /************************************** DELETE /users/:id */
@@ -117,7 +198,12 @@ describe("DELETE /users/:id", function () {
 	});
 
 	test("unauthorized for another user", async function () {
-		const resp = await request(app).delete("/users/1").set("authorization", `Bearer ${userToken}`);
+		const resp = await request(app).delete("/users/1").set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("unauthorized for a colleague naming their own company", async function () {
+		const resp = await request(app).delete("/users/1").query({ companyId: 1 }).set("authorization", `Bearer ${u1Token}`);
 		expect(resp.statusCode).toEqual(401);
 	});
 });
@@ -10,6 +10,44 @@ CREATE TABLE companies (
   phone_main TEXT
 );
 
+-- Create company_quote_templates table (per-company layout for quote PDFs)
+CREATE TABLE company_quote_templates (
+  company_id INTEGER PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+  accent_color VARCHAR(7) NOT NULL DEFAULT '#1F4E79' CHECK (accent_color ~ '^#[0-9A-Fa-f]{6}$'),
+  tagline TEXT,
+  terms TEXT,
+  footer_text TEXT,
+  show_item_codes BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- Create company_numbering table (per-company RFQ and quote numbering schemes)
+CREATE TABLE company_numbering (
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  doc_type VARCHAR(10) NOT NULL CHECK (doc_type IN ('rfq', 'quote')),
+  prefix VARCHAR(20) NOT NULL DEFAULT '',
+  include_year BOOLEAN NOT NULL DEFAULT TRUE,
+  padding INTEGER NOT NULL DEFAULT 4 CHECK (padding BETWEEN 0 AND 10),
+  reset_period VARCHAR(10) NOT NULL DEFAULT 'yearly' CHECK (reset_period IN ('never', 'yearly', 'monthly')),
+  last_number INTEGER NOT NULL DEFAULT 0,  -- Last counter value handed out in the current period
+  period_key TEXT,  -- Period last_number belongs to, e.g. '2025' or '2025-03'
+  PRIMARY KEY (company_id, doc_type)
+);
+
+-- Create company_margin_policies table (per-company minimum margins; quotes below them need approval before they're sent)
+CREATE TABLE company_margin_policies (
+  company_id INTEGER PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+  min_line_margin NUMERIC(5,2) DEFAULT 0 CHECK (min_line_margin < 100),  -- Percent of each line's price; NULL for no minimum
+  min_quote_margin NUMERIC(5,2) CHECK (min_quote_margin < 100)  -- Percent of the quote's total; NULL for no minimum
+);
+
+-- Create company_tax_rates table (sales tax rate per jurisdiction a company ships to, e.g. a state code)
+CREATE TABLE company_tax_rates (
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  jurisdiction VARCHAR(25) NOT NULL,
+  rate NUMERIC(6,3) NOT NULL CHECK (rate >= 0 AND rate < 100),  -- Percent
+  PRIMARY KEY (company_id, jurisdiction)
+);
+
 -- Create users table (with a reference to companies)
 CREATE TABLE users (
   id SERIAL PRIMARY KEY,
@@ -18,11 +56,102 @@ CREATE TABLE users (
   full_name TEXT NOT NULL,
   phone TEXT,
   is_admin BOOLEAN NOT NULL DEFAULT FALSE,
-  company_id INTEGER NOT NULL REFERENCES companies(id)
+  company_id INTEGER NOT NULL REFERENCES companies(id),
+  role VARCHAR(20) NOT NULL DEFAULT 'sales_rep'  -- Company-scoped role, see helpers/permissions.js
+    CHECK (role IN ('owner', 'manager', 'sales_rep', 'estimator', 'read_only')),
+  email_verified_at TIMESTAMP,  -- NULL until the user confirms their email address; they can't sign in before then
+  failed_login_count INTEGER NOT NULL DEFAULT 0,  -- Wrong passwords in a row, see helpers/lockout.js
+  lockout_count INTEGER NOT NULL DEFAULT 0,  -- Lockouts since the last successful sign-in; each lasts longer
+  locked_until TIMESTAMP,
+  mfa_secret TEXT,  -- Base32 TOTP secret, see helpers/totp.js; set at setup, in use once mfa_enabled_at is
+  mfa_enabled_at TIMESTAMP,
+  mfa_last_step BIGINT  -- Time step of the last TOTP code accepted, so no code works twice
+);
+
+-- Create mfa_recovery_codes table (single-use fallbacks for a lost authenticator; only SHA-256 hashes are stored)
+CREATE TABLE mfa_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP,
+  UNIQUE (user_id, code_hash)
+);
+
+-- Create login_failures table (failed sign-ins by IP address, for throttling)
+CREATE TABLE login_failures (
+  id SERIAL PRIMARY KEY,
+  ip TEXT NOT NULL,
+  email TEXT,
+  attempted_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX login_failures_ip_idx ON login_failures (ip, attempted_at);
+
+-- Create user_sessions table (one row per login; holds the hash of its current refresh token)
+CREATE TABLE user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT UNIQUE NOT NULL,
+  previous_token_hash TEXT,  -- Replaced by the last rotation; presenting it again revokes the session
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+-- Create api_keys table (company credentials for integrations; only the key's SHA-256 hash is stored)
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,  -- Start of the key, so it can be recognised in listings
+  key_hash TEXT UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL,  -- Permissions granted, see API_KEY_SCOPES in helpers/permissions.js
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+-- Create company_invitations table (how new users join a company; only the token's SHA-256 hash is stored)
+CREATE TABLE company_invitations (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  email TEXT NOT NULL CHECK (email ~ '^[^@]+@[^@]+\.[^@]+$'),
+  role VARCHAR(20) NOT NULL DEFAULT 'sales_rep'
+    CHECK (role IN ('owner', 'manager', 'sales_rep', 'estimator', 'read_only')),
+  token_hash TEXT UNIQUE NOT NULL,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP
+);
+
+-- Create email_verification_tokens table (single-use; only the token's SHA-256 hash is stored)
+CREATE TABLE email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+-- Create password_reset_tokens table (single-use; only the token's SHA-256 hash is stored)
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
 );
 
 -- Create customers table (with address details)
 CREATE TABLE company_customers (
+  id SERIAL PRIMARY KEY,
   company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
   customer_name TEXT NOT NULL,
   address_line1 TEXT,
@@ -33,9 +162,49 @@ CREATE TABLE company_customers (
   phone_main TEXT,
   markup_type TEXT NOT NULL,
   markup INTEGER NOT NULL CHECK (markup > 0),
-  PRIMARY KEY (company_id, customer_name)  -- Customers are unique per company
+  tax_exempt BOOLEAN NOT NULL DEFAULT FALSE,  -- Quotes to the customer carry no sales tax
+  deleted_at TIMESTAMP,  -- Set when deleted; restorable until the purge job removes it, see jobs/purgeDeleted.js
+  UNIQUE (company_id, customer_name),  -- Customer names are unique per company
+  UNIQUE (company_id, id)  -- Lets rfqs and quotes reference a customer of their own company
+);
+
+-- Create customer_contacts table (the people at a customer that RFQs and quotes are addressed to)
+CREATE TABLE customer_contacts (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  title TEXT,
+  email TEXT CHECK (email ~ '^[^@]+@[^@]+\.[^@]+$'),
+  phone TEXT,
+  role VARCHAR(20) NOT NULL DEFAULT 'buyer'
+    CHECK (role IN ('buyer', 'engineer', 'accounts_payable', 'other')),
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,  -- Who documents go to when no contact is named
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (company_id, customer_id) REFERENCES company_customers(company_id, id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX customer_contacts_primary_idx ON customer_contacts (customer_id) WHERE is_primary;  -- At most one per customer
+
+-- Create customer_addresses table (a customer's address book; quotes copy the ones they use, see models/address.js)
+CREATE TABLE customer_addresses (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  address_type VARCHAR(10) NOT NULL CHECK (address_type IN ('billing', 'shipping', 'plant')),
+  label TEXT,  -- e.g. 'Plant 2 - Receiving'
+  address_line1 TEXT NOT NULL,
+  address_line2 TEXT,
+  city VARCHAR(25),
+  state VARCHAR(2),
+  country TEXT DEFAULT 'USA',
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,  -- Used on new quotes when no address is chosen
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (company_id, customer_id) REFERENCES company_customers(company_id, id) ON DELETE CASCADE
 );
 
+CREATE UNIQUE INDEX customer_addresses_default_idx ON customer_addresses (customer_id, address_type) WHERE is_default;  -- At most one per type
+
 -- Create items table (with 'code' as the primary key)
 CREATE TABLE company_items (
   company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
@@ -43,32 +212,96 @@ CREATE TABLE company_items (
   description TEXT NOT NULL,
   uom TEXT NOT NULL,
   cost NUMERIC(10,2) CHECK (cost >= 0),
+  deleted_at TIMESTAMP,  -- Set when deleted; restorable until the purge job removes it
   PRIMARY KEY (company_id, item_code)  -- Unique per company
 );
 
+-- Create item_price_breaks table (quantity break tiers for an item's cost and sell price, see models/item.js)
+CREATE TABLE item_price_breaks (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL,
+  item_code VARCHAR(25) NOT NULL,
+  break_type VARCHAR(4) NOT NULL CHECK (break_type IN ('cost', 'sell')),
+  min_quantity INTEGER NOT NULL CHECK (min_quantity > 0),  -- The tier applies from this quantity up to the next tier's
+  amount NUMERIC(10,2) NOT NULL CHECK (amount >= 0),  -- Unit cost or unit sell price in the tier
+  UNIQUE (company_id, item_code, break_type, min_quantity),
+  FOREIGN KEY (company_id, item_code) REFERENCES company_items(company_id, item_code) ON DELETE CASCADE
+);
+
+-- Create customer_prices table (a customer's price list: contract prices and markup overrides per item, see models/customerPrice.js)
+CREATE TABLE customer_prices (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  item_code VARCHAR(25) NOT NULL,
+  price_type VARCHAR(10) NOT NULL CHECK (price_type IN ('fixed', 'markup')),
+  price NUMERIC(10,2) CHECK (price >= 0),  -- Contract price, for 'fixed'
+  markup_type TEXT,  -- Overrides the customer's markup for this item, for 'markup'
+  markup NUMERIC(10,2) CHECK (markup >= 0),
+  effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+  expires_on DATE,  -- Last day the entry applies; NULL for no end
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK ((price_type = 'fixed' AND price IS NOT NULL) OR (price_type = 'markup' AND markup_type IS NOT NULL AND markup IS NOT NULL)),
+  CHECK (expires_on IS NULL OR expires_on >= effective_from),
+  FOREIGN KEY (company_id, customer_id) REFERENCES company_customers(company_id, id) ON DELETE CASCADE,
+  FOREIGN KEY (company_id, item_code) REFERENCES company_items(company_id, item_code) ON DELETE CASCADE
+);
+
+CREATE INDEX customer_prices_lookup_idx ON customer_prices (customer_id, item_code, effective_from);
+
 -- Create rfqs table (request for quote, referencing customers, users, and companies)
 CREATE TABLE rfqs (
   id SERIAL PRIMARY KEY,
   company_id INTEGER NOT NULL,
-  customer_name TEXT NOT NULL,
+  customer_id INTEGER NOT NULL,
+  contact_id INTEGER REFERENCES customer_contacts(id) ON DELETE SET NULL,  -- Who at the customer requested it
   user_id INTEGER NOT NULL,
   rfq_number VARCHAR(50) NOT NULL,
   created_at TIMESTAMP DEFAULT NOW(),
-  FOREIGN KEY (company_id, customer_name) REFERENCES company_customers(company_id, customer_name) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'submitted', 'in_pricing', 'quoted', 'won', 'lost', 'cancelled')),
+  deleted_at TIMESTAMP,  -- Set when deleted; restorable until the purge job removes it
+  FOREIGN KEY (company_id, customer_id) REFERENCES company_customers(company_id, id),
   FOREIGN KEY (user_id) REFERENCES users(id),
   CONSTRAINT unique_rfq_per_company UNIQUE (company_id, rfq_number)
 );
 
+-- Create rfq_status_history table (who moved an RFQ between statuses, and when)
+CREATE TABLE rfq_status_history (
+  id SERIAL PRIMARY KEY,
+  rfq_id INTEGER NOT NULL REFERENCES rfqs(id) ON DELETE CASCADE,
+  from_status VARCHAR(20) NOT NULL,
+  to_status VARCHAR(20) NOT NULL,
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  comment TEXT
+);
+
 CREATE TABLE quotes (
   id SERIAL PRIMARY KEY,
   company_id INTEGER NOT NULL,
-  customer_name TEXT NOT NULL,
+  customer_id INTEGER NOT NULL,
+  contact_id INTEGER REFERENCES customer_contacts(id) ON DELETE SET NULL,  -- Who at the customer the quote is addressed to
   user_id INTEGER NOT NULL,
   created_at TIMESTAMP DEFAULT NOW(),
-  valid_until TEXT NOT NULL,
+  valid_until DATE NOT NULL,
   quote_number VARCHAR(50) NOT NULL,  
   notes TEXT,  
-  FOREIGN KEY (company_id, customer_name) REFERENCES company_customers(company_id, customer_name) ON DELETE CASCADE,
+  bill_to JSONB,  -- Copy of the customer address billed, taken when it was chosen
+  ship_to JSONB,  -- Copy of the customer address shipped to
+  tax_jurisdiction VARCHAR(25),  -- Overrides the jurisdiction taxed, which is otherwise the ship-to (or bill-to, or customer) state
+  rfq_id INTEGER REFERENCES rfqs(id) ON DELETE SET NULL,  -- Source RFQ when converted
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'sent', 'accepted', 'rejected', 'expired')),
+  sent_at TIMESTAMP,
+  accepted_at TIMESTAMP,
+  accepted_by_name TEXT,  -- Customer contact who accepted the quote
+  accepted_by_email TEXT,
+  rejected_at TIMESTAMP,
+  rejection_reason TEXT,
+  expired_at TIMESTAMP,
+  deleted_at TIMESTAMP,  -- Set when deleted; restorable until the purge job removes it
+  FOREIGN KEY (company_id, customer_id) REFERENCES company_customers(company_id, id),
   FOREIGN KEY (user_id) REFERENCES users(id),
   UNIQUE (company_id, quote_number) 
 );
@@ -82,7 +315,7 @@ CREATE TABLE rfq_items (
   quantity INTEGER CHECK (quantity > 0),
   item_description TEXT, 
   item_cost NUMERIC(10, 2) CHECK (item_cost >= 0),
-  FOREIGN KEY (company_id, item_code) REFERENCES company_items(company_id, item_code) ON DELETE CASCADE
+  FOREIGN KEY (company_id, item_code) REFERENCES company_items(company_id, item_code)
 );
 
 -- Create quote_items table (relationship table between quotes and items)
@@ -94,5 +327,67 @@ CREATE TABLE quote_items (
   quantity INTEGER CHECK (quantity > 0), 
   item_description TEXT,  
   item_price NUMERIC(10, 2) CHECK (item_price >= 0), 
-  FOREIGN KEY (company_id, item_code) REFERENCES company_items(company_id, item_code) ON DELETE CASCADE
-);
\ No newline at end of file
+  price_rule VARCHAR(20)  -- How item_price was set: a rule from helpers/pricing.js, or 'manual'; NULL for older lines
+    CHECK (price_rule IN ('contract', 'price_list_markup', 'quantity_break', 'customer_markup', 'list', 'manual')),
+  FOREIGN KEY (company_id, item_code) REFERENCES company_items(company_id, item_code)
+);
+
+-- Create quote_adjustments table (header-level discounts and charges applied to a quote's line items subtotal)
+CREATE TABLE quote_adjustments (
+  id SERIAL PRIMARY KEY,
+  quote_id INTEGER NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  adjustment_type VARCHAR(20) NOT NULL CHECK (adjustment_type IN ('discount', 'freight', 'handling', 'fuel_surcharge')),
+  calc VARCHAR(10) NOT NULL CHECK (calc IN ('percentage', 'fixed')),  -- Percent of the subtotal, or a fixed amount
+  amount NUMERIC(10,2) NOT NULL CHECK (amount >= 0),
+  description TEXT,
+  taxable BOOLEAN NOT NULL DEFAULT FALSE,  -- Whether a charge is taxed; discounts always reduce the taxable amount
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Create quote_revisions table (snapshot of a quote header, line items, adjustments and totals each time it is sent)
+CREATE TABLE quote_revisions (
+  id SERIAL PRIMARY KEY,
+  quote_id INTEGER NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL CHECK (revision_number > 0),  -- 1 = Rev A, 2 = Rev B, ...
+  header JSONB NOT NULL,
+  items JSONB NOT NULL,
+  adjustments JSONB NOT NULL DEFAULT '[]',
+  totals JSONB,  -- as computed when sent; NULL for revisions taken before totals were recorded
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (quote_id, revision_number)
+);
+
+-- Create quote_approvals table (requests for a manager to approve a quote whose margins are below the company's minimums)
+CREATE TABLE quote_approvals (
+  id SERIAL PRIMARY KEY,
+  quote_id INTEGER NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  status VARCHAR(12) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'superseded')),
+  margins JSONB NOT NULL,  -- The quote's margins when approval was requested
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  request_comment TEXT,
+  requested_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  decision_comment TEXT,
+  decided_at TIMESTAMP  -- Also set when a change to the quote's lines supersedes the request
+);
+
+CREATE UNIQUE INDEX quote_approvals_one_pending_idx ON quote_approvals (quote_id) WHERE status = 'pending';
+
+-- Create audit_log table (append-only record of who did what; kept when the records it describes are deleted)
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER,
+  actor_id INTEGER,  -- The user who acted; NULL for the system
+  api_key_id INTEGER,  -- The API key that acted, see api_keys
+  entity_type TEXT NOT NULL,
+  entity_id TEXT,
+  action TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  ip TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_log_company_idx ON audit_log (company_id, created_at);
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id);
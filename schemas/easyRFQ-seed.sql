@@ -5,33 +5,57 @@ INSERT INTO companies (name, address_line1, address_line2, city, state, country,
 ('SupplyPro Ltd.', '789 Supply St.', 'Building 4', 'Supplytown', 'FL', 'USA', '555-345-6789');
 
 -- Insert into users (company_id links to the companies table)
-INSERT INTO users (email, password, full_name, phone, is_admin, company_id) VALUES
-('admin@techcorp.com', 'securepass123', 'Alice Johnson', '561-555-1234', TRUE, 1),
-('buyer@aerospace.com', 'password321', 'Bob Smith', '727-555-5678', FALSE, 2),
-('procurement@supplypro.com', 'mypassword', 'Charlie Davis', '727-555-9012', FALSE, 3),
-('sales@techcorp.com', 'pass456', 'Derek White', '305-555-6789', FALSE, 1),
-('ops@aerospace.com', 'aerosafe', 'Emily Green', '213-555-9876', FALSE, 2),
-('manager@supplypro.com', 'supsecure', 'Frank Black', '305-555-4321', TRUE, 3);
+INSERT INTO users (email, password, full_name, phone, is_admin, company_id, role, email_verified_at) VALUES
+('admin@techcorp.com', 'securepass123', 'Alice Johnson', '561-555-1234', TRUE, 1, 'owner', NOW()),
+('buyer@aerospace.com', 'password321', 'Bob Smith', '727-555-5678', FALSE, 2, 'owner', NOW()),
+('procurement@supplypro.com', 'mypassword', 'Charlie Davis', '727-555-9012', FALSE, 3, 'estimator', NOW()),
+('sales@techcorp.com', 'pass456', 'Derek White', '305-555-6789', FALSE, 1, 'sales_rep', NOW()),
+('ops@aerospace.com', 'aerosafe', 'Emily Green', '213-555-9876', FALSE, 2, 'manager', NOW()),
+('manager@supplypro.com', 'supsecure', 'Frank Black', '305-555-4321', TRUE, 3, 'owner', NOW());
 
 -- Insert customers per company
-INSERT INTO company_customers (company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup) VALUES
-(1, 'SkyTech Manufacturing', '567 Sky Lane', 'Unit 1', 'Skycity', 'TX', 'USA', '555-567-1234', 'percentage', 12),
-(1, 'ProBuild Corp.', '890 Industrial Park', 'Suite 20', 'Industryville', 'CA', 'USA', '555-678-3456', 'fixed', 750),
-(2, 'Fasteners Inc.', '432 Fastener St.', 'Suite 5', 'Boltown', 'FL', 'USA', '555-789-5678', 'percentage', 8),
-(2, 'MegaMachinery', '101 Heavy Rd.', 'Building 9', 'Machinetown', 'TX', 'USA', '555-654-3210', 'fixed', 600),
-(3, 'Elite Components', '555 Elite Ave.', 'Unit 7', 'Partsville', 'NY', 'USA', '555-456-9870', 'percentage', 10);
-
--- Insert into rfqs (company_id, customer_name, user_id)
-INSERT INTO rfqs (company_id, customer_name, user_id, rfq_number) VALUES
-(1, 'SkyTech Manufacturing', 2, 'RFQ-001'),
-(2, 'MegaMachinery', 5, 'RFQ-002'),
-(3, 'Elite Components', 6, 'RFQ-003');
-
--- Insert into quotes (company_id, customer_name, user_id, valid_until, quote_number, notes)
-INSERT INTO quotes (company_id, customer_name, user_id, valid_until, quote_number, notes) VALUES
-(1, 'SkyTech Manufacturing', 2, '2025-03-01', 'QUOTE-001', 'This quote includes special pricing for bulk orders of steel bolts.'),
-(2, 'MegaMachinery', 5, '2025-04-01', 'QUOTE-002', 'Hydraulic pumps and pressure valves for the new production line.'),
-(3, 'Elite Components', 6, '2025-05-01', 'QUOTE-003', 'Aluminum sheets and O-ring seals for construction purposes.');
+INSERT INTO company_customers (company_id, customer_name, address_line1, address_line2, city, state, country, phone_main, markup_type, markup, tax_exempt) VALUES
+(1, 'SkyTech Manufacturing', '567 Sky Lane', 'Unit 1', 'Skycity', 'TX', 'USA', '555-567-1234', 'percentage', 12, FALSE),
+(1, 'ProBuild Corp.', '890 Industrial Park', 'Suite 20', 'Industryville', 'CA', 'USA', '555-678-3456', 'fixed', 750, FALSE),
+(2, 'Fasteners Inc.', '432 Fastener St.', 'Suite 5', 'Boltown', 'FL', 'USA', '555-789-5678', 'percentage', 8, TRUE),
+(2, 'MegaMachinery', '101 Heavy Rd.', 'Building 9', 'Machinetown', 'TX', 'USA', '555-654-3210', 'fixed', 600, FALSE),
+(3, 'Elite Components', '555 Elite Ave.', 'Unit 7', 'Partsville', 'NY', 'USA', '555-456-9870', 'percentage', 10, FALSE);
+
+-- Insert sales tax rates per company and jurisdiction
+INSERT INTO company_tax_rates (company_id, jurisdiction, rate) VALUES
+(1, 'TX', 6.25),
+(1, 'CA', 7.25),
+(2, 'TX', 6.25),
+(2, 'FL', 6.00);
+
+-- Insert contacts at the customers
+INSERT INTO customer_contacts (company_id, customer_id, name, title, email, phone, role, is_primary) VALUES
+(1, 1, 'Karen Lee', 'Purchasing Manager', 'karen.lee@skytech.example', '555-567-1240', 'buyer', TRUE),
+(1, 1, 'Raj Patel', 'Design Engineer', 'raj.patel@skytech.example', '555-567-1251', 'engineer', FALSE),
+(2, 4, 'Tom Becker', 'Buyer', 'tom.becker@megamachinery.example', '555-654-3222', 'buyer', TRUE),
+(2, 4, 'Linda Cruz', 'Accounts Payable', 'ap@megamachinery.example', '555-654-3230', 'accounts_payable', FALSE),
+(3, 5, 'Sam Ortiz', 'Procurement Lead', 'sam.ortiz@elitecomponents.example', '555-456-9881', 'buyer', TRUE);
+
+-- Insert customer address books
+INSERT INTO customer_addresses (company_id, customer_id, address_type, label, address_line1, address_line2, city, state, country, is_default) VALUES
+(1, 1, 'billing', 'Accounts Payable', '567 Sky Lane', 'Unit 1', 'Skycity', 'TX', 'USA', TRUE),
+(1, 1, 'shipping', 'Main Warehouse', '600 Runway Blvd.', 'Dock 4', 'Skycity', 'TX', 'USA', TRUE),
+(1, 1, 'plant', 'Assembly Plant 2', '75 Hangar Rd.', NULL, 'Wingfield', 'OK', 'USA', FALSE),
+(2, 4, 'billing', 'Head Office', '101 Heavy Rd.', 'Building 9', 'Machinetown', 'TX', 'USA', TRUE),
+(2, 4, 'plant', 'Gearworks Plant', '22 Foundry Way', NULL, 'Castville', 'OH', 'USA', TRUE),
+(3, 5, 'billing', NULL, '555 Elite Ave.', 'Unit 7', 'Partsville', 'NY', 'USA', TRUE);
+
+-- Insert into rfqs (company_id, customer_id, contact_id, user_id)
+INSERT INTO rfqs (company_id, customer_id, contact_id, user_id, rfq_number) VALUES
+(1, 1, 1, 2, 'RFQ-001'),
+(2, 4, 3, 5, 'RFQ-002'),
+(3, 5, 5, 6, 'RFQ-003');
+
+-- Insert into quotes (company_id, customer_id, contact_id, user_id, valid_until, quote_number, notes)
+INSERT INTO quotes (company_id, customer_id, contact_id, user_id, valid_until, quote_number, notes) VALUES
+(1, 1, 1, 2, '2025-03-01', 'QUOTE-001', 'This quote includes special pricing for bulk orders of steel bolts.'),
+(2, 4, 3, 5, '2025-04-01', 'QUOTE-002', 'Hydraulic pumps and pressure valves for the new production line.'),
+(3, 5, 5, 6, '2025-05-01', 'QUOTE-003', 'Aluminum sheets and O-ring seals for construction purposes.');
 
 -- Insert into company_items (each company has its own item definitions)
 INSERT INTO company_items (company_id, item_code, description, uom, cost) VALUES
@@ -42,6 +66,20 @@ INSERT INTO company_items (company_id, item_code, description, uom, cost) VALUES
 (3, 'item003', 'Aluminum Sheet', 'sheet', 100),
 (3, 'item004', 'O-Ring Seals', 'pack', 20);
 
+-- Insert quantity breaks (volume tiers for item costs and sell prices)
+INSERT INTO item_price_breaks (company_id, item_code, break_type, min_quantity, amount) VALUES
+(2, 'item006', 'cost', 10, 280.00),
+(2, 'item006', 'cost', 50, 260.00),
+(3, 'item004', 'sell', 50, 24.00),
+(3, 'item004', 'sell', 200, 22.00);
+
+-- Insert customer price lists (contract prices and markup overrides)
+INSERT INTO customer_prices (company_id, customer_id, item_code, price_type, price, markup_type, markup, effective_from, expires_on) VALUES
+(1, 1, 'item001', 'fixed', 54.00, NULL, NULL, '2025-01-01', NULL),
+(1, 2, 'item005', 'markup', NULL, 'percentage', 5, '2025-01-01', '2025-12-31'),
+(2, 4, 'item002', 'fixed', 2450.00, NULL, NULL, '2025-01-01', NULL),
+(2, 3, 'item006', 'markup', NULL, 'fixed', 25, '2025-01-01', NULL);
+
 -- Insert into rfq_items (each rfq references items per company)
 INSERT INTO rfq_items (rfq_id, company_id, item_code, quantity, item_description, item_cost) VALUES
 (1, 1, 'item001', 10, 'Steel Bolts for production', 50),
@@ -58,4 +96,11 @@ INSERT INTO quote_items (quote_id, company_id, item_code, quantity, item_descrip
 (2, 2, 'item002', 3, 'Hydraulic Pumps for machinery', 1950),   
 (2, 2, 'item006', 2, 'Pressure Valves for systems', 290),  
 (3, 3, 'item003', 7, 'Aluminum Sheets for construction', 95),   
-(3, 3, 'item004', 20, 'O-Ring Seals for sealing', 18);
\ No newline at end of file
+(3, 3, 'item004', 20, 'O-Ring Seals for sealing', 18);
+
+-- Insert quote-level adjustments (discounts and charges on top of the line items)
+INSERT INTO quote_adjustments (quote_id, adjustment_type, calc, amount, description, taxable) VALUES
+(1, 'discount', 'percentage', 5, 'Bulk order discount', FALSE),
+(1, 'freight', 'fixed', 85.00, 'Ground freight', TRUE),
+(2, 'freight', 'fixed', 240.00, 'LTL freight', FALSE),
+(2, 'fuel_surcharge', 'percentage', 2, 'Fuel surcharge', FALSE);
@@ -1,4 +1,7 @@
 -- Delete and recreate easyRFQ db
+-- (To upgrade a database that has data in it instead, run each file in
+-- schemas/migrations/ against it once, in order, e.g.
+--   psql easy_rfq -f schemas/migrations/001-quote-source-rfq.sql)
 \echo 'Delete and recreate easy_rfq db?'
 \prompt 'Return for yes or control-C to cancel > ' foo
 
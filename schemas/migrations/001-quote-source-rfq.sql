@@ -0,0 +1,7 @@
+-- Link quotes converted from an RFQ back to it.
+
+BEGIN;
+
+ALTER TABLE quotes ADD COLUMN rfq_id INTEGER REFERENCES rfqs(id) ON DELETE SET NULL;
+
+COMMIT;
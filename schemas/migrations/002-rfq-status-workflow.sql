@@ -0,0 +1,19 @@
+-- Give RFQs a status and a history of who moved them between statuses.
+-- Existing RFQs start out as drafts.
+
+BEGIN;
+
+ALTER TABLE rfqs ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'draft'
+  CHECK (status IN ('draft', 'submitted', 'in_pricing', 'quoted', 'won', 'lost', 'cancelled'));
+
+CREATE TABLE rfq_status_history (
+  id SERIAL PRIMARY KEY,
+  rfq_id INTEGER NOT NULL REFERENCES rfqs(id) ON DELETE CASCADE,
+  from_status VARCHAR(20) NOT NULL,
+  to_status VARCHAR(20) NOT NULL,
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  comment TEXT
+);
+
+COMMIT;
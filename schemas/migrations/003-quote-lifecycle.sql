@@ -0,0 +1,16 @@
+-- Give quotes a status, with when and by whom they were sent, accepted or
+-- rejected. Existing quotes start out as drafts.
+
+BEGIN;
+
+ALTER TABLE quotes
+  ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'sent', 'accepted', 'rejected')),
+  ADD COLUMN sent_at TIMESTAMP,
+  ADD COLUMN accepted_at TIMESTAMP,
+  ADD COLUMN accepted_by_name TEXT,
+  ADD COLUMN accepted_by_email TEXT,
+  ADD COLUMN rejected_at TIMESTAMP,
+  ADD COLUMN rejection_reason TEXT;
+
+COMMIT;
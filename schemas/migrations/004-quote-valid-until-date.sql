@@ -0,0 +1,33 @@
+-- Store quotes.valid_until as a DATE instead of free-form TEXT, and add the
+-- 'expired' status the quote expiry job (jobs/quoteExpiry.js) moves overdue
+-- quotes to.
+--
+-- valid_until must already be written 'YYYY-MM-DD' (what the API has always
+-- documented). Any other value, or a date that doesn't exist, stops the
+-- migration and changes nothing, rather than guessing what it meant.
+
+BEGIN;
+
+DO $$
+DECLARE
+  bad TEXT;
+BEGIN
+  SELECT string_agg(id || ' (' || quote_literal(valid_until) || ')', ', ' ORDER BY id) INTO bad
+  FROM quotes
+  WHERE valid_until !~ '^\d{4}-\d{2}-\d{2}$';
+
+  IF bad IS NOT NULL THEN
+    RAISE EXCEPTION 'quotes.valid_until is not a YYYY-MM-DD date for quote %', bad;
+  END IF;
+END $$;
+
+ALTER TABLE quotes
+  ALTER COLUMN valid_until TYPE DATE USING valid_until::date;
+
+ALTER TABLE quotes DROP CONSTRAINT quotes_status_check;
+ALTER TABLE quotes ADD CONSTRAINT quotes_status_check
+  CHECK (status IN ('draft', 'sent', 'accepted', 'rejected', 'expired'));
+
+ALTER TABLE quotes ADD COLUMN expired_at TIMESTAMP;
+
+COMMIT;
@@ -0,0 +1,17 @@
+-- Keep a snapshot of each quote every time it is sent. Quotes sent before
+-- this have no revisions; their next send is Rev A.
+
+BEGIN;
+
+CREATE TABLE quote_revisions (
+  id SERIAL PRIMARY KEY,
+  quote_id INTEGER NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL CHECK (revision_number > 0),
+  header JSONB NOT NULL,
+  items JSONB NOT NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (quote_id, revision_number)
+);
+
+COMMIT;
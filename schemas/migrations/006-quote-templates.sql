@@ -0,0 +1,15 @@
+-- Per-company layout for quote PDFs. Companies without a row get the
+-- default template (DEFAULT_QUOTE_TEMPLATE in helpers/quotePdf.js).
+
+BEGIN;
+
+CREATE TABLE company_quote_templates (
+  company_id INTEGER PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+  accent_color VARCHAR(7) NOT NULL DEFAULT '#1F4E79' CHECK (accent_color ~ '^#[0-9A-Fa-f]{6}$'),
+  tagline TEXT,
+  terms TEXT,
+  footer_text TEXT,
+  show_item_codes BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+COMMIT;
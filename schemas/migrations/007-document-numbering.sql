@@ -0,0 +1,19 @@
+-- Per-company RFQ and quote numbering schemes. A company's rows are created
+-- with the defaults the first time it needs a number; numbers its existing
+-- RFQs and quotes already use are skipped when allocating.
+
+BEGIN;
+
+CREATE TABLE company_numbering (
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  doc_type VARCHAR(10) NOT NULL CHECK (doc_type IN ('rfq', 'quote')),
+  prefix VARCHAR(20) NOT NULL DEFAULT '',
+  include_year BOOLEAN NOT NULL DEFAULT TRUE,
+  padding INTEGER NOT NULL DEFAULT 4 CHECK (padding BETWEEN 0 AND 10),
+  reset_period VARCHAR(10) NOT NULL DEFAULT 'yearly' CHECK (reset_period IN ('never', 'yearly', 'monthly')),
+  last_number INTEGER NOT NULL DEFAULT 0,
+  period_key TEXT,
+  PRIMARY KEY (company_id, doc_type)
+);
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- Give users a company-scoped role. Users who exist already could do
+-- everything in their company, so they become its owners; new users default
+-- to sales_rep.
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'owner'
+  CHECK (role IN ('owner', 'manager', 'sales_rep', 'estimator', 'read_only'));
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'sales_rep';
+
+COMMIT;
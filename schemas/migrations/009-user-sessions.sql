@@ -0,0 +1,18 @@
+-- Sessions holding the rotating refresh token of each login. Access tokens
+-- issued before this carry no session and are refused, so everyone signs in
+-- again.
+
+BEGIN;
+
+CREATE TABLE user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT UNIQUE NOT NULL,
+  previous_token_hash TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+COMMIT;
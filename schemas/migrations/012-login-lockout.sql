@@ -0,0 +1,35 @@
+-- Failed sign-in tracking: per-user lockouts, per-IP throttling, and the
+-- audit log that lockouts and unlocks are recorded in.
+
+BEGIN;
+
+ALTER TABLE users
+  ADD COLUMN failed_login_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN lockout_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN locked_until TIMESTAMP;
+
+CREATE TABLE login_failures (
+  id SERIAL PRIMARY KEY,
+  ip TEXT NOT NULL,
+  email TEXT,
+  attempted_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX login_failures_ip_idx ON login_failures (ip, attempted_at);
+
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER,
+  actor_id INTEGER,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT,
+  action TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  ip TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_log_company_idx ON audit_log (company_id, created_at);
+
+COMMIT;
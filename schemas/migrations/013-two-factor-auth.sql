@@ -0,0 +1,19 @@
+-- TOTP two-factor authentication and its recovery codes. It stays off for
+-- every user until they set it up.
+
+BEGIN;
+
+ALTER TABLE users
+  ADD COLUMN mfa_secret TEXT,
+  ADD COLUMN mfa_enabled_at TIMESTAMP,
+  ADD COLUMN mfa_last_step BIGINT;
+
+CREATE TABLE mfa_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP,
+  UNIQUE (user_id, code_hash)
+);
+
+COMMIT;
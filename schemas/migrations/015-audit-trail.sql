@@ -0,0 +1,9 @@
+-- Record which API key made a change, and look up a record's history.
+
+BEGIN;
+
+ALTER TABLE audit_log ADD COLUMN api_key_id INTEGER;
+
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id);
+
+COMMIT;
@@ -0,0 +1,30 @@
+-- Soft delete customers, items, RFQs and quotes.
+--
+-- Their foreign keys lose ON DELETE CASCADE: deleting a customer or item
+-- that RFQs or quotes still use now fails instead of taking them with it.
+-- Only the purge job (jobs/purgeDeleted.js) deletes rows for good.
+
+BEGIN;
+
+ALTER TABLE company_customers ADD COLUMN deleted_at TIMESTAMP;
+ALTER TABLE company_items ADD COLUMN deleted_at TIMESTAMP;
+ALTER TABLE rfqs ADD COLUMN deleted_at TIMESTAMP;
+ALTER TABLE quotes ADD COLUMN deleted_at TIMESTAMP;
+
+ALTER TABLE rfqs DROP CONSTRAINT rfqs_company_id_customer_name_fkey;
+ALTER TABLE rfqs ADD CONSTRAINT rfqs_company_id_customer_name_fkey
+  FOREIGN KEY (company_id, customer_name) REFERENCES company_customers(company_id, customer_name);
+
+ALTER TABLE quotes DROP CONSTRAINT quotes_company_id_customer_name_fkey;
+ALTER TABLE quotes ADD CONSTRAINT quotes_company_id_customer_name_fkey
+  FOREIGN KEY (company_id, customer_name) REFERENCES company_customers(company_id, customer_name);
+
+ALTER TABLE rfq_items DROP CONSTRAINT rfq_items_company_id_item_code_fkey;
+ALTER TABLE rfq_items ADD CONSTRAINT rfq_items_company_id_item_code_fkey
+  FOREIGN KEY (company_id, item_code) REFERENCES company_items(company_id, item_code);
+
+ALTER TABLE quote_items DROP CONSTRAINT quote_items_company_id_item_code_fkey;
+ALTER TABLE quote_items ADD CONSTRAINT quote_items_company_id_item_code_fkey
+  FOREIGN KEY (company_id, item_code) REFERENCES company_items(company_id, item_code);
+
+COMMIT;
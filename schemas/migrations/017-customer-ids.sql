@@ -0,0 +1,36 @@
+-- Key company_customers by a numeric id instead of (company_id, customer_name),
+-- and point rfqs and quotes at it through customer_id. Like the foreign keys
+-- they replace (see 016-soft-delete.sql), the new ones have no ON DELETE
+-- action.
+
+BEGIN;
+
+ALTER TABLE rfqs DROP CONSTRAINT rfqs_company_id_customer_name_fkey;
+ALTER TABLE quotes DROP CONSTRAINT quotes_company_id_customer_name_fkey;
+
+ALTER TABLE company_customers DROP CONSTRAINT company_customers_pkey;
+ALTER TABLE company_customers ADD COLUMN id SERIAL PRIMARY KEY;
+ALTER TABLE company_customers ADD CONSTRAINT company_customers_company_id_customer_name_key UNIQUE (company_id, customer_name);
+ALTER TABLE company_customers ADD CONSTRAINT company_customers_company_id_id_key UNIQUE (company_id, id);
+
+ALTER TABLE rfqs ADD COLUMN customer_id INTEGER;
+UPDATE rfqs
+SET customer_id = company_customers.id
+FROM company_customers
+WHERE company_customers.company_id = rfqs.company_id AND company_customers.customer_name = rfqs.customer_name;
+ALTER TABLE rfqs ALTER COLUMN customer_id SET NOT NULL;
+ALTER TABLE rfqs DROP COLUMN customer_name;
+ALTER TABLE rfqs ADD CONSTRAINT rfqs_company_id_customer_id_fkey
+  FOREIGN KEY (company_id, customer_id) REFERENCES company_customers(company_id, id);
+
+ALTER TABLE quotes ADD COLUMN customer_id INTEGER;
+UPDATE quotes
+SET customer_id = company_customers.id
+FROM company_customers
+WHERE company_customers.company_id = quotes.company_id AND company_customers.customer_name = quotes.customer_name;
+ALTER TABLE quotes ALTER COLUMN customer_id SET NOT NULL;
+ALTER TABLE quotes DROP COLUMN customer_name;
+ALTER TABLE quotes ADD CONSTRAINT quotes_company_id_customer_id_fkey
+  FOREIGN KEY (company_id, customer_id) REFERENCES company_customers(company_id, id);
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- The people at a customer, and which of them an RFQ or quote is for.
+
+BEGIN;
+
+CREATE TABLE customer_contacts (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  title TEXT,
+  email TEXT CHECK (email ~ '^[^@]+@[^@]+\.[^@]+$'),
+  phone TEXT,
+  role VARCHAR(20) NOT NULL DEFAULT 'buyer'
+    CHECK (role IN ('buyer', 'engineer', 'accounts_payable', 'other')),
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (company_id, customer_id) REFERENCES company_customers(company_id, id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX customer_contacts_primary_idx ON customer_contacts (customer_id) WHERE is_primary;
+
+ALTER TABLE rfqs ADD COLUMN contact_id INTEGER REFERENCES customer_contacts(id) ON DELETE SET NULL;
+ALTER TABLE quotes ADD COLUMN contact_id INTEGER REFERENCES customer_contacts(id) ON DELETE SET NULL;
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- Customer address books, and the bill-to and ship-to copied onto quotes.
+-- Existing quotes have neither, and their PDFs keep using the customer's
+-- own address.
+
+BEGIN;
+
+CREATE TABLE customer_addresses (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  address_type VARCHAR(10) NOT NULL CHECK (address_type IN ('billing', 'shipping', 'plant')),
+  label TEXT,
+  address_line1 TEXT NOT NULL,
+  address_line2 TEXT,
+  city VARCHAR(25),
+  state VARCHAR(2),
+  country TEXT DEFAULT 'USA',
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (company_id, customer_id) REFERENCES company_customers(company_id, id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX customer_addresses_default_idx ON customer_addresses (customer_id, address_type) WHERE is_default;
+
+ALTER TABLE quotes
+  ADD COLUMN bill_to JSONB,
+  ADD COLUMN ship_to JSONB;
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- Customer price lists, and how each quote line's price was set. Existing
+-- lines keep a NULL price_rule.
+
+BEGIN;
+
+CREATE TABLE customer_prices (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  item_code VARCHAR(25) NOT NULL,
+  price_type VARCHAR(10) NOT NULL CHECK (price_type IN ('fixed', 'markup')),
+  price NUMERIC(10,2) CHECK (price >= 0),
+  markup_type TEXT,
+  markup NUMERIC(10,2) CHECK (markup >= 0),
+  effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+  expires_on DATE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK ((price_type = 'fixed' AND price IS NOT NULL) OR (price_type = 'markup' AND markup_type IS NOT NULL AND markup IS NOT NULL)),
+  CHECK (expires_on IS NULL OR expires_on >= effective_from),
+  FOREIGN KEY (company_id, customer_id) REFERENCES company_customers(company_id, id) ON DELETE CASCADE,
+  FOREIGN KEY (company_id, item_code) REFERENCES company_items(company_id, item_code) ON DELETE CASCADE
+);
+
+CREATE INDEX customer_prices_lookup_idx ON customer_prices (customer_id, item_code, effective_from);
+
+ALTER TABLE quote_items ADD COLUMN price_rule VARCHAR(20)
+  CHECK (price_rule IN ('contract', 'price_list_markup', 'customer_markup', 'list', 'manual'));
+
+COMMIT;
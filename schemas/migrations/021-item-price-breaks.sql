@@ -0,0 +1,21 @@
+-- Quantity break tiers for item costs and sell prices, and the
+-- 'quantity_break' price rule for lines priced from one.
+
+BEGIN;
+
+CREATE TABLE item_price_breaks (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL,
+  item_code VARCHAR(25) NOT NULL,
+  break_type VARCHAR(4) NOT NULL CHECK (break_type IN ('cost', 'sell')),
+  min_quantity INTEGER NOT NULL CHECK (min_quantity > 0),
+  amount NUMERIC(10,2) NOT NULL CHECK (amount >= 0),
+  UNIQUE (company_id, item_code, break_type, min_quantity),
+  FOREIGN KEY (company_id, item_code) REFERENCES company_items(company_id, item_code) ON DELETE CASCADE
+);
+
+ALTER TABLE quote_items DROP CONSTRAINT quote_items_price_rule_check;
+ALTER TABLE quote_items ADD CONSTRAINT quote_items_price_rule_check
+  CHECK (price_rule IN ('contract', 'price_list_markup', 'quantity_break', 'customer_markup', 'list', 'manual'));
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- Per-company margin minimums, and manager approvals for quotes below them.
+-- Companies without a policy row get DEFAULT_MARGIN_POLICY (helpers/pricing.js).
+
+BEGIN;
+
+CREATE TABLE company_margin_policies (
+  company_id INTEGER PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+  min_line_margin NUMERIC(5,2) DEFAULT 0 CHECK (min_line_margin < 100),
+  min_quote_margin NUMERIC(5,2) CHECK (min_quote_margin < 100)
+);
+
+CREATE TABLE quote_approvals (
+  id SERIAL PRIMARY KEY,
+  quote_id INTEGER NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  status VARCHAR(12) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'superseded')),
+  margins JSONB NOT NULL,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  request_comment TEXT,
+  requested_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  decision_comment TEXT,
+  decided_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX quote_approvals_one_pending_idx ON quote_approvals (quote_id) WHERE status = 'pending';
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- Quote adjustments (discounts and charges), sales tax by jurisdiction, and
+-- the adjustments and totals recorded with each revision. Revisions taken
+-- before this keep no totals, so diffs against them skip the totals.
+
+BEGIN;
+
+CREATE TABLE company_tax_rates (
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  jurisdiction VARCHAR(25) NOT NULL,
+  rate NUMERIC(6,3) NOT NULL CHECK (rate >= 0 AND rate < 100),
+  PRIMARY KEY (company_id, jurisdiction)
+);
+
+ALTER TABLE company_customers ADD COLUMN tax_exempt BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE quotes ADD COLUMN tax_jurisdiction VARCHAR(25);
+
+CREATE TABLE quote_adjustments (
+  id SERIAL PRIMARY KEY,
+  quote_id INTEGER NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  adjustment_type VARCHAR(20) NOT NULL CHECK (adjustment_type IN ('discount', 'freight', 'handling', 'fuel_surcharge')),
+  calc VARCHAR(10) NOT NULL CHECK (calc IN ('percentage', 'fixed')),
+  amount NUMERIC(10,2) NOT NULL CHECK (amount >= 0),
+  description TEXT,
+  taxable BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE quote_revisions
+  ADD COLUMN adjustments JSONB NOT NULL DEFAULT '[]',
+  ADD COLUMN totals JSONB;
+
+COMMIT;
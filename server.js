@@ -1,8 +1,12 @@
 "use strict";
 
 const app = require("./app");
-const { PORT } = require("./config");
+const { PORT, QUOTE_EXPIRY_INTERVAL_MINUTES, PURGE_INTERVAL_MINUTES } = require("./config");
+const { startQuoteExpiryJob } = require("./jobs/quoteExpiry");
+const { startPurgeDeletedJob } = require("./jobs/purgeDeleted");
 
 app.listen(PORT, function () {
   console.log(`Started on http://localhost:${PORT}`);
+  startQuoteExpiryJob(QUOTE_EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+  startPurgeDeletedJob(PURGE_INTERVAL_MINUTES * 60 * 1000);
 });